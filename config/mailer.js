@@ -147,6 +147,18 @@ const isCollegeEmail = (email) => {
   return domain === process.env.COLLEGE_EMAIL_DOMAIN;
 };
 
+/**
+ * Escape text typed by users before it goes into an email
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send verification email
  * @param {string} to - Recipient email
@@ -325,10 +337,165 @@ const sendElectionNotificationEmail = async (to, name, electionInfo) => {
   });
 };
 
+/**
+ * Send an invitation to create a teacher or admin account
+ * @param {string} to - Recipient email
+ * @param {object} invitationInfo - { roleLabel, inviteUrl, expiresAt, invitedByName }
+ * @returns {Promise<object>} - Email send result
+ */
+const sendInvitationEmail = async (to, invitationInfo) => {
+  const roleLabel = invitationInfo.roleLabel.toLowerCase();
+  const subject = `College Election System - You're invited as a ${roleLabel}`;
+
+  // Format expiry for display
+  const expiresAt = new Date(invitationInfo.expiresAt).toLocaleString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+      <h2 style="color: #4a4a4a;">You're Invited</h2>
+      <p>Hello,</p>
+      <p>${invitationInfo.invitedByName || 'An administrator'} has invited you to join the College Election System as a ${roleLabel}. Click the button below to create your account:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${invitationInfo.inviteUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Accept Invitation</a>
+      </div>
+      <p>If the button doesn't work, you can also click on the link below or copy it into your browser:</p>
+      <p><a href="${invitationInfo.inviteUrl}">${invitationInfo.inviteUrl}</a></p>
+      <p>This link will expire on ${expiresAt} and can only be used once.</p>
+      <p>If you were not expecting this invitation, please ignore this email.</p>
+      <p>Best regards,<br>College Election System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    html
+  });
+};
+
+/**
+ * Send the account setup link to a student added by a roster import
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} setupToken - Password reset token that sets up the account
+ * @param {number} days - Days the link stays valid
+ * @returns {Promise<object>} - Email send result
+ */
+const sendAccountSetupEmail = async (to, name, setupToken, days) => {
+  const subject = 'College Election System - Set Up Your Account';
+
+  // The password reset page sets the first password
+  const setupUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/auth/reset-password/${setupToken}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+      <h2 style="color: #4a4a4a;">Your Student Account Is Ready</h2>
+      <p>Hello ${name},</p>
+      <p>Your college has added you to the College Election System so you can vote in your class elections. Click the button below to choose a password and activate your account:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${setupUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Set Up Account</a>
+      </div>
+      <p>If the button doesn't work, you can also click on the link below or copy it into your browser:</p>
+      <p><a href="${setupUrl}">${setupUrl}</a></p>
+      <p>This link will expire in ${days} days. After that, use "Forgot password" on the login page to get a new one.</p>
+      <p>Best regards,<br>College Election System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    html
+  });
+};
+
+/**
+ * Tell a student whether their nomination was approved or rejected
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {object} decision - { approved, electionTitle, electionId, positionTitle, reason }
+ * @returns {Promise<object>} - Email send result
+ */
+const sendNominationDecisionEmail = async (to, name, decision) => {
+  const outcome = decision.approved ? 'Approved' : 'Not Approved';
+  const subject = `College Election System - Nomination ${outcome}`;
+  const electionUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/student/elections/${decision.electionId}`;
+
+  const body = decision.approved
+    ? `<p>Your nomination for <strong>${decision.positionTitle}</strong> in the <strong>${decision.electionTitle}</strong> election has been approved. You will appear on the ballot when voting opens.</p>`
+    : `<p>Your nomination for <strong>${decision.positionTitle}</strong> in the <strong>${decision.electionTitle}</strong> election was not approved.</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Reason:</strong></p>
+        <p>${escapeHTML(decision.reason)}</p>
+      </div>
+      <p>You can update your nomination and submit it again until voting opens.</p>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+      <h2 style="color: #4a4a4a;">Nomination ${outcome}</h2>
+      <p>Hello ${name},</p>
+      ${body}
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${electionUrl}" style="background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">View Election</a>
+      </div>
+      <p>Best regards,<br>College Election System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    html
+  });
+};
+
+/**
+ * Tell a candidate whether their withdrawal was confirmed or declined
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {object} decision - { confirmed, electionTitle, electionId, positionTitle, reason }
+ * @returns {Promise<object>} - Email send result
+ */
+const sendWithdrawalDecisionEmail = async (to, name, decision) => {
+  const outcome = decision.confirmed ? 'Confirmed' : 'Declined';
+  const subject = `College Election System - Withdrawal ${outcome}`;
+  const electionUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/student/elections/${decision.electionId}`;
+
+  const body = decision.confirmed
+    ? `<p>Your withdrawal from <strong>${decision.positionTitle}</strong> in the <strong>${decision.electionTitle}</strong> election has been confirmed. You will not appear on the ballot.</p>`
+    : `<p>Your request to withdraw from <strong>${decision.positionTitle}</strong> in the <strong>${decision.electionTitle}</strong> election was declined, so you remain a candidate.</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Reason:</strong></p>
+        <p>${escapeHTML(decision.reason)}</p>
+      </div>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+      <h2 style="color: #4a4a4a;">Withdrawal ${outcome}</h2>
+      <p>Hello ${name},</p>
+      ${body}
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${electionUrl}" style="background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">View Election</a>
+      </div>
+      <p>Best regards,<br>College Election System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   isCollegeEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendElectionNotificationEmail
+  sendElectionNotificationEmail,
+  sendInvitationEmail,
+  sendAccountSetupEmail,
+  sendNominationDecisionEmail,
+  sendWithdrawalDecisionEmail
 };
@@ -0,0 +1,116 @@
+/**
+ * Permission Configuration
+ * Purpose: Roles, the capabilities each role has and which classes it can act on
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Routes ask for a capability (see middlewares/permissions.js), never for a
+ * role. Teachers act only on their own classes and the elections they
+ * created; roles with `allClasses` act on every class.
+ */
+
+// Capabilities and what they allow
+const PERMISSIONS = {
+  'election.create': 'Create elections',
+  'election.manage': 'Edit elections, positions, QR voting and reminders',
+  'election.publish': 'Publish results, resolve ties and follow the live count',
+  'candidate.approve': 'Add, approve and remove candidates',
+  'turnout.read': 'View elections and turnout',
+  'logs.read': 'Read and verify the system logs',
+  'backup.create': 'Create database backups',
+  'system.manage': 'Manage users, classes, invitations and settings in the admin console'
+};
+
+// Roles, their capabilities and scope
+const ROLES = {
+  admin: {
+    label: 'Admin',
+    permissions: Object.keys(PERMISSIONS),
+    allClasses: true,
+    dashboard: '/admin/dashboard'
+  },
+  election_officer: {
+    label: 'Election Officer',
+    permissions: [
+      'election.create',
+      'election.manage',
+      'election.publish',
+      'candidate.approve',
+      'turnout.read',
+      'logs.read'
+    ],
+    allClasses: true,
+    dashboard: '/teacher/dashboard'
+  },
+  teacher: {
+    label: 'Teacher',
+    permissions: [
+      'election.create',
+      'election.manage',
+      'election.publish',
+      'candidate.approve',
+      'turnout.read'
+    ],
+    allClasses: false,
+    dashboard: '/teacher/dashboard'
+  },
+  observer: {
+    label: 'Observer',
+    permissions: ['turnout.read', 'logs.read'],
+    allClasses: true,
+    dashboard: '/teacher/dashboard'
+  },
+  student: {
+    label: 'Student',
+    permissions: [],
+    allClasses: false,
+    dashboard: '/student/dashboard'
+  }
+};
+
+/**
+ * Check whether a role has a capability
+ * @param {string} role - User role
+ * @param {string} permission - Capability from PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return Boolean(ROLES[role] && ROLES[role].permissions.includes(permission));
+};
+
+/**
+ * Check whether a role acts on every class rather than its own
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+const hasAllClasses = (role) => {
+  return Boolean(ROLES[role] && ROLES[role].allClasses);
+};
+
+/**
+ * Display name for a role
+ * @param {string} role - User role
+ * @returns {string}
+ */
+const getRoleLabel = (role) => {
+  return ROLES[role] ? ROLES[role].label : role;
+};
+
+/**
+ * Landing page after login for a role
+ * @param {string} role - User role
+ * @returns {string}
+ */
+const getDashboardPath = (role) => {
+  return ROLES[role] ? ROLES[role].dashboard : '/';
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES: Object.keys(ROLES),
+  hasPermission,
+  hasAllClasses,
+  getRoleLabel,
+  getDashboardPath
+};
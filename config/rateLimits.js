@@ -0,0 +1,93 @@
+/**
+ * Rate Limit Configuration
+ * Purpose: Request windows, progressive delays and login lockout per route
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Each route is limited per client IP and per account (the email or voter
+ * identity in the request body). Requests past `delayAfter` in a window are
+ * slowed down by `delayMs` more each time, up to `maxDelayMs`; requests past
+ * `max` are turned away until the window ends. A turned-away form goes back
+ * to the page it was sent from, or to `redirectTo` when that isn't known.
+ *
+ * Set RATE_LIMIT_ENABLED=false to switch limiting off (e.g. for load tests).
+ */
+
+const MINUTE = 60 * 1000;
+
+const enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Limits per route
+const routes = {
+  login: {
+    windowMs: 15 * MINUTE,
+    ip: { max: 30, delayAfter: 10 },
+    account: { max: 10, delayAfter: 3 },
+    delayMs: 500,
+    maxDelayMs: 5000,
+    // Body field identifying the account
+    accountKey: (req) => req.body.email,
+    redirectTo: '/auth/login'
+  },
+  register: {
+    windowMs: 60 * MINUTE,
+    ip: { max: 10, delayAfter: 5 },
+    account: { max: 3, delayAfter: 1 },
+    delayMs: 1000,
+    maxDelayMs: 5000,
+    accountKey: (req) => req.body.email,
+    redirectTo: '/auth/register'
+  },
+  forgotPassword: {
+    windowMs: 60 * MINUTE,
+    ip: { max: 10, delayAfter: 3 },
+    account: { max: 3, delayAfter: 1 },
+    delayMs: 1000,
+    maxDelayMs: 5000,
+    accountKey: (req) => req.body.email,
+    redirectTo: '/auth/forgot-password'
+  },
+  twoFactor: {
+    windowMs: 15 * MINUTE,
+    ip: { max: 30, delayAfter: 10 },
+    account: { max: 5, delayAfter: 2 },
+    delayMs: 1000,
+    maxDelayMs: 5000,
+    // The sign-in waiting for its code, or the signed-in user
+    accountKey: (req) => (req.session.pendingLogin && req.session.pendingLogin.userId) ||
+      (req.session.user && String(req.session.user._id)),
+    // Signed-in users manage two-factor from the security page
+    redirectTo: (req) => (req.session.user ? '/auth/security' : '/auth/login')
+  },
+  publicVote: {
+    windowMs: 10 * MINUTE,
+    // Booths may share one IP, so the IP limit is generous
+    ip: { max: 200, delayAfter: 100 },
+    account: { max: 5, delayAfter: 2 },
+    delayMs: 500,
+    maxDelayMs: 3000,
+    accountKey: (req) => req.body.rollNumber || req.body.ballotCode,
+    // The voting page of the QR link
+    redirectTo: (req) => req.originalUrl
+  }
+};
+
+// Temporary account lockout after repeated failed logins
+const loginLockout = {
+  // Failures counted within this window
+  windowMs: 30 * MINUTE,
+  // Failures before the account is locked
+  threshold: 5,
+  // First lockout; each further lockout in the window doubles it
+  lockMs: 15 * MINUTE,
+  maxLockMs: 24 * 60 * MINUTE,
+  // Delay added per failure before answering a login attempt
+  delayPerFailureMs: 1000,
+  maxDelayMs: 8000
+};
+
+module.exports = {
+  enabled,
+  routes,
+  loginLockout
+};
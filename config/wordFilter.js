@@ -0,0 +1,51 @@
+/**
+ * Word Filter Configuration
+ * Purpose: Words that hold a manifesto for teacher review when an election
+ *          turns on the word filter
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Matching ignores case and whole words only ("ass" doesn't match "class").
+ * Elections can add their own words; MANIFESTO_BLOCKED_WORDS (comma
+ * separated) adds words for every election.
+ */
+
+// Words held for review by default
+const DEFAULT_BLOCKED_WORDS = [
+  'arse',
+  'ass',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bullshit',
+  'crap',
+  'damn',
+  'dick',
+  'fuck',
+  'fucking',
+  'idiot',
+  'moron',
+  'piss',
+  'shit',
+  'slut',
+  'stupid',
+  'whore'
+];
+
+/**
+ * Words held for review in every election
+ * @returns {string[]} - Lower-case words
+ */
+const getBlockedWords = () => {
+  const extra = (process.env.MANIFESTO_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set([...DEFAULT_BLOCKED_WORDS, ...extra])];
+};
+
+module.exports = {
+  DEFAULT_BLOCKED_WORDS,
+  getBlockedWords
+};
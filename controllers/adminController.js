@@ -9,8 +9,26 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
+const Endorsement = require('../models/Endorsement');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+const VotingPin = require('../models/VotingPin');
+const BallotCode = require('../models/BallotCode');
 const SystemLog = require('../models/SystemLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const Invitation = require('../models/Invitation');
+const ImportBatch = require('../models/ImportBatch');
+const Rollover = require('../models/Rollover');
 const googleDrive = require('../config/googleDrive');
+const mailer = require('../config/mailer');
+const permissions = require('../config/permissions');
+const resultsService = require('../services/resultsService');
+const auditLogService = require('../services/auditLogService');
+const twoFactorService = require('../services/twoFactorService');
+const invitationService = require('../services/invitationService');
+const rosterImportService = require('../services/rosterImportService');
+const rolloverService = require('../services/rolloverService');
+const candidateFileService = require('../services/candidateFileService');
 const { asyncHandler } = require('../middlewares/error');
 
 /**
@@ -54,7 +72,7 @@ const getUserManagement = asyncHandler(async (req, res) => {
 
   // Build query
   const query = {};
-  if (role && ['admin', 'teacher', 'student'].includes(role)) {
+  if (role && permissions.ROLE_NAMES.includes(role)) {
     query.role = role;
   }
 
@@ -123,7 +141,7 @@ const getUserEdit = asyncHandler(async (req, res) => {
  */
 const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, email, role, active, rollNumber, classId } = req.body;
+  const { name, email, role, active, rollNumber, classId, dateOfBirth } = req.body;
 
   // Find user
   const userToUpdate = await User.findById(id);
@@ -152,6 +170,8 @@ const updateUser = asyncHandler(async (req, res) => {
   if (role === 'student') {
     userToUpdate.rollNumber = rollNumber;
     userToUpdate.class = classId;
+    // Checked as a second factor for QR voting
+    userToUpdate.dateOfBirth = dateOfBirth || undefined;
   }
 
   await userToUpdate.save();
@@ -563,24 +583,7 @@ const getElectionDetails = asyncHandler(async (req, res) => {
     active: true
   });
 
-  const voteStats = {
-    totalVotes: election.votes.length,
-    totalStudents: totalStudentsInClass,
-    participationRate: totalStudentsInClass ? (election.votes.length / totalStudentsInClass * 100).toFixed(2) : 0,
-    candidateVotes: {}
-  };
-
-  // Count votes for each candidate
-  election.candidates.forEach(candidate => {
-    voteStats.candidateVotes[candidate._id] = 0;
-  });
-
-  election.votes.forEach(vote => {
-    const candidateId = vote.candidate.toString();
-    if (voteStats.candidateVotes[candidateId] !== undefined) {
-      voteStats.candidateVotes[candidateId]++;
-    }
-  });
+  const voteStats = await resultsService.getVoteStats(election, totalStudentsInClass);
 
   res.render('admin/election-details', {
     title: `Election: ${election.title}`,
@@ -611,14 +614,9 @@ const updateElectionStatus = asyncHandler(async (req, res) => {
     return res.redirect('/admin/elections');
   }
 
-  // Update status
+  // Update status (completing only closes voting; results are published
+  // separately, with the election.publish permission)
   election.status = status;
-
-  // If completing election, calculate results
-  if (status === 'completed') {
-    await election.calculateResults();
-  }
-
   await election.save();
 
   // Log election status update
@@ -661,8 +659,15 @@ const deleteElection = asyncHandler(async (req, res) => {
     return res.redirect('/admin/elections');
   }
 
-  // Delete related candidates
+  // Delete related candidates (and their endorsements, photos and documents), ballots, participation records, voting PINs and ballot codes
+  const candidates = await Candidate.find({ election: id }).select('photo documents');
   await Candidate.deleteMany({ election: id });
+  await Endorsement.deleteMany({ election: id });
+  await Promise.all(candidates.map(candidate => candidateFileService.removeAllFiles(candidate)));
+  await Vote.deleteMany({ election: id });
+  await Participation.deleteMany({ election: id });
+  await VotingPin.deleteMany({ election: id });
+  await BallotCode.deleteMany({ election: id });
 
   // Delete election
   await election.deleteOne();
@@ -760,6 +765,96 @@ const getSystemLogs = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Render the log integrity page
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object|null} report - Result of a chain verification
+ */
+const renderLogIntegrity = async (req, res, report = null) => {
+  const checkpoints = await AuditCheckpoint.find()
+    .populate('createdBy', 'name email')
+    .sort({ sequence: -1 })
+    .limit(50);
+
+  res.render('admin/log-integrity', {
+    title: 'Log Integrity',
+    user: req.session.user,
+    checkpoints,
+    signingKey: auditLogService.getSigningKey(),
+    report
+  });
+};
+
+/**
+ * Render log integrity page (chain verification and checkpoints)
+ */
+const getLogIntegrity = asyncHandler(async (req, res) => {
+  await renderLogIntegrity(req, res);
+});
+
+/**
+ * Verify the system log hash chain
+ */
+const verifyLogChain = asyncHandler(async (req, res) => {
+  const report = await auditLogService.verifyChain();
+
+  await SystemLog.createLog({
+    action: 'audit_verify',
+    user: req.session.user._id,
+    details: {
+      intact: report.intact,
+      checkedEntries: report.checkedEntries,
+      head: report.head,
+      brokenLink: report.brokenLink
+    },
+    status: report.intact ? 'success' : 'failure',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  await renderLogIntegrity(req, res, report);
+});
+
+/**
+ * Sign a checkpoint of the current log chain head
+ */
+const createLogCheckpoint = asyncHandler(async (req, res) => {
+  let checkpoint;
+  try {
+    checkpoint = await auditLogService.createCheckpoint({ userId: req.session.user._id });
+  } catch (error) {
+    req.flash('error', error.message);
+    return res.redirect('/admin/logs/integrity');
+  }
+
+  if (checkpoint) {
+    req.flash('success', `Checkpoint signed at log entry #${checkpoint.sequence}`);
+  } else {
+    req.flash('info', 'No new log entries since the last checkpoint');
+  }
+
+  res.redirect('/admin/logs/integrity');
+});
+
+/**
+ * Download a signed checkpoint with the entries it covers
+ */
+const exportLogCheckpoint = asyncHandler(async (req, res) => {
+  const checkpoint = await AuditCheckpoint.findById(req.params.id);
+
+  if (!checkpoint) {
+    req.flash('error', 'Checkpoint not found');
+    return res.redirect('/admin/logs/integrity');
+  }
+
+  const exported = await auditLogService.getCheckpointExport(checkpoint);
+
+  res.attachment(`audit-checkpoint-${checkpoint.sequence}.json`);
+  res.type('application/json');
+  res.send(JSON.stringify(exported, null, 2));
+});
+
 /**
  * Create system backup
  */
@@ -841,10 +936,491 @@ const getBackupPage = asyncHandler(async (req, res) => {
  * Render system settings page
  */
 const getSettingsPage = asyncHandler(async (req, res) => {
+  const requiredRoles = await twoFactorService.getRequiredRoles();
+
+  // Accounts per role that haven't turned two-factor sign-in on yet
+  const withoutTwoFactor = {};
+  for (const role of twoFactorService.TWO_FACTOR_ROLES) {
+    withoutTwoFactor[role] = await User.countDocuments({
+      role,
+      active: true,
+      'twoFactor.enabled': { $ne: true }
+    });
+  }
+
   res.render('admin/settings', {
     title: 'System Settings',
-    user: req.session.user
+    user: req.session.user,
+    twoFactorRoles: twoFactorService.TWO_FACTOR_ROLES,
+    requiredRoles,
+    withoutTwoFactor
+  });
+});
+
+/**
+ * Choose the roles that must use two-factor sign-in
+ */
+const updateTwoFactorSettings = asyncHandler(async (req, res) => {
+  const roles = [].concat(req.body.requiredRoles || []);
+  const requiredRoles = await twoFactorService.setRequiredRoles(roles, req.session.user._id);
+
+  await SystemLog.createLog({
+    action: 'two_factor',
+    user: req.session.user._id,
+    details: {
+      event: 'required_roles_update',
+      requiredRoles
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
   });
+
+  req.flash('success', requiredRoles.length > 0
+    ? `Two-factor authentication is now required for: ${requiredRoles.join(', ')}`
+    : 'Two-factor authentication is now optional for every role');
+  res.redirect('/admin/settings');
+});
+
+/**
+ * Render pending invitations and the invite form
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const pending = await Invitation.find({ status: 'pending' })
+    .populate('invitedBy', 'name')
+    .sort({ createdAt: -1 });
+
+  // Recently closed invitations for reference
+  const recent = await Invitation.find({ status: { $ne: 'pending' } })
+    .populate('invitedBy', 'name')
+    .populate('acceptedUser', 'name')
+    .populate('revokedBy', 'name')
+    .sort({ updatedAt: -1 })
+    .limit(20);
+
+  res.render('admin/invitations', {
+    title: 'Invitations',
+    user: req.session.user,
+    pending,
+    recent,
+    expiryDays: invitationService.INVITATION_EXPIRY_DAYS,
+    invitationRoles: Invitation.schema.path('role').enumValues,
+    now: new Date()
+  });
+});
+
+/**
+ * Email an invitation link
+ * @param {Object} req - Request (for the inviting admin's name)
+ * @param {Object} invitation - Invitation with its nonce selected
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendInvitation = async (req, invitation) => {
+  const result = await mailer.sendInvitationEmail(invitation.email, {
+    roleLabel: permissions.getRoleLabel(invitation.role),
+    inviteUrl: invitationService.getInvitationURL(invitation),
+    expiresAt: invitation.expiresAt,
+    invitedByName: req.session.user.name
+  });
+
+  return Boolean(result && result.success);
+};
+
+/**
+ * Invite a staff member by email
+ */
+const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  if (!email || !Invitation.schema.path('role').enumValues.includes(role)) {
+    req.flash('error', 'Please enter an email address and choose a role');
+    return res.redirect('/admin/invitations');
+  }
+
+  if (!mailer.isCollegeEmail(email.trim().toLowerCase())) {
+    req.flash('error', 'Invitations can only be sent to college email addresses');
+    return res.redirect('/admin/invitations');
+  }
+
+  const { invitation, error } = await invitationService.createInvitation(email, role, req.session.user._id);
+  if (!invitation) {
+    req.flash('error', error);
+    return res.redirect('/admin/invitations');
+  }
+
+  const sent = await sendInvitation(req, invitation);
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'invitation_create',
+      invitation: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      emailSent: sent
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  if (sent) {
+    req.flash('success', `Invitation sent to ${invitation.email}`);
+  } else {
+    req.flash('error', `The invitation for ${invitation.email} was created but the email could not be sent. Try resending it.`);
+  }
+  res.redirect('/admin/invitations');
+});
+
+/**
+ * Send a pending invitation again (earlier links stop working)
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.resendInvitation(req.params.id);
+  if (!invitation) {
+    req.flash('error', 'Invitation not found or no longer pending');
+    return res.redirect('/admin/invitations');
+  }
+
+  const sent = await sendInvitation(req, invitation);
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'invitation_resend',
+      invitation: invitation._id,
+      email: invitation.email,
+      emailSent: sent
+    },
+    status: sent ? 'success' : 'failure',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  if (sent) {
+    req.flash('success', `Invitation resent to ${invitation.email}. Earlier links no longer work.`);
+  } else {
+    req.flash('error', `The email to ${invitation.email} could not be sent. Please try again.`);
+  }
+  res.redirect('/admin/invitations');
+});
+
+/**
+ * Revoke a pending invitation
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.revokeInvitation(req.params.id, req.session.user._id);
+  if (!invitation) {
+    req.flash('error', 'Invitation not found or no longer pending');
+    return res.redirect('/admin/invitations');
+  }
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'invitation_revoke',
+      invitation: invitation._id,
+      email: invitation.email
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `Invitation for ${invitation.email} revoked`);
+  res.redirect('/admin/invitations');
+});
+
+/**
+ * Render the roster import page and import history
+ */
+const getImportPage = asyncHandler(async (req, res) => {
+  const classes = await Class.find({ active: true }).sort({ name: 1 });
+
+  const batches = await ImportBatch.find({})
+    .select('-rows')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.render('admin/import', {
+    title: 'Import Students',
+    user: req.session.user,
+    classes,
+    batches,
+    maxRows: rosterImportService.MAX_ROWS
+  });
+});
+
+/**
+ * Check an uploaded roster without changing anything (dry run)
+ */
+const previewImport = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    req.flash('error', 'Please choose a CSV or XLSX file');
+    return res.redirect('/admin/import');
+  }
+
+  const options = {
+    defaultClass: req.body.defaultClass || undefined,
+    createClasses: req.body.createClasses === 'on',
+    sendEmails: req.body.sendEmails === 'on'
+  };
+
+  let checked;
+  let format;
+  try {
+    const parsed = await rosterImportService.parseFile(req.file.buffer, req.file.originalname);
+    format = parsed.format;
+    checked = await rosterImportService.checkRecords(parsed.records, options);
+  } catch (error) {
+    req.flash('error', error.message);
+    return res.redirect('/admin/import');
+  }
+
+  const batch = await ImportBatch.create({
+    fileName: req.file.originalname,
+    format,
+    options,
+    rows: checked.rows.map(rosterImportService.toStoredRow),
+    counts: checked.counts,
+    newClasses: checked.newClasses,
+    createdBy: req.session.user._id
+  });
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'roster_import_preview',
+      importBatch: batch._id,
+      fileName: batch.fileName,
+      counts: checked.counts
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.redirect(`/admin/import/${batch._id}`);
+});
+
+/**
+ * Render an import batch (preview before applying, results after)
+ */
+const getImportBatch = asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findById(req.params.id)
+    .populate('createdBy', 'name')
+    .populate('options.defaultClass', 'name');
+
+  if (!batch) {
+    req.flash('error', 'Import not found');
+    return res.redirect('/admin/import');
+  }
+
+  res.render('admin/import-batch', {
+    title: `Import: ${batch.fileName}`,
+    user: req.session.user,
+    batch
+  });
+});
+
+/**
+ * Apply a previewed import
+ */
+const applyImport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Claim the batch so it can only be applied once
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: id, status: 'previewed' },
+    { $set: { status: 'applied', appliedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!batch) {
+    req.flash('error', 'This import has already been applied or discarded');
+    return res.redirect(`/admin/import/${id}`);
+  }
+
+  let result;
+  try {
+    result = await rosterImportService.applyBatch(batch);
+  } catch (error) {
+    await ImportBatch.updateOne({ _id: id }, { $set: { status: 'previewed' }, $unset: { appliedAt: '' } });
+    throw error;
+  }
+
+  batch.rows = result.rows.map(rosterImportService.toStoredRow);
+  batch.counts = result.counts;
+  await batch.save();
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'roster_import',
+      importBatch: batch._id,
+      fileName: batch.fileName,
+      counts: result.counts
+    },
+    status: result.counts.error > 0 ? 'warning' : 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  const { create, update, error } = result.counts;
+  req.flash(error > 0 ? 'info' : 'success',
+    `Import applied: ${create} created, ${update} updated` + (error > 0 ? `, ${error} row(s) skipped` : ''));
+  res.redirect(`/admin/import/${batch._id}`);
+});
+
+/**
+ * Discard a previewed import
+ */
+const discardImport = asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: req.params.id, status: 'previewed' },
+    { $set: { status: 'discarded' } },
+    { new: true }
+  );
+
+  if (!batch) {
+    req.flash('error', 'Only imports that haven\'t been applied can be discarded');
+    return res.redirect(`/admin/import/${req.params.id}`);
+  }
+
+  req.flash('success', `Import of ${batch.fileName} discarded`);
+  res.redirect('/admin/import');
+});
+
+/**
+ * Download a CSV template for roster imports
+ */
+const downloadImportTemplate = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="student-roster-template.csv"');
+  res.send(rosterImportService.getTemplateCSV());
+};
+
+/**
+ * Render the year rollover wizard (with a preview once the year is chosen)
+ */
+const getRollover = asyncHandler(async (req, res) => {
+  const plan = req.query.academicYear
+    ? await rolloverService.planRollover(req.query)
+    : null;
+
+  const rollovers = await Rollover.find({})
+    .populate('performedBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.render('admin/rollover', {
+    title: 'Year Rollover',
+    user: req.session.user,
+    plan,
+    rollovers,
+    defaultFinalYear: rolloverService.DEFAULT_FINAL_YEAR,
+    undoDays: rolloverService.ROLLOVER_UNDO_DAYS
+  });
+});
+
+/**
+ * Apply the year rollover chosen in the wizard
+ */
+const applyRollover = asyncHandler(async (req, res) => {
+  const { academicYear, finalYear } = req.body;
+  const plan = await rolloverService.planRollover(req.body);
+
+  if (plan.blocked.length > 0) {
+    req.flash('error', plan.blocked.join('. '));
+    const query = new URLSearchParams({ academicYear: academicYear || '', finalYear: finalYear || '' });
+    return res.redirect(`/admin/rollover?${query}`);
+  }
+
+  const result = await rolloverService.applyRollover(plan, req.session.user._id);
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/admin/rollover');
+  }
+  const { rollover } = result;
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'year_rollover',
+      rollover: rollover._id,
+      academicYear: rollover.academicYear,
+      counts: rollover.counts
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `Rollover for ${rollover.academicYear} applied`);
+  res.redirect(`/admin/rollover/${rollover._id}`);
+});
+
+/**
+ * Render the report for a year rollover
+ */
+const getRolloverReport = asyncHandler(async (req, res) => {
+  const rollover = await Rollover.findById(req.params.id)
+    .populate('performedBy', 'name')
+    .populate('undoneBy', 'name');
+
+  if (!rollover) {
+    req.flash('error', 'Rollover not found');
+    return res.redirect('/admin/rollover');
+  }
+
+  res.render('admin/rollover-report', {
+    title: `Rollover ${rollover.academicYear}`,
+    user: req.session.user,
+    rollover
+  });
+});
+
+/**
+ * Undo a year rollover inside its undo window
+ */
+const undoRollover = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const rollover = await Rollover.findById(id);
+
+  if (!rollover) {
+    req.flash('error', 'Rollover not found');
+    return res.redirect('/admin/rollover');
+  }
+
+  const result = await rolloverService.undoRollover(rollover, req.session.user._id);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect(`/admin/rollover/${id}`);
+  }
+
+  await SystemLog.createLog({
+    action: 'admin_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'year_rollover_undo',
+      rollover: rollover._id,
+      academicYear: rollover.academicYear
+    },
+    status: 'warning',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `Rollover for ${rollover.academicYear} undone`);
+  res.redirect(`/admin/rollover/${id}`);
 });
 
 module.exports = {
@@ -865,7 +1441,26 @@ module.exports = {
   updateElectionStatus,
   deleteElection,
   getSystemLogs,
+  getLogIntegrity,
+  verifyLogChain,
+  createLogCheckpoint,
+  exportLogCheckpoint,
   createBackup,
   getBackupPage,
-  getSettingsPage
+  getSettingsPage,
+  updateTwoFactorSettings,
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getImportPage,
+  previewImport,
+  getImportBatch,
+  applyImport,
+  discardImport,
+  downloadImportTemplate,
+  getRollover,
+  applyRollover,
+  getRolloverReport,
+  undoRollover
 };
@@ -11,7 +11,13 @@ const Class = require('../models/Class');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const mailer = require('../config/mailer');
+const rateLimits = require('../config/rateLimits');
+const { getDashboardPath } = require('../config/permissions');
+const rateLimitService = require('../services/rateLimitService');
+const twoFactorService = require('../services/twoFactorService');
+const invitationService = require('../services/invitationService');
 const { asyncHandler } = require('../middlewares/error');
+const { getCsrfToken } = require('../middlewares/csrf');
 
 /**
  * Render login page
@@ -19,16 +25,7 @@ const { asyncHandler } = require('../middlewares/error');
 const getLoginPage = (req, res) => {
   if (req.session.user) {
     // Redirect based on user role
-    switch (req.session.user.role) {
-      case 'admin':
-        return res.redirect('/admin/dashboard');
-      case 'teacher':
-        return res.redirect('/teacher/dashboard');
-      case 'student':
-        return res.redirect('/student/dashboard');
-      default:
-        return res.redirect('/');
-    }
+    return res.redirect(getDashboardPath(req.session.user.role));
   }
 
   res.render('auth/login', {
@@ -38,37 +35,25 @@ const getLoginPage = (req, res) => {
 };
 
 /**
- * Handle user login
+ * Minutes until a lockout ends, for messages
+ * @param {Date} lockedUntil - End of the lockout
+ * @returns {string}
  */
-const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
-
-  // Validate email and password
-  if (!email || !password) {
-    req.flash('error', 'Email and password are required');
-    return res.redirect('/auth/login');
-  }
-
-  // Find user by email and include password for comparison
-  const user = await User.findOne({ email }).select('+password');
-
-  // Check if user exists
-  if (!user) {
-    req.flash('error', 'Invalid email or password');
-    return res.redirect('/auth/login');
-  }
-
-  // Check if user is active
-  if (!user.active) {
-    req.flash('error', 'Your account is deactivated. Please contact the administrator.');
-    return res.redirect('/auth/login');
-  }
-
-  // Compare passwords
-  const isPasswordValid = await user.comparePassword(password);
+const formatLockout = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
 
-  if (!isPasswordValid) {
-    // Log failed login attempt
+/**
+ * Record a failed login, locking the account after too many
+ * @param {Object} req - Request
+ * @param {string} email - Login email
+ * @param {Object|null} user - Matching user, if any
+ * @returns {Promise<Date|null>} - End of a lockout started by this failure
+ */
+const recordFailedLogin = async (req, email, user) => {
+  // Log failed login attempt
+  if (user) {
     await SystemLog.createLog({
       action: 'user_login',
       user: user._id,
@@ -76,17 +61,57 @@ const login = asyncHandler(async (req, res) => {
       ip: req.ip,
       userAgent: req.headers['user-agent']
     });
-
-    req.flash('error', 'Invalid email or password');
-    return res.redirect('/auth/login');
   }
 
-  // Check if user is verified
-  if (!user.isVerified) {
-    req.flash('warning', 'Please verify your email address first');
-    return res.redirect('/auth/verify-email');
+  if (!rateLimits.enabled) return null;
+
+  // Unknown emails count too, so lockouts don't reveal which accounts exist
+  const { lockedUntil } = await rateLimitService.recordLoginFailure(email);
+  if (lockedUntil) {
+    await SystemLog.createLog({
+      action: 'account_lockout',
+      user: user ? user._id : null,
+      details: {
+        lockedUntil,
+        knownAccount: !!user
+      },
+      status: 'warning',
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
   }
 
+  return lockedUntil;
+};
+
+/**
+ * Move the request to a new session id, dropping everything in the old one
+ * Done at each sign-in step so a session id planted before sign-in
+ * (session fixation) never becomes a signed-in session.
+ * @param {Object} req - Request
+ * @returns {Promise<void>}
+ */
+const regenerateSession = (req) => {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) return reject(error);
+
+      // Pages rendered by this request post with the new session's token
+      req.res.locals.csrfToken = getCsrfToken(req);
+      resolve();
+    });
+  });
+};
+
+/**
+ * Start the session of a user who passed every sign-in step
+ * @param {Object} req - Request
+ * @param {Object} user - User document
+ */
+const completeLogin = async (req, user) => {
+  // A fresh session, without the pending sign-in
+  await regenerateSession(req);
+
   // Set session data
   req.session.user = {
     _id: user._id,
@@ -111,19 +136,132 @@ const login = asyncHandler(async (req, res) => {
     userAgent: req.headers['user-agent']
   });
 
-  // Redirect based on user role
   req.flash('success', `Welcome back, ${user.name}!`);
+};
+
+// Minutes a password-checked sign-in waits for its second step
+const PENDING_LOGIN_MINUTES = 5;
+
+/**
+ * Remember a sign-in that passed the password check but needs a second step
+ * @param {Object} req - Request
+ * @param {Object} user - User document
+ * @param {boolean} enroll - Whether the user must set up two-factor first
+ */
+const setPendingLogin = async (req, user, enroll) => {
+  await regenerateSession(req);
+
+  req.session.pendingLogin = {
+    userId: user._id.toString(),
+    enroll,
+    expiresAt: Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000
+  };
+};
+
+/**
+ * Get the sign-in waiting for its second step, if it hasn't expired
+ * @param {Object} req - Request
+ * @returns {Object|null} - { userId, enroll }
+ */
+const getPendingLogin = (req) => {
+  const pending = req.session.pendingLogin;
+  if (!pending) return null;
+
+  if (pending.expiresAt < Date.now()) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return pending;
+};
+
+/**
+ * Log a two-factor event
+ * @param {Object} req - Request
+ * @param {string} userId - User id
+ * @param {Object} details - Event details ({ event, ... })
+ * @param {string} status - Log status
+ */
+const logTwoFactor = async (req, userId, details, status = 'success') => {
+  await SystemLog.createLog({
+    action: 'two_factor',
+    user: userId,
+    details,
+    status,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
 
-  switch (user.role) {
-    case 'admin':
-      return res.redirect('/admin/dashboard');
-    case 'teacher':
-      return res.redirect('/teacher/dashboard');
-    case 'student':
-      return res.redirect('/student/dashboard');
-    default:
-      return res.redirect('/');
+/**
+ * Handle user login
+ */
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Validate email and password
+  if (!email || !password) {
+    req.flash('error', 'Email and password are required');
+    return res.redirect('/auth/login');
   }
+
+  // Locked accounts are turned away before the password is checked
+  if (rateLimits.enabled) {
+    const { failures, lockedUntil } = await rateLimitService.getLoginLockout(email);
+    if (lockedUntil) {
+      req.flash('error', `Too many failed login attempts. Try again in ${formatLockout(lockedUntil)}.`);
+      return res.redirect('/auth/login');
+    }
+
+    // Each recent failure slows the next attempt down
+    await rateLimitService.delay(rateLimitService.getLoginDelay(failures));
+  }
+
+  // Find user by email and include password for comparison
+  const user = await User.findOne({ email }).select('+password');
+
+  // Check if user exists and the password matches
+  if (!user || !(await user.comparePassword(password))) {
+    const lockedUntil = await recordFailedLogin(req, email, user);
+
+    req.flash('error', lockedUntil
+      ? `Too many failed login attempts. Try again in ${formatLockout(lockedUntil)}.`
+      : 'Invalid email or password');
+    return res.redirect('/auth/login');
+  }
+
+  // Check if user is active
+  if (!user.active) {
+    req.flash('error', 'Your account is deactivated. Please contact the administrator.');
+    return res.redirect('/auth/login');
+  }
+
+  if (rateLimits.enabled) {
+    await rateLimitService.clearLoginFailures(email);
+  }
+
+  // Check if user is verified
+  if (!user.isVerified) {
+    req.flash('warning', 'Please verify your email address first');
+    return res.redirect('/auth/verify-email');
+  }
+
+  // Admins and teachers with two-factor sign-in confirm a code first;
+  // those whose role requires it but who haven't set it up enroll first
+  if (twoFactorService.TWO_FACTOR_ROLES.includes(user.role)) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await setPendingLogin(req, user, false);
+      return res.redirect('/auth/two-factor');
+    }
+
+    if (await twoFactorService.isRequiredForRole(user.role)) {
+      await setPendingLogin(req, user, true);
+      req.flash('info', 'Two-factor authentication is required for your account. Set it up to finish signing in.');
+      return res.redirect('/auth/two-factor/setup');
+    }
+  }
+
+  await completeLogin(req, user);
+  res.redirect(getDashboardPath(user.role));
 });
 
 /**
@@ -132,16 +270,7 @@ const login = asyncHandler(async (req, res) => {
 const getRegisterPage = asyncHandler(async (req, res) => {
   if (req.session.user) {
     // Redirect based on user role
-    switch (req.session.user.role) {
-      case 'admin':
-        return res.redirect('/admin/dashboard');
-      case 'teacher':
-        return res.redirect('/teacher/dashboard');
-      case 'student':
-        return res.redirect('/student/dashboard');
-      default:
-        return res.redirect('/');
-    }
+    return res.redirect(getDashboardPath(req.session.user.role));
   }
 
   // Get all classes for student registration
@@ -158,7 +287,8 @@ const getRegisterPage = asyncHandler(async (req, res) => {
  * Handle user registration
  */
 const register = asyncHandler(async (req, res) => {
-  const { name, email, password, confirmPassword, rollNumber, classId, role } = req.body;
+  // Public registration always creates a student; teachers and admins are invited
+  const { name, email, password, confirmPassword, rollNumber, classId } = req.body;
 
   // Basic validation
   if (!name || !email || !password || !confirmPassword) {
@@ -191,40 +321,38 @@ const register = asyncHandler(async (req, res) => {
     return res.redirect('/auth/register');
   }
 
-  // Additional validation for student role
-  if (role === 'student' && (!rollNumber || !classId)) {
-    req.flash('error', 'Roll number and class are required for students');
+  // Students need a roll number and class
+  if (!rollNumber || !classId) {
+    req.flash('error', 'Roll number and class are required');
     return res.redirect('/auth/register');
   }
 
   // Check if roll number is already registered for the class
-  if (role === 'student') {
-    const studentWithRollInClass = await User.findOne({
-      rollNumber,
-      class: classId,
-      role: 'student'
-    });
+  const studentWithRollInClass = await User.findOne({
+    rollNumber,
+    class: classId,
+    role: 'student'
+  });
 
-    if (studentWithRollInClass) {
-      req.flash('error', 'This roll number is already registered for this class');
-      return res.redirect('/auth/register');
-    }
+  if (studentWithRollInClass) {
+    req.flash('error', 'This roll number is already registered for this class');
+    return res.redirect('/auth/register');
   }
 
   // Generate verification token
   const verificationToken = crypto.randomBytes(32).toString('hex');
   const verificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
 
-  // Create new user with default role as student
+  // Create the student
   const newUser = new User({
     name,
     email,
     password,
-    role: role || 'student',
+    role: 'student',
     verificationToken,
     verificationExpires,
-    rollNumber: role === 'student' ? rollNumber : undefined,
-    class: role === 'student' ? classId : undefined
+    rollNumber,
+    class: classId
   });
 
   // Save the user
@@ -448,6 +576,8 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpires = undefined;
+  // The link was emailed to this address, so it counts as verified (imported students start here)
+  user.isVerified = true;
   await user.save();
 
   // Log password reset completion
@@ -464,6 +594,303 @@ const resetPassword = asyncHandler(async (req, res) => {
   res.redirect('/auth/login');
 });
 
+/**
+ * Render the page for accepting an invitation
+ */
+const getAcceptInvitePage = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { invitation, reason } = await invitationService.verifyToken(token);
+
+  if (!invitation) {
+    req.flash('error', reason);
+    return res.redirect('/auth/login');
+  }
+
+  res.render('auth/accept-invite', {
+    title: 'Accept Invitation',
+    token,
+    invitation,
+    user: null
+  });
+});
+
+/**
+ * Create the invited teacher or admin account
+ */
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { name, password, confirmPassword } = req.body;
+
+  const { invitation, reason } = await invitationService.verifyToken(token);
+  if (!invitation) {
+    req.flash('error', reason);
+    return res.redirect('/auth/login');
+  }
+
+  // Basic validation
+  if (!name || !password || !confirmPassword) {
+    req.flash('error', 'Please fill all required fields');
+    return res.redirect(`/auth/invite/${token}`);
+  }
+
+  // Check password match
+  if (password !== confirmPassword) {
+    req.flash('error', 'Passwords do not match');
+    return res.redirect(`/auth/invite/${token}`);
+  }
+
+  // Check password strength
+  if (password.length < 8) {
+    req.flash('error', 'Password must be at least 8 characters long');
+    return res.redirect(`/auth/invite/${token}`);
+  }
+
+  // The address may have registered since the invitation was sent
+  if (await User.exists({ email: invitation.email })) {
+    req.flash('error', 'This email is already registered. Please log in.');
+    return res.redirect('/auth/login');
+  }
+
+  const newUser = await invitationService.acceptInvitation(invitation, { name, password });
+  if (!newUser) {
+    req.flash('error', 'This invitation has already been used. Please log in.');
+    return res.redirect('/auth/login');
+  }
+
+  // Log registration
+  await SystemLog.createLog({
+    action: 'user_register',
+    user: newUser._id,
+    status: 'success',
+    details: {
+      role: newUser.role,
+      invitation: invitation._id,
+      invitedBy: invitation.invitedBy
+    },
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', 'Your account has been created. You can now log in.');
+  res.redirect('/auth/login');
+});
+
+/**
+ * Render the two-factor code page (second sign-in step)
+ */
+const getTwoFactorPage = (req, res) => {
+  const pending = getPendingLogin(req);
+  if (!pending || pending.enroll) {
+    req.flash('error', 'Please log in first');
+    return res.redirect('/auth/login');
+  }
+
+  res.render('auth/two-factor', {
+    title: 'Two-Factor Authentication',
+    user: null
+  });
+};
+
+/**
+ * Check the two-factor code and finish signing in
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const pending = getPendingLogin(req);
+  if (!pending || pending.enroll) {
+    req.flash('error', 'Your sign-in has expired. Please log in again.');
+    return res.redirect('/auth/login');
+  }
+
+  const result = await twoFactorService.verify(pending.userId, req.body.code);
+
+  if (!result.valid) {
+    await logTwoFactor(req, pending.userId, { event: 'verify' }, 'failure');
+    req.flash('error', 'Invalid authentication code');
+    return res.redirect('/auth/two-factor');
+  }
+
+  const user = await User.findById(pending.userId);
+  if (!user || !user.active) {
+    delete req.session.pendingLogin;
+    req.flash('error', 'Your account is deactivated. Please contact the administrator.');
+    return res.redirect('/auth/login');
+  }
+
+  await logTwoFactor(req, user._id, { event: 'verify', method: result.method });
+  await completeLogin(req, user);
+
+  if (result.method === 'recovery') {
+    req.flash('info', `You signed in with a recovery code. ${result.recoveryCodesLeft} recovery code${result.recoveryCodesLeft === 1 ? '' : 's'} left.`);
+  }
+
+  res.redirect(getDashboardPath(user.role));
+});
+
+/**
+ * Get the user setting up two-factor sign-in: a signed-in admin or
+ * teacher, or a sign-in whose role requires it
+ * @param {Object} req - Request
+ * @returns {Object|null} - { userId, pending }
+ */
+const getEnrollingUser = (req) => {
+  const pending = getPendingLogin(req);
+  if (pending && pending.enroll) return { userId: pending.userId, pending: true };
+
+  if (req.session.user && twoFactorService.TWO_FACTOR_ROLES.includes(req.session.user.role)) {
+    return { userId: req.session.user._id.toString(), pending: false };
+  }
+  return null;
+};
+
+/**
+ * Render two-factor enrollment (QR code for an authenticator app)
+ */
+const getTwoFactorSetup = asyncHandler(async (req, res) => {
+  const enrolling = getEnrollingUser(req);
+  if (!enrolling) {
+    req.flash('error', 'Please log in first');
+    return res.redirect('/auth/login');
+  }
+
+  const user = await User.findById(enrolling.userId);
+  if (!user) {
+    req.flash('error', 'User not found');
+    return res.redirect('/auth/login');
+  }
+
+  if (user.twoFactor.enabled) {
+    req.flash('info', 'Two-factor authentication is already on');
+    return res.redirect('/auth/security');
+  }
+
+  // Keep the same secret while the user is setting up the app
+  if (!req.session.twoFactorSetup || req.session.twoFactorSetup.userId !== enrolling.userId) {
+    req.session.twoFactorSetup = {
+      userId: enrolling.userId,
+      secret: twoFactorService.generateSecret()
+    };
+  }
+
+  const { secret } = req.session.twoFactorSetup;
+  const { qrCode } = await twoFactorService.getEnrollment(user, secret);
+
+  res.render('auth/two-factor-setup', {
+    title: 'Set Up Two-Factor Authentication',
+    user: req.session.user || null,
+    qrCode,
+    secret,
+    pending: enrolling.pending
+  });
+});
+
+/**
+ * Confirm enrollment with a first code and show the recovery codes
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const enrolling = getEnrollingUser(req);
+  const setup = req.session.twoFactorSetup;
+  if (!enrolling || !setup || setup.userId !== enrolling.userId) {
+    req.flash('error', 'Your setup has expired. Please start again.');
+    return res.redirect(enrolling ? '/auth/two-factor/setup' : '/auth/login');
+  }
+
+  const codes = await twoFactorService.enable(enrolling.userId, setup.secret, req.body.code);
+  if (!codes) {
+    req.flash('error', 'That code doesn\'t match. Check the time on your phone and try again.');
+    return res.redirect('/auth/two-factor/setup');
+  }
+
+  delete req.session.twoFactorSetup;
+  await logTwoFactor(req, enrolling.userId, { event: 'enroll' });
+
+  const user = await User.findById(enrolling.userId);
+
+  // A sign-in that had to enroll is now complete
+  if (enrolling.pending) {
+    await completeLogin(req, user);
+  }
+
+  res.render('auth/recovery-codes', {
+    title: 'Recovery Codes',
+    user: req.session.user,
+    codes,
+    continueURL: getDashboardPath(user.role)
+  });
+});
+
+/**
+ * Render the account security page (two-factor status)
+ */
+const getSecurityPage = asyncHandler(async (req, res) => {
+  if (!twoFactorService.TWO_FACTOR_ROLES.includes(req.session.user.role)) {
+    req.flash('error', 'Two-factor authentication is available to admins and teachers');
+    return res.redirect(getDashboardPath(req.session.user.role));
+  }
+
+  const user = await User.findById(req.session.user._id).select('+twoFactor.recoveryCodes');
+
+  res.render('auth/security', {
+    title: 'Account Security',
+    user: req.session.user,
+    twoFactor: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: (user.twoFactor.recoveryCodes || []).length,
+      required: await twoFactorService.isRequiredForRole(user.role)
+    }
+  });
+});
+
+/**
+ * Replace the recovery codes (needs a current code)
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const userId = req.session.user._id;
+  const result = await twoFactorService.verify(userId, req.body.code);
+
+  if (!result.valid) {
+    await logTwoFactor(req, userId, { event: 'recovery_codes_regenerate' }, 'failure');
+    req.flash('error', 'Invalid authentication code');
+    return res.redirect('/auth/security');
+  }
+
+  const codes = await twoFactorService.regenerateRecoveryCodes(userId);
+  await logTwoFactor(req, userId, { event: 'recovery_codes_regenerate' });
+
+  res.render('auth/recovery-codes', {
+    title: 'Recovery Codes',
+    user: req.session.user,
+    codes,
+    continueURL: '/auth/security'
+  });
+});
+
+/**
+ * Turn off two-factor sign-in (needs a current code; not allowed when the
+ * user's role requires it)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const userId = req.session.user._id;
+
+  if (await twoFactorService.isRequiredForRole(req.session.user.role)) {
+    req.flash('error', 'Two-factor authentication is required for your role and can\'t be turned off');
+    return res.redirect('/auth/security');
+  }
+
+  const result = await twoFactorService.verify(userId, req.body.code);
+  if (!result.valid) {
+    await logTwoFactor(req, userId, { event: 'disable' }, 'failure');
+    req.flash('error', 'Invalid authentication code');
+    return res.redirect('/auth/security');
+  }
+
+  await twoFactorService.disable(userId);
+  await logTwoFactor(req, userId, { event: 'disable' });
+
+  req.flash('success', 'Two-factor authentication has been turned off');
+  res.redirect('/auth/security');
+});
+
 /**
  * Handle user logout
  */
@@ -502,5 +929,14 @@ module.exports = {
   forgotPassword,
   getResetPasswordPage,
   resetPassword,
+  getAcceptInvitePage,
+  acceptInvite,
+  getTwoFactorPage,
+  verifyTwoFactor,
+  getTwoFactorSetup,
+  enableTwoFactor,
+  getSecurityPage,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   logout
 };
@@ -9,8 +9,15 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
 const SystemLog = require('../models/SystemLog');
+const permissions = require('../config/permissions');
+const resultsService = require('../services/resultsService');
+const ballotService = require('../services/ballotService');
+const candidateFileService = require('../services/candidateFileService');
 const { asyncHandler } = require('../middlewares/error');
+const { canAccessElection, canSeeCounts } = require('../middlewares/permissions');
 
 /**
  * Get election by ID (public view)
@@ -50,7 +57,7 @@ const getElectionById = asyncHandler(async (req, res) => {
       // Check if user belongs to the election's class
       if (user.class && user.class.toString() === election.class._id.toString()) {
         userCanVote = true;
-        hasVoted = election.hasVoted(userId);
+        hasVoted = await election.hasVoted(userId);
       }
     }
   }
@@ -59,29 +66,19 @@ const getElectionById = asyncHandler(async (req, res) => {
   let voteStats = null;
   let winner = null;
 
-  // Show results if completed and published or user is admin/teacher
-  const showResults =
-    (election.status === 'completed' && election.results.published) ||
-    (req.session.user && ['admin', 'teacher'].includes(req.session.user.role));
+  // Show results once published, or live to those who publish them;
+  // others who follow turnout see totals only
+  const showResults = await canSeeCounts(req.session.user, election);
+  const canReadTurnout = req.session.user &&
+    permissions.hasPermission(req.session.user.role, 'turnout.read');
 
-  if (showResults) {
-    // Get vote statistics
-    voteStats = {
-      totalVotes: election.votes.length,
-      candidateVotes: {}
-    };
-
-    // Count votes for each candidate
-    election.candidates.forEach(candidate => {
-      voteStats.candidateVotes[candidate._id] = 0;
-    });
+  if (!showResults && canReadTurnout) {
+    voteStats = await resultsService.getTurnoutStats(election);
+  }
 
-    election.votes.forEach(vote => {
-      const candidateId = vote.candidate.toString();
-      if (voteStats.candidateVotes[candidateId] !== undefined) {
-        voteStats.candidateVotes[candidateId]++;
-      }
-    });
+  if (showResults) {
+    // Get vote statistics from both vote sources
+    voteStats = await resultsService.getVoteStats(election);
 
     // Get winner if exists
     if (election.results.winner) {
@@ -98,7 +95,7 @@ const getElectionById = asyncHandler(async (req, res) => {
     userCanVote,
     hasVoted,
     userClass,
-    voteStats: showResults ? voteStats : null,
+    voteStats,
     winner: showResults ? winner : null,
     showResults,
     now: new Date()
@@ -196,13 +193,17 @@ const getCandidateDetails = asyncHandler(async (req, res) => {
   let votePercentage = null;
 
   if (election.status === 'completed' && election.results.published) {
-    const candidateVotes = election.votes.filter(
-      vote => vote.candidate.toString() === candidateId
-    ).length;
+    const tally = await resultsService.tallyElection(election);
+    const candidateVotes = tally.candidateVotes[candidateId] || 0;
+
+    // Share of the ballots cast for the candidate's position
+    const positionTally = tally.positions
+      .find(position => position.positionId === tally.candidatePositions[candidateId]);
+    const positionVotes = positionTally ? positionTally.totalVotes : tally.totalVotes;
 
     voteCount = candidateVotes;
-    votePercentage = election.votes.length > 0
-      ? (candidateVotes / election.votes.length * 100).toFixed(2)
+    votePercentage = positionVotes > 0
+      ? (candidateVotes / positionVotes * 100).toFixed(2)
       : 0;
   }
 
@@ -216,8 +217,113 @@ const getCandidateDetails = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Serve a candidate's photo
+ * Photos of approved candidates are public; a nomination's photo is shown
+ * only to the nominee and to those who review nominations.
+ */
+const getCandidatePhoto = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id })
+    .select('student election approved photo');
+
+  if (!candidate || !candidate.photo || !candidate.photo.key) {
+    return res.status(404).end();
+  }
+
+  if (!candidate.approved) {
+    const user = req.session.user;
+    const isNominee = user && user._id.toString() === candidate.student.toString();
+    const isReviewer = user && permissions.hasPermission(user.role, 'candidate.approve') &&
+      await canAccessElection(user, await Election.findById(id).select('createdBy class'));
+
+    if (!isNominee && !isReviewer) {
+      return res.status(404).end();
+    }
+  }
+
+  const photo = await candidateFileService.readFile(candidate.photo.key);
+  if (!photo) {
+    return res.status(404).end();
+  }
+
+  // Each upload gets a new URL (?v=), so the photo can be cached
+  res.set({
+    'Content-Type': candidate.photo.contentType,
+    'Cache-Control': candidate.approved ? 'public, max-age=86400' : 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(photo);
+});
+
+/**
+ * Render an election's bulletin board
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} election - Election document
+ * @param {Object|null} verification - Result of a receipt check
+ * @returns {Promise<void>}
+ */
+const renderBulletinBoard = async (req, res, election, verification = null) => {
+  const receiptHashes = await ballotService.getReceiptHashes(election);
+  const ballotCount = await Vote.countDocuments({ election: election._id });
+
+  res.render('election/verify', {
+    title: `Bulletin Board: ${election.title}`,
+    user: req.session.user,
+    election,
+    receiptHashes,
+    ballotCount,
+    participationCount: await Participation.countDocuments({ election: election._id }),
+    // Ballots migrated from before receipts existed
+    ballotsWithoutReceipt: ballotCount - receiptHashes.length,
+    verification
+  });
+};
+
+/**
+ * Get an election's public bulletin board of receipt hashes
+ */
+const getBulletinBoard = asyncHandler(async (req, res) => {
+  const election = await Election.findById(req.params.id)
+    .populate('class', 'name department year section');
+
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/election');
+  }
+
+  await renderBulletinBoard(req, res, election);
+});
+
+/**
+ * Check a voter's receipt code against the bulletin board
+ */
+const verifyReceipt = asyncHandler(async (req, res) => {
+  const { receipt } = req.body;
+
+  const election = await Election.findById(req.params.id)
+    .populate('class', 'name department year section');
+
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/election');
+  }
+
+  if (!receipt || !receipt.trim()) {
+    req.flash('error', 'Please enter your receipt code');
+    return res.redirect(`/election/${election._id}/verify`);
+  }
+
+  await renderBulletinBoard(req, res, election, await ballotService.verifyReceipt(election, receipt));
+});
+
 module.exports = {
   getElectionById,
   listAllElections,
-  getCandidateDetails
+  getCandidateDetails,
+  getCandidatePhoto,
+  getBulletinBoard,
+  verifyReceipt
 };
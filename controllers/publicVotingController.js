@@ -6,9 +6,13 @@
  */
 
 const Election = require('../models/Election');
-const Candidate = require('../models/Candidate');
 const SystemLog = require('../models/SystemLog');
+const Participation = require('../models/Participation');
+const BallotCode = require('../models/BallotCode');
 const QRCode = require('qrcode');
+const ballotService = require('../services/ballotService');
+const rosterService = require('../services/rosterService');
+const ballotCodeService = require('../services/ballotCodeService');
 const { asyncHandler } = require('../middlewares/error');
 
 /**
@@ -48,27 +52,57 @@ const getPublicVotingPage = asyncHandler(async (req, res) => {
   // Get client IP for tracking
   const clientIP = req.ip || req.connection.remoteAddress;
 
+  // Candidates grouped by position for the ballot
+  const ballotPositions = await ballotService.getBallotPositions(election);
+
   res.render('vote/public', {
     title: `Vote - ${election.title}`,
     election,
     candidates: election.candidates,
+    ballotPositions,
     clientIP,
-    requireRollNumber: election.publicAccess.requireRollNumber
+    verification: election.publicAccess.verification || 'roster',
+    secondFactor: election.publicAccess.secondFactor || 'none'
   });
 });
 
+/**
+ * Log a QR vote that was turned away
+ * @param {Object} req - Request
+ * @param {Object} election - Election document
+ * @param {Object} voter - What identified the voter ({ rollNumber } or { ballotCodeSerial })
+ * @param {string} reason - Why the vote was rejected
+ */
+const logRejectedVote = async (req, election, voter, reason) => {
+  await SystemLog.createLog({
+    action: 'vote_reject',
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      channel: 'qr',
+      ...voter,
+      reason
+    },
+    status: 'failure',
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent') || ''
+  });
+};
+
+// Messages for ballot codes that can't be used
+const ballotCodeMessages = {
+  missing_ballot_code: 'Ballot code is required',
+  unknown_ballot_code: 'This ballot code is not valid for this election',
+  ballot_code_used: 'This ballot code has already been used',
+  ballot_code_voided: 'This ballot code has been voided'
+};
+
 /**
  * Submit public vote
  */
 const submitPublicVote = asyncHandler(async (req, res) => {
   const { token } = req.params;
-  const { candidateId, rollNumber } = req.body;
-
-  // Validate required fields
-  if (!candidateId) {
-    req.flash('error', 'Please select a candidate');
-    return res.redirect(`/vote/${token}`);
-  }
+  const { rollNumber, ballotCode: typedCode } = req.body;
 
   // Find election
   const election = await Election.findOne({
@@ -87,60 +121,114 @@ const submitPublicVote = asyncHandler(async (req, res) => {
     return res.redirect(`/vote/${token}`);
   }
 
-  // Validate roll number if required
-  if (election.publicAccess.requireRollNumber && !rollNumber) {
-    req.flash('error', 'Roll number is required');
-    return res.redirect(`/vote/${token}`);
+  const useBallotCode = election.publicAccess.verification === 'ballot_code';
+  let student = null;
+
+  if (!useBallotCode) {
+    // Roll number is always required and must be on the class roster
+    if (!rollNumber || !rollNumber.trim()) {
+      await logRejectedVote(req, election, { rollNumber }, 'missing_roll_number');
+      req.flash('error', 'Roll number is required');
+      return res.redirect(`/vote/${token}`);
+    }
+
+    student = await rosterService.findRosterStudent(election, rollNumber);
+    const secondFactor = election.publicAccess.secondFactor || 'none';
+
+    // Same message for an unknown roll number and a wrong second factor
+    if (!student || !(await rosterService.checkSecondFactor(election, student, req.body))) {
+      await logRejectedVote(req, election, { rollNumber }, student ? 'second_factor_mismatch' : 'not_on_roster');
+      req.flash('error', secondFactor === 'none'
+        ? 'This roll number is not on the roster for this election'
+        : `Roll number or ${rosterService.secondFactorLabels[secondFactor].toLowerCase()} doesn't match our records`);
+      return res.redirect(`/vote/${token}`);
+    }
+
+    // Students who already voted, on this page or by logging in
+    if (await election.hasVoted(student._id, student.rollNumber)) {
+      await logRejectedVote(req, election, { rollNumber: student.rollNumber }, 'already_voted');
+      req.flash('error', 'This roll number has already voted');
+      return res.redirect(`/vote/${token}`);
+    }
   }
 
-  // Check if roll number has already voted
-  if (rollNumber && election.hasVoted(null, rollNumber)) {
-    req.flash('error', 'This roll number has already voted');
+  // Validate one candidate per position
+  let ballot;
+  try {
+    ballot = await ballotService.buildBallot(election, req.body);
+  } catch (error) {
+    req.flash('error', error.message);
     return res.redirect(`/vote/${token}`);
   }
 
-  // Validate candidate
-  const candidate = await Candidate.findById(candidateId);
-  if (!candidate || !election.candidates.some(c => c._id.toString() === candidateId)) {
-    req.flash('error', 'Invalid candidate selection');
-    return res.redirect(`/vote/${token}`);
+  // Burn the ballot code only once the ballot itself is valid
+  let claimedCode = null;
+  if (useBallotCode) {
+    const { ballotCode, reason } = await ballotCodeService.claimCode(election, typedCode);
+    if (!ballotCode) {
+      await logRejectedVote(req, election, {}, reason);
+      req.flash('error', ballotCodeMessages[reason]);
+      return res.redirect(`/vote/${token}`);
+    }
+    claimedCode = ballotCode;
   }
 
   // Get client information
   const clientIP = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent') || '';
 
-  // Create anonymous vote
-  const vote = {
-    rollNumber: rollNumber || `anonymous_${Date.now()}`,
-    candidate: candidateId,
-    ipAddress: clientIP,
-    userAgent: userAgent,
-    timestamp: new Date()
-  };
-
-  // Add vote to election
-  election.anonymousVotes.push(vote);
-  await election.save();
+  // Record participation and the secret ballot separately; the database
+  // decides which of two simultaneous submissions counts
+  let result;
+  try {
+    result = await ballotService.castBallot(election, {
+      channel: 'qr',
+      studentId: student ? student._id : null,
+      rollNumber: student ? student.rollNumber : null,
+      ipAddress: clientIP,
+      userAgent: userAgent
+    }, ballot.choices);
+  } catch (error) {
+    if (claimedCode) await ballotCodeService.releaseCode(claimedCode);
+    throw error;
+  }
+
+  const { status, receipt } = result;
+  const voter = student
+    ? { rollNumber: student.rollNumber }
+    : { ballotCodeSerial: claimedCode.serial };
 
-  // Log the voting activity
-  await SystemLog.create({
-    action: 'ANONYMOUS_VOTE_CAST',
+  if (status !== 'recorded') {
+    // The code can still be used once voting reopens
+    if (claimedCode) await ballotCodeService.releaseCode(claimedCode);
+    if (status === 'already_voted') {
+      await logRejectedVote(req, election, voter, 'already_voted');
+    }
+    req.flash('error', status === 'already_voted'
+      ? 'This roll number has already voted'
+      : 'Voting is not currently available');
+    return res.redirect(`/vote/${token}`);
+  }
+
+  // Log that a vote was cast: no roll number or code serial, and the time
+  // only to the hour like the ballot
+  await SystemLog.createLog({
+    action: 'vote_cast',
     details: {
       electionId: election._id,
-      candidateId: candidateId,
-      rollNumber: rollNumber,
-      ipAddress: clientIP
+      electionTitle: election.title,
+      channel: 'qr'
     },
-    ipAddress: clientIP,
-    userAgent: userAgent
+    status: 'success',
+    timestamp: ballotService.roundCastTime(new Date())
   });
 
   req.flash('success', 'Your vote has been recorded successfully!');
   res.render('vote/success', {
     title: 'Vote Submitted',
     election,
-    candidate
+    selections: ballot.selections,
+    receipt
   });
 });
 
@@ -150,11 +238,6 @@ const submitPublicVote = asyncHandler(async (req, res) => {
 const generateElectionQR = asyncHandler(async (req, res) => {
   const { electionId } = req.params;
 
-  // Check if user is authorized (teacher or admin)
-  if (!req.session.user || !['teacher', 'admin'].includes(req.session.user.role)) {
-    return res.status(403).json({ error: 'Unauthorized' });
-  }
-
   // Find election
   const election = await Election.findById(electionId);
   if (!election) {
@@ -186,7 +269,9 @@ const generateElectionQR = asyncHandler(async (req, res) => {
     success: true,
     qrCode: qrCodeDataURL,
     votingURL: votingURL,
-    accessToken: election.qrCode.accessToken
+    accessToken: election.qrCode.accessToken,
+    verification: election.publicAccess.verification || 'roster',
+    secondFactor: election.publicAccess.secondFactor || 'none'
   });
 });
 
@@ -196,11 +281,6 @@ const generateElectionQR = asyncHandler(async (req, res) => {
 const toggleQRAccess = asyncHandler(async (req, res) => {
   const { electionId } = req.params;
 
-  // Check authorization
-  if (!req.session.user || !['teacher', 'admin'].includes(req.session.user.role)) {
-    return res.status(403).json({ error: 'Unauthorized' });
-  }
-
   const election = await Election.findById(electionId);
   if (!election) {
     return res.status(404).json({ error: 'Election not found' });
@@ -223,11 +303,6 @@ const addVotingTimeSlot = asyncHandler(async (req, res) => {
   const { electionId } = req.params;
   const { startTime, endTime } = req.body;
 
-  // Check authorization
-  if (!req.session.user || !['teacher', 'admin'].includes(req.session.user.role)) {
-    return res.status(403).json({ error: 'Unauthorized' });
-  }
-
   const election = await Election.findById(electionId);
   if (!election) {
     return res.status(404).json({ error: 'Election not found' });
@@ -256,10 +331,248 @@ const addVotingTimeSlot = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Update QR voting settings (verification and second factor)
+ */
+const updateQRSettings = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { verification, secondFactor } = req.body;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    return res.status(404).json({ error: 'Election not found' });
+  }
+
+  if (!['roster', 'ballot_code'].includes(verification)) {
+    return res.status(400).json({ error: 'Invalid verification method' });
+  }
+
+  if (!Object.keys(rosterService.secondFactorLabels).includes(secondFactor)) {
+    return res.status(400).json({ error: 'Invalid second factor' });
+  }
+
+  // Ballot codes can't be matched to students, so one election can't mix
+  // code votes with votes recorded against a student
+  const current = election.publicAccess.verification;
+  if (verification === 'ballot_code' && current !== 'ballot_code' &&
+    await Participation.exists({ election: election._id })) {
+    return res.status(400).json({ error: 'Students have already voted online, so ballot codes can no longer be used' });
+  }
+  if (verification !== 'ballot_code' && current === 'ballot_code' &&
+    await BallotCode.exists({ election: election._id, status: 'used' })) {
+    return res.status(400).json({ error: 'Ballot codes have already been used, so roster verification can no longer be used' });
+  }
+
+  election.publicAccess.verification = verification;
+  election.publicAccess.secondFactor = secondFactor;
+  await election.save();
+
+  await SystemLog.createLog({
+    action: 'teacher_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'qr_settings_update',
+      electionId: election._id,
+      verification,
+      secondFactor
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.json({
+    success: true,
+    verification,
+    secondFactor
+  });
+});
+
+/**
+ * Issue voting PINs for the election to its class and show printable slips
+ */
+const issueVotingPins = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+
+  const election = await Election.findById(electionId)
+    .populate('class', 'name department year section');
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/teacher/elections');
+  }
+
+  const replace = req.body.replace === 'on';
+  const issued = await rosterService.issueVotingPins(election, { replace, userId: req.session.user._id });
+
+  await SystemLog.createLog({
+    action: 'teacher_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'voting_pins_issue',
+      electionId: election._id,
+      classId: election.class._id,
+      replaced: replace,
+      count: issued.length
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  // PINs are only stored hashed, so this page is the one chance to print them
+  res.render('vote/pin-slips', {
+    title: 'Voting PINs',
+    election,
+    issued,
+    replace
+  });
+});
+
+/**
+ * Issue a batch of ballot codes and show printable slips
+ */
+const issueBallotCodes = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+  const { count } = req.body;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/teacher/elections');
+  }
+
+  // Slips carry the voting link, so the election needs an access token
+  if (!election.qrCode.accessToken) {
+    election.generateQRToken();
+    await election.save();
+  }
+
+  let issued;
+  try {
+    issued = await ballotCodeService.issueCodes(election, count, req.session.user._id);
+  } catch (error) {
+    req.flash('error', error.message);
+    return res.redirect('/teacher/elections');
+  }
+
+  await SystemLog.createLog({
+    action: 'teacher_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'ballot_codes_issue',
+      electionId: election._id,
+      batch: issued.batch,
+      count: issued.codes.length,
+      firstSerial: issued.codes[0].serial,
+      lastSerial: issued.codes[issued.codes.length - 1].serial
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  const votingURL = election.getPublicVotingURL();
+  const qrCode = await QRCode.toDataURL(votingURL, { width: 120, margin: 1 });
+
+  // Codes are only stored hashed, so this page is the one chance to print them
+  res.render('vote/ballot-code-slips', {
+    title: 'Ballot Codes',
+    election,
+    batch: issued.batch,
+    codes: issued.codes,
+    votingURL,
+    qrCode
+  });
+});
+
+/**
+ * Get the status of an election's ballot codes
+ */
+const getBallotCodes = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    return res.status(404).json({ error: 'Election not found' });
+  }
+
+  const { counts, codes } = await ballotCodeService.getCodeStatus(election);
+
+  res.json({
+    success: true,
+    counts,
+    codes
+  });
+});
+
+/**
+ * Void an unused ballot code
+ */
+const voidBallotCode = asyncHandler(async (req, res) => {
+  const { electionId, serial } = req.params;
+
+  const election = await Election.findById(electionId);
+  if (!election) {
+    return res.status(404).json({ error: 'Election not found' });
+  }
+
+  const ballotCode = await ballotCodeService.voidCode(election, serial, req.session.user._id);
+  if (!ballotCode) {
+    return res.status(400).json({ error: 'Only unused codes can be voided' });
+  }
+
+  await SystemLog.createLog({
+    action: 'teacher_action',
+    user: req.session.user._id,
+    details: {
+      actionType: 'ballot_code_void',
+      electionId: election._id,
+      serial: ballotCode.serial
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.json({
+    success: true,
+    serial: ballotCode.serial,
+    status: ballotCode.status
+  });
+});
+
+/**
+ * Ballot code reconciliation report
+ */
+const getBallotCodeReport = asyncHandler(async (req, res) => {
+  const { electionId } = req.params;
+
+  const election = await Election.findById(electionId)
+    .populate('class', 'name department year section');
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/teacher/elections');
+  }
+
+  const report = await ballotCodeService.getReconciliation(election);
+
+  res.render('vote/ballot-code-report', {
+    title: `Ballot Code Report - ${election.title}`,
+    election,
+    report
+  });
+});
+
 module.exports = {
   getPublicVotingPage,
   submitPublicVote,
   generateElectionQR,
   toggleQRAccess,
-  addVotingTimeSlot
+  addVotingTimeSlot,
+  updateQRSettings,
+  issueVotingPins,
+  issueBallotCodes,
+  getBallotCodes,
+  voidBallotCode,
+  getBallotCodeReport
 };
@@ -9,7 +9,16 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
+const Endorsement = require('../models/Endorsement');
+const Participation = require('../models/Participation');
 const SystemLog = require('../models/SystemLog');
+const resultsService = require('../services/resultsService');
+const ballotService = require('../services/ballotService');
+const nominationService = require('../services/nominationService');
+const candidateFileService = require('../services/candidateFileService');
+const manifestoService = require('../services/manifestoService');
+const { renderManifesto } = require('../utils/markdown');
+const withdrawalService = require('../services/withdrawalService');
 const { asyncHandler } = require('../middlewares/error');
 
 /**
@@ -47,8 +56,11 @@ const getDashboard = asyncHandler(async (req, res) => {
   }).sort({ endDate: -1 }).limit(5);
 
   // For each active election, check if student has voted
+  const votedElectionIds = await Participation.getVotedElectionIds(
+    studentId, activeElections.map(election => election._id)
+  );
   for (const election of activeElections) {
-    election.hasVoted = election.hasVoted(studentId);
+    election.hasVoted = votedElectionIds.has(election._id.toString());
   }
 
   // Get classmates (limited info)
@@ -62,6 +74,31 @@ const getDashboard = asyncHandler(async (req, res) => {
     .sort({ rollNumber: 1 })
     .limit(30);
 
+  // Classmates' nominations still collecting endorsements
+  const endorsementElectionIds = upcomingElections
+    .filter(election => election.endorsementsRequired > 0)
+    .map(election => election._id);
+
+  const seekingEndorsement = await Candidate.find({
+    election: { $in: endorsementElectionIds },
+    awaitingEndorsements: true,
+    rejectedAt: { $exists: false },
+    student: { $ne: studentId }
+  })
+    .populate('student', 'name rollNumber')
+    .populate('election', 'title positions electionType endorsementsRequired')
+    .sort({ createdAt: 1 });
+
+  const endorsementCounts = await Endorsement.countByCandidate(seekingEndorsement.map(c => c._id));
+
+  // Positions this student has already used their endorsement for
+  const ownEndorsements = await Endorsement.find({
+    student: studentId,
+    election: { $in: endorsementElectionIds }
+  }).select('candidate election position');
+  const endorsedCandidateIds = new Set(ownEndorsements.map(e => e.candidate.toString()));
+  const endorsedPositions = new Set(ownEndorsements.map(e => `${e.election}:${e.position}`));
+
   res.render('student/dashboard', {
     title: 'Student Dashboard',
     user: req.session.user,
@@ -70,7 +107,11 @@ const getDashboard = asyncHandler(async (req, res) => {
     upcomingElections,
     completedElections,
     classmateCount: classmates.length,
-    classmates
+    classmates,
+    seekingEndorsement,
+    endorsementCounts,
+    endorsedCandidateIds,
+    endorsedPositions
   });
 });
 
@@ -109,29 +150,18 @@ const getElectionDetails = asyncHandler(async (req, res) => {
   }
 
   // Check if student has voted
-  const hasVoted = election.hasVoted(studentId);
+  const hasVoted = await election.hasVoted(studentId);
+
+  // Candidates grouped by position for the ballot
+  const ballotPositions = await ballotService.getBallotPositions(election);
 
   // If results are published, get vote counts
   let voteStats = null;
   let winner = null;
 
   if (election.status === 'completed' && election.results.published) {
-    // Get vote statistics
-    voteStats = {
-      candidateVotes: {}
-    };
-
-    // Count votes for each candidate
-    election.candidates.forEach(candidate => {
-      voteStats.candidateVotes[candidate._id] = 0;
-    });
-
-    election.votes.forEach(vote => {
-      const candidateId = vote.candidate.toString();
-      if (voteStats.candidateVotes[candidateId] !== undefined) {
-        voteStats.candidateVotes[candidateId]++;
-      }
-    });
+    // Get vote statistics from both vote sources
+    voteStats = await resultsService.getVoteStats(election);
 
     // Get winner if exists
     if (election.results.winner) {
@@ -141,13 +171,28 @@ const getElectionDetails = asyncHandler(async (req, res) => {
     }
   }
 
+  // The student's own nomination, if any, and its endorsements
+  const nomination = await Candidate.findOne({ student: studentId, election: election._id });
+  const nominationEndorsements = nomination
+    ? await Endorsement.countDocuments({ candidate: nomination._id })
+    : 0;
+
   res.render('student/election-details', {
     title: `Election: ${election.title}`,
     user: req.session.user,
     election,
     hasVoted,
+    ballotPositions,
     voteStats,
     winner,
+    nomination,
+    nominationEndorsements,
+    nominationOpen: nominationService.isNominationOpen(election),
+    withdrawalOpen: withdrawalService.isWithdrawalOpen(election),
+    maxWithdrawalReasonLength: withdrawalService.MAX_REASON_LENGTH,
+    availableSymbols: Candidate.getAvailableSymbols(),
+    documentKinds: candidateFileService.documentKinds,
+    maxDocuments: candidateFileService.MAX_DOCUMENTS,
     now: new Date()
   });
 });
@@ -157,7 +202,6 @@ const getElectionDetails = asyncHandler(async (req, res) => {
  */
 const castVote = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { candidateId } = req.body;
   const studentId = req.session.user._id;
 
   // Find student with class
@@ -187,48 +231,442 @@ const castVote = asyncHandler(async (req, res) => {
     return res.redirect(`/student/elections/${id}`);
   }
 
-  // Check if student has already voted
-  if (election.hasVoted(studentId)) {
+  if (election.usesBallotCodes) {
+    req.flash('error', 'This election is voted at the polling booth with a ballot code');
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  // Check if student has already voted (by login or by roll number on the QR page)
+  if (await election.hasVoted(studentId, student.rollNumber)) {
     req.flash('error', 'You have already voted in this election');
     return res.redirect(`/student/elections/${id}`);
   }
 
-  // Verify candidate exists for this election
-  const candidate = await Candidate.findOne({
-    _id: candidateId,
-    election: id,
-    approved: true,
-    active: true
+  // Verify one valid candidate was chosen for every position
+  let ballot;
+  try {
+    ballot = await ballotService.buildBallot(election, req.body);
+  } catch (error) {
+    req.flash('error', error.message);
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  // Record participation and the secret ballot separately; the database
+  // decides which of two simultaneous submissions counts
+  const { status, receipt } = await ballotService.castBallot(election, {
+    channel: 'registered',
+    studentId,
+    rollNumber: student.rollNumber
+  }, ballot.choices);
+
+  if (status !== 'recorded') {
+    req.flash('error', status === 'already_voted'
+      ? 'You have already voted in this election'
+      : 'Voting has closed for this election');
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  // Log that a vote was cast: no voter, and the time only to the hour like
+  // the ballot, so the entry can't link a voter to a ballot
+  await SystemLog.createLog({
+    action: 'vote_cast',
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      channel: 'registered'
+    },
+    status: 'success',
+    timestamp: ballotService.roundCastTime(new Date())
   });
 
-  if (!candidate) {
-    req.flash('error', 'Invalid candidate selection');
+  // Show the receipt once; it can't be recovered later
+  res.render('vote/success', {
+    title: 'Vote Submitted',
+    election,
+    selections: ballot.selections,
+    receipt
+  });
+});
+
+/**
+ * Nominate the signed-in student as a candidate
+ */
+const nominate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const studentId = req.session.user._id;
+
+  const student = await User.findById(studentId);
+
+  if (!student) {
+    req.session.destroy();
+    return res.redirect('/auth/login');
+  }
+
+  // Find election and verify it's for student's class
+  const election = await Election.findOne({
+    _id: id,
+    class: student.class
+  });
+
+  if (!election) {
+    req.flash('error', 'Election not found or you do not have access to it');
+    return res.redirect('/student/dashboard');
+  }
+
+  const result = await nominationService.nominate(election, student, req.body);
+
+  if (result.error) {
+    req.flash('error', result.error);
     return res.redirect(`/student/elections/${id}`);
   }
 
-  // Add vote to election
-  election.votes.push({
-    student: studentId,
-    candidate: candidateId,
-    timestamp: now
+  // Log the nomination
+  await SystemLog.createLog({
+    action: 'candidate_create',
+    user: studentId,
+    details: {
+      candidateId: result.candidate._id,
+      electionId: election._id,
+      electionTitle: election.title,
+      positionTitle: result.position.title,
+      selfNominated: true,
+      manifestoFlags: result.flags.length > 0 ? result.flags : undefined
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', 'Your nomination has been submitted. Your teacher will review it before voting opens.' +
+    (result.flags.length > 0 ? ' Your manifesto contains words that your teacher must check before classmates can see it.' : ''));
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Preview a manifesto as it will be shown (JSON, for the nomination form)
+ */
+const previewManifesto = asyncHandler(async (req, res) => {
+  const student = await User.findById(req.session.user._id).select('class');
+  const election = student
+    ? await Election.findOne({ _id: req.params.id, class: student.class })
+      .select('manifestoMaxLength manifestoWordFilter manifestoBlockedWords')
+    : null;
+
+  if (!election) {
+    return res.status(404).json({ error: 'Election not found' });
+  }
+
+  const manifesto = String(req.body.manifesto || '').replace(/\r\n/g, '\n').trim();
+
+  res.json({
+    html: renderManifesto(manifesto),
+    length: manifesto.length,
+    maxLength: election.manifestoMaxLength,
+    // Which words matched isn't shown, only that a teacher will check it
+    flagged: manifestoService.findFlaggedWords(manifesto, election).length > 0
+  });
+});
+
+/**
+ * Endorse a classmate's nomination
+ */
+const endorseNomination = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+  const studentId = req.session.user._id;
+
+  const student = await User.findById(studentId);
+
+  if (!student) {
+    req.session.destroy();
+    return res.redirect('/auth/login');
+  }
+
+  // Find election and verify it's for student's class
+  const election = await Election.findOne({
+    _id: id,
+    class: student.class
   });
+  const candidate = election
+    ? await Candidate.findOne({ _id: candidateId, election: id }).populate('student', 'name')
+    : null;
+
+  if (!election || !candidate) {
+    req.flash('error', 'Nomination not found or you do not have access to it');
+    return res.redirect('/student/dashboard');
+  }
 
-  await election.save();
+  const result = await nominationService.endorse(candidate, election, student);
 
-  // Log vote casting (without revealing the chosen candidate for privacy)
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/student/dashboard');
+  }
+
+  // Log the endorsement
   await SystemLog.createLog({
-    action: 'vote_cast',
+    action: 'candidate_endorse',
     user: studentId,
     details: {
+      candidateId: candidate._id,
+      candidateName: candidate.student.name,
       electionId: election._id,
-      electionTitle: election.title
+      electionTitle: election.title,
+      endorsements: result.endorsements,
+      thresholdMet: result.thresholdMet
     },
-    status: 'success',
+    status: 'info',
     ip: req.ip,
     userAgent: req.headers['user-agent']
   });
 
-  req.flash('success', 'Your vote has been successfully recorded');
+  req.flash('success', `You endorsed ${candidate.student.name}'s nomination` +
+    (result.thresholdMet ? '. It now has enough endorsements and goes to your teacher for review.' : ''));
+  res.redirect('/student/dashboard');
+});
+
+/**
+ * Load the signed-in student's nomination while its files can still change
+ * Flashes an error and redirects when it can't be changed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - { election, candidate } or null
+ */
+const loadOwnNomination = async (req, res) => {
+  const { id } = req.params;
+  const student = await User.findById(req.session.user._id);
+
+  if (!student) {
+    req.session.destroy();
+    res.redirect('/auth/login');
+    return null;
+  }
+
+  const election = await Election.findOne({ _id: id, class: student.class });
+  const candidate = election
+    ? await Candidate.findOne({ student: student._id, election: election._id })
+    : null;
+
+  if (!election || !candidate) {
+    req.flash('error', 'Nomination not found or you do not have access to it');
+    res.redirect(election ? `/student/elections/${id}` : '/student/dashboard');
+    return null;
+  }
+
+  if (!nominationService.isNominationOpen(election)) {
+    req.flash('error', 'Nominations are closed for this election');
+    res.redirect(`/student/elections/${id}`);
+    return null;
+  }
+
+  return { election, candidate };
+};
+
+/**
+ * Log a change to a student's nomination files
+ * @param {Object} req - Express request
+ * @param {Object} nomination - { election, candidate }
+ * @param {Object} details - What changed
+ */
+const logNominationFiles = (req, { election, candidate }, details) => {
+  return SystemLog.createLog({
+    action: 'candidate_update',
+    user: req.session.user._id,
+    details: {
+      candidateId: candidate._id,
+      electionId: election._id,
+      electionTitle: election.title,
+      ...details
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
+
+/**
+ * Upload or replace the photo on the student's nomination
+ */
+const uploadNominationPhoto = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    req.flash('error', 'Please choose a photo to upload');
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  const nomination = await loadOwnNomination(req, res);
+  if (!nomination) return;
+
+  const result = await candidateFileService.savePhoto(nomination.candidate, req.file.buffer);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  await logNominationFiles(req, nomination, { photo: 'uploaded' });
+
+  req.flash('success', 'Your photo has been updated');
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Remove the photo from the student's nomination
+ */
+const removeNominationPhoto = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const nomination = await loadOwnNomination(req, res);
+  if (!nomination) return;
+
+  await candidateFileService.removePhoto(nomination.candidate);
+  await logNominationFiles(req, nomination, { photo: 'removed' });
+
+  req.flash('success', 'Your photo has been removed');
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Attach a supporting document to the student's nomination
+ */
+const uploadNominationDocument = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    req.flash('error', 'Please choose a document to upload');
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  const nomination = await loadOwnNomination(req, res);
+  if (!nomination) return;
+
+  const result = await candidateFileService.addDocument(nomination.candidate, req.file, req.body.kind);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  await logNominationFiles(req, nomination, {
+    documentAdded: result.document.originalName,
+    kind: result.document.kind
+  });
+
+  req.flash('success', `${result.document.originalName} has been attached to your nomination`);
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Remove a supporting document from the student's nomination
+ */
+const removeNominationDocument = asyncHandler(async (req, res) => {
+  const { id, documentId } = req.params;
+
+  const nomination = await loadOwnNomination(req, res);
+  if (!nomination) return;
+
+  const document = nomination.candidate.documents.id(documentId);
+  if (!document || !(await candidateFileService.removeDocument(nomination.candidate, documentId))) {
+    req.flash('error', 'Document not found');
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  await logNominationFiles(req, nomination, { documentRemoved: document.originalName });
+
+  req.flash('success', `${document.originalName} has been removed`);
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Ask to withdraw from an election the student is a candidate in
+ */
+const requestWithdrawal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const studentId = req.session.user._id;
+
+  const student = await User.findById(studentId);
+
+  if (!student) {
+    req.session.destroy();
+    return res.redirect('/auth/login');
+  }
+
+  // Find election and verify it's for student's class
+  const election = await Election.findOne({
+    _id: id,
+    class: student.class
+  });
+  const candidate = election
+    ? await Candidate.findOne({ student: studentId, election: election._id })
+    : null;
+
+  if (!election || !candidate) {
+    req.flash('error', 'Candidate not found or you do not have access to it');
+    return res.redirect('/student/dashboard');
+  }
+
+  const result = await withdrawalService.requestWithdrawal(candidate, election, req.body.reason);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  // Log the request
+  await SystemLog.createLog({
+    action: 'candidate_withdraw',
+    user: studentId,
+    details: {
+      candidateId: candidate._id,
+      electionId: election._id,
+      electionTitle: election.title,
+      withdrawal: 'requested'
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', 'Your withdrawal request has been sent. You stay on the ballot until your teacher confirms it.');
+  res.redirect(`/student/elections/${id}`);
+});
+
+/**
+ * Take back a withdrawal request that hasn't been decided
+ */
+const cancelWithdrawal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const studentId = req.session.user._id;
+
+  const candidate = await Candidate.findOne({ student: studentId, election: id });
+
+  if (!candidate) {
+    req.flash('error', 'Candidate not found or you do not have access to it');
+    return res.redirect('/student/dashboard');
+  }
+
+  const result = await withdrawalService.cancelWithdrawal(candidate);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect(`/student/elections/${id}`);
+  }
+
+  // Log the cancellation
+  await SystemLog.createLog({
+    action: 'candidate_withdraw',
+    user: studentId,
+    details: {
+      candidateId: candidate._id,
+      electionId: candidate.election,
+      withdrawal: 'cancelled'
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', 'Your withdrawal request has been cancelled');
   res.redirect(`/student/elections/${id}`);
 });
 
@@ -303,9 +741,8 @@ const getProfile = asyncHandler(async (req, res) => {
   }
 
   // Get voting history (elections where student has voted)
-  const votedElections = await Election.find({
-    'votes.student': studentId
-  })
+  const votedElectionIds = await Participation.find({ student: studentId }).distinct('election');
+  const votedElections = await Election.find({ _id: { $in: votedElectionIds } })
     .select('title electionType startDate endDate status results class')
     .populate('class', 'name')
     .sort({ endDate: -1 });
@@ -400,8 +837,12 @@ const getAllElections = asyncHandler(async (req, res) => {
   }).sort({ endDate: -1 });
 
   // For each election, check if student has voted
-  for (const election of [...activeElections, ...pastElections]) {
-    election.hasVoted = election.hasVoted(studentId);
+  const listedElections = [...activeElections, ...pastElections];
+  const votedElectionIds = await Participation.getVotedElectionIds(
+    studentId, listedElections.map(election => election._id)
+  );
+  for (const election of listedElections) {
+    election.hasVoted = votedElectionIds.has(election._id.toString());
   }
 
   res.render('student/all-elections', {
@@ -417,6 +858,15 @@ module.exports = {
   getDashboard,
   getElectionDetails,
   castVote,
+  nominate,
+  previewManifesto,
+  endorseNomination,
+  uploadNominationPhoto,
+  removeNominationPhoto,
+  uploadNominationDocument,
+  removeNominationDocument,
+  requestWithdrawal,
+  cancelWithdrawal,
   getClassInfo,
   getProfile,
   updateProfile,
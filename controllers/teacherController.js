@@ -9,18 +9,23 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Election = require('../models/Election');
 const Candidate = require('../models/Candidate');
+const Endorsement = require('../models/Endorsement');
 const SystemLog = require('../models/SystemLog');
 const mailer = require('../config/mailer');
+const resultsService = require('../services/resultsService');
+const nominationService = require('../services/nominationService');
+const manifestoService = require('../services/manifestoService');
+const withdrawalService = require('../services/withdrawalService');
+const candidateFileService = require('../services/candidateFileService');
+const { getClassScope, canSeeCounts } = require('../middlewares/permissions');
 const { asyncHandler } = require('../middlewares/error');
 
 /**
  * Render teacher dashboard
  */
 const getDashboard = asyncHandler(async (req, res) => {
-  const teacherId = req.session.user._id;
-
-  // Find classes where teacher is class teacher
-  const teacherClasses = await Class.find({ classTeacher: teacherId })
+  // Classes the user acts on (their own, or every class for officers and observers)
+  const teacherClasses = await Class.find(getClassScope(req.session.user))
     .sort({ department: 1, year: 1, section: 1 });
 
   // Get statistics
@@ -93,12 +98,10 @@ const getDashboard = asyncHandler(async (req, res) => {
  */
 const getClassDetails = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const teacherId = req.session.user._id;
-
-  // Find class and verify teacher is class teacher
+  // Find class and verify the user may view it
   const classDetails = await Class.findOne({
     _id: id,
-    classTeacher: teacherId
+    ...getClassScope(req.session.user)
   }).populate('classTeacher', 'name email');
 
   if (!classDetails) {
@@ -130,10 +133,8 @@ const getClassDetails = asyncHandler(async (req, res) => {
  * Render student management page
  */
 const getStudentManagement = asyncHandler(async (req, res) => {
-  const teacherId = req.session.user._id;
-
-  // Find classes managed by this teacher
-  const managedClasses = await Class.find({ classTeacher: teacherId });
+  // Find classes managed by this user
+  const managedClasses = await Class.find(getClassScope(req.session.user));
   const managedClassIds = managedClasses.map(c => c._id);
 
   // Check if there are managed classes
@@ -195,11 +196,9 @@ const getStudentManagement = asyncHandler(async (req, res) => {
  * Render create election page
  */
 const getCreateElection = asyncHandler(async (req, res) => {
-  const teacherId = req.session.user._id;
-
-  // Find classes managed by this teacher
+  // Find classes managed by this user
   const managedClasses = await Class.find({
-    classTeacher: teacherId,
+    ...getClassScope(req.session.user),
     active: true
   }).sort({ name: 1 });
 
@@ -216,12 +215,62 @@ const getCreateElection = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Parse positions submitted as positions[i][title|seats|description]
+ * @param {Object|Array} input - Submitted positions
+ * @returns {Array} - Positions with a title
+ */
+const parsePositions = (input) => {
+  if (!input) return [];
+
+  return Object.values(input)
+    .filter(position => position && position.title && position.title.trim())
+    .map(position => ({
+      title: position.title.trim(),
+      description: (position.description || '').trim(),
+      seats: Math.max(1, parseInt(position.seats, 10) || 1)
+    }));
+};
+
+/**
+ * Parse the number of endorsements a self-nomination needs
+ * @param {string} value - Submitted value
+ * @returns {number} - 0 (none) up to 10
+ */
+const parseEndorsementsRequired = (value) => {
+  return Math.min(10, Math.max(0, parseInt(value, 10) || 0));
+};
+
+/**
+ * Parse the deadline for candidates to ask to withdraw
+ * @param {string} value - Submitted value (empty for the start of voting)
+ * @param {Date} start - Start of voting
+ * @returns {Object} - { deadline } (null when not set) or { error }
+ */
+const parseWithdrawalDeadline = (value, start) => {
+  if (!value) return { deadline: null };
+
+  const deadline = new Date(value);
+  if (isNaN(deadline.getTime())) {
+    return { error: 'Invalid withdrawal deadline' };
+  }
+  if (deadline > start) {
+    return { error: 'The withdrawal deadline must be before voting starts' };
+  }
+
+  return { deadline };
+};
+
 /**
  * Create new election
  */
 const createElection = asyncHandler(async (req, res) => {
   const teacherId = req.session.user._id;
-  const { title, description, electionType, classId, startDate, endDate } = req.body;
+  const {
+    title, description, electionType, classId, startDate, endDate,
+    votingMethod, autoPublishResults, tieBreakPolicy, seats, endorsementsRequired,
+    manifestoMaxLength, manifestoWordFilter, manifestoBlockedWords, withdrawalDeadline
+  } = req.body;
 
   // Validate required fields
   if (!title || !description || !electionType || !classId || !startDate || !endDate) {
@@ -229,10 +278,10 @@ const createElection = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections/create');
   }
 
-  // Verify teacher is class teacher for this class
+  // Verify the user may run elections for this class
   const classExists = await Class.findOne({
     _id: classId,
-    classTeacher: teacherId,
+    ...getClassScope(req.session.user),
     active: true
   });
 
@@ -256,6 +305,24 @@ const createElection = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections/create');
   }
 
+  const withdrawal = parseWithdrawalDeadline(withdrawalDeadline, start);
+  if (withdrawal.error) {
+    req.flash('error', withdrawal.error);
+    return res.redirect('/teacher/elections/create');
+  }
+
+  // Validate voting method
+  if (votingMethod && !Election.getVotingMethods().includes(votingMethod)) {
+    req.flash('error', 'Invalid voting method');
+    return res.redirect('/teacher/elections/create');
+  }
+
+  // Validate tie-break policy
+  if (tieBreakPolicy && !Election.getTieBreakPolicies().includes(tieBreakPolicy)) {
+    req.flash('error', 'Invalid tie-break policy');
+    return res.redirect('/teacher/elections/create');
+  }
+
   // Check for overlapping elections
   const overlappingElections = await Election.findOne({
     class: classId,
@@ -281,9 +348,24 @@ const createElection = asyncHandler(async (req, res) => {
     startDate: start,
     endDate: end,
     status: 'pending',
+    // Defaults to a single position named after the election type
+    positions: parsePositions(req.body.positions),
+    votingMethod: votingMethod || undefined,
+    autoPublishResults: autoPublishResults === 'on' || autoPublishResults === 'true',
+    tieBreakPolicy: tieBreakPolicy || undefined,
+    endorsementsRequired: parseEndorsementsRequired(endorsementsRequired),
+    manifestoMaxLength: manifestoService.parseManifestoMaxLength(manifestoMaxLength),
+    manifestoWordFilter: manifestoWordFilter === 'on' || manifestoWordFilter === 'true',
+    manifestoBlockedWords: manifestoService.parseBlockedWords(manifestoBlockedWords),
+    withdrawalDeadline: withdrawal.deadline || undefined,
     createdBy: teacherId
   });
 
+  // Seat count for the default position of single-position elections
+  if (!req.body.positions && seats) {
+    election.ensurePositions()[0].seats = Math.max(1, parseInt(seats, 10) || 1);
+  }
+
   await election.save();
 
   // Log election creation
@@ -294,7 +376,9 @@ const createElection = asyncHandler(async (req, res) => {
       electionId: election._id,
       electionTitle: election.title,
       electionType,
-      classId
+      classId,
+      votingMethod: election.votingMethod,
+      positions: election.positions.map(position => `${position.title} (${position.seats})`)
     },
     status: 'success',
     ip: req.ip,
@@ -345,8 +429,8 @@ const notifyStudentsAboutElection = async (election) => {
 const getElectionManagement = asyncHandler(async (req, res) => {
   const teacherId = req.session.user._id;
 
-  // Find classes managed by this teacher
-  const managedClasses = await Class.find({ classTeacher: teacherId });
+  // Find classes managed by this user
+  const managedClasses = await Class.find(getClassScope(req.session.user));
   const managedClassIds = managedClasses.map(c => c._id);
 
   const { status, classId, page = 1, limit = 10 } = req.query;
@@ -401,7 +485,6 @@ const getElectionManagement = asyncHandler(async (req, res) => {
  */
 const getElectionDetails = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const teacherId = req.session.user._id;
 
   // Find election
   const election = await Election.findById(id)
@@ -420,16 +503,6 @@ const getElectionDetails = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission to view this election
-  const hasPermission =
-    election.createdBy._id.toString() === teacherId.toString() ||
-    election.class.classTeacher.toString() === teacherId.toString();
-
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to view this election');
-    return res.redirect('/teacher/elections');
-  }
-
   // Get vote statistics
   const totalStudentsInClass = await User.countDocuments({
     class: election.class._id,
@@ -437,29 +510,17 @@ const getElectionDetails = asyncHandler(async (req, res) => {
     active: true
   });
 
-  const voteStats = {
-    totalVotes: election.votes.length,
-    totalStudents: totalStudentsInClass,
-    participationRate: totalStudentsInClass ? (election.votes.length / totalStudentsInClass * 100).toFixed(2) : 0,
-    candidateVotes: {}
-  };
-
-  // Count votes for each candidate
-  election.candidates.forEach(candidate => {
-    voteStats.candidateVotes[candidate._id] = 0;
-  });
-
-  election.votes.forEach(vote => {
-    const candidateId = vote.candidate.toString();
-    if (voteStats.candidateVotes[candidateId] !== undefined) {
-      voteStats.candidateVotes[candidateId]++;
-    }
-  });
+  // Per-candidate counts only for those who publish results (observers
+  // following turnout see totals) until the results are out
+  const showCounts = await canSeeCounts(req.session.user, election);
+  const voteStats = showCounts
+    ? await resultsService.getVoteStats(election, totalStudentsInClass)
+    : await resultsService.getTurnoutStats(election, totalStudentsInClass);
 
   // Get students who haven't voted yet
   let studentsNotVoted = [];
   if (election.status === 'active' || election.status === 'completed') {
-    const votedStudentIds = election.votes.map(vote => vote.student.toString());
+    const votedStudentIds = await resultsService.getVotedStudentIds(election);
 
     studentsNotVoted = await User.find({
       class: election.class._id,
@@ -477,6 +538,7 @@ const getElectionDetails = asyncHandler(async (req, res) => {
     user: req.session.user,
     election,
     voteStats,
+    showCounts,
     studentsNotVoted,
     availableSymbols
   });
@@ -488,7 +550,11 @@ const getElectionDetails = asyncHandler(async (req, res) => {
 const updateElection = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const teacherId = req.session.user._id;
-  const { title, description, startDate, endDate, status } = req.body;
+  const {
+    title, description, startDate, endDate, status,
+    votingMethod, autoPublishResults, tieBreakPolicy, endorsementsRequired,
+    manifestoMaxLength, manifestoWordFilter, manifestoBlockedWords, withdrawalDeadline
+  } = req.body;
 
   // Find election
   const election = await Election.findById(id);
@@ -498,16 +564,6 @@ const updateElection = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission to update this election
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class, classTeacher: teacherId }));
-
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to update this election');
-    return res.redirect('/teacher/elections');
-  }
-
   // Check if election is already completed
   if (election.status === 'completed' && status !== 'completed') {
     req.flash('error', 'Cannot modify a completed election');
@@ -517,9 +573,43 @@ const updateElection = asyncHandler(async (req, res) => {
   // Update election data
   if (title) election.title = title;
   if (description) election.description = description;
+  if (autoPublishResults !== undefined) {
+    election.autoPublishResults = autoPublishResults === 'on' || autoPublishResults === 'true';
+  }
 
-  // Only update dates if election is not active or completed
+  // Only update dates, voting method and tie-break policy if election is not active or completed
   if (election.status === 'pending') {
+    if (votingMethod) {
+      if (!Election.getVotingMethods().includes(votingMethod)) {
+        req.flash('error', 'Invalid voting method');
+        return res.redirect(`/teacher/elections/${id}/edit`);
+      }
+      election.votingMethod = votingMethod;
+    }
+
+    if (tieBreakPolicy) {
+      if (!Election.getTieBreakPolicies().includes(tieBreakPolicy)) {
+        req.flash('error', 'Invalid tie-break policy');
+        return res.redirect(`/teacher/elections/${id}/edit`);
+      }
+      election.tieBreakPolicy = tieBreakPolicy;
+    }
+
+    if (endorsementsRequired !== undefined) {
+      election.endorsementsRequired = parseEndorsementsRequired(endorsementsRequired);
+    }
+
+    // Manifesto rules apply to nominations submitted from now on
+    if (manifestoMaxLength !== undefined) {
+      election.manifestoMaxLength = manifestoService.parseManifestoMaxLength(manifestoMaxLength);
+    }
+    if (manifestoWordFilter !== undefined) {
+      election.manifestoWordFilter = manifestoWordFilter === 'on' || manifestoWordFilter === 'true';
+    }
+    if (manifestoBlockedWords !== undefined) {
+      election.manifestoBlockedWords = manifestoService.parseBlockedWords(manifestoBlockedWords);
+    }
+
     if (startDate) {
       const newStartDate = new Date(startDate);
       if (newStartDate > new Date()) {
@@ -539,13 +629,24 @@ const updateElection = asyncHandler(async (req, res) => {
         return res.redirect(`/teacher/elections/${id}/edit`);
       }
     }
+
+    // Checked against the (possibly moved) start of voting
+    const withdrawal = parseWithdrawalDeadline(
+      withdrawalDeadline !== undefined ? withdrawalDeadline : election.withdrawalDeadline,
+      election.startDate
+    );
+    if (withdrawal.error) {
+      req.flash('error', withdrawal.error);
+      return res.redirect(`/teacher/elections/${id}/edit`);
+    }
+    election.withdrawalDeadline = withdrawal.deadline || undefined;
   }
 
   // Update status if provided and valid transition
   if (status) {
     if (status === 'completed' && election.status === 'active') {
-      // Calculate and publish results
-      await election.calculateResults();
+      // Only closes voting; results go out through publishResults
+      election.status = 'completed';
     } else if (status === 'cancelled' && election.status !== 'completed') {
       election.status = 'cancelled';
     } else if (status === 'active' && election.status === 'pending') {
@@ -553,8 +654,16 @@ const updateElection = asyncHandler(async (req, res) => {
     }
   }
 
+  const thresholdChanged = election.isModified('endorsementsRequired');
+  const manifestoRulesChanged = ['manifestoMaxLength', 'manifestoWordFilter', 'manifestoBlockedWords']
+    .some(field => election.isModified(field));
   await election.save();
 
+  // Nominations may already meet a lowered threshold
+  if (thresholdChanged) {
+    await nominationService.refreshEndorsementStatus(election);
+  }
+
   // Log election update
   await SystemLog.createLog({
     action: 'election_update',
@@ -567,7 +676,13 @@ const updateElection = asyncHandler(async (req, res) => {
         description: description ? true : false,
         startDate: startDate ? true : false,
         endDate: endDate ? true : false,
-        status: status ? true : false
+        status: status ? true : false,
+        votingMethod: votingMethod ? true : false,
+        autoPublishResults: autoPublishResults !== undefined,
+        tieBreakPolicy: tieBreakPolicy ? true : false,
+        endorsementsRequired: thresholdChanged,
+        manifestoRules: manifestoRulesChanged,
+        withdrawalDeadline: withdrawalDeadline !== undefined
       }
     },
     status: 'success',
@@ -584,7 +699,6 @@ const updateElection = asyncHandler(async (req, res) => {
  */
 const getElectionEdit = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const teacherId = req.session.user._id;
 
   // Find election
   const election = await Election.findById(id)
@@ -595,16 +709,6 @@ const getElectionEdit = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission to edit this election
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class._id, classTeacher: teacherId }));
-
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to edit this election');
-    return res.redirect('/teacher/elections');
-  }
-
   // Check if election can be edited
   if (election.status === 'completed') {
     req.flash('error', 'Completed elections cannot be edited');
@@ -624,7 +728,7 @@ const getElectionEdit = asyncHandler(async (req, res) => {
 const addCandidate = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const teacherId = req.session.user._id;
-  const { studentId, symbol, color, manifesto } = req.body;
+  const { studentId, positionId, symbol, color, manifesto } = req.body;
 
   // Find election
   const election = await Election.findById(id);
@@ -634,16 +738,6 @@ const addCandidate = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission to add candidates
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class, classTeacher: teacherId }));
-
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to add candidates to this election');
-    return res.redirect('/teacher/elections');
-  }
-
   // Check if election is in a valid state for adding candidates
   if (election.status === 'completed' || election.status === 'cancelled') {
     req.flash('error', 'Cannot add candidates to a completed or cancelled election');
@@ -681,13 +775,32 @@ const addCandidate = asyncHandler(async (req, res) => {
     return res.redirect(`/teacher/elections/${id}`);
   }
 
+  // Validate position (single-position elections may omit it)
+  const positions = election.ensurePositions();
+  const position = positionId
+    ? election.positions.id(positionId)
+    : (positions.length === 1 ? positions[0] : null);
+
+  if (!position) {
+    req.flash('error', 'Please select a valid position for the candidate');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  // Teachers write these manifestos themselves, so only the length is checked
+  const checked = manifestoService.checkManifesto(manifesto, election);
+  if (checked.error) {
+    req.flash('error', checked.error);
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
   // Create candidate
   const candidate = new Candidate({
     student: studentId,
     election: id,
+    position: position._id,
     symbol,
     color: color || '#3498db',
-    manifesto: manifesto || '',
+    manifesto: checked.manifesto,
     approved: true,
     approvedBy: teacherId,
     approvedAt: new Date()
@@ -698,6 +811,7 @@ const addCandidate = asyncHandler(async (req, res) => {
   // Add candidate to election
   election.candidates.push(candidate._id);
   await election.save();
+  await withdrawalService.clearContestedPositions(election);
 
   // Log candidate creation
   await SystemLog.createLog({
@@ -708,14 +822,15 @@ const addCandidate = asyncHandler(async (req, res) => {
       studentId: student._id,
       studentName: student.name,
       electionId: election._id,
-      electionTitle: election.title
+      electionTitle: election.title,
+      positionTitle: position.title
     },
     status: 'success',
     ip: req.ip,
     userAgent: req.headers['user-agent']
   });
 
-  req.flash('success', `${student.name} has been added as a candidate`);
+  req.flash('success', `${student.name} has been added as a candidate for ${position.title}`);
   res.redirect(`/teacher/elections/${id}`);
 });
 
@@ -734,16 +849,6 @@ const removeCandidate = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class, classTeacher: teacherId }));
-
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to remove candidates from this election');
-    return res.redirect('/teacher/elections');
-  }
-
   // Check if election has started
   if (election.status === 'active' || election.status === 'completed') {
     req.flash('error', 'Cannot remove candidates from an active or completed election');
@@ -767,8 +872,10 @@ const removeCandidate = asyncHandler(async (req, res) => {
   );
   await election.save();
 
-  // Delete candidate
+  // Delete candidate with their endorsements, photo and documents
   await candidate.deleteOne();
+  await Endorsement.deleteMany({ candidate: candidate._id });
+  await candidateFileService.removeAllFiles(candidate);
 
   // Log candidate removal
   await SystemLog.createLog({
@@ -791,11 +898,313 @@ const removeCandidate = asyncHandler(async (req, res) => {
 });
 
 /**
- * Publish election results
+ * Render the queue of self-nominations waiting for review
  */
-const publishResults = asyncHandler(async (req, res) => {
+const getNominations = asyncHandler(async (req, res) => {
+  const teacherId = req.session.user._id;
+
+  // Elections this user looks after
+  const managedClasses = await Class.find(getClassScope(req.session.user)).select('_id');
+  const elections = await Election.find({
+    $or: [
+      { class: { $in: managedClasses.map(c => c._id) } },
+      { createdBy: teacherId }
+    ]
+  }).select('_id');
+  const electionIds = elections.map(election => election._id);
+
+  const populateOptions = [
+    { path: 'student', select: 'name email rollNumber' },
+    { path: 'election', select: 'title class classSnapshot status startDate positions electionType endorsementsRequired', populate: { path: 'class', select: 'name' } }
+  ];
+
+  const nominations = await Candidate.find({
+    election: { $in: electionIds },
+    selfNominated: true,
+    approved: false,
+    rejectedAt: { $exists: false }
+  })
+    .populate(populateOptions)
+    .sort({ createdAt: 1 });
+
+  const pending = nominations.filter(candidate => !candidate.awaitingEndorsements);
+  const endorsing = nominations.filter(candidate => candidate.awaitingEndorsements);
+
+  // Who endorsed each open nomination
+  const endorsements = await Endorsement.find({ candidate: { $in: nominations.map(c => c._id) } })
+    .populate('student', 'name rollNumber')
+    .sort({ createdAt: 1 });
+  const endorsers = {};
+  endorsements.forEach(endorsement => {
+    const key = endorsement.candidate.toString();
+    (endorsers[key] = endorsers[key] || []).push(endorsement.student);
+  });
+
+  // Candidates asking to withdraw
+  const withdrawals = await Candidate.find({
+    election: { $in: electionIds },
+    'withdrawal.status': 'requested'
+  })
+    .populate(populateOptions)
+    .sort({ 'withdrawal.requestedAt': 1 });
+
+  // Elections a withdrawal left unopposed
+  const unopposedElections = await Election.find({
+    _id: { $in: electionIds },
+    status: { $in: ['pending', 'active'] },
+    'unopposed.positions.0': { $exists: true }
+  }).select('title positions electionType unopposed startDate');
+
+  const reviewed = await Candidate.find({
+    election: { $in: electionIds },
+    selfNominated: true,
+    $or: [{ approved: true }, { rejectedAt: { $exists: true } }]
+  })
+    .populate(populateOptions)
+    .populate('approvedBy', 'name')
+    .populate('rejectedBy', 'name')
+    .sort({ updatedAt: -1 })
+    .limit(20);
+
+  res.render('teacher/nominations', {
+    title: 'Nominations',
+    user: req.session.user,
+    pending,
+    endorsing,
+    endorsers,
+    withdrawals,
+    unopposedElections,
+    reviewed,
+    minReasonLength: nominationService.MIN_REASON_LENGTH,
+    documentKinds: candidateFileService.documentKinds
+  });
+});
+
+/**
+ * Approve a student's self-nomination
+ */
+const approveNomination = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+  const teacherId = req.session.user._id;
+
+  const election = await Election.findById(id);
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id })
+    .populate('student', 'name');
+
+  if (!election || !candidate) {
+    req.flash('error', 'Nomination not found');
+    return res.redirect('/teacher/nominations');
+  }
+
+  const result = await nominationService.approveNomination(candidate, election, teacherId, {
+    publishManifesto: req.body.publishManifesto === 'on' || req.body.publishManifesto === 'true'
+  });
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/teacher/nominations');
+  }
+
+  await withdrawalService.clearContestedPositions(election);
+
+  // Log the approval
+  await SystemLog.createLog({
+    action: 'candidate_approve',
+    user: teacherId,
+    details: {
+      candidateId: candidate._id,
+      studentName: candidate.student.name,
+      electionId: election._id,
+      electionTitle: election.title,
+      positionTitle: election.getCandidatePosition(candidate).title,
+      manifestoFlags: candidate.manifestoFlags.length > 0 ? candidate.manifestoFlags : undefined,
+      emailSent: result.emailSent
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `${candidate.student.name} is now a candidate in ${election.title}` +
+    (result.emailSent ? '' : ' (the email to the student could not be sent)'));
+  res.redirect('/teacher/nominations');
+});
+
+/**
+ * Reject a student's self-nomination with a reason
+ */
+const rejectNomination = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+  const teacherId = req.session.user._id;
+
+  const election = await Election.findById(id);
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id })
+    .populate('student', 'name');
+
+  if (!election || !candidate) {
+    req.flash('error', 'Nomination not found');
+    return res.redirect('/teacher/nominations');
+  }
+
+  const result = await nominationService.rejectNomination(candidate, election, teacherId, req.body.reason);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/teacher/nominations');
+  }
+
+  // Log the rejection
+  await SystemLog.createLog({
+    action: 'candidate_reject',
+    user: teacherId,
+    details: {
+      candidateId: candidate._id,
+      studentName: candidate.student.name,
+      electionId: election._id,
+      electionTitle: election.title,
+      reason: candidate.rejectionReason,
+      emailSent: result.emailSent
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `The nomination of ${candidate.student.name} was rejected` +
+    (result.emailSent ? '' : ' (the email to the student could not be sent)'));
+  res.redirect('/teacher/nominations');
+});
+
+/**
+ * View a document attached to a nomination
+ */
+const getCandidateDocument = asyncHandler(async (req, res) => {
+  const { id, candidateId, documentId } = req.params;
+
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id }).select('documents');
+  const document = candidate && candidate.documents.id(documentId);
+  const file = document && await candidateFileService.readFile(document.key);
+
+  if (!file) {
+    req.flash('error', 'Document not found');
+    return res.redirect('/teacher/nominations');
+  }
+
+  // Shown in the browser; the name is limited to safe characters for the header
+  const filename = document.originalName.replace(/[^\w.\- ]/g, '_');
+  res.set({
+    'Content-Type': document.contentType,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(file);
+});
+
+/**
+ * Confirm a candidate's withdrawal and take them off the ballot
+ */
+const confirmWithdrawal = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+  const teacherId = req.session.user._id;
+
+  const election = await Election.findById(id);
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id })
+    .populate('student', 'name');
+
+  if (!election || !candidate) {
+    req.flash('error', 'Candidate not found');
+    return res.redirect('/teacher/nominations');
+  }
+
+  const result = await withdrawalService.confirmWithdrawal(candidate, election, teacherId);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/teacher/nominations');
+  }
+
+  const unopposed = result.unopposedPositions.map(position => position.title);
+
+  // Log the withdrawal, as a warning when it leaves the election unopposed
+  await SystemLog.createLog({
+    action: 'candidate_withdraw',
+    user: teacherId,
+    details: {
+      candidateId: candidate._id,
+      studentName: candidate.student.name,
+      electionId: election._id,
+      electionTitle: election.title,
+      withdrawal: 'confirmed',
+      unopposedPositions: unopposed.length > 0 ? unopposed : undefined,
+      emailSent: result.emailSent
+    },
+    status: unopposed.length > 0 ? 'warning' : 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `${candidate.student.name} has withdrawn from ${election.title}` +
+    (result.emailSent ? '' : ' (the email to the student could not be sent)'));
+  if (unopposed.length > 0) {
+    req.flash('info', `${election.title} is now unopposed for ${unopposed.join(', ')}`);
+  }
+  res.redirect('/teacher/nominations');
+});
+
+/**
+ * Decline a candidate's withdrawal with a reason
+ */
+const declineWithdrawal = asyncHandler(async (req, res) => {
+  const { id, candidateId } = req.params;
+  const teacherId = req.session.user._id;
+
+  const election = await Election.findById(id);
+  const candidate = await Candidate.findOne({ _id: candidateId, election: id })
+    .populate('student', 'name');
+
+  if (!election || !candidate) {
+    req.flash('error', 'Candidate not found');
+    return res.redirect('/teacher/nominations');
+  }
+
+  const result = await withdrawalService.declineWithdrawal(candidate, election, teacherId, req.body.reason);
+
+  if (result.error) {
+    req.flash('error', result.error);
+    return res.redirect('/teacher/nominations');
+  }
+
+  // Log the decision
+  await SystemLog.createLog({
+    action: 'candidate_withdraw',
+    user: teacherId,
+    details: {
+      candidateId: candidate._id,
+      studentName: candidate.student.name,
+      electionId: election._id,
+      electionTitle: election.title,
+      withdrawal: 'declined',
+      reason: candidate.withdrawal.declineReason,
+      emailSent: result.emailSent
+    },
+    status: 'info',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `The withdrawal of ${candidate.student.name} was declined` +
+    (result.emailSent ? '' : ' (the email to the student could not be sent)'));
+  res.redirect('/teacher/nominations');
+});
+
+/**
+ * Add a position to a pending election
+ */
+const addPosition = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const teacherId = req.session.user._id;
+  const [position] = parsePositions([req.body]);
 
   // Find election
   const election = await Election.findById(id);
@@ -805,13 +1214,108 @@ const publishResults = asyncHandler(async (req, res) => {
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class, classTeacher: teacherId }));
+  if (election.status !== 'pending') {
+    req.flash('error', 'Positions can only be changed before the election starts');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  if (!position) {
+    req.flash('error', 'Position title is required');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  election.positions.push(position);
+  await election.save();
+
+  // Log position creation
+  await SystemLog.createLog({
+    action: 'election_update',
+    user: teacherId,
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      positionAdded: position.title,
+      seats: position.seats
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `Position ${position.title} added`);
+  res.redirect(`/teacher/elections/${id}`);
+});
+
+/**
+ * Remove a position without candidates from a pending election
+ */
+const removePosition = asyncHandler(async (req, res) => {
+  const { id, positionId } = req.params;
+  const teacherId = req.session.user._id;
+
+  // Find election
+  const election = await Election.findById(id);
 
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission to publish results for this election');
+  if (!election) {
+    req.flash('error', 'Election not found');
+    return res.redirect('/teacher/elections');
+  }
+
+  if (election.status !== 'pending') {
+    req.flash('error', 'Positions can only be changed before the election starts');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  const position = election.positions.id(positionId);
+
+  if (!position) {
+    req.flash('error', 'Position not found');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  if (election.positions.length === 1) {
+    req.flash('error', 'An election needs at least one position');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  if (await Candidate.exists({ election: id, position: positionId })) {
+    req.flash('error', 'Remove the candidates for this position first');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  position.deleteOne();
+  await election.save();
+
+  // Log position removal
+  await SystemLog.createLog({
+    action: 'election_update',
+    user: teacherId,
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      positionRemoved: position.title
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', `Position ${position.title} removed`);
+  res.redirect(`/teacher/elections/${id}`);
+});
+
+/**
+ * Publish election results
+ */
+const publishResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const teacherId = req.session.user._id;
+
+  // Find election
+  const election = await Election.findById(id);
+
+  if (!election) {
+    req.flash('error', 'Election not found');
     return res.redirect('/teacher/elections');
   }
 
@@ -828,7 +1332,37 @@ const publishResults = asyncHandler(async (req, res) => {
   }
 
   // Calculate and publish results
-  const results = await election.calculateResults();
+  const results = await resultsService.calculateResults(election);
+
+  // A tie that the policy could not settle blocks publication
+  if (election.isAwaitingTieResolution) {
+    const pendingTies = election.results.positions
+      .filter(result => result.tie && result.tie.status === 'awaiting_resolution');
+
+    await SystemLog.createLog({
+      action: 'result_publish',
+      user: teacherId,
+      details: {
+        electionId: election._id,
+        electionTitle: election.title,
+        totalVotes: results.totalVotes,
+        ties: pendingTies.map(result => ({
+          positionId: result.position,
+          candidates: result.tie.candidates,
+          seatsRemaining: result.tie.seatsRemaining
+        })),
+        tieBreakPolicy: election.tieBreakPolicy
+      },
+      status: 'warning',
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    req.flash('info', pendingTies.some(result => result.tie.runoffElection)
+      ? 'The election ended in a tie. A run-off election has been scheduled.'
+      : 'The election ended in a tie and is awaiting resolution.');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
 
   // Update election
   election.results.published = true;
@@ -843,7 +1377,8 @@ const publishResults = asyncHandler(async (req, res) => {
       electionId: election._id,
       electionTitle: election.title,
       totalVotes: results.totalVotes,
-      winnerId: results.winnerId
+      winners: election.results.winners,
+      countSheet: resultsService.getCountSheet(election)
     },
     status: 'success',
     ip: req.ip,
@@ -855,28 +1390,99 @@ const publishResults = asyncHandler(async (req, res) => {
 });
 
 /**
- * Send reminder to students who haven't voted
+ * Resolve a tie by teacher decision
  */
-const sendVotingReminder = asyncHandler(async (req, res) => {
+const resolveTie = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const teacherId = req.session.user._id;
+  const { positionId, reason } = req.body;
+  // One candidate per remaining seat
+  const candidateIds = [].concat(req.body.candidateIds || []).filter(Boolean);
 
   // Find election
-  const election = await Election.findById(id)
-    .populate('class', 'name');
+  const election = await Election.findById(id);
 
   if (!election) {
     req.flash('error', 'Election not found');
     return res.redirect('/teacher/elections');
   }
 
-  // Check if teacher has permission
-  const hasPermission =
-    election.createdBy.toString() === teacherId.toString() ||
-    (await Class.exists({ _id: election.class._id, classTeacher: teacherId }));
+  if (!election.isAwaitingTieResolution) {
+    req.flash('error', 'This election has no tie awaiting resolution');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  const positionResult = election.results.positions
+    .find(result => result.position.toString() === String(positionId));
 
-  if (!hasPermission) {
-    req.flash('error', 'You do not have permission for this action');
+  if (!positionResult || !positionResult.tie || positionResult.tie.status !== 'awaiting_resolution') {
+    req.flash('error', 'This position has no tie awaiting resolution');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  // A pending run-off decides the tie, not the teacher
+  if (positionResult.tie.runoffElection) {
+    req.flash('error', 'This tie will be resolved by the scheduled run-off election');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  if (candidateIds.length === 0 || !reason || !reason.trim()) {
+    req.flash('error', 'Please select the winners and give a reason for the decision');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  try {
+    await resultsService.resolveTie(election, positionId, candidateIds, {
+      method: 'teacher_decision',
+      userId: teacherId,
+      reason: reason.trim()
+    });
+  } catch (error) {
+    req.flash('error', error.message);
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  // Other positions may still be tied
+  if (!election.results.published) {
+    req.flash('success', 'Tie resolved. Other positions are still awaiting resolution.');
+    return res.redirect(`/teacher/elections/${id}`);
+  }
+
+  // Log result publication
+  await SystemLog.createLog({
+    action: 'result_publish',
+    user: teacherId,
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      totalVotes: election.results.totalVotes,
+      positionId,
+      winners: election.results.winners,
+      tieResolvedBy: 'teacher_decision',
+      countSheet: resultsService.getCountSheet(election)
+    },
+    status: 'success',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  req.flash('success', 'Tie resolved and election results published');
+  res.redirect(`/teacher/elections/${id}`);
+});
+
+/**
+ * Send reminder to students who haven't voted
+ */
+const sendVotingReminder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const teacherId = req.session.user._id;
+
+  // Find election
+  const election = await Election.findById(id)
+    .populate('class', 'name');
+
+  if (!election) {
+    req.flash('error', 'Election not found');
     return res.redirect('/teacher/elections');
   }
 
@@ -886,8 +1492,8 @@ const sendVotingReminder = asyncHandler(async (req, res) => {
     return res.redirect(`/teacher/elections/${id}`);
   }
 
-  // Get students who haven't voted
-  const votedStudentIds = election.votes.map(vote => vote.student.toString());
+  // Get students who haven't voted through either channel
+  const votedStudentIds = await resultsService.getVotedStudentIds(election);
 
   const studentsNotVoted = await User.find({
     class: election.class._id,
@@ -962,6 +1568,15 @@ module.exports = {
   getElectionEdit,
   addCandidate,
   removeCandidate,
+  getNominations,
+  approveNomination,
+  rejectNomination,
+  getCandidateDocument,
+  confirmWithdrawal,
+  declineWithdrawal,
+  addPosition,
+  removePosition,
   publishResults,
+  resolveTie,
   sendVotingReminder
 };
@@ -139,11 +139,10 @@ async function initializeDatabase() {
       },
       publicAccess: {
         allowAnonymousVoting: true,
-        requireRollNumber: true,
+        verification: 'roster',
+        secondFactor: 'none',
         votingTimeSlots: []
-      },
-      votes: [],
-      anonymousVotes: []
+      }
     });
     console.log('✅ Sample election created:', election.title);
 
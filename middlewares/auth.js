@@ -20,30 +20,6 @@ const isAuthenticated = (req, res, next) => {
   return res.redirect('/auth/login');
 };
 
-/**
- * Check if user is an admin
- */
-const isAdmin = (req, res, next) => {
-  if (req.session.user && req.session.user.role === 'admin') {
-    return next();
-  }
-
-  req.flash('error', 'You need admin privileges to access this page');
-  return res.redirect('/');
-};
-
-/**
- * Check if user is a teacher
- */
-const isTeacher = (req, res, next) => {
-  if (req.session.user && (req.session.user.role === 'teacher' || req.session.user.role === 'admin')) {
-    return next();
-  }
-
-  req.flash('error', 'You need teacher privileges to access this page');
-  return res.redirect('/');
-};
-
 /**
  * Check if user is a student
  */
@@ -68,10 +44,42 @@ const isVerified = (req, res, next) => {
   return res.redirect('/auth/verify-email');
 };
 
+// Secrets that are never logged, even when a route lists them
+const NEVER_LOGGED_FIELDS = new Set(['_csrf', 'password', 'confirmPassword', 'currentPassword', 'newPassword']);
+
+/**
+ * Pick the listed fields of a request body for the activity log
+ * Anything not listed (ballot choices, passwords, tokens) is left out.
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object}
+ */
+const pickLoggedFields = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body && body[field] !== undefined && !NEVER_LOGGED_FIELDS.has(field)) picked[field] = body[field];
+  });
+  return picked;
+};
+
+/**
+ * Query string for the activity log, without secrets
+ * Multipart forms carry the CSRF token in the query string.
+ * @param {Object} query - Request query
+ * @returns {Object}
+ */
+const getLoggedQuery = (query) => {
+  const logged = { ...query };
+  NEVER_LOGGED_FIELDS.forEach(field => delete logged[field]);
+  return logged;
+};
+
 /**
  * Log user activity
+ * @param {string} action - SystemLog action
+ * @param {string[]} [fields] - Body fields of a POST that may be logged
  */
-const logActivity = (action) => {
+const logActivity = (action, fields = []) => {
   return async (req, res, next) => {
     try {
       // Get user IP and User Agent
@@ -85,8 +93,8 @@ const logActivity = (action) => {
         details: {
           method: req.method,
           path: req.path,
-          query: req.query,
-          body: req.method === 'POST' ? { ...req.body, password: undefined } : undefined
+          query: getLoggedQuery(req.query),
+          body: req.method === 'POST' ? pickLoggedFields(req.body, fields) : undefined
         },
         ip,
         userAgent,
@@ -118,8 +126,6 @@ const isSameCollege = (req, res, next) => {
 
 module.exports = {
   isAuthenticated,
-  isAdmin,
-  isTeacher,
   isStudent,
   isVerified,
   logActivity,
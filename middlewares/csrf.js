@@ -0,0 +1,92 @@
+/**
+ * CSRF Protection Middleware
+ * Purpose: Synchronizer-token protection for every state-changing request
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Each session gets a random token, exposed to views as `csrfToken`. Forms
+ * send it in a hidden `_csrf` field; fetch and jQuery requests send it in
+ * the `CSRF-Token` header (public/js/main.js reads it from the page's
+ * csrf-token meta tag). POST, PUT, PATCH and DELETE requests without the
+ * session's token are rejected. The token is never read from the URL, where
+ * it would end up in logs and Referer headers; file upload forms are parsed
+ * before this check (see server.js) so their hidden field can be read.
+ */
+
+const crypto = require('crypto');
+const SystemLog = require('../models/SystemLog');
+
+// Methods that only read and need no token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the session's CSRF token, creating it on first use
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+/**
+ * Compare a submitted token with the session's in constant time
+ * @param {string} expected - Session token
+ * @param {string} submitted - Token sent with the request
+ * @returns {boolean}
+ */
+const tokensMatch = (expected, submitted) => {
+  if (typeof submitted !== 'string' || submitted.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted));
+};
+
+/**
+ * Check the CSRF token on state-changing requests
+ */
+const csrfProtection = async (req, res, next) => {
+  const expected = getCsrfToken(req);
+  res.locals.csrfToken = expected;
+
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const submitted = (req.body && req.body._csrf) ||
+    req.headers['csrf-token'] ||
+    req.headers['x-csrf-token'];
+
+  if (tokensMatch(expected, submitted)) return next();
+
+  await SystemLog.createLog({
+    action: 'csrf_reject',
+    user: req.session.user ? req.session.user._id : null,
+    details: {
+      method: req.method,
+      path: req.originalUrl,
+      tokenSent: !!submitted
+    },
+    status: 'warning',
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  const message = 'Your session has expired or the form is out of date. Please reload the page and try again.';
+
+  const wantsJson = req.xhr ||
+    (req.headers.accept || '').indexOf('json') > -1 ||
+    (req.headers['content-type'] || '').indexOf('json') > -1;
+  if (wantsJson) {
+    return res.status(403).json({ error: message });
+  }
+
+  res.status(403).render('error', {
+    title: 'Request Blocked',
+    message,
+    error: {}
+  });
+};
+
+module.exports = {
+  getCsrfToken,
+  csrfProtection
+};
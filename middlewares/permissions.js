@@ -0,0 +1,132 @@
+/**
+ * Permission Middleware
+ * Purpose: Check a user's capabilities (config/permissions) before a route runs
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const Class = require('../models/Class');
+const Election = require('../models/Election');
+const permissions = require('../config/permissions');
+
+/**
+ * Whether a request expects a JSON response
+ * @param {Object} req - Request
+ * @returns {boolean}
+ */
+const wantsJSON = (req) => {
+  return req.xhr ||
+    (req.headers.accept || '').indexOf('json') > -1 ||
+    (req.headers['content-type'] || '').indexOf('json') > -1;
+};
+
+/**
+ * Turn a request away
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {number} status - HTTP status for JSON requests
+ * @param {string} message - Message for the user
+ * @param {string} redirectTo - Page to return to
+ */
+const deny = (req, res, status, message, redirectTo) => {
+  if (wantsJSON(req)) {
+    return res.status(status).json({ error: message });
+  }
+
+  req.flash('error', message);
+  return res.redirect(redirectTo);
+};
+
+/**
+ * Check whether a user may act on an election
+ * Roles scoped to every class may; others only on elections they created
+ * or for classes they teach.
+ * @param {Object} user - Session user
+ * @param {Object} election - Election with createdBy and class
+ * @returns {Promise<boolean>}
+ */
+const canAccessElection = async (user, election) => {
+  if (permissions.hasAllClasses(user.role)) return true;
+
+  const userId = user._id.toString();
+  const createdBy = election.createdBy && (election.createdBy._id || election.createdBy);
+  if (createdBy && createdBy.toString() === userId) return true;
+
+  const classId = election.class && (election.class._id || election.class);
+  return Boolean(await Class.exists({ _id: classId, classTeacher: user._id }));
+};
+
+/**
+ * Check whether a user may see an election's per-candidate counts
+ * Counts are public once results are published. Until then only those who
+ * can publish the election's results see them; turnout.read alone
+ * (observers) shows turnout, not how the count stands.
+ * @param {Object} user - Session user (none for visitors)
+ * @param {Object} election - Election with status, results, createdBy and class
+ * @returns {Promise<boolean>}
+ */
+const canSeeCounts = async (user, election) => {
+  if (election.status === 'completed' && election.results && election.results.published) return true;
+  if (!user || !permissions.hasPermission(user.role, 'election.publish')) return false;
+  return canAccessElection(user, election);
+};
+
+/**
+ * Build the class query for the classes a user may act on
+ * @param {Object} user - Session user
+ * @returns {Object} - Class query
+ */
+const getClassScope = (user) => {
+  return permissions.hasAllClasses(user.role) ? {} : { classTeacher: user._id };
+};
+
+/**
+ * Require a capability
+ * @param {string} permission - Capability from config/permissions
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (req.session.user && permissions.hasPermission(req.session.user.role, permission)) {
+      return next();
+    }
+
+    return deny(req, res, 403, 'You do not have permission to access this page', '/');
+  };
+};
+
+/**
+ * Require a capability on the election named in the route
+ * @param {string} permission - Capability from config/permissions
+ * @param {string} [param] - Route parameter holding the election id
+ */
+const requireElectionPermission = (permission, param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const user = req.session.user;
+      if (!user || !permissions.hasPermission(user.role, permission)) {
+        return deny(req, res, 403, 'You do not have permission for this action', '/');
+      }
+
+      const election = await Election.findById(req.params[param]).select('createdBy class');
+      if (!election) {
+        return deny(req, res, 404, 'Election not found', '/teacher/elections');
+      }
+
+      if (!(await canAccessElection(user, election))) {
+        return deny(req, res, 403, 'You do not have permission for this election', '/teacher/elections');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  canAccessElection,
+  canSeeCounts,
+  getClassScope,
+  requirePermission,
+  requireElectionPermission
+};
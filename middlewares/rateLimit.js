@@ -0,0 +1,97 @@
+/**
+ * Rate Limit Middleware
+ * Purpose: Throttle and turn away repeated requests to sensitive routes
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const SystemLog = require('../models/SystemLog');
+const rateLimits = require('../config/rateLimits');
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Find the page to send a turned-away form back to
+ * The page it was sent from when the browser says so and it is on this
+ * site; otherwise the route's redirectTo. Never the request's own URL,
+ * which may only accept POST.
+ * @param {Object} req - Request
+ * @param {Object} limits - Route limits from config/rateLimits
+ * @returns {string} - Path on this site
+ */
+const getReturnPath = (req, limits) => {
+  const referrer = req.get('Referrer');
+  if (referrer) {
+    try {
+      const url = new URL(referrer);
+      if (url.host === req.get('host')) return url.pathname + url.search;
+    } catch (error) {
+      // Not a URL; fall back to the route's page
+    }
+  }
+
+  const { redirectTo } = limits;
+  return (typeof redirectTo === 'function' ? redirectTo(req) : redirectTo) || '/';
+};
+
+/**
+ * Limit a route per IP and per account (see config/rateLimits)
+ * @param {string} route - Route name from config/rateLimits
+ */
+const rateLimit = (route) => {
+  return async (req, res, next) => {
+    if (!rateLimits.enabled) return next();
+
+    let result;
+    try {
+      result = await rateLimitService.checkRequest(route, req);
+    } catch (error) {
+      // Don't lock everyone out because the counters can't be reached
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
+
+    if (result.blocked) {
+      // Log once per window rather than for every rejected request
+      const firstBlocked = result.blockedHits.find(blockedHit => blockedHit.firstBlocked);
+      if (firstBlocked) {
+        await SystemLog.createLog({
+          action: 'rate_limit',
+          user: req.session.user ? req.session.user._id : null,
+          details: {
+            route,
+            scope: firstBlocked.scope,
+            path: req.originalUrl,
+            count: firstBlocked.count,
+            resetAt: firstBlocked.resetAt
+          },
+          status: 'warning',
+          ip: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+      }
+
+      const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+      const minutes = Math.ceil(retryAfter / 60);
+      const message = `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+
+      res.set('Retry-After', String(retryAfter));
+      if (req.xhr || (req.headers.accept || '').indexOf('json') > -1) {
+        return res.status(429).json({ error: message });
+      }
+
+      req.flash('error', message);
+      return res.redirect(getReturnPath(req, rateLimits.routes[route]));
+    }
+
+    // Slow down clients that are getting close to the limit
+    if (result.delayMs > 0) {
+      await rateLimitService.delay(result.delayMs);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
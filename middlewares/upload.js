@@ -0,0 +1,90 @@
+/**
+ * Upload Middleware
+ * Purpose: Receive uploaded files (multipart forms) with size and type limits
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Upload routes are mounted in server.js ahead of the CSRF check, which
+ * then reads the form's hidden _csrf field from the parsed body. Multipart
+ * bodies sent anywhere else stay unparsed, so they carry no token and are
+ * rejected.
+ */
+
+const multer = require('multer');
+const path = require('path');
+
+// Largest roster file accepted
+const MAX_ROSTER_SIZE = 5 * 1024 * 1024;
+
+// Largest candidate photo accepted (before resizing)
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+
+// Largest nomination document accepted
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Accept only files with one of the given extensions
+ * @param {string[]} extensions - Extensions with the dot
+ * @param {string} message - Error for other files
+ * @returns {Function} - multer fileFilter
+ */
+const allowExtensions = (extensions, message) => {
+  return (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (extensions.includes(extension)) {
+      return callback(null, true);
+    }
+    callback(new Error(message));
+  };
+};
+
+/**
+ * Wrap a multer handler so upload errors are flashed back to the form
+ * @param {Function} handler - multer middleware
+ * @param {Function} [getRedirect] - Page to return to (defaults to the upload path)
+ * @returns {Function}
+ */
+const withUploadErrors = (handler, getRedirect = req => req.originalUrl) => {
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) return next();
+
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'The file is too large'
+        : error.message;
+
+      req.flash('error', message);
+      return res.redirect(getRedirect(req));
+    });
+  };
+};
+
+// Roster spreadsheets, kept in memory and parsed straight away
+const rosterUpload = withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ROSTER_SIZE, files: 1 },
+  fileFilter: allowExtensions(['.csv', '.xlsx'], 'Please upload a .csv or .xlsx file')
+}).single('file'));
+
+// Candidate uploads return to the student's election page
+const toElectionPage = req => `/student/elections/${req.params.id}`;
+
+// Candidate photos, kept in memory to be checked and resized
+const candidatePhotoUpload = withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_SIZE, files: 1 },
+  fileFilter: allowExtensions(['.jpg', '.jpeg', '.png', '.webp'], 'Please upload a JPEG, PNG or WebP photo')
+}).single('photo'), toElectionPage);
+
+// Nomination documents, kept in memory to be checked before storing
+const candidateDocumentUpload = withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 },
+  fileFilter: allowExtensions(['.pdf', '.jpg', '.jpeg', '.png'], 'Documents must be PDF, JPEG or PNG files')
+}).single('document'), toElectionPage);
+
+module.exports = {
+  rosterUpload,
+  candidatePhotoUpload,
+  candidateDocumentUpload
+};
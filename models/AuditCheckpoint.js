@@ -0,0 +1,71 @@
+/**
+ * Audit Checkpoint Model
+ * Purpose: Signed snapshots of the head of the system log hash chain
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const mongoose = require('mongoose');
+
+// AuditCheckpoint schema
+const auditCheckpointSchema = new mongoose.Schema({
+  // Last log entry covered and its hash
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  // Previous checkpoint (0 and the genesis hash for the first one)
+  previousSequence: {
+    type: Number,
+    default: 0
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  // Entries added since the previous checkpoint
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  actionCounts: {
+    vote_cast: { type: Number, default: 0 },
+    result_publish: { type: Number, default: 0 }
+  },
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    default: 'Ed25519'
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  keyFingerprint: {
+    type: String
+  },
+  // Empty for checkpoints made by the scheduler
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create the model
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+module.exports = AuditCheckpoint;
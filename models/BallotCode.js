@@ -0,0 +1,63 @@
+/**
+ * Ballot Code Model
+ * Purpose: Single-use ballot codes handed out at offline polling booths
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Codes are stored hashed and carry no link to a student or a ballot, so
+ * burning one says only that a code-holder voted.
+ */
+
+const mongoose = require('mongoose');
+
+// BallotCode schema
+const ballotCodeSchema = new mongoose.Schema({
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  // Printed on the slip so a code can be found (e.g. to void it)
+  serial: {
+    type: Number,
+    required: true
+  },
+  // Codes issued together are one batch
+  batch: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the normalized code
+  codeHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'used', 'voided'],
+    default: 'issued'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Rounded down to the hour, like ballot cast times
+  usedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date
+}, {
+  // No updatedAt: it would record exactly when a code was used
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Serials and codes are unique within an election
+ballotCodeSchema.index({ election: 1, serial: 1 }, { unique: true });
+ballotCodeSchema.index({ election: 1, codeHash: 1 }, { unique: true });
+
+// Create the model
+const BallotCode = mongoose.model('BallotCode', ballotCodeSchema);
+
+module.exports = BallotCode;
@@ -2,10 +2,11 @@
  * Candidate Model
  * Purpose: Schema for election candidates
  * Version: 1.0.0
- * Last Modified: July 31, 2025
+ * Last Modified: October 18, 2026
  */
 
 const mongoose = require('mongoose');
+const { MANIFESTO_LENGTH, renderManifesto, getManifestoText } = require('../utils/markdown');
 
 // List of available symbols for candidates
 const availableSymbols = [
@@ -17,6 +18,27 @@ const availableSymbols = [
   'phone', 'camera', 'computer', 'rocket', 'car'
 ];
 
+// Nomination document (ID card, no-dues certificate, ...) kept in file storage
+const candidateDocumentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['id_card', 'no_dues', 'other'],
+    required: true
+  },
+  originalName: String,
+  // Storage key (services/storageService)
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 // Candidate schema
 const candidateSchema = new mongoose.Schema({
   student: {
@@ -29,6 +51,10 @@ const candidateSchema = new mongoose.Schema({
     ref: 'Election',
     required: [true, 'Election is required']
   },
+  // Position (Election.positions subdocument) the candidate stands for
+  position: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   symbol: {
     type: String,
     required: [true, 'Symbol is required'],
@@ -39,10 +65,26 @@ const candidateSchema = new mongoose.Schema({
     required: [true, 'Color is required'],
     default: '#3498db'
   },
+  // Markdown; each election sets its own limit (Election.manifestoMaxLength)
   manifesto: {
     type: String,
-    trim: true
+    trim: true,
+    maxlength: [MANIFESTO_LENGTH.max, 'Manifesto is too long']
+  },
+  // Filtered words found in the manifesto; it stays hidden until a teacher reviews it
+  manifestoFlags: [String],
+  manifestoReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  manifestoReviewedAt: Date,
+  // Square JPEG profile photo kept in file storage
+  photo: {
+    key: String,
+    contentType: String,
+    uploadedAt: Date
   },
+  documents: [candidateDocumentSchema],
   approved: {
     type: Boolean,
     default: false
@@ -52,6 +94,47 @@ const candidateSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  // Set when the student nominated themselves (teacher-added candidates are approved at once)
+  selfNominated: {
+    type: Boolean,
+    default: false
+  },
+  // Self-nomination still short of the election's endorsement threshold
+  awaitingEndorsements: {
+    type: Boolean,
+    default: false
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // Candidate's request to stand down, confirmed or declined by a teacher
+  withdrawal: {
+    status: {
+      type: String,
+      enum: ['requested', 'confirmed', 'declined']
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    requestedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    declineReason: {
+      type: String,
+      trim: true
+    }
+  },
+  // Off the ballot (withdrawn candidates are kept for the record)
   active: {
     type: Boolean,
     default: true
@@ -67,6 +150,37 @@ const candidateSchema = new mongoose.Schema({
 // Create index for unique student-election combination
 candidateSchema.index({ student: 1, election: 1 }, { unique: true });
 
+// Virtual for the review state of a nomination: endorsing, pending, approved, withdrawn or rejected
+candidateSchema.virtual('reviewStatus').get(function() {
+  if (this.withdrawal && this.withdrawal.status === 'confirmed') return 'withdrawn';
+  if (this.approved) return 'approved';
+  if (this.rejectedAt) return 'rejected';
+  return this.awaitingEndorsements ? 'endorsing' : 'pending';
+});
+
+// Virtual for whether the manifesto can be shown to other students
+candidateSchema.virtual('manifestoPublished').get(function() {
+  return !this.manifestoFlags || this.manifestoFlags.length === 0 || Boolean(this.manifestoReviewedAt);
+});
+
+// Virtual for the manifesto as sanitized HTML
+candidateSchema.virtual('manifestoHtml').get(function() {
+  return renderManifesto(this.manifesto);
+});
+
+// Virtual for the manifesto as plain text (for excerpts)
+candidateSchema.virtual('manifestoText').get(function() {
+  return getManifestoText(this.manifesto);
+});
+
+// Virtual for the URL of the candidate's photo (changes with each upload)
+candidateSchema.virtual('photoUrl').get(function() {
+  if (!this.photo || !this.photo.key) return null;
+  const electionId = this.election && (this.election._id || this.election);
+  const version = this.photo.uploadedAt ? this.photo.uploadedAt.getTime() : 0;
+  return `/election/${electionId}/candidates/${this._id}/photo?v=${version}`;
+});
+
 // Static method to get all available symbols
 candidateSchema.statics.getAvailableSymbols = function() {
   return availableSymbols;
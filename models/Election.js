@@ -2,10 +2,100 @@
  * Election Model
  * Purpose: Schema for college elections
  * Version: 1.0.0
- * Last Modified: July 31, 2025
+ * Last Modified: October 19, 2026
  */
 
 const mongoose = require('mongoose');
+const { MANIFESTO_LENGTH } = require('../utils/markdown');
+
+// Ways a tie for the last available seat can be broken
+const tieBreakPolicies = ['runoff', 'lots', 'earliest_vote', 'teacher_decision'];
+
+// How ballots are marked and counted
+// - plurality: one candidate per position, most votes wins
+// - approval: any number of candidates per position, most approvals wins
+// - block: up to one candidate per seat, most votes win the seats
+// - irv: candidates ranked in order of preference, instant-runoff count
+// - stv: candidates ranked, single transferable vote with the Droop quota
+const votingMethods = ['plurality', 'approval', 'block', 'irv', 'stv'];
+
+// Methods where voters rank candidates instead of ticking them
+const rankedVotingMethods = ['irv', 'stv'];
+
+// Display names of the voting methods
+const votingMethodLabels = {
+  plurality: 'Plurality',
+  approval: 'Approval',
+  block: 'Block vote',
+  irv: 'Ranked choice (instant runoff)',
+  stv: 'Single transferable vote'
+};
+
+// Default position titles for single-position elections
+const defaultPositionTitles = {
+  CR: 'Class Representative',
+  BR: 'Batch Representative',
+  Other: 'Representative'
+};
+
+// Position (post) schema, e.g. President, Secretary, Treasurer
+const positionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Position title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: [1, 'A position needs at least one seat']
+  }
+});
+
+// Tie for the last seat(s) of a position
+const tieSchema = new mongoose.Schema({
+  detected: {
+    type: Boolean,
+    default: false
+  },
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+  votes: Number,
+  // Seats still to fill from the tied candidates
+  seatsRemaining: Number,
+  policy: {
+    type: String,
+    enum: tieBreakPolicies
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_resolution', 'resolved']
+  },
+  method: String,
+  // Tied candidates picked by the tie-break
+  winners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+  // Seed used for a draw of lots, so the draw can be reproduced
+  seed: String,
+  runoffElection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  reason: String
+}, { _id: false });
 
 // Election schema
 const electionSchema = new mongoose.Schema({
@@ -29,6 +119,15 @@ const electionSchema = new mongoose.Schema({
     ref: 'Class',
     required: [true, 'Class is required']
   },
+  // The class as it was when the election was held, saved by the
+  // academic-year rollover before the class moves up a year
+  classSnapshot: {
+    name: String,
+    department: String,
+    year: Number,
+    section: String,
+    academicYear: String
+  },
   startDate: {
     type: Date,
     required: [true, 'Start date is required']
@@ -37,6 +136,8 @@ const electionSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'End date is required']
   },
+  // Posts filled by this election; each candidate stands for one of them
+  positions: [positionSchema],
   candidates: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Candidate'
@@ -55,9 +156,19 @@ const electionSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
-    requireRollNumber: {
-      type: Boolean,
-      default: true
+    // How QR voters prove they may vote: a roll number on the class
+    // roster, or a pre-issued single-use ballot code
+    verification: {
+      type: String,
+      enum: ['roster', 'ballot_code'],
+      default: 'roster'
+    },
+    // Roster verification only: a second check besides the roll number
+    // (date of birth or the student's voting PIN)
+    secondFactor: {
+      type: String,
+      enum: ['none', 'date_of_birth', 'pin'],
+      default: 'none'
     },
     votingTimeSlots: [{
       startTime: Date,
@@ -66,43 +177,84 @@ const electionSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
-    }]
-  },
-  anonymousVotes: [{
-    rollNumber: {
-      type: String,
-      required: true
-    },
-    candidate: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Candidate'
-    },
-    ipAddress: String,
-    userAgent: String,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  votes: [{
-    student: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    candidate: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Candidate'
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
+    }],
+    // Last ballot code batch and serial handed out (raised atomically)
+    ballotCodeCounters: {
+      batch: {
+        type: Number,
+        default: 0
+      },
+      serial: {
+        type: Number,
+        default: 0
+      }
     }
-  }],
+  },
+  // Number of voters, kept in step with the Participation collection
+  // (ballots live in the Vote collection)
+  voteCount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['pending', 'active', 'completed', 'cancelled'],
     default: 'pending'
   },
+  votingMethod: {
+    type: String,
+    enum: votingMethods,
+    default: 'plurality'
+  },
+  // Publish results automatically when the scheduler closes the election
+  autoPublishResults: {
+    type: Boolean,
+    default: false
+  },
+  // Classmate endorsements a self-nomination needs before teachers review it
+  endorsementsRequired: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  // Longest manifesto a candidate can submit (characters of Markdown)
+  manifestoMaxLength: {
+    type: Number,
+    default: MANIFESTO_LENGTH.default,
+    min: MANIFESTO_LENGTH.min,
+    max: MANIFESTO_LENGTH.max
+  },
+  // Hold manifestos with filtered words (config/wordFilter.js) for teacher review
+  manifestoWordFilter: {
+    type: Boolean,
+    default: false
+  },
+  // Words this election adds to the filter
+  manifestoBlockedWords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Last moment candidates can ask to withdraw (defaults to the start of voting)
+  withdrawalDeadline: Date,
+  // Positions left with no more candidates than seats after a withdrawal
+  unopposed: {
+    positions: [mongoose.Schema.Types.ObjectId],
+    flaggedAt: Date
+  },
+  // How a tie for first place is resolved
+  tieBreakPolicy: {
+    type: String,
+    enum: tieBreakPolicies,
+    default: 'teacher_decision'
+  },
+  // Set on run-off elections created to break a tie
+  runoffOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  },
+  runoffPosition: mongoose.Schema.Types.ObjectId,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -121,12 +273,59 @@ const electionSchema = new mongoose.Schema({
     winner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Candidate'
-    }
+    },
+    // Every elected candidate, position by position in order of election
+    winners: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    }],
+    totalVotes: Number,
+    // Per-source breakdown of the counted ballots
+    sources: {
+      registered: Number,
+      anonymous: Number
+    },
+    // Winners (and any tie) for each position
+    positions: [{
+      position: mongoose.Schema.Types.ObjectId,
+      title: String,
+      seats: Number,
+      winners: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Candidate'
+      }],
+      tie: tieSchema,
+      // Final vote count per candidate
+      candidateVotes: {
+        type: Map,
+        of: Number
+      },
+      // Droop quota (STV only)
+      quota: Number,
+      // Instant-runoff / STV count, one entry per round
+      rounds: [{
+        _id: false,
+        round: Number,
+        counts: {
+          type: Map,
+          of: Number
+        },
+        exhausted: Number,
+        elected: [mongoose.Schema.Types.ObjectId],
+        eliminated: [mongoose.Schema.Types.ObjectId],
+        // How a tie for last place was broken (previous_rounds or lots)
+        tieBreak: String
+      }]
+    }]
   }
 }, {
   timestamps: true
 });
 
+// Indexes used by the lifecycle scheduler
+electionSchema.index({ status: 1, startDate: 1 });
+electionSchema.index({ status: 1, endDate: 1 });
+
 // Virtual for checking if election is active
 electionSchema.virtual('isActive').get(function() {
   const now = new Date();
@@ -145,26 +344,80 @@ electionSchema.virtual('isCompleted').get(function() {
   return now > this.endDate || this.status === 'completed';
 });
 
-// Virtual for getting vote count
-electionSchema.virtual('voteCount').get(function() {
-  return this.votes.length;
+// Virtual for the class name as it was at election time
+electionSchema.virtual('className').get(function() {
+  if (this.classSnapshot && this.classSnapshot.name) return this.classSnapshot.name;
+  return this.class && this.class.name;
 });
 
-// Method to check if a student has voted (including anonymous votes)
-electionSchema.methods.hasVoted = function(studentId, rollNumber = null) {
-  // Check registered student votes
-  if (studentId) {
-    const hasRegisteredVote = this.votes.some(vote => vote.student.toString() === studentId.toString());
-    if (hasRegisteredVote) return true;
-  }
+// Virtual for checking if a tie is waiting to be resolved in any position
+electionSchema.virtual('isAwaitingTieResolution').get(function() {
+  if (!this.results || !this.results.positions) return false;
+  return this.results.positions.some(result =>
+    result.tie && result.tie.detected && result.tie.status === 'awaiting_resolution'
+  );
+});
+
+// Virtual for checking if voters rank the candidates
+electionSchema.virtual('isRankedBallot').get(function() {
+  return rankedVotingMethods.includes(this.votingMethod);
+});
+
+// Virtual for checking if QR voters need a ballot code; such elections
+// are voted only at polling booths, since codes can't be matched to students
+electionSchema.virtual('usesBallotCodes').get(function() {
+  return !!this.publicAccess && this.publicAccess.verification === 'ballot_code';
+});
+
+// Virtual for the display name of the voting method
+electionSchema.virtual('votingMethodLabel').get(function() {
+  return votingMethodLabels[this.votingMethod];
+});
+
+// Virtual for the total number of seats across all positions
+electionSchema.virtual('seats').get(function() {
+  return (this.positions || []).reduce((total, position) => total + position.seats, 0);
+});
+
+// Virtual for when candidates can no longer ask to withdraw
+electionSchema.virtual('effectiveWithdrawalDeadline').get(function() {
+  return this.withdrawalDeadline || this.startDate;
+});
 
-  // Check anonymous votes by roll number
-  if (rollNumber) {
-    const hasAnonymousVote = this.anonymousVotes.some(vote => vote.rollNumber === rollNumber);
-    if (hasAnonymousVote) return true;
+// Virtual for checking if a withdrawal left any position unopposed
+electionSchema.virtual('isUnopposed').get(function() {
+  return Boolean(this.unopposed && this.unopposed.positions && this.unopposed.positions.length > 0);
+});
+
+// Give older single-post elections their implicit position
+electionSchema.pre('validate', function(next) {
+  this.ensurePositions();
+  next();
+});
+
+// Method to make sure the election has at least one position
+electionSchema.methods.ensurePositions = function() {
+  if (!this.positions || this.positions.length === 0) {
+    this.positions = [{
+      title: defaultPositionTitles[this.electionType] || defaultPositionTitles.Other,
+      seats: 1
+    }];
   }
+  return this.positions;
+};
+
+// Method to get the position a candidate stands for
+// (candidates created before positions existed belong to the first one)
+electionSchema.methods.getCandidatePosition = function(candidate) {
+  const positions = this.ensurePositions();
+  const positionId = candidate && candidate.position ? candidate.position.toString() : null;
+  return positions.find(position => position._id.toString() === positionId) || positions[0];
+};
 
-  return false;
+// Method to check if a student has voted, by login or by roll number on the QR page
+electionSchema.methods.hasVoted = async function(studentId, rollNumber = null) {
+  const Participation = require('./Participation');
+  return Participation.hasVoted(this._id, studentId, rollNumber);
 };
 
 // Method to check if voting is currently allowed
@@ -201,42 +454,14 @@ electionSchema.methods.getPublicVotingURL = function() {
   return `${baseURL}/vote/${this.qrCode.accessToken}`;
 };
 
-// Method to calculate results
-electionSchema.methods.calculateResults = async function() {
-  // Group votes by candidate
-  const voteCount = {};
-
-  this.votes.forEach(vote => {
-    const candidateId = vote.candidate.toString();
-    voteCount[candidateId] = (voteCount[candidateId] || 0) + 1;
-  });
-
-  // Find the candidate with the most votes
-  let maxVotes = 0;
-  let winnerId = null;
-
-  Object.entries(voteCount).forEach(([candidateId, votes]) => {
-    if (votes > maxVotes) {
-      maxVotes = votes;
-      winnerId = candidateId;
-    }
-  });
-
-  // Set the winner
-  if (winnerId) {
-    this.results.winner = winnerId;
-    this.results.published = true;
-    this.results.publishedAt = new Date();
-    this.status = 'completed';
-    await this.save();
-  }
+// Static method to get all voting methods
+electionSchema.statics.getVotingMethods = function() {
+  return votingMethods;
+};
 
-  return {
-    totalVotes: this.votes.length,
-    voteCounts: voteCount,
-    winnerId,
-    maxVotes
-  };
+// Static method to get all tie-break policies
+electionSchema.statics.getTieBreakPolicies = function() {
+  return tieBreakPolicies;
 };
 
 // Create the model
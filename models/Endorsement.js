@@ -0,0 +1,61 @@
+/**
+ * Endorsement Model
+ * Purpose: A classmate seconding a student's self-nomination
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * The unique index lets each student endorse only one nomination per
+ * position in an election, even when two endorsements arrive together.
+ */
+
+const mongoose = require('mongoose');
+
+// Endorsement schema
+const endorsementSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  // Position (Election.positions subdocument) of the nomination
+  position: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// One endorsement per student per position
+endorsementSchema.index({ election: 1, position: 1, student: 1 }, { unique: true });
+// Endorsements of a nomination
+endorsementSchema.index({ candidate: 1 });
+
+// Static method to count the endorsements of several nominations
+endorsementSchema.statics.countByCandidate = async function(candidateIds) {
+  const counts = await this.aggregate([
+    { $match: { candidate: { $in: candidateIds } } },
+    { $group: { _id: '$candidate', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// Create the model
+const Endorsement = mongoose.model('Endorsement', endorsementSchema);
+
+module.exports = Endorsement;
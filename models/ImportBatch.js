@@ -0,0 +1,93 @@
+/**
+ * Import Batch Model
+ * Purpose: Roster imports from CSV/XLSX, from dry-run preview to the applied result
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const mongoose = require('mongoose');
+
+// One spreadsheet row and what the import does (or did) with it
+const importRowSchema = new mongoose.Schema({
+  row: Number,
+  name: String,
+  email: String,
+  rollNumber: String,
+  className: String,
+  dateOfBirth: Date,
+  // create, update, unchanged or error
+  action: String,
+  // Validation errors that keep the row out of the import
+  issues: [String],
+  // Set once the batch is applied
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  emailSent: Boolean
+}, {
+  _id: false
+});
+
+// ImportBatch schema
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // previewed -> applied, or discarded
+  status: {
+    type: String,
+    enum: ['previewed', 'applied', 'discarded'],
+    default: 'previewed'
+  },
+  options: {
+    // Class for rows without a class column
+    defaultClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    },
+    createClasses: { type: Boolean, default: false },
+    sendEmails: { type: Boolean, default: true }
+  },
+  rows: [importRowSchema],
+  counts: {
+    total: { type: Number, default: 0 },
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    error: { type: Number, default: 0 },
+    classesCreated: { type: Number, default: 0 },
+    emailsSent: { type: Number, default: 0 },
+    emailsFailed: { type: Number, default: 0 }
+  },
+  // Classes the import will create (preview) or created (applied)
+  newClasses: [{
+    _id: false,
+    name: String,
+    department: String,
+    year: Number,
+    section: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+// Newest first for the history list
+importBatchSchema.index({ createdAt: -1 });
+
+// Create the model
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
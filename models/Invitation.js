@@ -0,0 +1,72 @@
+/**
+ * Invitation Model
+ * Purpose: Invitations that let admins create staff accounts (teachers, officers, observers, admins)
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const mongoose = require('mongoose');
+
+// Invitation schema
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Public registration only creates students
+  role: {
+    type: String,
+    enum: ['admin', 'election_officer', 'teacher', 'observer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  // Part of the signed link; replaced on resend so older links stop working
+  nonce: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// At most one pending invitation per email
+invitationSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Create the model
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
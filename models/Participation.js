@@ -0,0 +1,102 @@
+/**
+ * Participation Model
+ * Purpose: Record who voted in an election, never what they chose
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * One record per voter per election. The unique indexes on the student and
+ * on the roll number make the database reject a second vote by the same
+ * person, whichever channel (login or QR page) each vote came through.
+ * Like ballots, records have random ids and keep their time to the hour, so
+ * the two can't be lined up by the order they were written in.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Participation schema
+const participationSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  // registered: logged-in student, qr: public voting page
+  channel: {
+    type: String,
+    enum: ['registered', 'qr'],
+    required: true
+  },
+  // Set for logged-in votes and for QR votes matching a student of the class
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rollNumber: {
+    type: String
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Rounded down to the hour for new votes
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// One vote per student and per roll number in each election
+participationSchema.index(
+  { election: 1, student: 1 },
+  { unique: true, partialFilterExpression: { student: { $type: 'objectId' } } }
+);
+participationSchema.index(
+  { election: 1, rollNumber: 1 },
+  { unique: true, partialFilterExpression: { rollNumber: { $type: 'string' } } }
+);
+// Voting history of a student
+participationSchema.index({ student: 1 });
+
+// Static method to check if a student or roll number voted in an election
+participationSchema.statics.hasVoted = async function(electionId, studentId, rollNumber = null) {
+  const identities = [];
+  if (studentId) identities.push({ student: studentId });
+  if (rollNumber) identities.push({ rollNumber });
+  if (identities.length === 0) return false;
+
+  return !!(await this.exists({ election: electionId, $or: identities }));
+};
+
+// Static method to get which of the given elections a student voted in
+participationSchema.statics.getVotedElectionIds = async function(studentId, electionIds) {
+  const voted = await this.find({
+    election: { $in: electionIds },
+    student: studentId
+  }).distinct('election');
+
+  return new Set(voted.map(electionId => electionId.toString()));
+};
+
+// Static method to count voters per channel
+participationSchema.statics.countByChannel = async function(electionId) {
+  const groups = await this.aggregate([
+    { $match: { election: new mongoose.Types.ObjectId(electionId.toString()) } },
+    { $group: { _id: '$channel', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { registered: 0, qr: 0 };
+  groups.forEach(group => {
+    counts[group._id] = group.count;
+  });
+  return counts;
+};
+
+// Create the model
+const Participation = mongoose.model('Participation', participationSchema);
+
+module.exports = Participation;
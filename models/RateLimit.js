@@ -0,0 +1,45 @@
+/**
+ * Rate Limit Model
+ * Purpose: Request counters and login lockouts for the rate limiter
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Stored in MongoDB so limits hold across restarts and server processes.
+ * Counters remove themselves once their window ends (TTL index).
+ */
+
+const mongoose = require('mongoose');
+
+// RateLimit schema
+const rateLimitSchema = new mongoose.Schema({
+  // e.g. "login:ip:1.2.3.4:1234567" (route, scope, identity, window)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Login failures only: number of lockouts so far and the current one
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Drop counters when their window is over
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,108 @@
+/**
+ * Rollover Model
+ * Purpose: Academic-year rollovers: what changed, so the rollover can be reported and undone
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const mongoose = require('mongoose');
+
+// Class fields changed by a rollover
+const classStateSchema = new mongoose.Schema({
+  name: String,
+  year: Number,
+  active: Boolean
+}, {
+  _id: false
+});
+
+// One class and what the rollover did to it
+const rolloverClassSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  // promote (moved up a year) or graduate (final year, deactivated)
+  action: {
+    type: String,
+    enum: ['promote', 'graduate'],
+    required: true
+  },
+  before: classStateSchema,
+  after: classStateSchema
+}, {
+  _id: false
+});
+
+// Rollover schema
+const rolloverSchema = new mongoose.Schema({
+  // Session that ended, e.g. 2025-26
+  academicYear: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  finalYear: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'undone'],
+    default: 'applied'
+  },
+  classes: [rolloverClassSchema],
+  // Graduating students deactivated by the rollover
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Past elections given a class snapshot by the rollover
+  elections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  }],
+  counts: {
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    studentsDeactivated: { type: Number, default: 0 },
+    electionsArchived: { type: Number, default: 0 }
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The rollover can be undone until then
+  undoUntil: {
+    type: Date,
+    required: true
+  },
+  undoneAt: Date,
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Newest first for the history list
+rolloverSchema.index({ createdAt: -1 });
+
+// One applied rollover per academic year (claimed before any class changes)
+rolloverSchema.index(
+  { academicYear: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+
+// Virtual for checking if the rollover can still be undone
+rolloverSchema.virtual('canUndo').get(function() {
+  return this.status === 'applied' && this.undoUntil > new Date();
+});
+
+// Create the model
+const Rollover = mongoose.model('Rollover', rolloverSchema);
+
+module.exports = Rollover;
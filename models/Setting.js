@@ -0,0 +1,47 @@
+/**
+ * Setting Model
+ * Purpose: System-wide settings changed by admins at runtime
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const mongoose = require('mongoose');
+
+// Setting schema (one document per setting)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Static method to read a setting
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to change a setting
+settingSchema.statics.setValue = async function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { upsert: true, new: true }
+  );
+};
+
+// Create the model
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
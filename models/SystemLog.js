@@ -2,11 +2,35 @@
  * System Log Model
  * Purpose: Schema for tracking system activities and logs
  * Version: 1.0.0
- * Last Modified: July 31, 2025
+ * Last Modified: October 18, 2026
+ *
+ * Entries form a hash chain: each one is numbered and carries the hash of
+ * the entry before it, and its own hash covers its content plus that link.
+ * Editing, deleting or reordering an entry breaks the chain from that point
+ * (see services/auditLogService.js for verification and checkpoints).
+ *
+ * Since hash version 2 an entry's hash covers a hash of its content rather
+ * than the content itself, and the content includes a random nonce. An
+ * export can then give the content hash of an entry it leaves out, and the
+ * chain still checks end to end without revealing or letting anyone guess
+ * what the entry held.
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Previous hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hash scheme of new entries (1: content hashed directly, 2: content hash)
+const HASH_VERSION = 2;
+
+// Attempts at appending before giving up (another process took the sequence)
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Appends from this process are queued so they never race each other
+let appendQueue = Promise.resolve();
+
 // SystemLog schema
 const systemLogSchema = new mongoose.Schema({
   action: {
@@ -15,18 +39,32 @@ const systemLogSchema = new mongoose.Schema({
     enum: [
       'user_login',
       'user_logout',
+      'account_lockout',
+      'two_factor',
+      'rate_limit',
+      'csrf_reject',
       'user_register',
       'user_verify',
       'password_reset',
       'election_create',
       'election_update',
       'election_delete',
+      'election_activate',
+      'election_close',
       'candidate_create',
       'candidate_approve',
       'candidate_reject',
+      'candidate_endorse',
+      'candidate_update',
+      'candidate_withdraw',
       'vote_cast',
+      'vote_reject',
       'result_publish',
+      'tie_detect',
+      'tie_resolve',
       'backup_create',
+      'audit_verify',
+      'audit_checkpoint',
       'system_error',
       'admin_action',
       'teacher_action'
@@ -55,9 +93,29 @@ const systemLogSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Position in the hash chain (entries from before chaining have none)
+  sequence: {
+    type: Number
+  },
+  prevHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+  // Hash scheme (entries without one use version 1)
+  hashVersion: {
+    type: Number
+  },
+  // Random value hashed with the content (version 2)
+  nonce: {
+    type: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Keep empty objects in details, they are part of the hash
+  minimize: false
 });
 
 // Add index on timestamp for faster querying of logs
@@ -66,11 +124,158 @@ systemLogSchema.index({ timestamp: -1 });
 systemLogSchema.index({ action: 1 });
 // Add index on user for faster user-specific queries
 systemLogSchema.index({ user: 1 });
+// One entry per chain position
+systemLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+/**
+ * Serialise a value as JSON with sorted keys, so the same content always
+ * gives the same hash (ids as hex strings, dates as ISO strings)
+ * @param {*} value - Value to serialise
+ * @returns {string}
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  if (typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 of a value's canonical JSON
+ * @param {*} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+
+/**
+ * Hash the content of a version 2 entry (everything but its chain link)
+ * @param {Object} entry - Log entry (document or plain object)
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashContent = (entry) => sha256({
+  action: entry.action,
+  user: entry.user,
+  details: entry.details,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  status: entry.status,
+  timestamp: entry.timestamp,
+  nonce: entry.nonce
+});
+
+/**
+ * Hash a version 2 entry's link from its content hash
+ * @param {Object} link - { sequence, prevHash, contentHash }
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashLink = (link) => sha256({
+  hashVersion: 2,
+  sequence: link.sequence,
+  prevHash: link.prevHash,
+  contentHash: link.contentHash
+});
+
+/**
+ * Hash a log entry together with its link to the previous entry
+ * @param {Object} entry - Log entry (document or plain object)
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashEntry = (entry) => {
+  if (entry.hashVersion === 2) {
+    return hashLink({
+      sequence: entry.sequence,
+      prevHash: entry.prevHash,
+      contentHash: hashContent(entry)
+    });
+  }
+
+  const content = canonicalize({
+    sequence: entry.sequence,
+    prevHash: entry.prevHash,
+    action: entry.action,
+    user: entry.user,
+    details: entry.details,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    status: entry.status,
+    timestamp: entry.timestamp
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Static method to hash an entry (used to verify the chain)
+systemLogSchema.statics.hashEntry = hashEntry;
+systemLogSchema.statics.hashContent = hashContent;
+systemLogSchema.statics.hashLink = hashLink;
+systemLogSchema.statics.canonicalize = canonicalize;
+systemLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+// Static method to append an entry to the end of the chain
+systemLogSchema.statics.appendEntry = async function(data) {
+  const entry = {
+    action: data.action,
+    user: data.user ? (data.user._id || data.user) : null,
+    // Stored as plain JSON so it reads back exactly as it was hashed
+    details: data.details === undefined ? undefined : JSON.parse(JSON.stringify(data.details)),
+    ip: data.ip,
+    userAgent: data.userAgent,
+    status: data.status || 'info',
+    timestamp: data.timestamp ? new Date(data.timestamp) : new Date(),
+    hashVersion: HASH_VERSION,
+    nonce: crypto.randomBytes(16).toString('hex')
+  };
+
+  // An entry given a coarser time (vote_cast) doesn't keep the exact one
+  // in its id or createdAt either
+  if (data.timestamp) {
+    const id = Buffer.alloc(12);
+    id.writeUInt32BE(Math.floor(entry.timestamp.getTime() / 1000));
+    crypto.randomBytes(8).copy(id, 4);
+    entry._id = new mongoose.Types.ObjectId(id);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    entry.sequence = last ? last.sequence + 1 : 1;
+    entry.prevHash = last ? last.hash : GENESIS_HASH;
+    entry.hash = hashEntry(entry);
+
+    try {
+      const [created] = await this.create([entry], { timestamps: !data.timestamp });
+      return created;
+    } catch (error) {
+      // Another process appended first; link to its entry instead
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
 
 // Static method to create a new log entry
 systemLogSchema.statics.createLog = async function(data) {
+  const append = appendQueue.then(() => this.appendEntry(data));
+  appendQueue = append.catch(() => {});
+
   try {
-    return await this.create(data);
+    return await append;
   } catch (error) {
     console.error('Error creating log entry:', error);
     // Still return something even if logging fails
@@ -31,7 +31,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'teacher', 'student'],
+    enum: ['admin', 'election_officer', 'teacher', 'observer', 'student'],
     default: 'student'
   },
   isVerified: {
@@ -56,6 +56,30 @@ const userSchema = new mongoose.Schema({
     ref: 'Class',
     sparse: true // Only required for students and teachers
   },
+  // Second factors for QR voting (students)
+  dateOfBirth: Date,
+  // TOTP two-factor authentication (admins and teachers)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,51 @@
+/**
+ * Vote Model
+ * Purpose: Secret ballots, one document per ballot cast
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * A ballot holds what was chosen, never who chose it (see Participation).
+ * Ids are random rather than ObjectIds, which embed their creation time,
+ * and cast times are kept to the hour, so ballots can't be matched to
+ * voters by time or by id order.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Vote schema
+const voteSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  // Chosen candidates for every position (in preference order when ranked)
+  choices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  }],
+  // Rounded down to the hour
+  castAt: Date,
+  // SHA-256 of the voter's receipt code
+  receiptHash: String
+}, {
+  versionKey: false
+});
+
+// Ballots of an election (tallies)
+voteSchema.index({ election: 1 });
+// Receipt lookups and the bulletin board
+voteSchema.index(
+  { election: 1, receiptHash: 1 },
+  { unique: true, partialFilterExpression: { receiptHash: { $type: 'string' } } }
+);
+
+// Create the model
+const Vote = mongoose.model('Vote', voteSchema);
+
+module.exports = Vote;
@@ -0,0 +1,57 @@
+/**
+ * Voting PIN Model
+ * Purpose: A student's voting PIN for one election (QR second factor)
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * PINs belong to an election, so issuing them for one election leaves the
+ * slips of every other election working.
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// VotingPin schema
+const votingPinSchema = new mongoose.Schema({
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stored hashed, like passwords
+  pinHash: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One PIN per student in each election
+votingPinSchema.index({ election: 1, student: 1 }, { unique: true });
+
+// Static method to hash a PIN for storage
+votingPinSchema.statics.hashPin = async function(pin) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(String(pin), salt);
+};
+
+// Method to compare a typed PIN
+votingPinSchema.methods.comparePin = async function(candidatePin) {
+  if (!candidatePin) return false;
+  return bcrypt.compare(String(candidatePin), this.pinHash);
+};
+
+// Create the model
+const VotingPin = mongoose.model('VotingPin', votingPinSchema);
+
+module.exports = VotingPin;
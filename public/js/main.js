@@ -20,6 +20,11 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // Initialize all components
 function initializeComponents() {
+  // Send the CSRF token with jQuery requests
+  if (window.jQuery) {
+    jQuery.ajaxSetup({ headers: { 'CSRF-Token': getCsrfToken() } });
+  }
+
   // Bootstrap tooltips
   const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
   tooltipTriggerList.map(function(tooltipTriggerEl) {
@@ -143,6 +148,24 @@ function debounce(func, wait) {
   };
 }
 
+// CSRF token of the current session (from the csrf-token meta tag)
+function getCsrfToken() {
+  const meta = document.querySelector('meta[name="csrf-token"]');
+  return meta ? meta.content : '';
+}
+
+// fetch() that sends the CSRF token with state-changing requests
+function csrfFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  if (['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+    return fetch(url, options);
+  }
+
+  const headers = new Headers(options.headers || {});
+  headers.set('CSRF-Token', getCsrfToken());
+  return fetch(url, { ...options, headers });
+}
+
 // Handle search functionality
 function handleSearch(event) {
   const query = event.target.value.trim();
@@ -8,12 +8,28 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { isAuthenticated, isAdmin, isVerified, logActivity } = require('../middlewares/auth');
+const { isAuthenticated, isVerified, logActivity } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/permissions');
+
+// Class form fields kept in the activity log
+const CLASS_LOGGED_FIELDS = ['name', 'department', 'year', 'section', 'classTeacher'];
 
 // Apply auth middlewares to all admin routes
 router.use(isAuthenticated);
 router.use(isVerified);
-router.use(isAdmin);
+
+// System logs (also open to election officers and observers)
+router.get('/logs', requirePermission('logs.read'), adminController.getSystemLogs);
+router.get('/logs/integrity', requirePermission('logs.read'), adminController.getLogIntegrity);
+router.post('/logs/verify', requirePermission('logs.read'), adminController.verifyLogChain);
+router.get('/logs/checkpoints/:id/export', requirePermission('logs.read'), adminController.exportLogCheckpoint);
+
+// Backup
+router.get('/backup', requirePermission('backup.create'), adminController.getBackupPage);
+router.post('/backup/create', requirePermission('backup.create'), logActivity('backup_create'), adminController.createBackup);
+
+// Everything below is the admin console
+router.use(requirePermission('system.manage'));
 
 // Dashboard
 router.get('/dashboard', adminController.getDashboard);
@@ -21,32 +37,50 @@ router.get('/dashboard', adminController.getDashboard);
 // User management
 router.get('/users', adminController.getUserManagement);
 router.get('/users/:id/edit', adminController.getUserEdit);
-router.post('/users/:id/update', logActivity('admin_action'), adminController.updateUser);
+router.post('/users/:id/update', logActivity('admin_action', ['name', 'email', 'role', 'active', 'rollNumber', 'classId']), adminController.updateUser);
 router.post('/users/:id/delete', logActivity('admin_action'), adminController.deleteUser);
 
+// Invitations (staff accounts)
+router.get('/invitations', adminController.getInvitations);
+router.post('/invitations', adminController.createInvitation);
+router.post('/invitations/:id/resend', adminController.resendInvitation);
+router.post('/invitations/:id/revoke', adminController.revokeInvitation);
+
+// Roster import (CSV/XLSX)
+router.get('/import', adminController.getImportPage);
+router.get('/import/template', adminController.downloadImportTemplate);
+// The file is parsed in server.js, before the CSRF check
+router.post('/import', adminController.previewImport);
+router.get('/import/:id', adminController.getImportBatch);
+router.post('/import/:id/apply', adminController.applyImport);
+router.post('/import/:id/discard', adminController.discardImport);
+
+// Academic-year rollover
+router.get('/rollover', adminController.getRollover);
+router.post('/rollover', adminController.applyRollover);
+router.get('/rollover/:id', adminController.getRolloverReport);
+router.post('/rollover/:id/undo', adminController.undoRollover);
+
 // Class management
 router.get('/classes', adminController.getClassManagement);
 router.get('/classes/create', adminController.getClassCreate);
-router.post('/classes/create', logActivity('admin_action'), adminController.createClass);
+router.post('/classes/create', logActivity('admin_action', CLASS_LOGGED_FIELDS), adminController.createClass);
 router.get('/classes/:id/edit', adminController.getClassEdit);
-router.post('/classes/:id/update', logActivity('admin_action'), adminController.updateClass);
+router.post('/classes/:id/update', logActivity('admin_action', [...CLASS_LOGGED_FIELDS, 'active']), adminController.updateClass);
 router.get('/classes/:id', adminController.getClassDetails);
 router.post('/classes/:id/delete', logActivity('admin_action'), adminController.deleteClass);
 
 // Election management
 router.get('/elections', adminController.getElectionManagement);
 router.get('/elections/:id', adminController.getElectionDetails);
-router.post('/elections/:id/status', logActivity('admin_action'), adminController.updateElectionStatus);
+router.post('/elections/:id/status', logActivity('admin_action', ['status']), adminController.updateElectionStatus);
 router.post('/elections/:id/delete', logActivity('admin_action'), adminController.deleteElection);
 
-// System logs
-router.get('/logs', adminController.getSystemLogs);
-
-// Backup
-router.get('/backup', adminController.getBackupPage);
-router.post('/backup/create', logActivity('backup_create'), adminController.createBackup);
+// Signed log checkpoints
+router.post('/logs/checkpoints', adminController.createLogCheckpoint);
 
 // System settings
 router.get('/settings', adminController.getSettingsPage);
+router.post('/settings/two-factor', adminController.updateTwoFactorSettings);
 
 module.exports = router;
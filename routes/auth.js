@@ -8,15 +8,31 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { logActivity } = require('../middlewares/auth');
+const { isAuthenticated, logActivity } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
 
 // Login routes
 router.get('/login', authController.getLoginPage);
-router.post('/login', logActivity('user_login'), authController.login);
+router.post('/login', rateLimit('login'), logActivity('user_login', ['email']), authController.login);
+
+// Two-factor sign-in (second login step and enrollment)
+router.get('/two-factor', authController.getTwoFactorPage);
+router.post('/two-factor', rateLimit('twoFactor'), authController.verifyTwoFactor);
+router.get('/two-factor/setup', authController.getTwoFactorSetup);
+router.post('/two-factor/setup', rateLimit('twoFactor'), authController.enableTwoFactor);
+
+// Account security (two-factor status, recovery codes)
+router.get('/security', isAuthenticated, authController.getSecurityPage);
+router.post('/two-factor/recovery-codes', isAuthenticated, rateLimit('twoFactor'), authController.regenerateRecoveryCodes);
+router.post('/two-factor/disable', isAuthenticated, rateLimit('twoFactor'), authController.disableTwoFactor);
 
 // Registration routes
 router.get('/register', authController.getRegisterPage);
-router.post('/register', logActivity('user_register'), authController.register);
+router.post('/register', rateLimit('register'), logActivity('user_register', ['name', 'email', 'rollNumber', 'classId']), authController.register);
+
+// Invitation routes (teacher and admin accounts)
+router.get('/invite/:token', authController.getAcceptInvitePage);
+router.post('/invite/:token', rateLimit('register'), authController.acceptInvite);
 
 // Email verification routes
 router.get('/verify/:token', authController.verifyEmail);
@@ -25,7 +41,7 @@ router.post('/resend-verification', authController.resendVerificationEmail);
 
 // Password reset routes
 router.get('/forgot-password', authController.getForgotPasswordPage);
-router.post('/forgot-password', authController.forgotPassword);
+router.post('/forgot-password', rateLimit('forgotPassword'), authController.forgotPassword);
 router.get('/reset-password/:token', authController.getResetPasswordPage);
 router.post('/reset-password/:token', authController.resetPassword);
 
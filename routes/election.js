@@ -15,7 +15,12 @@ router.get('/:id', electionController.getElectionById);
 // List all elections
 router.get('/', electionController.listAllElections);
 
+// Public bulletin board of ballot receipts
+router.get('/:id/verify', electionController.getBulletinBoard);
+router.post('/:id/verify', electionController.verifyReceipt);
+
 // Get candidate details
 router.get('/:id/candidates/:candidateId', electionController.getCandidateDetails);
+router.get('/:id/candidates/:candidateId/photo', electionController.getCandidatePhoto);
 
 module.exports = router;
@@ -8,27 +8,70 @@
 const express = require('express');
 const router = express.Router();
 const publicVotingController = require('../controllers/publicVotingController');
-const { isAuthenticated, isTeacher } = require('../middlewares/auth');
+const { isAuthenticated } = require('../middlewares/auth');
+const { requireElectionPermission } = require('../middlewares/permissions');
 
 // Generate QR code for election
 router.post('/generate/:electionId',
   isAuthenticated,
-  isTeacher,
+  requireElectionPermission('election.manage', 'electionId'),
   publicVotingController.generateElectionQR
 );
 
 // Toggle QR code access
 router.post('/toggle/:electionId',
   isAuthenticated,
-  isTeacher,
+  requireElectionPermission('election.manage', 'electionId'),
   publicVotingController.toggleQRAccess
 );
 
 // Add voting time slot
 router.post('/timeslot/:electionId',
   isAuthenticated,
-  isTeacher,
+  requireElectionPermission('election.manage', 'electionId'),
   publicVotingController.addVotingTimeSlot
 );
 
+// Update QR voting settings (second factor)
+router.post('/settings/:electionId',
+  isAuthenticated,
+  requireElectionPermission('election.manage', 'electionId'),
+  publicVotingController.updateQRSettings
+);
+
+// Issue voting PINs to the election's class
+router.post('/pins/:electionId',
+  isAuthenticated,
+  requireElectionPermission('election.manage', 'electionId'),
+  publicVotingController.issueVotingPins
+);
+
+// Issue a batch of ballot codes and print the slips
+router.post('/codes/:electionId',
+  isAuthenticated,
+  requireElectionPermission('election.manage', 'electionId'),
+  publicVotingController.issueBallotCodes
+);
+
+// Ballot code status
+router.get('/codes/:electionId',
+  isAuthenticated,
+  requireElectionPermission('turnout.read', 'electionId'),
+  publicVotingController.getBallotCodes
+);
+
+// Ballot code reconciliation report
+router.get('/codes/:electionId/report',
+  isAuthenticated,
+  requireElectionPermission('turnout.read', 'electionId'),
+  publicVotingController.getBallotCodeReport
+);
+
+// Void an unused ballot code
+router.post('/codes/:electionId/:serial/void',
+  isAuthenticated,
+  requireElectionPermission('election.manage', 'electionId'),
+  publicVotingController.voidBallotCode
+);
+
 module.exports = router;
@@ -21,7 +21,18 @@ router.get('/dashboard', studentController.getDashboard);
 
 // Election management
 router.get('/elections/:id', studentController.getElectionDetails);
-router.post('/elections/:id/vote', logActivity('vote_cast'), studentController.castVote);
+router.post('/elections/:id/vote', studentController.castVote);
+router.post('/elections/:id/nominate', logActivity('candidate_create', ['positionId', 'symbol']), studentController.nominate);
+router.post('/elections/:id/manifesto/preview', studentController.previewManifesto);
+router.post('/elections/:id/candidates/:candidateId/endorse', logActivity('candidate_endorse'), studentController.endorseNomination);
+router.post('/elections/:id/withdrawal', logActivity('candidate_withdraw', ['reason']), studentController.requestWithdrawal);
+router.post('/elections/:id/withdrawal/cancel', logActivity('candidate_withdraw'), studentController.cancelWithdrawal);
+
+// Nomination photo and documents (files are parsed in server.js, before the CSRF check)
+router.post('/elections/:id/nomination/photo', studentController.uploadNominationPhoto);
+router.post('/elections/:id/nomination/photo/remove', studentController.removeNominationPhoto);
+router.post('/elections/:id/nomination/documents', studentController.uploadNominationDocument);
+router.post('/elections/:id/nomination/documents/:documentId/remove', studentController.removeNominationDocument);
 router.get('/elections', studentController.getAllElections);
 
 // Class information
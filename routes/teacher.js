@@ -8,38 +8,56 @@
 const express = require('express');
 const router = express.Router();
 const teacherController = require('../controllers/teacherController');
-const { isAuthenticated, isTeacher, isVerified, logActivity } = require('../middlewares/auth');
+const { isAuthenticated, isVerified, logActivity } = require('../middlewares/auth');
+const { requirePermission, requireElectionPermission } = require('../middlewares/permissions');
 
-// Apply auth middlewares to all teacher routes
+// Election form fields kept in the activity log
+const ELECTION_LOGGED_FIELDS = ['title', 'electionType', 'classId', 'startDate', 'endDate', 'votingMethod'];
+
+// Apply auth middlewares to all teacher routes (teachers, election officers,
+// observers and admins; each route asks for the capability it needs)
 router.use(isAuthenticated);
 router.use(isVerified);
-router.use(isTeacher);
+router.use(requirePermission('turnout.read'));
 
 // Dashboard
 router.get('/dashboard', teacherController.getDashboard);
 
 // Class management
-router.get('/classes/:id', teacherController.getClassDetails);
+router.get('/classes/:id', requirePermission('election.manage'), teacherController.getClassDetails);
 
 // Student management
-router.get('/students', teacherController.getStudentManagement);
+router.get('/students', requirePermission('election.manage'), teacherController.getStudentManagement);
 
 // Election management
-router.get('/elections/create', teacherController.getCreateElection);
-router.post('/elections/create', logActivity('election_create'), teacherController.createElection);
+router.get('/elections/create', requirePermission('election.create'), teacherController.getCreateElection);
+router.post('/elections/create', requirePermission('election.create'), logActivity('election_create', ELECTION_LOGGED_FIELDS), teacherController.createElection);
 router.get('/elections', teacherController.getElectionManagement);
-router.get('/elections/:id', teacherController.getElectionDetails);
-router.get('/elections/:id/edit', teacherController.getElectionEdit);
-router.post('/elections/:id/update', logActivity('election_update'), teacherController.updateElection);
+router.get('/elections/:id', requireElectionPermission('turnout.read'), teacherController.getElectionDetails);
+router.get('/elections/:id/edit', requireElectionPermission('election.manage'), teacherController.getElectionEdit);
+router.post('/elections/:id/update', requireElectionPermission('election.manage'), logActivity('election_update', [...ELECTION_LOGGED_FIELDS, 'status']), teacherController.updateElection);
+
+// Position management
+router.post('/elections/:id/positions', requireElectionPermission('election.manage'), logActivity('election_update', ['title', 'seats']), teacherController.addPosition);
+router.post('/elections/:id/positions/:positionId/remove', requireElectionPermission('election.manage'), logActivity('election_update'), teacherController.removePosition);
 
 // Candidate management
-router.post('/elections/:id/candidates', logActivity('candidate_create'), teacherController.addCandidate);
-router.post('/elections/:id/candidates/:candidateId/remove', logActivity('teacher_action'), teacherController.removeCandidate);
+router.post('/elections/:id/candidates', requireElectionPermission('candidate.approve'), logActivity('candidate_create', ['studentId', 'positionId', 'symbol']), teacherController.addCandidate);
+router.post('/elections/:id/candidates/:candidateId/remove', requireElectionPermission('candidate.approve'), logActivity('teacher_action'), teacherController.removeCandidate);
+
+// Nomination review
+router.get('/nominations', requirePermission('candidate.approve'), teacherController.getNominations);
+router.post('/elections/:id/candidates/:candidateId/approve', requireElectionPermission('candidate.approve'), logActivity('teacher_action'), teacherController.approveNomination);
+router.post('/elections/:id/candidates/:candidateId/reject', requireElectionPermission('candidate.approve'), logActivity('teacher_action', ['reason']), teacherController.rejectNomination);
+router.get('/elections/:id/candidates/:candidateId/documents/:documentId', requireElectionPermission('candidate.approve'), teacherController.getCandidateDocument);
+router.post('/elections/:id/candidates/:candidateId/withdrawal/confirm', requireElectionPermission('candidate.approve'), logActivity('candidate_withdraw'), teacherController.confirmWithdrawal);
+router.post('/elections/:id/candidates/:candidateId/withdrawal/decline', requireElectionPermission('candidate.approve'), logActivity('candidate_withdraw', ['reason']), teacherController.declineWithdrawal);
 
-// Election results
-router.post('/elections/:id/publish-results', logActivity('result_publish'), teacherController.publishResults);
+// Election results (logged by the controller and results service)
+router.post('/elections/:id/publish-results', requireElectionPermission('election.publish'), teacherController.publishResults);
+router.post('/elections/:id/resolve-tie', requireElectionPermission('election.publish'), teacherController.resolveTie);
 
 // Send reminders
-router.post('/elections/:id/send-reminders', logActivity('teacher_action'), teacherController.sendVotingReminder);
+router.post('/elections/:id/send-reminders', requireElectionPermission('election.manage'), logActivity('teacher_action'), teacherController.sendVotingReminder);
 
 module.exports = router;
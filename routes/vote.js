@@ -8,11 +8,12 @@
 const express = require('express');
 const router = express.Router();
 const publicVotingController = require('../controllers/publicVotingController');
+const { rateLimit } = require('../middlewares/rateLimit');
 
 // Public voting page (accessed via QR code)
 router.get('/:token', publicVotingController.getPublicVotingPage);
 
 // Submit public vote
-router.post('/:token', publicVotingController.submitPublicVote);
+router.post('/:token', rateLimit('publicVote'), publicVotingController.submitPublicVote);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Audit Signing Key Generator
+ * Purpose: Create the Ed25519 key pair used to sign audit log checkpoints
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Usage: node scripts/generate-audit-key.js
+ * Put the AUDIT_SIGNING_KEY line in .env and hand the public key to the
+ * election committee so they can check exported checkpoints.
+ */
+
+const crypto = require('crypto');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+console.log('# Add to .env (keep it secret):');
+console.log(`AUDIT_SIGNING_KEY="${privatePem.trim().replace(/\n/g, '\\n')}"`);
+console.log('');
+console.log('# Public key for the election committee:');
+console.log(publicPem);
+console.log(`# Fingerprint: ${crypto.createHash('sha256').update(publicPem).digest('hex')}`);
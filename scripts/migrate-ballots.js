@@ -0,0 +1,123 @@
+/**
+ * Ballot Migration
+ * Purpose: Move votes stored inside election documents into the Vote
+ *          (secret ballots) and Participation (who voted) collections
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Usage: node scripts/migrate-ballots.js
+ * Handles both older formats (see ballotService.splitLegacyVotes). Safe to
+ * run more than once: migrated ballots get ids derived from their content,
+ * participation records are unique per voter, and the embedded arrays are
+ * only removed once both collections hold everything.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+const ballotService = require('../services/ballotService');
+
+// Fields that held votes inside the election document
+const EMBEDDED_FIELDS = ['voters', 'anonymousVoters', 'ballots', 'votes', 'anonymousVotes'];
+
+/**
+ * Insert documents, skipping those already there from an earlier run
+ * @param {Object} Model - Mongoose model
+ * @param {Array} docs - Documents to insert
+ */
+async function insertMissing(Model, docs) {
+  if (docs.length === 0) return;
+
+  try {
+    await Model.insertMany(docs, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (error.code !== 11000 && !writeErrors.every(writeError => writeError.code === 11000)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Give each ballot an id from its content, so a second run finds it again
+ * (identical ballots are told apart by their occurrence)
+ * @param {string} electionId - Election id
+ * @param {Array} ballots - Ballots from splitLegacyVotes
+ * @returns {Array} - Vote documents
+ */
+function toVoteDocuments(electionId, ballots) {
+  const occurrences = {};
+
+  return ballots.map(ballot => {
+    const content = [
+      electionId,
+      ballot.choices.map(String).join(','),
+      ballot.castAt ? new Date(ballot.castAt).toISOString() : '',
+      ballot.receiptHash || ''
+    ].join(':');
+    occurrences[content] = (occurrences[content] || 0) + 1;
+
+    return {
+      _id: crypto.createHash('sha256').update(`${content}:${occurrences[content]}`).digest('hex').substring(0, 32),
+      election: electionId,
+      choices: ballot.choices,
+      castAt: ballot.castAt,
+      receiptHash: ballot.receiptHash
+    };
+  });
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The unique indexes must exist before records are copied
+    await Vote.init();
+    await Participation.init();
+
+    // Raw documents: the embedded fields are no longer in the schema
+    const elections = await Election.collection.find({
+      $or: EMBEDDED_FIELDS.map(field => ({ [`${field}.0`]: { $exists: true } }))
+    }).toArray();
+
+    console.log(`Found ${elections.length} election(s) with embedded votes`);
+
+    for (const election of elections) {
+      const { participations, ballots, discarded, merged } =
+        await ballotService.splitLegacyVotes(election);
+
+      await insertMissing(Participation, participations.map(participation => ({
+        ...participation,
+        election: election._id
+      })));
+      await insertMissing(Vote, toVoteDocuments(election._id.toString(), ballots));
+
+      const voteCount = await Participation.countDocuments({ election: election._id });
+      const unset = {};
+      EMBEDDED_FIELDS.forEach(field => {
+        unset[field] = '';
+      });
+
+      await Election.collection.updateOne(
+        { _id: election._id },
+        { $set: { voteCount }, $unset: unset }
+      );
+
+      console.log(`✅ ${election.title}: ${ballots.length} ballot(s), ` +
+        `${discarded} duplicate vote(s) discarded, ${merged} duplicate voter record(s) merged`);
+    }
+
+    console.log('Migration complete');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
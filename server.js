@@ -25,6 +25,10 @@ const dotenv = require('dotenv');
 const helmet = require('helmet');
 const expressLayouts = require('express-ejs-layouts');
 const flash = require('connect-flash');
+const { csrfProtection } = require('./middlewares/csrf');
+const { isAuthenticated } = require('./middlewares/auth');
+const { rosterUpload, candidatePhotoUpload, candidateDocumentUpload } = require('./middlewares/upload');
+const permissions = require('./config/permissions');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -41,6 +45,12 @@ dotenv.config();
 // Import port manager for handling port conflicts
 const { managePort } = require('./scripts/port-manager');
 
+// Import election lifecycle scheduler
+const electionScheduler = require('./services/electionScheduler');
+
+// Import audit log checkpoint schedule
+const auditLogService = require('./services/auditLogService');
+
 // Initialize express app
 const app = express();
 
@@ -61,7 +71,18 @@ if (process.env.NODE_ENV === 'production') {
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI,
   hostingerConfig.database ? hostingerConfig.database.options : {})
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+
+    // Start the lifecycle scheduler once the database is reachable;
+    // the first pass catches up on transitions missed while offline
+    if (process.env.ELECTION_SCHEDULER_ENABLED !== 'false') {
+      electionScheduler.startScheduler();
+    }
+
+    // Sign checkpoints of the audit log chain (needs AUDIT_SIGNING_KEY)
+    auditLogService.startCheckpointSchedule();
+  })
   .catch(err => {
     console.error('Failed to connect to MongoDB', err);
     process.exit(1);
@@ -105,12 +126,38 @@ app.use(session({
 // Flash messages
 app.use(flash());
 
+// File uploads are parsed before the CSRF check so it can read the form's
+// _csrf field; the routes themselves are in routes/admin.js and routes/student.js
+app.post('/admin/import', isAuthenticated, rosterUpload);
+app.post('/student/elections/:id/nomination/photo', isAuthenticated, candidatePhotoUpload);
+app.post('/student/elections/:id/nomination/documents', isAuthenticated, candidateDocumentUpload);
+
+// CSRF tokens for every form and state-changing request
+app.use(csrfProtection);
+
 // Set view engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 app.use(expressLayouts);
 app.set('layout', 'layout');
 
+// Date formatting helper for views
+app.locals.formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Role helpers for views
+app.locals.can = (user, permission) => Boolean(user) && permissions.hasPermission(user.role, permission);
+app.locals.getRoleLabel = permissions.getRoleLabel;
+app.locals.getDashboardPath = permissions.getDashboardPath;
+
 // Global middleware for all views
 app.use((req, res, next) => {
   res.locals.currentUser = req.session.user || null;
@@ -185,6 +232,8 @@ async function startServer() {
     // Handle graceful shutdown for nodemon restarts
     process.once('SIGUSR2', () => {
       console.log('Nodemon restart signal received. Gracefully shutting down...');
+      electionScheduler.stopScheduler();
+      auditLogService.stopCheckpointSchedule();
       server.close(() => {
         console.log('Server shut down successfully');
         process.kill(process.pid, 'SIGUSR2');
@@ -194,6 +243,8 @@ async function startServer() {
     // Handle normal termination
     process.on('SIGTERM', () => {
       console.log('SIGTERM signal received. Shutting down gracefully...');
+      electionScheduler.stopScheduler();
+      auditLogService.stopCheckpointSchedule();
       server.close(() => {
         console.log('Server shut down successfully');
         process.exit(0);
@@ -203,6 +254,8 @@ async function startServer() {
     // Handle Ctrl+C
     process.on('SIGINT', () => {
       console.log('SIGINT signal received. Shutting down gracefully...');
+      electionScheduler.stopScheduler();
+      auditLogService.stopCheckpointSchedule();
       server.close(() => {
         console.log('Server shut down successfully');
         process.exit(0);
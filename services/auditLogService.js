@@ -0,0 +1,495 @@
+/**
+ * Audit Log Service
+ * Purpose: Verify the system log hash chain and issue signed checkpoints
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * How it works:
+ * - Every SystemLog entry is numbered and carries the hash of the entry
+ *   before it, so an edited, deleted or reordered entry breaks the chain
+ * - verifyChain() walks the chain in order and reports the first broken link
+ * - A checkpoint signs the head of the chain (sequence and hash) with the
+ *   Ed25519 key in AUDIT_SIGNING_KEY, so rewriting the whole chain or
+ *   cutting entries off its end is caught too
+ * - Checkpoints are exported with every entry they cover so an election
+ *   committee can check them with the public key alone: vote_cast and
+ *   result_publish entries in full, the rest as content hashes only (see
+ *   models/SystemLog.js); vote_cast entries hold no voter, so showing them
+ *   can't tie a voter to a vote
+ */
+
+const crypto = require('crypto');
+const SystemLog = require('../models/SystemLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+
+// Default checkpoint interval (1 day)
+const DEFAULT_CHECKPOINT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Actions listed in checkpoint exports
+const AUDITED_ACTIONS = ['vote_cast', 'result_publish'];
+
+// Details of a vote_cast entry that an export keeps (no voter, no choices)
+const EXPORTED_VOTE_DETAILS = ['electionId', 'electionTitle', 'channel'];
+
+let timer = null;
+let signingKey;
+
+/**
+ * Load the checkpoint signing key from AUDIT_SIGNING_KEY
+ * @returns {Object|null} - { privateKey, publicKey, fingerprint }, or null if not configured
+ */
+const getSigningKey = () => {
+  if (signingKey !== undefined) return signingKey;
+
+  const pem = process.env.AUDIT_SIGNING_KEY;
+  if (!pem) {
+    signingKey = null;
+    return signingKey;
+  }
+
+  // .env files keep the PEM on one line with escaped newlines
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+  signingKey = {
+    privateKey,
+    publicKey,
+    fingerprint: crypto.createHash('sha256').update(publicKey).digest('hex')
+  };
+  return signingKey;
+};
+
+/**
+ * Get the content a checkpoint signature covers
+ * @param {Object} checkpoint - Checkpoint document or plain object
+ * @returns {Object}
+ */
+const getCheckpointPayload = (checkpoint) => ({
+  version: 1,
+  sequence: checkpoint.sequence,
+  hash: checkpoint.hash,
+  previousSequence: checkpoint.previousSequence,
+  previousHash: checkpoint.previousHash,
+  entryCount: checkpoint.entryCount,
+  actionCounts: {
+    vote_cast: checkpoint.actionCounts.vote_cast,
+    result_publish: checkpoint.actionCounts.result_publish
+  },
+  signedAt: new Date(checkpoint.signedAt).toISOString()
+});
+
+/**
+ * Check a checkpoint's signature against the public key it was signed with
+ * @param {Object} checkpoint - Checkpoint document
+ * @returns {boolean}
+ */
+const verifyCheckpointSignature = (checkpoint) => {
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(SystemLog.canonicalize(getCheckpointPayload(checkpoint))),
+      checkpoint.publicKey,
+      Buffer.from(checkpoint.signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find what is wrong with a checkpoint itself
+ * @param {Object} checkpoint - Checkpoint document
+ * @returns {string|null} - Reason, or null if the checkpoint is sound
+ */
+const checkCheckpoint = (checkpoint) => {
+  if (!verifyCheckpointSignature(checkpoint)) {
+    return `Checkpoint at entry #${checkpoint.sequence} has an invalid signature`;
+  }
+
+  const key = getSigningKey();
+  if (key && checkpoint.keyFingerprint !== key.fingerprint) {
+    return `Checkpoint at entry #${checkpoint.sequence} was signed with a different key`;
+  }
+
+  return null;
+};
+
+/**
+ * Walk the log chain in order and report the first broken link
+ * A link is broken when an entry is missing, points at the wrong previous
+ * hash, no longer matches its own hash or disagrees with a checkpoint.
+ * @returns {Promise<Object>} - { intact, checkedEntries, unchainedEntries, head, brokenLink, checkpointsChecked }
+ */
+const verifyChain = async () => {
+  const checkpoints = await AuditCheckpoint.find().sort({ sequence: 1 });
+  const checkpointsBySequence = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, checkpoint]));
+
+  const problems = [];
+  checkpoints.forEach(checkpoint => {
+    const reason = checkCheckpoint(checkpoint);
+    if (reason) problems.push({ sequence: checkpoint.sequence, reason });
+  });
+
+  let expected = 1;
+  let prevHash = SystemLog.GENESIS_HASH;
+  let head = null;
+
+  const cursor = SystemLog.find({ sequence: { $exists: true } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const link = { sequence: entry.sequence, logId: entry._id, timestamp: entry.timestamp };
+    let reason = null;
+
+    if (entry.sequence > expected) {
+      reason = expected === entry.sequence - 1
+        ? `Entry #${expected} is missing`
+        : `Entries #${expected} to #${entry.sequence - 1} are missing`;
+      link.sequence = expected;
+    } else if (entry.sequence < expected) {
+      reason = `Entry #${entry.sequence} appears more than once`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = `Entry #${entry.sequence} does not link to the entry before it`;
+    } else if (SystemLog.hashEntry(entry) !== entry.hash) {
+      reason = `Entry #${entry.sequence} was altered after it was written`;
+    } else if (checkpointsBySequence.has(entry.sequence) &&
+      checkpointsBySequence.get(entry.sequence).hash !== entry.hash) {
+      reason = `Entry #${entry.sequence} does not match its signed checkpoint`;
+    }
+
+    if (reason) {
+      problems.push({ ...link, reason });
+      break;
+    }
+
+    head = { sequence: entry.sequence, hash: entry.hash };
+    prevHash = entry.hash;
+    expected++;
+  }
+
+  // Entries cut off the end of the chain
+  const lastCheckpoint = checkpoints[checkpoints.length - 1];
+  if (lastCheckpoint && (!head || head.sequence < lastCheckpoint.sequence) &&
+    !problems.some(problem => problem.sequence <= lastCheckpoint.sequence)) {
+    problems.push({
+      sequence: head ? head.sequence + 1 : 1,
+      reason: `Entries up to #${lastCheckpoint.sequence} were signed in a checkpoint but are missing`
+    });
+  }
+
+  const brokenLink = problems.sort((a, b) => a.sequence - b.sequence)[0] || null;
+
+  return {
+    intact: !brokenLink,
+    checkedEntries: expected - 1,
+    // Entries written before the log was chained
+    unchainedEntries: await SystemLog.countDocuments({ sequence: { $exists: false } }),
+    head,
+    brokenLink,
+    checkpointsChecked: checkpoints.length
+  };
+};
+
+/**
+ * Sign the current head of the log chain
+ * The chain is verified first; nothing is signed when it is broken or when
+ * no entries were added since the last checkpoint.
+ * @param {Object} options
+ * @param {string} [options.userId] - Admin creating the checkpoint (none for the scheduler)
+ * @returns {Promise<Object|null>} - New checkpoint, or null if there was nothing new to sign
+ * @throws {Error} - When no signing key is configured or the chain is broken
+ */
+const createCheckpoint = async ({ userId } = {}) => {
+  const key = getSigningKey();
+  if (!key) {
+    throw new Error('Checkpoint signing is not configured (set AUDIT_SIGNING_KEY)');
+  }
+
+  const report = await verifyChain();
+  if (!report.intact) {
+    throw new Error(`The log chain is broken: ${report.brokenLink.reason}`);
+  }
+
+  const previous = await AuditCheckpoint.findOne().sort({ sequence: -1 });
+  const previousSequence = previous ? previous.sequence : 0;
+
+  if (!report.head || report.head.sequence <= previousSequence) {
+    return null;
+  }
+
+  const actionCounts = {};
+  for (const action of AUDITED_ACTIONS) {
+    actionCounts[action] = await SystemLog.countDocuments({
+      sequence: { $gt: previousSequence, $lte: report.head.sequence },
+      action
+    });
+  }
+
+  const checkpoint = new AuditCheckpoint({
+    sequence: report.head.sequence,
+    hash: report.head.hash,
+    previousSequence,
+    previousHash: previous ? previous.hash : SystemLog.GENESIS_HASH,
+    entryCount: report.head.sequence - previousSequence,
+    actionCounts,
+    signedAt: new Date(),
+    publicKey: key.publicKey,
+    keyFingerprint: key.fingerprint,
+    createdBy: userId || undefined
+  });
+
+  checkpoint.signature = crypto.sign(
+    null,
+    Buffer.from(SystemLog.canonicalize(getCheckpointPayload(checkpoint))),
+    key.privateKey
+  ).toString('base64');
+
+  try {
+    await checkpoint.save();
+  } catch (error) {
+    // Another process signed the same head first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await SystemLog.createLog({
+    action: 'audit_checkpoint',
+    user: userId || null,
+    details: {
+      checkpointId: checkpoint._id,
+      sequence: checkpoint.sequence,
+      hash: checkpoint.hash,
+      entryCount: checkpoint.entryCount,
+      actionCounts,
+      keyFingerprint: checkpoint.keyFingerprint
+    },
+    status: 'success'
+  });
+
+  return checkpoint;
+};
+
+/**
+ * Check whether a vote_cast entry holds anything about the voter
+ * Entries written before vote_cast was anonymised carry the user, ip, user
+ * agent and roll number or ballot-code serial.
+ * @param {Object} entry - Lean SystemLog entry
+ * @returns {boolean}
+ */
+const identifiesVoter = (entry) => {
+  return !!(entry.user || entry.ip || entry.userAgent) ||
+    Object.keys(entry.details || {}).some(field => !EXPORTED_VOTE_DETAILS.includes(field));
+};
+
+/**
+ * Shape a log entry for a checkpoint export
+ * - vote_cast and result_publish entries are exported in full, so their
+ *   hash can be recomputed
+ * - other entries, and vote_cast entries that identify the voter, keep
+ *   their content out: a version 2 entry gives its content hash, which
+ *   still lets its own hash be recomputed; an older entry can only be
+ *   checked through the prevHash of the entry after it
+ * @param {Object} entry - Lean SystemLog entry
+ * @returns {Object}
+ */
+const getExportedEntry = (entry) => {
+  const hashVersion = entry.hashVersion || 1;
+  const exported = {
+    sequence: entry.sequence,
+    prevHash: entry.prevHash,
+    hash: entry.hash,
+    hashVersion,
+    action: entry.action
+  };
+
+  const audited = AUDITED_ACTIONS.includes(entry.action);
+  if (audited && !(entry.action === 'vote_cast' && identifiesVoter(entry))) {
+    return {
+      ...exported,
+      user: entry.user ? entry.user.toString() : entry.user,
+      details: entry.details,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      status: entry.status,
+      timestamp: entry.timestamp,
+      nonce: entry.nonce
+    };
+  }
+
+  if (hashVersion === 2) {
+    return { ...exported, contentHash: SystemLog.hashContent(entry), withheld: true };
+  }
+
+  return { ...exported, withheld: true };
+};
+
+/**
+ * Build the export of a checkpoint for an election committee
+ * Holds the signed payload, the public key and every entry the checkpoint
+ * covers, shaped by getExportedEntry, so the chain can be followed from the
+ * previous checkpoint to this one.
+ * @param {Object} checkpoint - Checkpoint document
+ * @returns {Promise<Object>}
+ */
+const getCheckpointExport = async (checkpoint) => {
+  const entries = await SystemLog.find({
+    sequence: { $gt: checkpoint.previousSequence, $lte: checkpoint.sequence }
+  })
+    .sort({ sequence: 1 })
+    .select('sequence prevHash hash hashVersion nonce action user details ip userAgent status timestamp')
+    .lean();
+
+  return {
+    checkpoint: getCheckpointPayload(checkpoint),
+    signature: {
+      algorithm: checkpoint.algorithm,
+      value: checkpoint.signature,
+      publicKey: checkpoint.publicKey,
+      keyFingerprint: checkpoint.keyFingerprint,
+      signedContent: 'Canonical JSON (sorted keys, no whitespace) of "checkpoint"'
+    },
+    entryHash: {
+      2: 'SHA-256 of the canonical JSON of hashVersion, sequence, prevHash and contentHash; contentHash is SHA-256 of the canonical JSON of action, user, details, ip, userAgent, status, timestamp and nonce',
+      1: 'SHA-256 of the canonical JSON of sequence, prevHash, action, user, details, ip, userAgent, status and timestamp'
+    },
+    withheldEntries: 'Entries other than vote_cast and result_publish, and older vote_cast entries that name the voter, leave their content out; a version 2 entry gives its contentHash instead, a version 1 entry can only be checked through the next entry\'s prevHash',
+    entries: entries.map(getExportedEntry),
+    exportedAt: new Date()
+  };
+};
+
+/**
+ * Check a checkpoint export the way an election committee would
+ * Uses nothing but the export: the signature against its public key, every
+ * entry's hash and link from the previous checkpoint to the signed head,
+ * and the signed vote_cast and result_publish counts.
+ * @param {Object} exported - Export from getCheckpointExport (parsed JSON)
+ * @returns {Object} - { valid, reason, uncheckedEntries }
+ */
+const verifyCheckpointExport = (exported) => {
+  const { checkpoint, signature } = exported;
+  const fail = reason => ({ valid: false, reason, uncheckedEntries: 0 });
+
+  let signed = false;
+  try {
+    signed = crypto.verify(
+      null,
+      Buffer.from(SystemLog.canonicalize(checkpoint)),
+      signature.publicKey,
+      Buffer.from(signature.value, 'base64')
+    );
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) return fail('The checkpoint signature is invalid');
+
+  const counts = {};
+  AUDITED_ACTIONS.forEach(action => { counts[action] = 0; });
+
+  let prevHash = checkpoint.previousHash;
+  let sequence = checkpoint.previousSequence;
+  // Version 1 entries without content whose own hash can't be recomputed
+  let uncheckedEntries = 0;
+
+  for (const entry of exported.entries) {
+    sequence++;
+    if (entry.sequence !== sequence) return fail(`Entry #${sequence} is missing`);
+    if (entry.prevHash !== prevHash) return fail(`Entry #${sequence} does not link to the entry before it`);
+
+    let hash = entry.hash;
+    if (entry.hashVersion === 2) {
+      hash = SystemLog.hashLink({
+        sequence: entry.sequence,
+        prevHash: entry.prevHash,
+        contentHash: entry.withheld
+          ? entry.contentHash
+          : SystemLog.hashContent({ ...entry, timestamp: new Date(entry.timestamp) })
+      });
+    } else if (!entry.withheld) {
+      hash = SystemLog.hashEntry({ ...entry, timestamp: new Date(entry.timestamp) });
+    } else {
+      uncheckedEntries++;
+    }
+    if (hash !== entry.hash) return fail(`Entry #${sequence} does not match its hash`);
+
+    if (counts[entry.action] !== undefined) counts[entry.action]++;
+    prevHash = entry.hash;
+  }
+
+  if (sequence !== checkpoint.sequence || prevHash !== checkpoint.hash) {
+    return fail('The entries do not end at the signed head of the chain');
+  }
+
+  const miscounted = AUDITED_ACTIONS.find(action => counts[action] !== checkpoint.actionCounts[action]);
+  if (miscounted) return fail(`The ${miscounted} entries do not match the signed count`);
+
+  return { valid: true, reason: null, uncheckedEntries };
+};
+
+/**
+ * Create a checkpoint if the chain moved on, logging failures
+ */
+const runCheckpointTick = async () => {
+  try {
+    const checkpoint = await createCheckpoint();
+    if (checkpoint) {
+      console.log(`Audit checkpoint signed at log entry #${checkpoint.sequence}`);
+    }
+  } catch (error) {
+    console.error('Audit checkpoint failed:', error.message);
+    await SystemLog.createLog({
+      action: 'audit_checkpoint',
+      details: { error: error.message },
+      status: 'failure'
+    });
+  }
+};
+
+/**
+ * Start signing checkpoints on a fixed interval
+ * @param {Object} options
+ * @param {number} [options.intervalMs] - Interval (defaults to AUDIT_CHECKPOINT_INTERVAL_MS or 1 day)
+ */
+const startCheckpointSchedule = (options = {}) => {
+  if (timer) return;
+
+  if (!getSigningKey()) {
+    console.log('Audit checkpoints disabled (AUDIT_SIGNING_KEY not set)');
+    return;
+  }
+
+  const intervalMs = options.intervalMs ||
+    parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS, 10) ||
+    DEFAULT_CHECKPOINT_INTERVAL_MS;
+
+  runCheckpointTick();
+
+  timer = setInterval(runCheckpointTick, intervalMs);
+  // Don't keep the process alive just for checkpoints
+  timer.unref();
+
+  console.log(`Audit checkpoints started (every ${Math.round(intervalMs / 60000)} min)`);
+};
+
+/**
+ * Stop signing checkpoints
+ */
+const stopCheckpointSchedule = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getSigningKey,
+  verifyCheckpointSignature,
+  verifyChain,
+  createCheckpoint,
+  getCheckpointExport,
+  verifyCheckpointExport,
+  startCheckpointSchedule,
+  stopCheckpointSchedule
+};
@@ -0,0 +1,228 @@
+/**
+ * Ballot Code Service
+ * Purpose: Issue, burn, void and reconcile single-use QR ballot codes
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Teachers print batches of codes for offline polling booths. When an
+ * election verifies QR voters by ballot code, a vote is accepted only with
+ * an issued code, which is burned in the same update that checks it, so a
+ * code can't be used twice however many submissions race.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BallotCode = require('../models/BallotCode');
+const Participation = require('../models/Participation');
+const { roundCastTime } = require('./ballotService');
+
+// Letters and digits that can't be mistaken for each other on paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Most codes one batch can hold
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Normalize a typed code (case, spaces and dashes are ignored)
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Hash a ballot code for storage
+ * @param {string} code - Code as typed or printed
+ * @returns {string} - Hex SHA-256 of the normalized code
+ */
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+};
+
+/**
+ * Create a random ballot code, printed as XXXX-XXXX
+ * @returns {string}
+ */
+const createCode = () => {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(0, CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * Issue a batch of ballot codes for an election
+ * Only the hashes are stored, so the codes are returned for printing once.
+ * @param {Object} election - Election document
+ * @param {number} count - Number of codes
+ * @param {string} userId - Teacher issuing the codes
+ * @returns {Promise<Object>} - { batch, codes: [{ serial, code }] }
+ */
+const issueCodes = async (election, count, userId) => {
+  const size = parseInt(count, 10);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    throw new Error(`Number of codes must be between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  // Reserve the batch number and serials in one update, so batches issued
+  // at the same time never share them
+  const counters = await election.constructor.findOneAndUpdate(
+    { _id: election._id },
+    { $inc: { 'publicAccess.ballotCodeCounters.batch': 1, 'publicAccess.ballotCodeCounters.serial': size } },
+    { new: true }
+  ).select('publicAccess.ballotCodeCounters');
+  const batch = counters.publicAccess.ballotCodeCounters.batch;
+  const firstSerial = counters.publicAccess.ballotCodeCounters.serial - size + 1;
+
+  const codes = [];
+  const seen = new Set();
+  while (codes.length < size) {
+    const code = createCode();
+    if (seen.has(code)) continue;
+    seen.add(code);
+    codes.push({ serial: firstSerial + codes.length, code });
+  }
+
+  // A clash with an earlier batch fails the whole insert (unique index)
+  await BallotCode.insertMany(codes.map(({ serial, code }) => ({
+    election: election._id,
+    serial,
+    batch,
+    codeHash: hashCode(code),
+    issuedBy: userId
+  })));
+
+  return { batch, codes };
+};
+
+/**
+ * Burn an issued code for an election
+ * @param {Object} election - Election document
+ * @param {string} code - Code typed by the voter
+ * @returns {Promise<Object>} - { ballotCode } when burned, otherwise { reason }
+ */
+const claimCode = async (election, code) => {
+  if (!normalizeCode(code)) return { reason: 'missing_ballot_code' };
+
+  const codeHash = hashCode(code);
+  const ballotCode = await BallotCode.findOneAndUpdate(
+    { election: election._id, codeHash, status: 'issued' },
+    { $set: { status: 'used', usedAt: roundCastTime(new Date()) } },
+    { new: true }
+  );
+  if (ballotCode) return { ballotCode };
+
+  const existing = await BallotCode.findOne({ election: election._id, codeHash }).select('status');
+  if (!existing) return { reason: 'unknown_ballot_code' };
+  return { reason: existing.status === 'used' ? 'ballot_code_used' : 'ballot_code_voided' };
+};
+
+/**
+ * Put a burned code back when its vote wasn't recorded
+ * @param {Object} ballotCode - Code from claimCode
+ */
+const releaseCode = async (ballotCode) => {
+  await BallotCode.updateOne(
+    { _id: ballotCode._id, status: 'used' },
+    { $set: { status: 'issued' }, $unset: { usedAt: '' } }
+  );
+};
+
+/**
+ * Void an unused code (e.g. a lost or spoiled slip)
+ * @param {Object} election - Election document
+ * @param {number} serial - Serial printed on the slip
+ * @param {string} userId - Teacher voiding the code
+ * @returns {Promise<Object|null>} - Voided code, or null if none was unused
+ */
+const voidCode = async (election, serial, userId) => {
+  return BallotCode.findOneAndUpdate(
+    { election: election._id, serial: parseInt(serial, 10), status: 'issued' },
+    { $set: { status: 'voided', voidedBy: userId, voidedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Get an election's codes with counts per status
+ * @param {Object} election - Election document
+ * @returns {Promise<Object>} - { counts: { issued, used, voided, total }, codes }
+ */
+const getCodeStatus = async (election) => {
+  const codes = await BallotCode.find({ election: election._id })
+    .select('serial batch status usedAt voidedAt createdAt')
+    .sort({ serial: 1 })
+    .lean();
+
+  const counts = { issued: 0, used: 0, voided: 0, total: codes.length };
+  codes.forEach(code => {
+    counts[code.status]++;
+  });
+
+  return { counts, codes };
+};
+
+/**
+ * Compare issued and used codes with the QR votes recorded
+ * @param {Object} election - Election document
+ * @returns {Promise<Object>} - Totals, per-batch rows and discrepancy
+ */
+const getReconciliation = async (election) => {
+  const electionId = new mongoose.Types.ObjectId(election._id.toString());
+
+  const groups = await BallotCode.aggregate([
+    { $match: { election: electionId } },
+    {
+      $group: {
+        _id: '$batch',
+        issuedAt: { $min: '$createdAt' },
+        firstSerial: { $min: '$serial' },
+        lastSerial: { $max: '$serial' },
+        total: { $sum: 1 },
+        used: { $sum: { $cond: [{ $eq: ['$status', 'used'] }, 1, 0] } },
+        voided: { $sum: { $cond: [{ $eq: ['$status', 'voided'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const batches = groups.map(group => ({
+    batch: group._id,
+    issuedAt: group.issuedAt,
+    firstSerial: group.firstSerial,
+    lastSerial: group.lastSerial,
+    total: group.total,
+    used: group.used,
+    voided: group.voided,
+    unused: group.total - group.used - group.voided
+  }));
+
+  const totals = batches.reduce((sum, batch) => ({
+    total: sum.total + batch.total,
+    used: sum.used + batch.used,
+    voided: sum.voided + batch.voided,
+    unused: sum.unused + batch.unused
+  }), { total: 0, used: 0, voided: 0, unused: 0 });
+
+  // Code votes are the QR votes recorded without a student
+  const codeVotes = await Participation.countDocuments({
+    election: election._id,
+    channel: 'qr',
+    student: { $exists: false }
+  });
+
+  return {
+    totals,
+    batches,
+    codeVotes,
+    discrepancy: codeVotes - totals.used
+  };
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  issueCodes,
+  claimCode,
+  releaseCode,
+  voidCode,
+  getCodeStatus,
+  getReconciliation
+};
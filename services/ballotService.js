@@ -0,0 +1,494 @@
+/**
+ * Ballot Service
+ * Purpose: Build and validate ballots for registered and QR voting
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * A ballot holds the voter's choices for every position of the election,
+ * marked according to the election's voting method (one candidate,
+ * approved candidates or a ranking). Single-position elections also accept
+ * the older candidateId field.
+ *
+ * Casting a vote writes two unlinked records: a participation record (who
+ * voted, Participation collection) and a secret ballot (what was chosen,
+ * Vote collection). The voter gets a random receipt code; only its hash is
+ * kept on the ballot and published on the election's bulletin board. The
+ * participation record's unique indexes make sure a voter is recorded only
+ * once however many submissions race. Ballots are stored in random order
+ * (see placeBallot), so where a ballot sits in the collection doesn't say
+ * when it was cast either.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Candidate = require('../models/Candidate');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+
+// Ballot cast times are kept to the hour so they can't be matched to voters
+const BALLOT_TIME_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Get the approved candidates of an election grouped by position
+ * @param {Object} election - Election document
+ * @returns {Promise<Array>} - [{ position, candidates }] in position order
+ */
+const getBallotPositions = async (election) => {
+  const positions = election.ensurePositions();
+
+  const candidates = await Candidate.find({
+    election: election._id,
+    approved: true,
+    active: true
+  })
+    .populate('student', 'name rollNumber')
+    .sort({ createdAt: 1 });
+
+  return positions.map(position => ({
+    position,
+    candidates: candidates.filter(candidate =>
+      election.getCandidatePosition(candidate)._id.toString() === position._id.toString())
+  }));
+};
+
+/**
+ * Read the candidate ids marked for one position, in ballot order
+ * - plurality: choices[<positionId>]=<candidateId>
+ * - approval: choices[<positionId>][]=<candidateId> (any number)
+ * - block: choices[<positionId>][]=<candidateId> (up to one per seat)
+ * - irv, stv: choices[<positionId>][<candidateId>]=<rank> (blank ranks are skipped)
+ * @param {Object} election - Election document
+ * @param {*} value - Submitted value for the position
+ * @param {Object} position - Position subdocument
+ * @returns {string[]} - Candidate ids
+ * @throws {Error} - When the marks don't fit the voting method
+ */
+const readPositionChoices = (election, value, position) => {
+  const method = election.votingMethod;
+
+  if (election.isRankedBallot) {
+    const ranked = Object.entries(value && typeof value === 'object' ? value : {})
+      .filter(([, rank]) => rank !== '' && rank !== undefined)
+      .map(([candidateId, rank]) => ({ candidateId, rank: parseInt(rank, 10) }));
+
+    if (ranked.some(entry => !(entry.rank >= 1))) {
+      throw new Error(`Invalid ranking for ${position.title}`);
+    }
+
+    if (new Set(ranked.map(entry => entry.rank)).size !== ranked.length) {
+      throw new Error(`Each rank can only be used once for ${position.title}`);
+    }
+
+    return ranked.sort((a, b) => a.rank - b.rank).map(entry => entry.candidateId);
+  }
+
+  const values = [].concat(value || []).map(String);
+
+  if (method === 'plurality' && values.length > 1) {
+    throw new Error(`Select only one candidate for ${position.title}`);
+  }
+
+  if (method === 'block' && values.length > position.seats) {
+    throw new Error(`Select at most ${position.seats} candidates for ${position.title}`);
+  }
+
+  if (new Set(values).size !== values.length) {
+    throw new Error(`Invalid candidate selection for ${position.title}`);
+  }
+
+  return values;
+};
+
+/**
+ * Validate a submitted ballot against the election's positions and voting method
+ * @param {Object} election - Election document
+ * @param {Object} body - Submitted form fields
+ * @returns {Promise<Object>} - Chosen candidate ids and per-position selections
+ * @throws {Error} - When a position is missing or a choice is invalid
+ */
+const buildBallot = async (election, body) => {
+  // Positions without candidates are left off the ballot
+  const ballotPositions = (await getBallotPositions(election))
+    .filter(ballotPosition => ballotPosition.candidates.length > 0);
+  const submitted = body.choices || {};
+
+  // Older single-choice forms post candidateId
+  if (ballotPositions.length === 1 && !submitted[ballotPositions[0].position._id] && body.candidateId) {
+    submitted[ballotPositions[0].position._id] = body.candidateId;
+  }
+
+  const selections = ballotPositions.map(({ position, candidates }) => {
+    const candidateIds = readPositionChoices(
+      election, submitted[position._id.toString()], position
+    );
+
+    if (candidateIds.length === 0) {
+      throw new Error(election.isRankedBallot
+        ? `Please rank at least one candidate for ${position.title}`
+        : `Please select a candidate for ${position.title}`);
+    }
+
+    const chosen = candidateIds.map(candidateId => {
+      const candidate = candidates.find(c => c._id.toString() === candidateId);
+
+      if (!candidate) {
+        throw new Error(`Invalid candidate selection for ${position.title}`);
+      }
+
+      return candidate;
+    });
+
+    return { position, candidates: chosen };
+  });
+
+  if (selections.length === 0) {
+    throw new Error('This election has no candidates to vote for');
+  }
+
+  return {
+    choices: selections.flatMap(selection => selection.candidates.map(candidate => candidate._id)),
+    selections
+  };
+};
+
+/**
+ * Normalise a receipt code and hash it
+ * Case, spaces and dashes are ignored so codes can be typed back loosely.
+ * @param {string} code - Receipt code
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashReceipt = (code) => {
+  const normalised = String(code || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+};
+
+/**
+ * Create a random receipt code (e.g. 3F9A-0C21-77DE-B410-5E2C)
+ * @returns {string}
+ */
+const createReceiptCode = () => {
+  return crypto.randomBytes(10).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+};
+
+// Whether the database runs transactions (a standalone server doesn't)
+let transactionsSupported = true;
+
+/**
+ * Check whether an error says the server can't run transactions
+ * @param {Error} error - Error from a transaction
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /replica set member or mongos/.test(error.message || '');
+};
+
+/**
+ * Store a ballot at a random place in the election's ballot box
+ * The collection keeps documents in the order they were written, so random
+ * ids alone don't hide voting order. Following an inside-out shuffle, the
+ * new ballot swaps contents with a random ballot already stored (or keeps
+ * its own place): after every vote the stored order is a random permutation
+ * of the voting order. The swap must run inside a transaction.
+ * @param {Object} ballot - Vote record
+ * @param {ClientSession} session - Transaction session
+ */
+const placeBallot = async (ballot, session) => {
+  const stored = await Vote.countDocuments({ election: ballot.election }).session(session);
+  const place = crypto.randomInt(0, stored + 1);
+
+  if (place === stored) {
+    await Vote.create([ballot], { session });
+    return;
+  }
+
+  // Natural order: the ballot at that place in the collection
+  const displaced = await Vote.findOne({ election: ballot.election })
+    .skip(place)
+    .session(session)
+    .lean();
+
+  // Replace first, so the displaced receipt hash is free when it moves
+  await Vote.updateOne(
+    { _id: displaced._id },
+    { $set: { choices: ballot.choices, castAt: ballot.castAt, receiptHash: ballot.receiptHash } },
+    { session }
+  );
+  await Vote.create([{
+    election: ballot.election,
+    choices: displaced.choices,
+    castAt: displaced.castAt,
+    receiptHash: displaced.receiptHash
+  }], { session });
+};
+
+/**
+ * Write a participation record, its ballot and the vote count together
+ * Runs in a transaction where the database supports one (a replica set).
+ * On a standalone server the writes run in turn and the participation
+ * record is removed again if the ballot can't be stored; a crash between
+ * the two writes there leaves the voter marked as voted without a ballot.
+ * Ballots are only shuffled in place within a transaction, so on a
+ * standalone server they stay in voting order.
+ * @param {Function} Election - Election model
+ * @param {Object} participation - Participation record
+ * @param {Object} ballot - Vote record
+ */
+const recordVote = async (Election, participation, ballot) => {
+  const countVote = (options) =>
+    Election.updateOne({ _id: participation.election }, { $inc: { voteCount: 1 } }, options);
+
+  if (transactionsSupported) {
+    const session = await Participation.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Participation.create([participation], { session });
+        await placeBallot(ballot, session);
+        await countVote({ session });
+      });
+      return;
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      transactionsSupported = false;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const created = await Participation.create(participation);
+  try {
+    await Vote.create(ballot);
+  } catch (error) {
+    // Don't leave the voter marked as voted without a ballot
+    await Participation.deleteOne({ _id: created._id });
+    throw error;
+  }
+  await countVote();
+};
+
+/**
+ * Record a vote: a participation record and a secret ballot
+ *
+ * The participation record's unique indexes (student and roll number per
+ * election) let the database accept exactly one of several concurrent
+ * submissions by the same voter, whichever channel each came through; the
+ * others are rejected as already voted. The ballot is stored unlinked from
+ * it, and both keep their time only to the hour, so the two can't be
+ * matched up by when they were written.
+ * @param {Object} election - Election document
+ * @param {Object} voter - Who is voting
+ * @param {string} [voter.channel] - 'registered' (logged in, default) or 'qr'
+ * @param {string} [voter.studentId] - Student's id (for QR votes, the student matching the roll number)
+ * @param {string} [voter.rollNumber] - Student's roll number
+ * @param {string} [voter.ipAddress] - QR voter's IP address
+ * @param {string} [voter.userAgent] - QR voter's browser
+ * @param {Array} choices - Chosen candidate ids (from buildBallot)
+ * @returns {Promise<Object>} - { status: 'recorded', receipt } or { status: 'already_voted' | 'closed' }
+ */
+const castBallot = async (election, voter, choices) => {
+  const Election = election.constructor;
+  const castAt = roundCastTime(new Date());
+
+  // Ballot-code elections can't tell whether a student also voted by code,
+  // so they take no logged-in votes
+  const open = { _id: election._id, status: 'active' };
+  if (voter.channel !== 'qr') open['publicAccess.verification'] = { $ne: 'ballot_code' };
+  if (!(await Election.exists(open))) {
+    return { status: 'closed' };
+  }
+
+  // Only the hash is stored; the code itself is shown once to the voter
+  const receipt = createReceiptCode();
+
+  try {
+    await recordVote(Election, {
+      election: election._id,
+      channel: voter.channel === 'qr' ? 'qr' : 'registered',
+      student: voter.studentId || undefined,
+      rollNumber: voter.rollNumber || undefined,
+      ipAddress: voter.ipAddress,
+      userAgent: voter.userAgent,
+      timestamp: castAt
+    }, {
+      election: election._id,
+      choices,
+      castAt,
+      receiptHash: hashReceipt(receipt)
+    });
+  } catch (error) {
+    if (error.code === 11000) return { status: 'already_voted' };
+    throw error;
+  }
+
+  return { status: 'recorded', receipt };
+};
+
+/**
+ * Check whether a receipt's ballot is in the ballot box
+ * @param {Object} election - Election document
+ * @param {string} code - Receipt code
+ * @returns {Promise<Object>} - { hash, found }
+ */
+const verifyReceipt = async (election, code) => {
+  const hash = hashReceipt(code);
+  const found = !!(await Vote.exists({ election: election._id, receiptHash: hash }));
+  return { hash, found };
+};
+
+/**
+ * Get the receipt hashes of an election for the bulletin board
+ * Sorted, so the list order says nothing about voting order.
+ * @param {Object} election - Election document
+ * @returns {Promise<string[]>}
+ */
+const getReceiptHashes = async (election) => {
+  const votes = await Vote.find({ election: election._id, receiptHash: { $type: 'string' } })
+    .select('receiptHash')
+    .sort({ receiptHash: 1 })
+    .lean();
+
+  return votes.map(vote => vote.receiptHash);
+};
+
+/**
+ * Round a cast time down to the ballot time resolution
+ * @param {Date} date - Exact time
+ * @returns {Date}
+ */
+const roundCastTime = (date) => {
+  const time = new Date(date).getTime();
+  return new Date(Math.floor(time / BALLOT_TIME_RESOLUTION_MS) * BALLOT_TIME_RESOLUTION_MS);
+};
+
+/**
+ * Split the votes stored inside an election document into participation
+ * records and shuffled secret ballots for the Vote collection.
+ *
+ * Handles both older formats: participation and ballots kept in separate
+ * arrays (voters, anonymousVoters, ballots) and records that stored the
+ * voter with the choice (votes, anonymousVotes). Voters are linked to both
+ * their student id and roll number; a student who voted both ways keeps the
+ * registered vote and repeated anonymous votes keep the earliest. A legacy
+ * duplicate's choice is discarded with it; a duplicate participation
+ * record whose ballot was already stored apart is merged, its ballot kept.
+ * @param {Object} election - Raw election document
+ * @returns {Promise<Object>} - { participations, ballots, discarded, merged }
+ */
+const splitLegacyVotes = async (election) => {
+  const voters = [...(election.voters || []), ...(election.votes || [])];
+
+  const students = await User.find({
+    $or: [
+      { class: election.class, role: 'student' },
+      { _id: { $in: voters.map(voter => voter.student).filter(Boolean) } }
+    ]
+  }).select('rollNumber class');
+
+  const rollNumberOf = new Map(students.map(student => [student._id.toString(), student.rollNumber]));
+  const studentOf = new Map(students
+    .filter(student => student.rollNumber && String(student.class) === String(election.class))
+    .map(student => [student.rollNumber, student._id]));
+
+  const participations = [];
+  const ballots = (election.ballots || []).map(ballot => ({
+    choices: ballot.choices,
+    castAt: ballot.castAt,
+    receiptHash: ballot.receiptHash
+  }));
+  const seenStudents = new Set();
+  const seenRollNumbers = new Set();
+  let discarded = 0;
+  let merged = 0;
+
+  // Add a participation record unless the voter already has one
+  const addParticipation = (record) => {
+    const studentKey = record.student ? record.student.toString() : null;
+    if ((studentKey && seenStudents.has(studentKey)) ||
+      (record.rollNumber && seenRollNumbers.has(record.rollNumber))) {
+      return false;
+    }
+
+    if (studentKey) seenStudents.add(studentKey);
+    if (record.rollNumber) seenRollNumbers.add(record.rollNumber);
+    participations.push(record);
+    return true;
+  };
+
+  const legacyChoices = vote => (vote.choices && vote.choices.length > 0 ? vote.choices : [vote.candidate]).filter(Boolean);
+
+  // Registered votes first, so they win over anonymous ones
+  (election.voters || []).forEach(voter => {
+    const added = addParticipation({
+      channel: 'registered',
+      student: voter.student,
+      rollNumber: rollNumberOf.get(String(voter.student)),
+      timestamp: voter.timestamp
+    });
+    if (!added) merged++;
+  });
+
+  (election.votes || []).forEach(vote => {
+    const added = addParticipation({
+      channel: 'registered',
+      student: vote.student,
+      rollNumber: rollNumberOf.get(String(vote.student)),
+      timestamp: vote.timestamp
+    });
+
+    if (added) {
+      ballots.push({ choices: legacyChoices(vote), castAt: roundCastTime(vote.timestamp) });
+    } else {
+      discarded++;
+    }
+  });
+
+  (election.anonymousVoters || []).forEach(voter => {
+    const added = addParticipation({
+      channel: 'qr',
+      student: studentOf.get(voter.rollNumber),
+      rollNumber: voter.rollNumber,
+      ipAddress: voter.ipAddress,
+      userAgent: voter.userAgent,
+      timestamp: voter.timestamp
+    });
+    if (!added) merged++;
+  });
+
+  // Oldest first so the earliest anonymous vote per roll number is kept
+  [...(election.anonymousVotes || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(vote => {
+      const added = addParticipation({
+        channel: 'qr',
+        student: studentOf.get(vote.rollNumber),
+        rollNumber: vote.rollNumber,
+        ipAddress: vote.ipAddress,
+        userAgent: vote.userAgent,
+        timestamp: vote.timestamp
+      });
+
+      if (added) {
+        ballots.push({ choices: legacyChoices(vote), castAt: roundCastTime(vote.timestamp) });
+      } else {
+        discarded++;
+      }
+    });
+
+  // Shuffle so ballot order doesn't follow voting order
+  for (let i = ballots.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [ballots[i], ballots[j]] = [ballots[j], ballots[i]];
+  }
+
+  return { participations, ballots, discarded, merged };
+};
+
+module.exports = {
+  getBallotPositions,
+  buildBallot,
+  castBallot,
+  hashReceipt,
+  verifyReceipt,
+  getReceiptHashes,
+  roundCastTime,
+  splitLegacyVotes
+};
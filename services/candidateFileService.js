@@ -0,0 +1,198 @@
+/**
+ * Candidate File Service
+ * Purpose: Candidate profile photos and nomination documents
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Photos are checked by decoding them, then cropped to a square JPEG (which
+ * also drops EXIF data such as location). Documents are checked by their
+ * leading bytes rather than the name or type the browser sent. Files go
+ * through the storage adapter (services/storageService).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storageService');
+
+// Width and height of stored photos
+const PHOTO_SIZE = 400;
+
+// Image formats accepted for photos
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Most documents one nomination can carry
+const MAX_DOCUMENTS = 5;
+
+// Document kinds and their labels
+const documentKinds = {
+  id_card: 'College ID card',
+  no_dues: 'No-dues certificate',
+  other: 'Other'
+};
+
+// Leading bytes of the accepted document types
+const documentSignatures = [
+  { contentType: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { contentType: 'image/jpeg', extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { contentType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47] }
+];
+
+/**
+ * Find the document type from a file's leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - { contentType, extension }, or null if not accepted
+ */
+const detectDocumentType = (buffer) => {
+  const match = documentSignatures.find(signature =>
+    signature.bytes.every((byte, index) => buffer[index] === byte));
+  return match ? { contentType: match.contentType, extension: match.extension } : null;
+};
+
+/**
+ * Build a storage key for one of a candidate's files
+ * @param {Object} candidate - Candidate document
+ * @param {string} name - File name prefix
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+const createKey = (candidate, name, extension) => {
+  return `candidates/${candidate._id}/${name}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+};
+
+/**
+ * Replace a candidate's photo
+ * @param {Object} candidate - Candidate document
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<Object>} - { candidate } or { error }
+ */
+const savePhoto = async (candidate, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'The photo could not be read as an image' };
+  }
+
+  if (!PHOTO_FORMATS.includes(metadata.format)) {
+    return { error: 'Please upload a JPEG, PNG or WebP photo' };
+  }
+
+  const photo = await sharp(buffer)
+    .rotate()
+    .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+
+  const storage = getStorage();
+  const previousKey = candidate.photo && candidate.photo.key;
+  const key = await storage.save(createKey(candidate, 'photo', 'jpg'), photo);
+
+  candidate.photo = { key, contentType: 'image/jpeg', uploadedAt: new Date() };
+  await candidate.save();
+
+  if (previousKey) {
+    await storage.remove(previousKey);
+  }
+
+  return { candidate };
+};
+
+/**
+ * Remove a candidate's photo
+ * @param {Object} candidate - Candidate document
+ */
+const removePhoto = async (candidate) => {
+  const key = candidate.photo && candidate.photo.key;
+  if (!key) return;
+
+  candidate.photo = undefined;
+  await candidate.save();
+  await getStorage().remove(key);
+};
+
+/**
+ * Attach a nomination document to a candidate
+ * @param {Object} candidate - Candidate document
+ * @param {Object} file - Uploaded file from multer (memory storage)
+ * @param {string} kind - Key of documentKinds
+ * @returns {Promise<Object>} - { document } or { error }
+ */
+const addDocument = async (candidate, file, kind) => {
+  if (!documentKinds[kind]) {
+    return { error: 'Please choose what kind of document this is' };
+  }
+
+  if (candidate.documents.length >= MAX_DOCUMENTS) {
+    return { error: `A nomination can have at most ${MAX_DOCUMENTS} documents` };
+  }
+
+  const type = detectDocumentType(file.buffer);
+  if (!type) {
+    return { error: 'Documents must be PDF, JPEG or PNG files' };
+  }
+
+  const key = await getStorage().save(createKey(candidate, 'document', type.extension), file.buffer);
+
+  candidate.documents.push({
+    kind,
+    originalName: path.basename(file.originalname).substring(0, 200),
+    key,
+    contentType: type.contentType,
+    size: file.size,
+    uploadedAt: new Date()
+  });
+  await candidate.save();
+
+  return { document: candidate.documents[candidate.documents.length - 1] };
+};
+
+/**
+ * Remove a nomination document
+ * @param {Object} candidate - Candidate document
+ * @param {string} documentId - Document subdocument id
+ * @returns {Promise<boolean>} - Whether the document was found
+ */
+const removeDocument = async (candidate, documentId) => {
+  const document = candidate.documents.id(documentId);
+  if (!document) return false;
+
+  const { key } = document;
+  candidate.documents.pull(documentId);
+  await candidate.save();
+  await getStorage().remove(key);
+
+  return true;
+};
+
+/**
+ * Delete every stored file of a candidate (when the candidate is removed)
+ * @param {Object} candidate - Candidate document
+ */
+const removeAllFiles = async (candidate) => {
+  const keys = [
+    candidate.photo && candidate.photo.key,
+    ...candidate.documents.map(document => document.key)
+  ].filter(Boolean);
+
+  const storage = getStorage();
+  await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+/**
+ * Read a stored candidate file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>}
+ */
+const readFile = (key) => getStorage().read(key);
+
+module.exports = {
+  MAX_DOCUMENTS,
+  documentKinds,
+  savePhoto,
+  removePhoto,
+  addDocument,
+  removeDocument,
+  removeAllFiles,
+  readFile
+};
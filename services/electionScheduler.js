@@ -0,0 +1,250 @@
+/**
+ * Election Scheduler
+ * Purpose: Move elections through their lifecycle (pending → active → completed)
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * How it works:
+ * - Runs inside the web process on a fixed interval
+ * - Activates pending elections once their start date has passed
+ * - Closes active elections once their end date has passed
+ * - Publishes the results of closed elections that ask for it, retrying on
+ *   later passes until it works (elections waiting for a tie to be
+ *   resolved are left to the teacher)
+ * - Runs once immediately on start so transitions missed while the server
+ *   was down are applied (catch-up)
+ */
+
+const Election = require('../models/Election');
+const SystemLog = require('../models/SystemLog');
+const resultsService = require('./resultsService');
+
+// Default polling interval (1 minute)
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Activate pending elections whose start date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of elections activated
+ */
+const activateDueElections = async (now = new Date()) => {
+  const dueElections = await Election.find({
+    status: 'pending',
+    startDate: { $lte: now }
+  }).select('_id title startDate');
+
+  let activated = 0;
+
+  for (const due of dueElections) {
+    // Conditional update so a manual change (or another instance) wins the race
+    const election = await Election.findOneAndUpdate(
+      { _id: due._id, status: 'pending' },
+      { $set: { status: 'active' } },
+      { new: true }
+    );
+
+    if (!election) continue;
+    activated++;
+
+    await SystemLog.createLog({
+      action: 'election_activate',
+      details: {
+        electionId: election._id,
+        electionTitle: election.title,
+        scheduledAt: election.startDate,
+        appliedAt: now,
+        catchUp: now - election.startDate > DEFAULT_INTERVAL_MS
+      },
+      status: 'success'
+    });
+  }
+
+  return activated;
+};
+
+/**
+ * Close active elections whose end date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of elections closed
+ */
+const closeDueElections = async (now = new Date()) => {
+  const dueElections = await Election.find({
+    status: 'active',
+    endDate: { $lte: now }
+  }).select('_id');
+
+  let closed = 0;
+
+  for (const due of dueElections) {
+    const election = await Election.findOneAndUpdate(
+      { _id: due._id, status: 'active' },
+      { $set: { status: 'completed' } },
+      { new: true }
+    );
+
+    if (!election) continue;
+    closed++;
+
+    await SystemLog.createLog({
+      action: 'election_close',
+      details: {
+        electionId: election._id,
+        electionTitle: election.title,
+        scheduledAt: election.endDate,
+        appliedAt: now,
+        catchUp: now - election.endDate > DEFAULT_INTERVAL_MS
+      },
+      status: 'success'
+    });
+  }
+
+  return closed;
+};
+
+/**
+ * Publish results for an election closed by the scheduler
+ * @param {Object} election - Completed election document
+ * @returns {Promise<boolean>} - Whether the results were published
+ */
+const publishElectionResults = async (election) => {
+  try {
+    const results = await resultsService.calculateResults(election);
+
+    // An unresolved tie stays unpublished until it is resolved
+    if (election.isAwaitingTieResolution) return false;
+
+    election.results.published = true;
+    election.results.publishedAt = new Date();
+    await election.save();
+
+    await SystemLog.createLog({
+      action: 'result_publish',
+      details: {
+        electionId: election._id,
+        electionTitle: election.title,
+        totalVotes: results.totalVotes,
+        winners: election.results.winners,
+        automatic: true,
+        countSheet: resultsService.getCountSheet(election)
+      },
+      status: 'success'
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`Failed to publish results for election ${election._id}:`, error);
+
+    await SystemLog.createLog({
+      action: 'result_publish',
+      details: {
+        electionId: election._id,
+        electionTitle: election.title,
+        automatic: true,
+        message: error.message
+      },
+      status: 'failure'
+    });
+
+    return false;
+  }
+};
+
+/**
+ * Publish the results of closed elections set to publish automatically
+ * Covers elections closed in this pass and any whose publishing failed or
+ * was missed while the server was down.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of elections published
+ */
+const publishDueResults = async (now = new Date()) => {
+  const dueElections = await Election.find({
+    status: 'completed',
+    autoPublishResults: true,
+    'results.published': { $ne: true },
+    endDate: { $lte: now },
+    'results.positions': {
+      $not: { $elemMatch: { 'tie.detected': true, 'tie.status': 'awaiting_resolution' } }
+    }
+  });
+
+  let published = 0;
+  for (const election of dueElections) {
+    if (await publishElectionResults(election)) published++;
+  }
+
+  return published;
+};
+
+/**
+ * Run a single scheduler pass
+ * @returns {Promise<Object>} - Counts of applied transitions
+ */
+const runSchedulerTick = async () => {
+  // Skip overlapping ticks if a pass takes longer than the interval
+  if (running) return { activated: 0, closed: 0, published: 0, skipped: true };
+  running = true;
+
+  try {
+    const now = new Date();
+
+    // Activate first so an election whose whole window was missed
+    // is activated and closed within the same pass
+    const activated = await activateDueElections(now);
+    const closed = await closeDueElections(now);
+    const published = await publishDueResults(now);
+
+    if (activated || closed || published) {
+      console.log(`Election scheduler: ${activated} activated, ${closed} closed, ${published} published`);
+    }
+
+    return { activated, closed, published };
+  } catch (error) {
+    console.error('Election scheduler tick failed:', error);
+    return { activated: 0, closed: 0, published: 0, error: error.message };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler (runs a catch-up pass immediately)
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Polling interval in milliseconds
+ */
+const startScheduler = (options = {}) => {
+  if (timer) return;
+
+  const intervalMs = options.intervalMs ||
+    parseInt(process.env.ELECTION_SCHEDULER_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS;
+
+  runSchedulerTick();
+
+  timer = setInterval(runSchedulerTick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`Election scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  activateDueElections,
+  closeDueElections,
+  publishDueResults,
+  runSchedulerTick,
+  startScheduler,
+  stopScheduler
+};
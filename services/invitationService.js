@@ -0,0 +1,201 @@
+/**
+ * Invitation Service
+ * Purpose: Signed, expiring invitation links for teacher and admin accounts
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * A link carries the invitation id, a nonce and the expiry time, signed
+ * with HMAC-SHA256. It is accepted only while the invitation is pending,
+ * unexpired and still has that nonce, so resending (new nonce) or revoking
+ * an invitation kills the links sent before.
+ */
+
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+
+// Days an invitation link stays valid
+const INVITATION_EXPIRY_DAYS = 7;
+
+/**
+ * Key used to sign invitation links
+ * @returns {string}
+ */
+const getSigningSecret = () => {
+  return process.env.INVITATION_SECRET || process.env.SESSION_SECRET || 'college-election-secure-secret';
+};
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Token payload
+ * @returns {string} - base64url HMAC
+ */
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+};
+
+/**
+ * Build the signed token for an invitation
+ * @param {Object} invitation - Invitation with its nonce selected
+ * @returns {string}
+ */
+const createToken = (invitation) => {
+  const payload = `${invitation._id}.${invitation.nonce}.${invitation.expiresAt.getTime()}`;
+  return `${Buffer.from(payload).toString('base64url')}.${sign(payload)}`;
+};
+
+/**
+ * Full link for accepting an invitation
+ * @param {Object} invitation - Invitation with its nonce selected
+ * @returns {string}
+ */
+const getInvitationURL = (invitation) => {
+  return `${process.env.BASE_URL || 'http://localhost:3000'}/auth/invite/${createToken(invitation)}`;
+};
+
+/**
+ * Find the pending invitation a token belongs to
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} - { invitation } or { reason }
+ */
+const verifyToken = async (token) => {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return { reason: 'This invitation link is not valid' };
+
+  const payload = Buffer.from(encoded, 'base64url').toString();
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { reason: 'This invitation link is not valid' };
+  }
+
+  const [invitationId, nonce, expiresAt] = payload.split('.');
+  if (Number(expiresAt) < Date.now()) {
+    return { reason: 'This invitation has expired. Ask an administrator to send it again.' };
+  }
+
+  const invitation = await Invitation.findById(invitationId).select('+nonce');
+  if (!invitation || invitation.nonce !== nonce) {
+    return { reason: 'This invitation link has been replaced by a newer one or is no longer valid' };
+  }
+  if (invitation.status !== 'pending') {
+    return {
+      reason: invitation.status === 'accepted'
+        ? 'This invitation has already been used. Please log in.'
+        : 'This invitation has been revoked'
+    };
+  }
+
+  return { invitation };
+};
+
+/**
+ * Give an invitation a new nonce and expiry (older links stop working)
+ * @param {Object} invitation - Invitation document
+ */
+const refresh = (invitation) => {
+  invitation.nonce = crypto.randomBytes(16).toString('hex');
+  invitation.expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+};
+
+/**
+ * Create an invitation
+ * @param {string} email - Invitee's email
+ * @param {string} role - 'teacher' or 'admin'
+ * @param {string} userId - Admin sending it
+ * @returns {Promise<Object>} - { invitation } or { error }
+ */
+const createInvitation = async (email, role, userId) => {
+  const normalized = String(email || '').trim().toLowerCase();
+
+  if (await User.exists({ email: normalized })) {
+    return { error: 'This email already has an account. Change its role from user management instead.' };
+  }
+  if (await Invitation.exists({ email: normalized, status: 'pending' })) {
+    return { error: 'This email already has a pending invitation. Resend it from the list below.' };
+  }
+
+  const invitation = new Invitation({ email: normalized, role, invitedBy: userId });
+  refresh(invitation);
+  await invitation.save();
+
+  return { invitation };
+};
+
+/**
+ * Send a pending invitation again with a fresh link
+ * @param {string} invitationId - Invitation id
+ * @returns {Promise<Object|null>} - Invitation, or null if it isn't pending
+ */
+const resendInvitation = async (invitationId) => {
+  const invitation = await Invitation.findOne({ _id: invitationId, status: 'pending' }).select('+nonce');
+  if (!invitation) return null;
+
+  refresh(invitation);
+  invitation.sentCount += 1;
+  await invitation.save();
+
+  return invitation;
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {string} invitationId - Invitation id
+ * @param {string} userId - Admin revoking it
+ * @returns {Promise<Object|null>} - Invitation, or null if it wasn't pending
+ */
+const revokeInvitation = async (invitationId, userId) => {
+  return Invitation.findOneAndUpdate(
+    { _id: invitationId, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: userId } },
+    { new: true }
+  );
+};
+
+/**
+ * Create the invited account and close the invitation
+ * @param {Object} invitation - Pending invitation from verifyToken
+ * @param {Object} details - { name, password }
+ * @returns {Promise<Object|null>} - New user, or null if the invitation was used meanwhile
+ */
+const acceptInvitation = async (invitation, { name, password }) => {
+  // Claim the invitation first so it can only be used once
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', nonce: invitation.nonce },
+    { $set: { status: 'accepted', acceptedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let user;
+  try {
+    // The link was sent to this address, so the email counts as verified
+    user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      isVerified: true
+    });
+  } catch (error) {
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: 'pending' }, $unset: { acceptedAt: '' } }
+    );
+    throw error;
+  }
+
+  await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: user._id } });
+  return user;
+};
+
+module.exports = {
+  INVITATION_EXPIRY_DAYS,
+  getInvitationURL,
+  verifyToken,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,88 @@
+/**
+ * Manifesto Service
+ * Purpose: Markdown manifestos: length limits, the optional word filter and
+ *          election manifesto settings
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Manifestos are stored as Markdown and rendered on display (see
+ * utils/markdown). This service checks them against an election's length
+ * limit and word filter and parses the election's manifesto settings.
+ */
+
+const { getBlockedWords } = require('../config/wordFilter');
+const { MANIFESTO_LENGTH, renderManifesto, getManifestoText } = require('../utils/markdown');
+
+// Most words an election can add to the filter
+const MAX_ELECTION_WORDS = 50;
+
+/**
+ * Escape a word for use in a regular expression
+ * @param {string} word - Word
+ * @returns {string}
+ */
+const escapeRegExp = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of the filter that a manifesto contains
+ * @param {string} markdown - Manifesto source
+ * @param {Object} election - Election document
+ * @returns {string[]} - Matched words (none when the election's filter is off)
+ */
+const findFlaggedWords = (markdown, election) => {
+  if (!markdown || !election.manifestoWordFilter) return [];
+
+  const words = [...new Set([...getBlockedWords(), ...(election.manifestoBlockedWords || [])])];
+  const text = getManifestoText(markdown).toLowerCase();
+
+  return words.filter(word =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, 'u').test(text));
+};
+
+/**
+ * Check a manifesto against an election's length limit and word filter
+ * @param {string} markdown - Manifesto source
+ * @param {Object} election - Election document
+ * @returns {Object} - { manifesto, flags } or { error }
+ */
+const checkManifesto = (markdown, election) => {
+  const manifesto = String(markdown || '').replace(/\r\n/g, '\n').trim();
+  const maxLength = election.manifestoMaxLength || MANIFESTO_LENGTH.default;
+
+  if (manifesto.length > maxLength) {
+    return { error: `The manifesto is ${manifesto.length} characters long; this election allows ${maxLength}` };
+  }
+
+  return { manifesto, flags: findFlaggedWords(manifesto, election) };
+};
+
+/**
+ * Parse an election's manifesto length limit
+ * @param {string} value - Submitted value
+ * @returns {number}
+ */
+const parseManifestoMaxLength = (value) => {
+  const length = parseInt(value, 10);
+  if (!length) return MANIFESTO_LENGTH.default;
+  return Math.min(MANIFESTO_LENGTH.max, Math.max(MANIFESTO_LENGTH.min, length));
+};
+
+/**
+ * Parse the words an election adds to the filter
+ * @param {string|string[]} value - Comma- or line-separated words
+ * @returns {string[]} - Lower-case words
+ */
+const parseBlockedWords = (value) => {
+  const words = (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map(word => String(word).trim().toLowerCase())
+    .filter(word => word.length > 0 && word.length <= 50);
+
+  return [...new Set(words)].slice(0, MAX_ELECTION_WORDS);
+};
+
+module.exports = {
+  findFlaggedWords,
+  checkManifesto,
+  parseManifestoMaxLength,
+  parseBlockedWords
+};
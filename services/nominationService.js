@@ -0,0 +1,310 @@
+/**
+ * Nomination Service
+ * Purpose: Student self-nomination and the teacher review of nominations
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * A student of the election's class can nominate themselves until voting
+ * opens. When the election asks for endorsements, classmates second the
+ * nomination first (one nomination per position each). It then waits for a
+ * teacher, who approves it or rejects it with a reason; the student is
+ * emailed either way. Only approved candidates join Election.candidates and
+ * the ballot. A rejected nomination can be changed and submitted again.
+ * When the election's word filter is on, a manifesto with filtered words is
+ * hidden from classmates until the teacher confirms it on approval.
+ */
+
+const Candidate = require('../models/Candidate');
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+const mailer = require('../config/mailer');
+const manifestoService = require('./manifestoService');
+
+// Shortest rejection reason accepted
+const MIN_REASON_LENGTH = 10;
+
+/**
+ * Check whether an election still takes nominations
+ * @param {Object} election - Election document
+ * @returns {boolean}
+ */
+const isNominationOpen = (election) => {
+  return election.status === 'pending' && new Date() < election.startDate;
+};
+
+/**
+ * Submit (or resubmit after a rejection) a student's own nomination
+ * @param {Object} election - Election document
+ * @param {Object} student - Student user document
+ * @param {Object} data - { positionId, symbol, color, manifesto }
+ * @returns {Promise<Object>} - { candidate, position } or { error }
+ */
+const nominate = async (election, student, data) => {
+  if (!isNominationOpen(election)) {
+    return { error: 'Nominations are closed for this election' };
+  }
+
+  if (!student.class || student.class.toString() !== election.class.toString()) {
+    return { error: 'You can only stand in elections for your own class' };
+  }
+
+  if (!Candidate.getAvailableSymbols().includes(data.symbol)) {
+    return { error: 'Please choose a symbol' };
+  }
+
+  // Single-position elections may omit the position
+  const positions = election.ensurePositions();
+  const position = data.positionId
+    ? election.positions.id(data.positionId)
+    : (positions.length === 1 ? positions[0] : null);
+
+  if (!position) {
+    return { error: 'Please choose the position you are standing for' };
+  }
+
+  const checked = manifestoService.checkManifesto(data.manifesto, election);
+  if (checked.error) {
+    return { error: checked.error };
+  }
+
+  const fields = {
+    position: position._id,
+    symbol: data.symbol,
+    color: data.color || '#3498db',
+    manifesto: checked.manifesto,
+    manifestoFlags: checked.flags
+  };
+
+  let candidate = await Candidate.findOne({ student: student._id, election: election._id });
+
+  if (candidate && candidate.reviewStatus !== 'rejected') {
+    const errors = {
+      approved: 'You are already a candidate in this election',
+      withdrawn: 'You have withdrawn from this election',
+      endorsing: 'Your nomination is still collecting endorsements',
+      pending: 'Your nomination is already waiting for review'
+    };
+    return { error: errors[candidate.reviewStatus] };
+  }
+
+  let endorsements = 0;
+  if (candidate) {
+    // Endorsements were given for a position; a new position starts over
+    if (candidate.position && candidate.position.toString() !== position._id.toString()) {
+      await Endorsement.deleteMany({ candidate: candidate._id });
+    } else {
+      endorsements = await Endorsement.countDocuments({ candidate: candidate._id });
+    }
+
+    candidate.set(fields);
+    candidate.manifestoReviewedBy = undefined;
+    candidate.manifestoReviewedAt = undefined;
+    candidate.rejectedBy = undefined;
+    candidate.rejectedAt = undefined;
+    candidate.rejectionReason = undefined;
+  } else {
+    candidate = new Candidate({
+      ...fields,
+      student: student._id,
+      election: election._id,
+      selfNominated: true
+    });
+  }
+  candidate.awaitingEndorsements = endorsements < (election.endorsementsRequired || 0);
+
+  try {
+    await candidate.save();
+  } catch (error) {
+    // A second submission got there first
+    if (error.code === 11000) {
+      return { error: 'Your nomination is already waiting for review' };
+    }
+    throw error;
+  }
+
+  return { candidate, position, flags: checked.flags };
+};
+
+/**
+ * Endorse a classmate's nomination
+ * @param {Object} candidate - Candidate document (collecting endorsements)
+ * @param {Object} election - Election document
+ * @param {Object} student - Endorsing student
+ * @returns {Promise<Object>} - { endorsements, thresholdMet } or { error }
+ */
+const endorse = async (candidate, election, student) => {
+  if (!isNominationOpen(election)) {
+    return { error: 'Nominations are closed for this election' };
+  }
+
+  if (candidate.reviewStatus !== 'endorsing') {
+    return { error: 'This nomination is not collecting endorsements' };
+  }
+
+  if (!student.class || student.class.toString() !== election.class.toString()) {
+    return { error: 'Only classmates can endorse a nomination' };
+  }
+
+  const nomineeId = candidate.student._id || candidate.student;
+  if (nomineeId.toString() === student._id.toString()) {
+    return { error: 'You cannot endorse your own nomination' };
+  }
+
+  try {
+    await Endorsement.create({
+      candidate: candidate._id,
+      election: election._id,
+      position: candidate.position,
+      student: student._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'You have already endorsed a nomination for this position' };
+    }
+    throw error;
+  }
+
+  const endorsements = await Endorsement.countDocuments({ candidate: candidate._id });
+  let thresholdMet = false;
+
+  // Send the nomination on to the teachers once (the last two endorsements may arrive together)
+  if (endorsements >= election.endorsementsRequired) {
+    const result = await Candidate.updateOne(
+      { _id: candidate._id, awaitingEndorsements: true },
+      { $set: { awaitingEndorsements: false } }
+    );
+    thresholdMet = result.modifiedCount > 0;
+  }
+
+  return { endorsements, thresholdMet };
+};
+
+/**
+ * Send on nominations that meet a lowered endorsement threshold
+ * @param {Object} election - Election document
+ * @returns {Promise<number>} - Nominations sent on for review
+ */
+const refreshEndorsementStatus = async (election) => {
+  const waiting = await Candidate.find({
+    election: election._id,
+    awaitingEndorsements: true
+  }).select('_id');
+  if (waiting.length === 0) return 0;
+
+  const counts = await Endorsement.countByCandidate(waiting.map(candidate => candidate._id));
+  const ready = waiting
+    .filter(candidate => (counts.get(candidate._id.toString()) || 0) >= election.endorsementsRequired)
+    .map(candidate => candidate._id);
+
+  if (ready.length > 0) {
+    await Candidate.updateMany({ _id: { $in: ready } }, { $set: { awaitingEndorsements: false } });
+  }
+
+  return ready.length;
+};
+
+/**
+ * Email a student the decision on their nomination
+ * A failed email doesn't undo the decision.
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendDecision = async (candidate, election) => {
+  const student = await User.findById(candidate.student).select('name email');
+  if (!student) return false;
+
+  try {
+    await mailer.sendNominationDecisionEmail(student.email, student.name, {
+      approved: candidate.approved,
+      electionTitle: election.title,
+      electionId: election._id,
+      positionTitle: election.getCandidatePosition(candidate).title,
+      reason: candidate.rejectionReason
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to send nomination decision email:', error);
+    return false;
+  }
+};
+
+/**
+ * Approve a pending nomination and put the candidate on the ballot
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @param {string} reviewerId - Reviewing user
+ * @param {Object} [options] - { publishManifesto } confirms a flagged manifesto
+ * @returns {Promise<Object>} - { emailSent } or { error }
+ */
+const approveNomination = async (candidate, election, reviewerId, options = {}) => {
+  if (candidate.reviewStatus === 'endorsing') {
+    return { error: 'This nomination still needs more endorsements' };
+  }
+  if (candidate.reviewStatus !== 'pending') {
+    return { error: 'This nomination has already been reviewed' };
+  }
+
+  if (election.status === 'completed' || election.status === 'cancelled') {
+    return { error: 'Cannot approve candidates for a completed or cancelled election' };
+  }
+
+  if (!candidate.manifestoPublished) {
+    if (!options.publishManifesto) {
+      return { error: 'The manifesto was flagged by the word filter. Confirm it can be published, or reject the nomination.' };
+    }
+    candidate.manifestoReviewedBy = reviewerId;
+    candidate.manifestoReviewedAt = new Date();
+  }
+
+  candidate.approved = true;
+  candidate.approvedBy = reviewerId;
+  candidate.approvedAt = new Date();
+  await candidate.save();
+
+  if (!election.candidates.some(id => id.toString() === candidate._id.toString())) {
+    election.candidates.push(candidate._id);
+    await election.save();
+  }
+
+  return { emailSent: await sendDecision(candidate, election) };
+};
+
+/**
+ * Reject a pending nomination
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @param {string} reviewerId - Reviewing user
+ * @param {string} reason - Reason shown to the student (required)
+ * @returns {Promise<Object>} - { emailSent } or { error }
+ */
+const rejectNomination = async (candidate, election, reviewerId, reason) => {
+  if (candidate.reviewStatus === 'endorsing') {
+    return { error: 'This nomination still needs more endorsements' };
+  }
+  if (candidate.reviewStatus !== 'pending') {
+    return { error: 'This nomination has already been reviewed' };
+  }
+
+  const trimmed = String(reason || '').trim();
+  if (trimmed.length < MIN_REASON_LENGTH) {
+    return { error: `Please give the student a reason (at least ${MIN_REASON_LENGTH} characters)` };
+  }
+
+  candidate.rejectedBy = reviewerId;
+  candidate.rejectedAt = new Date();
+  candidate.rejectionReason = trimmed;
+  await candidate.save();
+
+  return { emailSent: await sendDecision(candidate, election) };
+};
+
+module.exports = {
+  MIN_REASON_LENGTH,
+  isNominationOpen,
+  nominate,
+  endorse,
+  refreshEndorsementStatus,
+  approveNomination,
+  rejectNomination
+};
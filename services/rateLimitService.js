@@ -0,0 +1,190 @@
+/**
+ * Rate Limit Service
+ * Purpose: Count requests per route, IP and account, and lock accounts
+ *          after repeated failed logins
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Counters use fixed windows: the window number is part of the counter key,
+ * so a new window starts a new counter and old ones expire on their own.
+ * Identities (IPs, emails, roll numbers) are hashed before they are used in
+ * keys, so the collection holds no personal data.
+ */
+
+const crypto = require('crypto');
+const RateLimit = require('../models/RateLimit');
+const rateLimits = require('../config/rateLimits');
+
+/**
+ * Hash an identity for use in a counter key
+ * @param {string} identity - IP address, email or voter identity
+ * @returns {string}
+ */
+const hashIdentity = (identity) => {
+  return crypto.createHash('sha256')
+    .update(String(identity).trim().toLowerCase())
+    .digest('hex')
+    .substring(0, 32);
+};
+
+/**
+ * Wait before answering a request
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Add one to a counter, creating it if needed
+ * @param {string} key - Counter key
+ * @param {Date} expiresAt - When a new counter expires
+ * @returns {Promise<Object>} - Counter document
+ */
+const increment = async (key, expiresAt) => {
+  try {
+    return await RateLimit.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two requests created the counter at once; the other one won
+    if (error.code !== 11000) throw error;
+    return RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+  }
+};
+
+/**
+ * Count a request against a route's limits for one scope
+ * @param {string} route - Route name from config/rateLimits
+ * @param {string} scope - 'ip' or 'account'
+ * @param {string} identity - IP address or account identity
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Object>} - { scope, count, blocked, delayMs, resetAt }
+ */
+const hit = async (route, scope, identity, now = Date.now()) => {
+  const config = rateLimits.routes[route];
+  const limits = config[scope];
+  const window = Math.floor(now / config.windowMs);
+  const resetAt = new Date((window + 1) * config.windowMs);
+
+  const counter = await increment(`${route}:${scope}:${hashIdentity(identity)}:${window}`, resetAt);
+  const over = counter.count - limits.delayAfter;
+
+  return {
+    scope,
+    count: counter.count,
+    blocked: counter.count > limits.max,
+    // Only the first blocked request of a window gets logged
+    firstBlocked: counter.count === limits.max + 1,
+    delayMs: over > 0 ? Math.min(over * config.delayMs, config.maxDelayMs) : 0,
+    resetAt
+  };
+};
+
+/**
+ * Count a request against its route's IP and account limits
+ * @param {string} route - Route name from config/rateLimits
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - { blocked, delayMs, resetAt, hits }
+ */
+const checkRequest = async (route, req) => {
+  const config = rateLimits.routes[route];
+  const account = config.accountKey(req);
+
+  const hits = [await hit(route, 'ip', req.ip)];
+  if (account && String(account).trim()) {
+    hits.push(await hit(route, 'account', account));
+  }
+
+  const blocked = hits.filter(result => result.blocked);
+
+  return {
+    blocked: blocked.length > 0,
+    blockedHits: blocked,
+    delayMs: Math.max(...hits.map(result => result.delayMs)),
+    resetAt: blocked.length > 0
+      ? new Date(Math.max(...blocked.map(result => result.resetAt.getTime())))
+      : null
+  };
+};
+
+/**
+ * Counter key for an account's failed logins
+ * @param {string} email - Login email
+ * @returns {string}
+ */
+const loginFailureKey = (email) => `login_failures:${hashIdentity(email)}`;
+
+/**
+ * Get an account's failed login count and lockout
+ * @param {string} email - Login email
+ * @returns {Promise<Object>} - { failures, lockedUntil } (lockedUntil null when not locked)
+ */
+const getLoginLockout = async (email) => {
+  const record = await RateLimit.findOne({ key: loginFailureKey(email) });
+  if (!record) return { failures: 0, lockedUntil: null };
+
+  return {
+    failures: record.count,
+    lockedUntil: record.lockedUntil && record.lockedUntil > new Date() ? record.lockedUntil : null
+  };
+};
+
+/**
+ * Delay before answering a login attempt, growing with each failure
+ * @param {number} failures - Recent failed logins
+ * @returns {number} - Milliseconds
+ */
+const getLoginDelay = (failures) => {
+  const { delayPerFailureMs, maxDelayMs } = rateLimits.loginLockout;
+  return Math.min(failures * delayPerFailureMs, maxDelayMs);
+};
+
+/**
+ * Record a failed login and lock the account once the threshold is reached
+ * @param {string} email - Login email
+ * @returns {Promise<Object>} - { failures, lockedUntil } (lockedUntil set only by this failure)
+ */
+const recordLoginFailure = async (email) => {
+  const { windowMs, threshold, lockMs, maxLockMs } = rateLimits.loginLockout;
+  const key = loginFailureKey(email);
+  const now = Date.now();
+
+  const record = await increment(key, new Date(now + windowMs));
+  await RateLimit.updateOne({ key }, { $max: { expiresAt: new Date(now + windowMs) } });
+
+  // Only one of several simultaneous failures starts the lockout
+  const locked = await RateLimit.findOneAndUpdate(
+    { key, count: { $gte: threshold } },
+    { $set: { count: 0 }, $inc: { lockouts: 1 } },
+    { new: true }
+  );
+  if (!locked) return { failures: record.count, lockedUntil: null };
+
+  // Each lockout in a row lasts twice as long as the one before
+  const lockedUntil = new Date(now + Math.min(lockMs * 2 ** (locked.lockouts - 1), maxLockMs));
+  await RateLimit.updateOne(
+    { key },
+    { $set: { lockedUntil, expiresAt: new Date(lockedUntil.getTime() + windowMs) } }
+  );
+
+  return { failures: record.count, lockedUntil };
+};
+
+/**
+ * Forget an account's failed logins after a successful one
+ * @param {string} email - Login email
+ */
+const clearLoginFailures = async (email) => {
+  await RateLimit.deleteOne({ key: loginFailureKey(email) });
+};
+
+module.exports = {
+  delay,
+  checkRequest,
+  getLoginLockout,
+  getLoginDelay,
+  recordLoginFailure,
+  clearLoginFailures
+};
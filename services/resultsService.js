@@ -0,0 +1,750 @@
+/**
+ * Results Service
+ * Purpose: Single tally engine for election results
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Counts the secret ballots of an election (Vote collection). Who voted is
+ * kept apart (Participation collection) and only feeds the per-channel
+ * totals. Votes stored inside older election documents are moved there by
+ * scripts/migrate-ballots.js.
+ *
+ * Each ballot holds its choices for every position; every position is
+ * counted separately, with the election's voting method (see
+ * votingMethods.js), and fills its own number of seats.
+ *
+ * A tie for the last seat(s) of a position is never decided by iteration
+ * order. It is stored on the position's result and broken according to
+ * election.tieBreakPolicy:
+ * - runoff: a run-off election between the tied candidates is scheduled
+ * - lots: a seeded draw that anyone can reproduce from the recorded seed
+ * - earliest_vote: the candidates who reached the tied total first win
+ *   (secret ballots only keep the hour they were cast, so candidates
+ *   reaching the total within the same hour go to a draw of lots)
+ * - teacher_decision: a teacher picks the winners and records a reason
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Candidate = require('../models/Candidate');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+const SystemLog = require('../models/SystemLog');
+const votingMethods = require('./votingMethods');
+
+// Run-off elections open an hour after the tie and stay open for a day
+const RUNOFF_DELAY_MS = 60 * 60 * 1000;
+const RUNOFF_DURATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get an id string from a populated document or a raw ObjectId
+ * @param {Object|string} value - Document or id
+ * @returns {string|null}
+ */
+const toId = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+/**
+ * Get the candidate ids chosen on a ballot (the oldest records hold one candidate)
+ * @param {Object} vote - Secret ballot or legacy vote
+ * @returns {string[]} - Candidate ids
+ */
+const getBallotChoices = (vote) => {
+  const choices = vote.choices && vote.choices.length > 0 ? vote.choices : [vote.candidate];
+  return choices.filter(Boolean).map(toId);
+};
+
+/**
+ * Gather the ballots to count and the per-channel totals
+ * @param {Object} election - Election document
+ * @returns {Promise<Object>} - Counted ballots and source totals
+ */
+const collectBallots = async (election) => {
+  const votes = await Vote.find({ election: election._id })
+    .select('choices castAt')
+    .lean();
+
+  const ballots = votes.map(vote => ({
+    choices: getBallotChoices(vote),
+    timestamp: vote.castAt
+  }));
+
+  const channels = await Participation.countByChannel(election._id);
+
+  return {
+    ballots,
+    sources: {
+      registered: channels.registered,
+      anonymous: channels.qr
+    }
+  };
+};
+
+/**
+ * Map every candidate of the election to the position they stand for
+ * @param {Object} election - Election document
+ * @returns {Promise<Object>} - { candidateId: positionId }
+ */
+const getCandidatePositions = async (election) => {
+  const candidates = await Candidate.find({
+    _id: { $in: (election.candidates || []).map(toId) }
+  }).select('position');
+
+  const candidatePositions = {};
+  candidates.forEach(candidate => {
+    candidatePositions[toId(candidate)] = toId(election.getCandidatePosition(candidate));
+  });
+
+  return candidatePositions;
+};
+
+/**
+ * Decide which candidates fill a position's seats
+ * @param {Object} candidateVotes - { candidateId: votes } for the position
+ * @param {number} seats - Seats to fill
+ * @returns {Object} - Elected candidates and any tie for the last seat(s)
+ */
+const decideSeats = (candidateVotes, seats) => {
+  const ranked = Object.entries(candidateVotes)
+    .filter(([, votes]) => votes > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  if (ranked.length <= seats || ranked[seats][1] < ranked[seats - 1][1]) {
+    return { winners: ranked.slice(0, seats).map(([candidateId]) => candidateId), tie: null };
+  }
+
+  // More candidates share the cut-off count than there are seats left
+  const cutoff = ranked[seats - 1][1];
+  const secured = ranked.filter(([, votes]) => votes > cutoff).map(([candidateId]) => candidateId);
+  const tied = ranked.filter(([, votes]) => votes === cutoff).map(([candidateId]) => candidateId);
+
+  return {
+    winners: secured,
+    tie: {
+      candidates: tied,
+      votes: cutoff,
+      seatsRemaining: seats - secured.length
+    }
+  };
+};
+
+/**
+ * Tally an election across registered and anonymous votes
+ * @param {Object} election - Election document (candidates may be populated)
+ * @returns {Promise<Object>} - Tally with per-position and per-candidate counts and source totals
+ */
+const tallyElection = async (election) => {
+  const positions = election.ensurePositions();
+  const { ballots, sources } = await collectBallots(election);
+  const candidatePositions = await getCandidatePositions(election);
+
+  const countedCandidates = new Set();
+  // Time of each candidate's latest counted ballot (when they reached their total)
+  const lastVoteAt = {};
+
+  const positionTallies = positions.map(position => ({
+    positionId: toId(position),
+    title: position.title,
+    seats: position.seats,
+    candidateIds: [],
+    ballots: []
+  }));
+  const positionTallyById = {};
+  positionTallies.forEach(positionTally => {
+    positionTallyById[positionTally.positionId] = positionTally;
+  });
+
+  const addCandidate = (candidateId) => {
+    if (countedCandidates.has(candidateId)) return;
+    countedCandidates.add(candidateId);
+
+    const positionId = candidatePositions[candidateId] || positionTallies[0].positionId;
+    candidatePositions[candidateId] = positionId;
+    positionTallyById[positionId].candidateIds.push(candidateId);
+  };
+
+  // Every candidate appears in the tally, even with zero votes
+  (election.candidates || []).forEach(candidate => addCandidate(toId(candidate)));
+
+  ballots.forEach(ballot => {
+    // Split the ballot's choices by position, keeping their order
+    const positionChoices = {};
+
+    ballot.choices.forEach(candidateId => {
+      addCandidate(candidateId);
+
+      const positionId = candidatePositions[candidateId];
+      positionChoices[positionId] = positionChoices[positionId] || [];
+      positionChoices[positionId].push(candidateId);
+    });
+
+    const votedPositions = Object.keys(positionChoices);
+    if (votedPositions.length === 0) return;
+
+    votedPositions.forEach(positionId => {
+      const choices = positionChoices[positionId];
+      positionTallyById[positionId].ballots.push({ choices });
+
+      // Timing follows the choices that count first
+      const counted = election.votingMethod === 'approval' ? choices : [choices[0]];
+      counted.forEach(candidateId => {
+        const castAt = new Date(ballot.timestamp);
+        if (!lastVoteAt[candidateId] || castAt > lastVoteAt[candidateId]) {
+          lastVoteAt[candidateId] = castAt;
+        }
+      });
+    });
+  });
+
+  const candidateVotes = {};
+
+  positionTallies.forEach(positionTally => {
+    const count = votingMethods.countVotes(election.votingMethod, {
+      candidateIds: positionTally.candidateIds,
+      ballots: positionTally.ballots,
+      seats: positionTally.seats,
+      // Elimination draws are reproducible from the election id
+      seed: toId(election)
+    });
+
+    // Seats go to the candidates still in contention at the end of the count
+    const contenders = count.contenders || positionTally.candidateIds;
+    const contenderVotes = {};
+    contenders.forEach(candidateId => {
+      contenderVotes[candidateId] = count.candidateVotes[candidateId];
+    });
+
+    Object.assign(candidateVotes, count.candidateVotes);
+    Object.assign(positionTally, {
+      candidateVotes: count.candidateVotes,
+      totalVotes: positionTally.ballots.length,
+      rounds: count.rounds,
+      quota: count.quota
+    }, count.winners
+      // STV elects its own winners, in order
+      ? { winners: count.winners, tie: null }
+      : decideSeats(contenderVotes, positionTally.seats));
+
+    delete positionTally.candidateIds;
+    delete positionTally.ballots;
+  });
+
+  // The first position's top candidate is kept as the headline winner
+  const headline = positionTallies[0];
+
+  return {
+    totalVotes: sources.registered + sources.anonymous,
+    sources,
+    candidateVotes,
+    candidatePositions,
+    lastVoteAt,
+    positions: positionTallies,
+    isTie: positionTallies.some(positionTally => positionTally.tie),
+    winnerId: headline.winners[0] || null,
+    maxVotes: Math.max(0, ...Object.values(headline.candidateVotes))
+  };
+};
+
+/**
+ * Add the class size and participation rate to vote statistics
+ * @param {Object} stats - Statistics with totalVotes
+ * @param {number} [totalStudents] - Class size (left out when undefined)
+ * @returns {Object} - The same statistics
+ */
+const addParticipationRate = (stats, totalStudents) => {
+  if (totalStudents !== undefined) {
+    stats.totalStudents = totalStudents;
+    stats.participationRate = totalStudents
+      ? (stats.totalVotes / totalStudents * 100).toFixed(2)
+      : 0;
+  }
+
+  return stats;
+};
+
+/**
+ * Build the voteStats object used by election views
+ * @param {Object} election - Election document
+ * @param {number} [totalStudents] - Class size, for participation rate
+ * @returns {Promise<Object>} - View statistics
+ */
+const getVoteStats = async (election, totalStudents) => {
+  const tally = await tallyElection(election);
+
+  return addParticipationRate({
+    totalVotes: tally.totalVotes,
+    sources: tally.sources,
+    candidateVotes: tally.candidateVotes,
+    positions: tally.positions
+  }, totalStudents);
+};
+
+/**
+ * Build turnout-only statistics (no per-candidate counts)
+ * Read from the participation records, so no ballot is opened.
+ * @param {Object} election - Election document
+ * @param {number} [totalStudents] - Class size, for participation rate
+ * @returns {Promise<Object>} - { totalVotes, sources[, totalStudents, participationRate] }
+ */
+const getTurnoutStats = async (election, totalStudents) => {
+  const channels = await Participation.countByChannel(election._id);
+
+  return addParticipationRate({
+    totalVotes: channels.registered + channels.qr,
+    sources: {
+      registered: channels.registered,
+      anonymous: channels.qr
+    }
+  }, totalStudents);
+};
+
+/**
+ * Get ids of students who have voted through either channel
+ * @param {Object} election - Election document
+ * @returns {Promise<string[]>} - Student ids
+ */
+const getVotedStudentIds = async (election) => {
+  const participations = await Participation.find({ election: election._id })
+    .select('student rollNumber')
+    .lean();
+
+  const votedIds = new Set(participations
+    .filter(participation => participation.student)
+    .map(participation => toId(participation.student)));
+
+  // QR votes whose roll number didn't match a student when they were cast
+  const rollNumbers = participations
+    .filter(participation => !participation.student && participation.rollNumber)
+    .map(participation => participation.rollNumber);
+  if (rollNumbers.length > 0) {
+    const students = await User.find({
+      class: toId(election.class),
+      role: 'student',
+      rollNumber: { $in: rollNumbers }
+    }).select('_id');
+
+    students.forEach(student => votedIds.add(student._id.toString()));
+  }
+
+  return [...votedIds];
+};
+
+/**
+ * Order candidates by a seeded draw of lots
+ * Each candidate is ranked by SHA-256(seed:candidateId), so the same seed
+ * always produces the same order and the draw can be audited later.
+ * @param {string[]} candidateIds - Tied candidate ids
+ * @param {string} seed - Random seed
+ * @returns {string[]} - Candidate ids in drawn order
+ */
+const rankByLots = (candidateIds, seed) => {
+  return candidateIds
+    .map(candidateId => ({
+      candidateId,
+      hash: crypto.createHash('sha256').update(`${seed}:${candidateId}`).digest('hex')
+    }))
+    .sort((a, b) => a.hash.localeCompare(b.hash))
+    .map(entry => entry.candidateId);
+};
+
+/**
+ * Order tied candidates by who reached the tied total first
+ * Candidates sharing the deciding timestamp are ordered by a draw of lots.
+ * @param {string[]} candidateIds - Tied candidate ids
+ * @param {Object} lastVoteAt - Latest counted ballot time per candidate
+ * @param {number} seats - Seats to fill
+ * @returns {Object} - Ordered ids and the seed if a draw was needed
+ */
+const rankByEarliestVote = (candidateIds, lastVoteAt, seats) => {
+  // Candidates without a counted first choice rank last
+  const timeOf = candidateId => (lastVoteAt[candidateId] ? lastVoteAt[candidateId].getTime() : Infinity);
+  const ordered = [...candidateIds].sort((a, b) => timeOf(a) - timeOf(b));
+
+  const boundary = ordered[seats];
+  if (!boundary || timeOf(boundary) !== timeOf(ordered[seats - 1])) {
+    return { ordered, seed: null };
+  }
+
+  // Identical timestamps at the cut-off fall back to a draw of lots
+  const seed = crypto.randomBytes(16).toString('hex');
+  const boundaryTime = timeOf(boundary);
+  const before = ordered.filter(candidateId => timeOf(candidateId) < boundaryTime);
+  const atBoundary = rankByLots(ordered.filter(candidateId => timeOf(candidateId) === boundaryTime), seed);
+  const after = ordered.filter(candidateId => timeOf(candidateId) > boundaryTime);
+
+  return { ordered: [...before, ...atBoundary, ...after], seed };
+};
+
+/**
+ * Check whether two lists of ids contain the same members
+ */
+const sameCandidates = (a, b) => {
+  const left = a.map(toId).sort();
+  const right = b.map(toId).sort();
+  return left.length === right.length && left.every((id, index) => id === right[index]);
+};
+
+/**
+ * Schedule a run-off election between the candidates tied for a position
+ * @param {Object} election - Tied election
+ * @param {Object} positionTally - Tally of the tied position
+ * @returns {Promise<Object>} - Run-off election
+ */
+const createRunoffElection = async (election, positionTally) => {
+  const Election = election.constructor;
+  const startDate = new Date(Date.now() + RUNOFF_DELAY_MS);
+
+  const runoff = new Election({
+    title: `${election.title} - ${positionTally.title} (Run-off)`,
+    description: `Run-off between the candidates tied for ${positionTally.title} in "${election.title}".`,
+    electionType: election.electionType,
+    class: toId(election.class),
+    startDate,
+    endDate: new Date(startDate.getTime() + RUNOFF_DURATION_MS),
+    status: 'pending',
+    positions: [{
+      title: positionTally.title,
+      seats: positionTally.tie.seatsRemaining
+    }],
+    votingMethod: election.votingMethod,
+    autoPublishResults: true,
+    // A tied run-off goes to the teacher rather than another run-off
+    tieBreakPolicy: 'teacher_decision',
+    runoffOf: election._id,
+    runoffPosition: positionTally.positionId,
+    createdBy: toId(election.createdBy)
+  });
+
+  const originals = await Candidate.find({ _id: { $in: positionTally.tie.candidates } });
+
+  for (const original of originals) {
+    const candidate = await Candidate.create({
+      student: original.student,
+      election: runoff._id,
+      position: runoff.positions[0]._id,
+      symbol: original.symbol,
+      color: original.color,
+      manifesto: original.manifesto,
+      approved: true,
+      approvedBy: original.approvedBy,
+      approvedAt: new Date()
+    });
+
+    runoff.candidates.push(candidate._id);
+  }
+
+  await runoff.save();
+  return runoff;
+};
+
+/**
+ * Record a tie for a position and apply the election's tie-break policy
+ * @param {Object} election - Election document
+ * @param {Object} positionTally - Tally of the tied position
+ * @param {Object} previousTie - Tie stored by an earlier count, if any
+ * @param {Object} lastVoteAt - Latest counted ballot time per candidate
+ * @returns {Promise<Object>} - Tie record to store
+ */
+const applyTieBreak = async (election, positionTally, previousTie, lastVoteAt) => {
+  const { candidates, votes, seatsRemaining } = positionTally.tie;
+
+  // Re-counting an unchanged tie keeps its resolution (or pending run-off)
+  if (previousTie && previousTie.detected &&
+      previousTie.seatsRemaining === seatsRemaining &&
+      sameCandidates(previousTie.candidates, candidates)) {
+    return previousTie;
+  }
+
+  const tie = {
+    detected: true,
+    candidates,
+    votes,
+    seatsRemaining,
+    policy: election.tieBreakPolicy,
+    status: 'awaiting_resolution',
+    winners: []
+  };
+
+  switch (election.tieBreakPolicy) {
+    case 'lots': {
+      tie.seed = crypto.randomBytes(16).toString('hex');
+      tie.winners = rankByLots(candidates, tie.seed).slice(0, seatsRemaining);
+      tie.method = 'lots';
+      break;
+    }
+    case 'earliest_vote': {
+      const { ordered, seed } = rankByEarliestVote(candidates, lastVoteAt, seatsRemaining);
+      tie.winners = ordered.slice(0, seatsRemaining);
+      tie.method = seed ? 'earliest_vote+lots' : 'earliest_vote';
+      if (seed) tie.seed = seed;
+      break;
+    }
+    case 'runoff': {
+      const runoff = await createRunoffElection(election, positionTally);
+      tie.runoffElection = runoff._id;
+      break;
+    }
+    default:
+      // teacher_decision: wait for resolveTie()
+      break;
+  }
+
+  if (tie.winners.length > 0) {
+    tie.status = 'resolved';
+    tie.resolvedAt = new Date();
+  }
+
+  await SystemLog.createLog({
+    action: 'tie_detect',
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      positionId: positionTally.positionId,
+      positionTitle: positionTally.title,
+      candidates,
+      votes,
+      seatsRemaining,
+      policy: election.tieBreakPolicy,
+      seed: tie.seed,
+      winners: tie.winners,
+      runoffElectionId: tie.runoffElection
+    },
+    status: tie.status === 'resolved' ? 'success' : 'warning'
+  });
+
+  return tie;
+};
+
+/**
+ * Calculate results, record the winners and mark the election completed
+ * An unresolved tie leaves the results unpublished.
+ * @param {Object} election - Election document
+ * @returns {Promise<Object>} - Tally summary
+ */
+const calculateResults = async (election) => {
+  const tally = await tallyElection(election);
+  const previousResults = election.results.positions || [];
+
+  election.results.totalVotes = tally.totalVotes;
+  election.results.sources = tally.sources;
+
+  const positionResults = [];
+
+  for (const positionTally of tally.positions) {
+    const previous = previousResults.find(result => toId(result.position) === positionTally.positionId);
+    let winners = positionTally.winners;
+    let tie = { detected: false };
+
+    if (positionTally.tie) {
+      tie = await applyTieBreak(election, positionTally, previous && previous.tie, tally.lastVoteAt);
+      winners = winners.concat((tie.winners || []).map(toId));
+    }
+
+    positionResults.push({
+      position: positionTally.positionId,
+      title: positionTally.title,
+      seats: positionTally.seats,
+      winners,
+      tie,
+      candidateVotes: positionTally.candidateVotes,
+      quota: positionTally.quota,
+      rounds: positionTally.rounds || []
+    });
+  }
+
+  election.results.positions = positionResults;
+  election.results.winners = positionResults.flatMap(result => result.winners);
+
+  const headlineWinner = positionResults[0].winners[0];
+
+  if (election.isAwaitingTieResolution) {
+    election.results.winner = headlineWinner;
+    election.results.published = false;
+    election.status = 'completed';
+  } else if (tally.totalVotes > 0) {
+    // Set the winner
+    election.results.winner = headlineWinner;
+    election.results.published = true;
+    election.results.publishedAt = new Date();
+    election.status = 'completed';
+  }
+
+  await election.save();
+
+  // A decided run-off settles the tie in the election it was created for
+  if (election.runoffOf && election.results.published) {
+    await resolveRunoffParent(election);
+  }
+
+  return {
+    totalVotes: tally.totalVotes,
+    sources: tally.sources,
+    voteCounts: tally.candidateVotes,
+    winnerId: toId(headlineWinner),
+    maxVotes: tally.maxVotes,
+    positions: positionResults,
+    tie: tally.isTie ? positionResults.filter(result => result.tie.detected).map(result => result.tie) : null
+  };
+};
+
+/**
+ * Build the full count sheet of a counted election
+ * Plain data, suitable for the result_publish log entry.
+ * @param {Object} election - Election with calculated results
+ * @returns {Object} - Count sheet
+ */
+const getCountSheet = (election) => {
+  const plain = value => (value instanceof Map ? Object.fromEntries(value) : value || {});
+
+  return {
+    votingMethod: election.votingMethod,
+    totalVotes: election.results.totalVotes,
+    sources: election.results.sources,
+    winners: (election.results.winners || []).map(toId),
+    positions: (election.results.positions || []).map(result => ({
+      positionId: toId(result.position),
+      title: result.title,
+      seats: result.seats,
+      quota: result.quota,
+      winners: result.winners.map(toId),
+      candidateVotes: plain(result.candidateVotes),
+      tie: result.tie && result.tie.detected ? {
+        candidates: result.tie.candidates.map(toId),
+        method: result.tie.method,
+        seed: result.tie.seed
+      } : undefined,
+      rounds: (result.rounds || []).map(round => ({
+        round: round.round,
+        counts: plain(round.counts),
+        exhausted: round.exhausted,
+        elected: (round.elected || []).map(toId),
+        eliminated: (round.eliminated || []).map(toId),
+        tieBreak: round.tieBreak
+      }))
+    }))
+  };
+};
+
+/**
+ * Resolve a pending tie for one position
+ * @param {Object} election - Election document awaiting tie resolution
+ * @param {string} positionId - Position with the tie
+ * @param {string[]} candidateIds - Chosen candidates (one per remaining seat)
+ * @param {Object} options
+ * @param {string} options.method - How the tie was resolved
+ * @param {string} [options.userId] - User who resolved it
+ * @param {string} [options.reason] - Recorded reason
+ * @returns {Promise<Object>} - Updated election
+ */
+const resolveTie = async (election, positionId, candidateIds, { method, userId, reason } = {}) => {
+  const positionResult = (election.results.positions || [])
+    .find(result => toId(result.position) === toId(positionId));
+  const tie = positionResult && positionResult.tie;
+
+  if (!tie || !tie.detected || tie.status !== 'awaiting_resolution') {
+    throw new Error('This position has no tie awaiting resolution');
+  }
+
+  const chosen = [...new Set(candidateIds.map(toId))];
+  if (chosen.length !== tie.seatsRemaining) {
+    throw new Error(`Select exactly ${tie.seatsRemaining} of the tied candidates`);
+  }
+
+  if (!chosen.every(candidateId => tie.candidates.some(tied => toId(tied) === candidateId))) {
+    throw new Error('The selected candidate is not part of the tie');
+  }
+
+  tie.status = 'resolved';
+  tie.method = method;
+  tie.winners = chosen;
+  tie.resolvedBy = userId;
+  tie.resolvedAt = new Date();
+  tie.reason = reason;
+  positionResult.winners.push(...chosen);
+  election.results.winners = election.results.positions.flatMap(result => result.winners);
+
+  // Publish once every position is settled
+  if (!election.isAwaitingTieResolution) {
+    election.results.winner = election.results.positions[0].winners[0];
+    election.results.published = true;
+    election.results.publishedAt = new Date();
+  }
+
+  await election.save();
+
+  await SystemLog.createLog({
+    action: 'tie_resolve',
+    user: userId,
+    details: {
+      electionId: election._id,
+      electionTitle: election.title,
+      positionId: toId(positionId),
+      positionTitle: positionResult.title,
+      method,
+      winners: chosen,
+      reason
+    },
+    status: 'success'
+  });
+
+  return election;
+};
+
+/**
+ * Carry a run-off's winners back to the tied election
+ * @param {Object} runoff - Completed run-off election
+ */
+const resolveRunoffParent = async (runoff) => {
+  const Election = runoff.constructor;
+  const parent = await Election.findById(runoff.runoffOf);
+
+  if (!parent || !parent.isAwaitingTieResolution) return;
+
+  const positionResult = parent.results.positions
+    .find(result => toId(result.position) === toId(runoff.runoffPosition));
+  if (!positionResult) return;
+
+  // Run-off candidates are copies; match them back by student
+  const runoffWinners = await Candidate.find({ _id: { $in: runoff.results.positions[0].winners } });
+  const originals = await Candidate.find({
+    _id: { $in: positionResult.tie.candidates },
+    student: { $in: runoffWinners.map(candidate => candidate.student) }
+  });
+
+  if (originals.length === 0) return;
+
+  await resolveTie(parent, runoff.runoffPosition, originals.map(candidate => candidate._id), {
+    method: 'runoff',
+    reason: `Won run-off election ${runoff._id}`
+  });
+
+  if (parent.results.published) {
+    await SystemLog.createLog({
+      action: 'result_publish',
+      details: {
+        electionId: parent._id,
+        electionTitle: parent.title,
+        totalVotes: parent.results.totalVotes,
+        winners: parent.results.winners,
+        tieResolvedBy: 'runoff',
+        automatic: true,
+        countSheet: getCountSheet(parent)
+      },
+      status: 'success'
+    });
+  }
+};
+
+module.exports = {
+  getBallotChoices,
+  tallyElection,
+  getVoteStats,
+  getTurnoutStats,
+  getVotedStudentIds,
+  calculateResults,
+  getCountSheet,
+  rankByLots,
+  resolveTie
+};
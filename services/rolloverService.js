@@ -0,0 +1,307 @@
+/**
+ * Rollover Service
+ * Purpose: Academic-year rollover: promote classes, graduate final-year
+ *          students and archive past elections, with an undo window
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Classes move up in place, so their students (User.class and
+ * Class.students) move with them. Final-year classes are renamed with the
+ * session that ended and deactivated along with their students. Completed
+ * and cancelled elections keep a snapshot of the class as it was, so they
+ * still show the class they were held for.
+ */
+
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Election = require('../models/Election');
+const Rollover = require('../models/Rollover');
+
+// Days a rollover can be undone
+const ROLLOVER_UNDO_DAYS = 7;
+
+// Year graduated when none is chosen
+const DEFAULT_FINAL_YEAR = 4;
+
+// Actions that can be chosen for a class
+const ROLLOVER_ACTIONS = ['promote', 'graduate', 'skip'];
+
+/**
+ * Name of a class after it moves to another year
+ * Names in the Department-Year-Section form are rebuilt; otherwise the first
+ * standalone year number in the name is replaced.
+ * @param {Object} classDoc - Class document
+ * @param {number} year - New year
+ * @returns {string}
+ */
+const getPromotedName = (classDoc, year) => {
+  if (classDoc.name === classDoc.getFullName()) {
+    return `${classDoc.department}-${year}-${classDoc.section}`;
+  }
+
+  return classDoc.name.replace(new RegExp(`(^|\\D)${classDoc.year}(?=\\D|$)`), `$1${year}`);
+};
+
+/**
+ * Name a graduating class is kept under, freeing its name for the next batch
+ * @param {Object} classDoc - Class document
+ * @param {string} academicYear - Session that ended
+ * @returns {string}
+ */
+const getGraduatedName = (classDoc, academicYear) => `${classDoc.name} (${academicYear})`;
+
+/**
+ * Work out what a rollover would do (dry run)
+ * @param {Object} options - { academicYear, finalYear, actions, names }
+ *   actions and names are keyed by class id and override the defaults
+ * @returns {Promise<Object>} - { rows, blocked, academicYear, finalYear }
+ */
+const planRollover = async (options) => {
+  const finalYear = parseInt(options.finalYear, 10) || DEFAULT_FINAL_YEAR;
+  const academicYear = String(options.academicYear || '').trim();
+  const actions = options.actions || {};
+  const names = options.names || {};
+
+  const classes = await Class.find({ active: true }).sort({ department: 1, year: 1, section: 1 });
+
+  const rows = classes.map(classDoc => {
+    const id = classDoc._id.toString();
+    const chosen = ROLLOVER_ACTIONS.includes(actions[id]) ? actions[id] : null;
+    const action = chosen || (classDoc.year >= finalYear ? 'graduate' : 'promote');
+
+    let newName = classDoc.name;
+    let newYear = classDoc.year;
+    if (action === 'promote') {
+      newYear = classDoc.year + 1;
+      newName = String(names[id] || '').trim() || getPromotedName(classDoc, newYear);
+    } else if (action === 'graduate') {
+      newName = getGraduatedName(classDoc, academicYear);
+    }
+
+    return { classDoc, action, newName, newYear, issues: [] };
+  });
+
+  const touched = rows.filter(row => row.action !== 'skip');
+  const touchedIds = touched.map(row => row.classDoc._id);
+
+  // Elections still running for a class that is about to change
+  const runningElections = await Election.find({ class: { $in: touchedIds }, status: 'active' })
+    .select('title class');
+  // Upcoming elections would be held for a class that no longer exists
+  const upcomingElections = await Election.find({
+    class: { $in: rows.filter(row => row.action === 'graduate').map(row => row.classDoc._id) },
+    status: 'pending'
+  }).select('title class');
+
+  // Names must stay unique once every class has moved
+  const otherClasses = await Class.find({ _id: { $nin: touchedIds } }).select('name');
+  const nameCounts = new Map();
+  [...otherClasses.map(classDoc => classDoc.name), ...touched.map(row => row.newName)].forEach(name => {
+    const key = name.toLowerCase();
+    nameCounts.set(key, (nameCounts.get(key) || 0) + 1);
+  });
+
+  touched.forEach(row => {
+    const id = row.classDoc._id.toString();
+
+    runningElections.filter(election => election.class.toString() === id).forEach(election => {
+      row.issues.push(`"${election.title}" is still running`);
+    });
+    upcomingElections.filter(election => election.class.toString() === id).forEach(election => {
+      row.issues.push(`"${election.title}" hasn't been held yet`);
+    });
+
+    if (nameCounts.get(row.newName.toLowerCase()) > 1) {
+      row.issues.push(`Another class would also be named ${row.newName}`);
+    }
+  });
+
+  const blocked = [];
+  if (!academicYear) {
+    blocked.push('Enter the academic year that is ending');
+  } else if (await Rollover.exists({ academicYear, status: 'applied' })) {
+    blocked.push(`The rollover for ${academicYear} has already been applied`);
+  }
+  if (touched.length === 0) blocked.push('Choose at least one class to promote or graduate');
+  if (rows.some(row => row.issues.length > 0)) blocked.push('Resolve the problems marked below first');
+
+  return { rows, blocked, academicYear, finalYear };
+};
+
+/**
+ * Rename classes without tripping the unique name index part way through
+ * @param {Array} updates - [{ id, name, year, active }]
+ */
+const renameClasses = async (updates) => {
+  if (updates.length === 0) return;
+
+  await Class.bulkWrite(updates.map(update => ({
+    updateOne: { filter: { _id: update.id }, update: { $set: { name: `__rollover_${update.id}` } } }
+  })));
+  await Class.bulkWrite(updates.map(update => ({
+    updateOne: {
+      filter: { _id: update.id },
+      update: { $set: { name: update.name, year: update.year, active: update.active } }
+    }
+  })));
+};
+
+/**
+ * Apply a rollover plan
+ * The rollover is recorded before anything changes: the unique index on
+ * applied rollovers lets only one admin claim an academic year, and a
+ * rollover that fails part way can still be undone from its record.
+ * @param {Object} plan - Plan from planRollover (with no blocking problems)
+ * @param {string} userId - Admin performing the rollover
+ * @returns {Promise<Object>} - { rollover } or { error }
+ */
+const applyRollover = async (plan, userId) => {
+  const rows = plan.rows.filter(row => row.action !== 'skip');
+  const classIds = rows.map(row => row.classDoc._id);
+  const graduatingIds = rows.filter(row => row.action === 'graduate').map(row => row.classDoc._id);
+
+  // Past elections to snapshot while the classes still have their old names
+  const pastElections = await Election.find({
+    class: { $in: classIds },
+    status: { $in: ['completed', 'cancelled'] },
+    'classSnapshot.name': { $exists: false }
+  }).select('class');
+
+  // Graduating students: on a final-year class and still active
+  const graduatingClasses = rows.filter(row => row.action === 'graduate').map(row => row.classDoc);
+  const students = await User.find({
+    role: 'student',
+    active: true,
+    $or: [
+      { class: { $in: graduatingIds } },
+      { _id: { $in: graduatingClasses.flatMap(classDoc => classDoc.students) } }
+    ]
+  }).select('_id');
+  const studentIds = students.map(student => student._id);
+
+  let rollover;
+  try {
+    rollover = await Rollover.create({
+      academicYear: plan.academicYear,
+      finalYear: plan.finalYear,
+      classes: rows.map(row => ({
+        class: row.classDoc._id,
+        action: row.action,
+        before: { name: row.classDoc.name, year: row.classDoc.year, active: row.classDoc.active },
+        after: { name: row.newName, year: row.newYear, active: row.action !== 'graduate' }
+      })),
+      students: studentIds,
+      elections: pastElections.map(election => election._id),
+      counts: {
+        promoted: rows.filter(row => row.action === 'promote').length,
+        graduated: graduatingIds.length,
+        studentsDeactivated: studentIds.length,
+        electionsArchived: pastElections.length
+      },
+      performedBy: userId,
+      undoUntil: new Date(Date.now() + ROLLOVER_UNDO_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    // Another admin applied this year's rollover first
+    if (error.code !== 11000) throw error;
+    return { error: `The rollover for ${plan.academicYear} has already been applied` };
+  }
+
+  const classesById = new Map(rows.map(row => [row.classDoc._id.toString(), row.classDoc]));
+  if (pastElections.length > 0) {
+    await Election.bulkWrite(pastElections.map(election => {
+      const classDoc = classesById.get(election.class.toString());
+      return {
+        updateOne: {
+          filter: { _id: election._id },
+          update: {
+            $set: {
+              classSnapshot: {
+                name: classDoc.name,
+                department: classDoc.department,
+                year: classDoc.year,
+                section: classDoc.section,
+                academicYear: plan.academicYear
+              }
+            }
+          }
+        }
+      };
+    }));
+  }
+
+  if (studentIds.length > 0) {
+    await User.updateMany({ _id: { $in: studentIds } }, { $set: { active: false } });
+  }
+
+  await renameClasses(rows.map(row => ({
+    id: row.classDoc._id,
+    name: row.newName,
+    year: row.newYear,
+    active: row.action !== 'graduate'
+  })));
+
+  return { rollover };
+};
+
+/**
+ * Undo a rollover inside its undo window
+ * Only the latest rollover can be undone, and only while no other class
+ * has taken one of the old names.
+ * @param {Object} rollover - Rollover document
+ * @param {string} userId - Admin undoing the rollover
+ * @returns {Promise<Object>} - { rollover } or { error }
+ */
+const undoRollover = async (rollover, userId) => {
+  if (!rollover.canUndo) {
+    return { error: 'This rollover can no longer be undone' };
+  }
+
+  const latest = await Rollover.findOne({ status: 'applied' }).sort({ createdAt: -1 }).select('_id');
+  if (!latest || !latest._id.equals(rollover._id)) {
+    return { error: 'Only the most recent rollover can be undone' };
+  }
+
+  const classIds = rollover.classes.map(entry => entry.class);
+  const clashes = await Class.find({
+    _id: { $nin: classIds },
+    name: { $in: rollover.classes.map(entry => entry.before.name) }
+  }).select('name');
+  if (clashes.length > 0) {
+    return { error: `Class names are in use again: ${clashes.map(classDoc => classDoc.name).join(', ')}` };
+  }
+
+  // Claim the rollover so it is only undone once
+  const claimed = await Rollover.findOneAndUpdate(
+    { _id: rollover._id, status: 'applied' },
+    { $set: { status: 'undone', undoneAt: new Date(), undoneBy: userId } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'This rollover has already been undone' };
+  }
+
+  await renameClasses(claimed.classes.map(entry => ({
+    id: entry.class,
+    name: entry.before.name,
+    year: entry.before.year,
+    active: entry.before.active
+  })));
+
+  if (claimed.students.length > 0) {
+    await User.updateMany({ _id: { $in: claimed.students } }, { $set: { active: true } });
+  }
+  if (claimed.elections.length > 0) {
+    await Election.updateMany({ _id: { $in: claimed.elections } }, { $unset: { classSnapshot: '' } });
+  }
+
+  return { rollover: claimed };
+};
+
+module.exports = {
+  ROLLOVER_UNDO_DAYS,
+  DEFAULT_FINAL_YEAR,
+  planRollover,
+  applyRollover,
+  undoRollover
+};
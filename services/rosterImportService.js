@@ -0,0 +1,487 @@
+/**
+ * Roster Import Service
+ * Purpose: Read class rosters from CSV/XLSX, check every row and apply them
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * An import runs in two steps. The uploaded file is parsed and each row is
+ * checked against the database (dry run) so the admin can review what will
+ * be created, updated or rejected. Applying the batch checks the rows again,
+ * since accounts may have changed in between, and only then writes them.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const mailer = require('../config/mailer');
+const permissions = require('../config/permissions');
+
+// Largest roster accepted in one file
+const MAX_ROWS = 2000;
+
+// Days the account setup link sent to new students stays valid
+const SETUP_LINK_DAYS = 7;
+
+// Column headings accepted for each field (compared without case, spaces or punctuation)
+const HEADER_ALIASES = {
+  name: ['name', 'fullname', 'studentname'],
+  email: ['email', 'emailaddress', 'collegeemail'],
+  rollNumber: ['rollnumber', 'rollno', 'roll'],
+  className: ['class', 'classname'],
+  department: ['department', 'dept'],
+  year: ['year'],
+  section: ['section', 'sec'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Field a column heading maps to
+ * @param {string} header - Column heading
+ * @returns {string|null}
+ */
+const getField = (header) => {
+  const normalized = String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(normalized)) || null;
+};
+
+/**
+ * Plain text of a spreadsheet cell
+ * @param {*} value - ExcelJS cell value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * File format from the file name
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} - 'csv', 'xlsx' or null
+ */
+const getFormat = (fileName) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return ['csv', 'xlsx'].includes(extension) ? extension : null;
+};
+
+/**
+ * Read the rows of a roster file
+ * The first non-empty row must hold the column headings.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Uploaded file name
+ * @returns {Promise<Object>} - { format, records: [{ row, name, email, ... }] }
+ */
+const parseFile = async (buffer, fileName) => {
+  const format = getFormat(fileName);
+  if (!format) {
+    throw new Error('Please upload a .csv or .xlsx file');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(buffer);
+      sheet = workbook.worksheets[0];
+    } else {
+      const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      // Keep every value as text so roll numbers like 007 survive
+      sheet = await workbook.csv.read(Readable.from([text]), { map: value => value });
+    }
+  } catch (error) {
+    throw new Error(`The file could not be read: ${error.message}`);
+  }
+
+  if (!sheet) {
+    throw new Error('The file has no worksheet');
+  }
+
+  let fields = null;
+  const records = [];
+
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const values = Array.from(row.values.slice(1), cellText);
+    if (values.every(value => !value)) return;
+
+    if (!fields) {
+      fields = values.map(getField);
+      return;
+    }
+
+    const record = { row: rowNumber };
+    fields.forEach((field, index) => {
+      if (field && values[index]) record[field] = values[index];
+    });
+    records.push(record);
+  });
+
+  const missing = ['name', 'email', 'rollNumber'].filter(field => !fields || !fields.includes(field));
+  if (missing.length > 0) {
+    throw new Error('The first row must name the columns; name, email and roll number are required');
+  }
+
+  if (records.length === 0) {
+    throw new Error('The file has no rows below the headings');
+  }
+
+  if (records.length > MAX_ROWS) {
+    throw new Error(`A file can hold at most ${MAX_ROWS} rows; split the roster and import it in parts`);
+  }
+
+  return { format, records };
+};
+
+/**
+ * Read a date of birth (YYYY-MM-DD, DD/MM/YYYY or DD-MM-YYYY)
+ * @param {string} value - Cell text
+ * @returns {Date|null} - Date at UTC midnight, or null if it isn't a date
+ */
+const parseDate = (value) => {
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let parts = match ? [match[1], match[2], match[3]] : null;
+
+  if (!parts) {
+    match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+    parts = match ? [match[3], match[2], match[1]] : null;
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || date > new Date()) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Find (or plan) the class a row belongs to
+ * @param {Object} record - Parsed row
+ * @param {Object} context - Lookups built by checkRecords
+ * @returns {Object} - { classDoc } | { newClass } | { issue }
+ */
+const resolveClass = (record, context) => {
+  const hasParts = record.department && record.year && record.section;
+  const fullName = hasParts ? `${record.department}-${record.year}-${record.section}` : '';
+  const label = record.className || fullName;
+
+  if (!label) {
+    return context.defaultClass
+      ? { classDoc: context.defaultClass }
+      : { issue: 'Class is missing (add a class column or choose a default class)' };
+  }
+
+  const classDoc = context.classesByName.get(label.toLowerCase()) ||
+    (fullName && context.classesByName.get(fullName.toLowerCase()));
+  if (classDoc) return { classDoc };
+
+  const planned = context.newClasses.get(label.toLowerCase());
+  if (planned) return { newClass: planned };
+
+  if (!context.createClasses) {
+    return { issue: `Class "${label}" does not exist` };
+  }
+
+  const year = parseInt(record.year, 10);
+  if (!hasParts || !(year >= 1 && year <= 10)) {
+    return { issue: `Class "${label}" does not exist; add department, year and section columns to create it` };
+  }
+
+  const newClass = {
+    name: label,
+    department: record.department,
+    year,
+    section: record.section
+  };
+  context.newClasses.set(label.toLowerCase(), newClass);
+  return { newClass };
+};
+
+/**
+ * Check parsed rows against each other and the database (dry run)
+ * @param {Array} records - Rows from parseFile
+ * @param {Object} [options] - { defaultClass, createClasses }
+ * @returns {Promise<Object>} - { rows, counts, newClasses }
+ */
+const checkRecords = async (records, options = {}) => {
+  const classes = await Class.find({}).select('name department year section');
+  const classesByName = new Map();
+  classes.forEach(classDoc => {
+    classesByName.set(classDoc.name.toLowerCase(), classDoc);
+    classesByName.set(classDoc.getFullName().toLowerCase(), classDoc);
+  });
+
+  const context = {
+    classesByName,
+    newClasses: new Map(),
+    createClasses: Boolean(options.createClasses),
+    defaultClass: options.defaultClass
+      ? classes.find(classDoc => classDoc._id.toString() === String(options.defaultClass))
+      : null
+  };
+
+  const emails = records.map(record => String(record.email || '').toLowerCase());
+  const rollNumbers = records.map(record => record.rollNumber).filter(Boolean);
+
+  const existingUsers = await User.find({ email: { $in: emails } })
+    .select('name email role rollNumber class dateOfBirth isVerified');
+  const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+
+  // Roll numbers already taken, per class
+  const rollHolders = new Map();
+  const holders = await User.find({ role: 'student', rollNumber: { $in: rollNumbers } })
+    .select('email rollNumber class');
+  holders.forEach(holder => {
+    rollHolders.set(`${holder.class}:${holder.rollNumber.toLowerCase()}`, holder.email);
+  });
+
+  const seenEmails = new Set();
+  const seenRolls = new Set();
+
+  const rows = records.map(record => {
+    const issues = [];
+    const name = String(record.name || '').trim();
+    const email = String(record.email || '').trim().toLowerCase();
+    const rollNumber = String(record.rollNumber || '').trim();
+
+    if (!name) issues.push('Name is missing');
+
+    if (!email) {
+      issues.push('Email is missing');
+    } else if (!EMAIL_PATTERN.test(email)) {
+      issues.push('Email address is not valid');
+    } else if (!mailer.isCollegeEmail(email)) {
+      issues.push('Email is not a college address');
+    } else if (seenEmails.has(email)) {
+      issues.push('Email appears more than once in the file');
+    }
+    seenEmails.add(email);
+
+    if (!rollNumber) issues.push('Roll number is missing');
+
+    let dateOfBirth = null;
+    if (record.dateOfBirth) {
+      dateOfBirth = parseDate(record.dateOfBirth);
+      if (!dateOfBirth) issues.push(`Date of birth "${record.dateOfBirth}" is not a valid date`);
+    }
+
+    const { classDoc, newClass, issue } = resolveClass(record, context);
+    if (issue) issues.push(issue);
+    const className = classDoc ? classDoc.name : (newClass ? newClass.name : '');
+
+    const existing = email ? usersByEmail.get(email) : null;
+    if (existing && existing.role !== 'student') {
+      issues.push(`This email belongs to a ${permissions.getRoleLabel(existing.role).toLowerCase()} account`);
+    }
+
+    if (rollNumber && (classDoc || newClass)) {
+      const rollKey = `${classDoc ? classDoc._id : `new:${className}`}:${rollNumber.toLowerCase()}`;
+      const holder = rollHolders.get(rollKey);
+
+      if (seenRolls.has(rollKey)) {
+        issues.push('Roll number appears more than once for this class');
+      } else if (holder && holder !== email) {
+        issues.push(`Roll number ${rollNumber} already belongs to another student in ${className}`);
+      }
+      seenRolls.add(rollKey);
+    }
+
+    let action = 'create';
+    if (issues.length > 0) {
+      action = 'error';
+    } else if (existing) {
+      const sameDate = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+      const unchanged = existing.name === name &&
+        existing.rollNumber === rollNumber &&
+        classDoc && String(existing.class) === classDoc._id.toString() &&
+        (!dateOfBirth || sameDate(existing.dateOfBirth, dateOfBirth));
+      action = unchanged ? 'unchanged' : 'update';
+    }
+
+    return {
+      row: record.row,
+      name,
+      email,
+      rollNumber,
+      className,
+      dateOfBirth,
+      action,
+      issues,
+      // Used when applying, not stored
+      existing,
+      classDoc
+    };
+  });
+
+  return {
+    rows,
+    counts: countRows(rows),
+    newClasses: Array.from(context.newClasses.values())
+      .filter(newClass => rows.some(row => row.action !== 'error' && row.className === newClass.name))
+  };
+};
+
+/**
+ * Count rows per action
+ * @param {Array} rows - Checked rows
+ * @returns {Object}
+ */
+const countRows = (rows) => {
+  const counts = { total: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  rows.forEach(row => {
+    counts[row.action] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Apply a previewed batch
+ * Creates the planned classes, checks the rows again and writes the valid
+ * ones. New students get an account setup link; existing students who
+ * haven't verified their email get a fresh verification link.
+ * @param {Object} batch - ImportBatch document (status 'previewed')
+ * @returns {Promise<Object>} - { rows, counts }
+ */
+const applyBatch = async (batch) => {
+  let classesCreated = 0;
+  for (const newClass of batch.newClasses) {
+    if (!(await Class.exists({ name: newClass.name }))) {
+      await Class.create(newClass);
+      classesCreated += 1;
+    }
+  }
+
+  // The classes exist now, so rows resolve them by name; the preview's
+  // options still apply (e.g. the default class for rows without one)
+  const { rows } = await checkRecords(batch.rows.map(row => ({
+    row: row.row,
+    name: row.name,
+    email: row.email,
+    rollNumber: row.rollNumber,
+    className: row.className,
+    dateOfBirth: row.dateOfBirth ? row.dateOfBirth.toISOString().slice(0, 10) : ''
+  })), {
+    defaultClass: batch.options.defaultClass,
+    createClasses: batch.options.createClasses
+  });
+
+  for (const row of rows) {
+    if (row.action === 'error') continue;
+
+    try {
+      let student = row.existing;
+
+      if (row.action === 'create') {
+        row.setupToken = crypto.randomBytes(32).toString('hex');
+        student = await User.create({
+          name: row.name,
+          email: row.email,
+          // Replaced when the student follows the setup link
+          password: crypto.randomBytes(24).toString('hex'),
+          role: 'student',
+          rollNumber: row.rollNumber,
+          class: row.classDoc._id,
+          dateOfBirth: row.dateOfBirth || undefined,
+          resetPasswordToken: row.setupToken,
+          resetPasswordExpires: Date.now() + SETUP_LINK_DAYS * 24 * 60 * 60 * 1000
+        });
+      } else if (row.action === 'update') {
+        const previousClass = student.class;
+        student.name = row.name;
+        student.rollNumber = row.rollNumber;
+        student.class = row.classDoc._id;
+        if (row.dateOfBirth) student.dateOfBirth = row.dateOfBirth;
+        await student.save();
+
+        if (previousClass && previousClass.toString() !== row.classDoc._id.toString()) {
+          await Class.updateOne({ _id: previousClass }, { $pull: { students: student._id } });
+        }
+      }
+
+      await Class.updateOne({ _id: row.classDoc._id }, { $addToSet: { students: student._id } });
+      row.user = student._id;
+    } catch (error) {
+      row.action = 'error';
+      row.issues.push(`Could not be saved: ${error.message}`);
+    }
+  }
+
+  const counts = { ...countRows(rows), classesCreated, emailsSent: 0, emailsFailed: 0 };
+
+  if (batch.options.sendEmails) {
+    for (const row of rows) {
+      if (row.action === 'error' || !row.user) continue;
+
+      let result = null;
+      if (row.setupToken) {
+        result = await mailer.sendAccountSetupEmail(row.email, row.name, row.setupToken, SETUP_LINK_DAYS);
+      } else if (row.existing && !row.existing.isVerified) {
+        const verificationToken = crypto.randomBytes(32).toString('hex');
+        await User.updateOne({ _id: row.user }, {
+          $set: {
+            verificationToken,
+            verificationExpires: Date.now() + 24 * 60 * 60 * 1000
+          }
+        });
+        result = await mailer.sendVerificationEmail(row.email, row.name, verificationToken);
+      }
+
+      if (result) {
+        row.emailSent = Boolean(result.success);
+        counts[row.emailSent ? 'emailsSent' : 'emailsFailed'] += 1;
+      }
+    }
+  }
+
+  return { rows, counts };
+};
+
+/**
+ * Fields of a checked row kept in the batch
+ * @param {Object} row - Row from checkRecords or applyBatch
+ * @returns {Object}
+ */
+const toStoredRow = (row) => ({
+  row: row.row,
+  name: row.name,
+  email: row.email,
+  rollNumber: row.rollNumber,
+  className: row.className,
+  dateOfBirth: row.dateOfBirth || undefined,
+  action: row.action,
+  issues: row.issues,
+  user: row.user,
+  emailSent: row.emailSent
+});
+
+/**
+ * CSV template with the accepted columns
+ * @returns {string}
+ */
+const getTemplateCSV = () => {
+  return [
+    'name,email,roll number,class,department,year,section,date of birth',
+    `Asha Patil,asha.patil@${process.env.COLLEGE_EMAIL_DOMAIN || 'college.edu'},CSE24001,,CSE,2,A,2006-04-15`
+  ].join('\n') + '\n';
+};
+
+module.exports = {
+  MAX_ROWS,
+  getFormat,
+  parseFile,
+  checkRecords,
+  applyBatch,
+  toStoredRow,
+  getTemplateCSV
+};
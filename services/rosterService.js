@@ -0,0 +1,161 @@
+/**
+ * Roster Service
+ * Purpose: Verify QR voters against the election class's roster
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * A QR vote is accepted only for a roll number belonging to an active
+ * student of the election's class (User.class or Class.students). When the
+ * election asks for a second factor, the voter must also give the date of
+ * birth on file or their voting PIN for that election.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const VotingPin = require('../models/VotingPin');
+
+// Length of generated voting PINs
+const VOTING_PIN_LENGTH = 6;
+
+// Labels for the second factors
+const secondFactorLabels = {
+  none: 'Roll number only',
+  date_of_birth: 'Date of birth',
+  pin: 'Voting PIN'
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the query for the active students on a class's roster
+ * @param {string} classId - Class id
+ * @returns {Promise<Object>} - User query
+ */
+const getRosterQuery = async (classId) => {
+  const classDoc = await Class.findById(classId).select('students');
+
+  return {
+    role: 'student',
+    active: true,
+    rollNumber: { $exists: true, $ne: null },
+    $or: [{ class: classId }, { _id: { $in: classDoc ? classDoc.students : [] } }]
+  };
+};
+
+/**
+ * Get the active students on a class's roster
+ * @param {string} classId - Class id
+ * @param {string} [select] - Fields to select
+ * @returns {Promise<Array>} - Students in roll number order
+ */
+const getRosterStudents = async (classId, select = 'name rollNumber') => {
+  return User.find(await getRosterQuery(classId))
+    .select(select)
+    .sort({ rollNumber: 1 });
+};
+
+/**
+ * Find the student on an election's roster with a roll number
+ * Case and surrounding spaces are ignored.
+ * @param {Object} election - Election document
+ * @param {string} rollNumber - Roll number typed by the voter
+ * @returns {Promise<Object|null>} - Student, or null
+ */
+const findRosterStudent = async (election, rollNumber) => {
+  const typed = String(rollNumber || '').trim();
+  if (!typed) return null;
+
+  const query = await getRosterQuery(election.class._id || election.class);
+  query.rollNumber = new RegExp(`^${escapeRegExp(typed)}$`, 'i');
+
+  return User.findOne(query);
+};
+
+/**
+ * Check the election's second factor for a roster student
+ * @param {Object} election - Election document
+ * @param {Object} student - Student from findRosterStudent
+ * @param {Object} body - Submitted form fields (dateOfBirth or votingPin)
+ * @returns {Promise<boolean>}
+ */
+const checkSecondFactor = async (election, student, body) => {
+  const factor = election.publicAccess.secondFactor || 'none';
+
+  if (factor === 'date_of_birth') {
+    if (!student.dateOfBirth || !body.dateOfBirth) return false;
+    // Compare the calendar date only (form sends YYYY-MM-DD)
+    return student.dateOfBirth.toISOString().slice(0, 10) === String(body.dateOfBirth).slice(0, 10);
+  }
+
+  if (factor === 'pin') {
+    const votingPin = await VotingPin.findOne({ election: election._id, student: student._id });
+    return !!votingPin && votingPin.comparePin(String(body.votingPin || '').trim());
+  }
+
+  return true;
+};
+
+/**
+ * Create a random numeric voting PIN
+ * @returns {string}
+ */
+const createVotingPin = () => {
+  return Array.from({ length: VOTING_PIN_LENGTH }, () => crypto.randomInt(0, 10)).join('');
+};
+
+/**
+ * Issue voting PINs for an election to the students on its class's roster
+ * Students who already have a PIN for the election keep it unless the PINs
+ * are replaced. Only the hashes are stored, so the PINs are returned for
+ * printing once.
+ * @param {Object} election - Election document
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Give students who have a PIN a new one
+ * @param {string} [options.userId] - Teacher issuing the PINs
+ * @returns {Promise<Array>} - [{ student, pin }] for the PINs issued
+ */
+const issueVotingPins = async (election, { replace = false, userId } = {}) => {
+  const students = await getRosterStudents(election.class._id || election.class, 'name rollNumber');
+  const existing = new Set(replace ? [] : (await VotingPin.find({ election: election._id }).distinct('student'))
+    .map(id => id.toString()));
+  const issued = [];
+
+  for (const student of students.filter(student => !existing.has(student._id.toString()))) {
+    const pin = createVotingPin();
+    const pinHash = await VotingPin.hashPin(pin);
+
+    if (replace) {
+      await VotingPin.updateOne(
+        { election: election._id, student: student._id },
+        { $set: { pinHash, issuedBy: userId } },
+        { upsert: true }
+      );
+    } else {
+      try {
+        await VotingPin.create({ election: election._id, student: student._id, pinHash, issuedBy: userId });
+      } catch (error) {
+        // Issued at the same time by someone else; their slip is the valid one
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    issued.push({ student, pin });
+  }
+
+  return issued;
+};
+
+module.exports = {
+  secondFactorLabels,
+  getRosterStudents,
+  findRosterStudent,
+  checkSecondFactor,
+  issueVotingPins
+};
@@ -0,0 +1,99 @@
+/**
+ * Storage Service
+ * Purpose: Keep uploaded files behind a storage adapter (local disk by default)
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Files are stored under keys such as candidates/<id>/photo-<hex>.jpg. An
+ * adapter implements save(key, buffer), read(key) and remove(key).
+ * STORAGE_DRIVER picks the adapter (default: local) and UPLOAD_DIR sets where
+ * the local adapter writes (default: uploads/). Other adapters (e.g. object
+ * storage) are added with registerDriver.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create the local-disk adapter
+ * @param {string} root - Directory the files are written under
+ * @returns {Object} - Storage adapter
+ */
+const createLocalDiskStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Keys can't point outside the upload directory
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return key;
+    },
+
+    // Resolves to null when the file is gone
+    read: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Adapter factories by driver name
+const drivers = {
+  local: () => createLocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} - Storage adapter
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+
+  return storage;
+};
+
+/**
+ * Add a storage driver
+ * @param {string} name - Driver name for STORAGE_DRIVER
+ * @param {Function} factory - Returns an adapter with save, read and remove
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+module.exports = {
+  createLocalDiskStorage,
+  getStorage,
+  registerDriver
+};
@@ -0,0 +1,283 @@
+/**
+ * Two-Factor Service
+ * Purpose: TOTP codes (RFC 6238), enrollment and recovery codes for
+ *          two-factor sign-in
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Codes are six digits from HMAC-SHA1 over 30-second time steps, which any
+ * authenticator app reads from the otpauth:// URL shown as a QR code. One
+ * step either side is accepted for clock drift, and a step is never
+ * accepted twice for the same user.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Time steps accepted either side of the current one
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'College Election';
+
+// Roles that can use two-factor sign-in, and the setting that makes it required
+const TWO_FACTOR_ROLES = ['admin', 'election_officer', 'teacher', 'observer'];
+const REQUIRED_ROLES_SETTING = 'twoFactor.requiredRoles';
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} text - Base32 text (case, spaces and padding ignored)
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step number
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** CODE_DIGITS;
+
+  return String(binary).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} - Matching step, or null
+ */
+const findStep = (secret, code, now = Date.now()) => {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) return step;
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL and its QR code for an authenticator app
+ * @param {Object} user - User enrolling
+ * @param {string} secret - Base32 secret
+ * @returns {Promise<Object>} - { otpauthURL, qrCode }
+ */
+const getEnrollment = async (user, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthURL = `otpauth://totp/${label}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+  const qrCode = await QRCode.toDataURL(otpauthURL, { width: 220, margin: 2 });
+  return { otpauthURL, qrCode };
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+  const clean = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+};
+
+/**
+ * Create a fresh set of recovery codes
+ * @returns {Object} - { codes (to show once), hashes (to store) }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Turn on two-factor sign-in once the user has confirmed a code
+ * @param {string} userId - User id
+ * @param {string} secret - Secret the user enrolled
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} - Recovery codes, or null if the code is wrong
+ */
+const enable = async (userId, secret, code) => {
+  const step = findStep(secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': secret,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    }
+  });
+
+  return codes;
+};
+
+/**
+ * Check a sign-in code or recovery code
+ * Both are used up atomically, so a code can't be accepted twice.
+ * @param {string} userId - User id
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<Object>} - { valid, method ('totp'|'recovery'), recoveryCodesLeft }
+ */
+const verify = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor.enabled) return { valid: false };
+
+  const step = findStep(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return { valid: result.modifiedCount === 1, method: 'totp' };
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return {
+    valid: result.modifiedCount === 1,
+    method: 'recovery',
+    recoveryCodesLeft: user.twoFactor.recoveryCodes.length - result.modifiedCount
+  };
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User id
+ * @returns {Promise<string[]>} - New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+/**
+ * Turn off two-factor sign-in
+ * @param {string} userId - User id
+ */
+const disable = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': '',
+      'twoFactor.recoveryCodes': '',
+      'twoFactor.lastUsedStep': '',
+      'twoFactor.enabledAt': ''
+    }
+  });
+};
+
+/**
+ * Get the roles that must use two-factor sign-in
+ * @returns {Promise<string[]>}
+ */
+const getRequiredRoles = async () => {
+  const roles = await Setting.getValue(REQUIRED_ROLES_SETTING, []);
+  return roles.filter(role => TWO_FACTOR_ROLES.includes(role));
+};
+
+/**
+ * Set the roles that must use two-factor sign-in
+ * @param {string[]} roles - Roles
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<string[]>} - Roles saved
+ */
+const setRequiredRoles = async (roles, userId) => {
+  const valid = TWO_FACTOR_ROLES.filter(role => roles.includes(role));
+  await Setting.setValue(REQUIRED_ROLES_SETTING, valid, userId);
+  return valid;
+};
+
+/**
+ * Check whether a role must use two-factor sign-in
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+const isRequiredForRole = async (role) => {
+  return (await getRequiredRoles()).includes(role);
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  generateSecret,
+  generateCode,
+  getEnrollment,
+  enable,
+  verify,
+  regenerateRecoveryCodes,
+  disable,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredForRole
+};
@@ -0,0 +1,322 @@
+/**
+ * Voting Methods
+ * Purpose: Count the ballots of one position under each voting method
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Every counter receives the position's candidates, its seats and the
+ * ballots that marked it (each ballot's choices are candidate id strings,
+ * in preference order for IRV and STV). It returns the vote count per
+ * candidate and, where only some candidates are still in contention at the
+ * end of the count, the ids of those contenders. STV decides its own
+ * winners and returns them in the order they were elected.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a zeroed count for every candidate
+ * @param {string[]} candidateIds - Candidate ids
+ * @returns {Object} - { candidateId: 0 }
+ */
+const emptyCounts = (candidateIds) => {
+  const counts = {};
+  candidateIds.forEach(candidateId => {
+    counts[candidateId] = 0;
+  });
+  return counts;
+};
+
+/**
+ * Plurality: each ballot counts once, for its single choice
+ * @param {Object} options
+ * @param {string[]} options.candidateIds - Candidates standing for the position
+ * @param {Array} options.ballots - [{ choices }]
+ * @returns {Object} - { candidateVotes }
+ */
+const countPlurality = ({ candidateIds, ballots }) => {
+  const candidateVotes = emptyCounts(candidateIds);
+
+  ballots.forEach(ballot => {
+    candidateVotes[ballot.choices[0]]++;
+  });
+
+  return { candidateVotes };
+};
+
+/**
+ * Approval: each ballot counts once for every candidate it approves
+ * @param {Object} options
+ * @param {string[]} options.candidateIds - Candidates standing for the position
+ * @param {Array} options.ballots - [{ choices }]
+ * @returns {Object} - { candidateVotes }
+ */
+const countApproval = ({ candidateIds, ballots }) => {
+  const candidateVotes = emptyCounts(candidateIds);
+
+  ballots.forEach(ballot => {
+    new Set(ballot.choices).forEach(candidateId => {
+      candidateVotes[candidateId]++;
+    });
+  });
+
+  return { candidateVotes };
+};
+
+/**
+ * Pick the candidate to eliminate from those tied for last place
+ * Looks back through earlier rounds for the one with fewer votes, then
+ * falls back to a draw of lots seeded with the election id so a recount
+ * always eliminates the same candidate.
+ * @param {string[]} tied - Candidates tied for last place
+ * @param {Array} rounds - Completed rounds, latest last
+ * @param {string} seed - Seed for the draw
+ * @returns {Object} - { candidateId, method }
+ */
+const pickElimination = (tied, rounds, seed) => {
+  let remaining = tied;
+
+  for (let i = rounds.length - 2; i >= 0 && remaining.length > 1; i--) {
+    const counts = rounds[i].counts;
+    const lowest = Math.min(...remaining.map(candidateId => counts[candidateId] || 0));
+    remaining = remaining.filter(candidateId => (counts[candidateId] || 0) === lowest);
+  }
+
+  if (remaining.length === 1) {
+    return { candidateId: remaining[0], method: 'previous_rounds' };
+  }
+
+  const drawn = remaining
+    .map(candidateId => ({
+      candidateId,
+      hash: crypto.createHash('sha256').update(`${seed}:${candidateId}`).digest('hex')
+    }))
+    .sort((a, b) => a.hash.localeCompare(b.hash));
+
+  return { candidateId: drawn[0].candidateId, method: 'lots' };
+};
+
+/**
+ * Instant runoff: count first preferences, then repeatedly eliminate the
+ * last-placed candidate and transfer their ballots to the next preference
+ * still in the count.
+ *
+ * The count stops when a candidate holds a majority of the ballots still in
+ * play (single seat) or when only as many candidates as seats remain.
+ * Several last-placed candidates are eliminated together only when their
+ * combined votes could not lift any of them above the next candidate;
+ * otherwise a tie for last place is broken by pickElimination(). When the
+ * tied candidates are the ones contending for the last seat(s), the count
+ * stops and the tie is reported as usual.
+ * @param {Object} options
+ * @param {string[]} options.candidateIds - Candidates standing for the position
+ * @param {Array} options.ballots - [{ choices }] with choices in preference order
+ * @param {number} options.seats - Seats to fill
+ * @param {string} [options.seed] - Seed for elimination draws
+ * @returns {Object} - { candidateVotes, contenders, rounds }
+ */
+const countInstantRunoff = ({ candidateIds, ballots, seats, seed = '' }) => {
+  const remaining = new Set(candidateIds);
+  const rounds = [];
+
+  for (;;) {
+    const counts = emptyCounts([...remaining]);
+    let exhausted = 0;
+
+    ballots.forEach(ballot => {
+      const preference = ballot.choices.find(candidateId => remaining.has(candidateId));
+      if (preference) {
+        counts[preference]++;
+      } else {
+        exhausted++;
+      }
+    });
+
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const active = ballots.length - exhausted;
+    const top = Math.max(0, ...Object.values(counts));
+
+    if (remaining.size <= seats || (seats === 1 && top * 2 > active)) break;
+
+    // Eliminate the weakest candidates whose combined votes stay below the next one
+    const ordered = [...remaining].sort((a, b) => counts[a] - counts[b]);
+    let batch = 0;
+    let batchVotes = 0;
+    for (let i = 0; i < ordered.length - seats; i++) {
+      batchVotes += counts[ordered[i]];
+      if (batchVotes < counts[ordered[i + 1]]) batch = i + 1;
+    }
+
+    if (batch > 0) {
+      round.eliminated = ordered.slice(0, batch);
+    } else {
+      const lowest = counts[ordered[0]];
+      const tied = ordered.filter(candidateId => counts[candidateId] === lowest);
+
+      // The tied candidates are contending for the last seat(s): that's a tie, not an elimination
+      if (remaining.size - tied.length < seats) break;
+
+      const pick = tied.length > 1
+        ? pickElimination(tied, rounds, seed)
+        : { candidateId: tied[0] };
+
+      round.eliminated = [pick.candidateId];
+      if (pick.method) round.tieBreak = pick.method;
+    }
+
+    round.eliminated.forEach(candidateId => remaining.delete(candidateId));
+  }
+
+  // Each candidate keeps the count of the last round they were in;
+  // seats are decided between the contenders of the final round
+  const candidateVotes = emptyCounts(candidateIds);
+  rounds.forEach(round => Object.assign(candidateVotes, round.counts));
+
+  return {
+    candidateVotes,
+    contenders: [...remaining],
+    rounds
+  };
+};
+
+/**
+ * Round a transferable vote total for storage and display
+ * @param {number} value - Vote total
+ * @returns {number}
+ */
+const roundVotes = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Single transferable vote with the Droop quota
+ *
+ * quota = floor(valid ballots / (seats + 1)) + 1
+ *
+ * Candidates reaching the quota are elected and the surplus of their
+ * ballots passes on at a reduced weight (surplus / total, inclusive Gregory
+ * method). When nobody reaches the quota the last-placed candidate is
+ * eliminated and their ballots pass on at their current weight. Once the
+ * candidates left equal the seats left, they are all elected.
+ * @param {Object} options
+ * @param {string[]} options.candidateIds - Candidates standing for the position
+ * @param {Array} options.ballots - [{ choices }] with choices in preference order
+ * @param {number} options.seats - Seats to fill
+ * @param {string} [options.seed] - Seed for elimination draws
+ * @returns {Object} - { candidateVotes, winners, rounds, quota }
+ */
+const countSingleTransferableVote = ({ candidateIds, ballots, seats, seed = '' }) => {
+  const papers = ballots
+    .filter(ballot => ballot.choices.length > 0)
+    .map(ballot => ({ choices: ballot.choices, weight: 1 }));
+  const quota = Math.floor(papers.length / (seats + 1)) + 1;
+  const candidateVotes = emptyCounts(candidateIds);
+
+  if (papers.length === 0) {
+    return { candidateVotes, winners: [], rounds: [], quota };
+  }
+
+  const hopeful = new Set(candidateIds);
+  const winners = [];
+  const rounds = [];
+
+  while (winners.length < seats && hopeful.size > 0) {
+    const counts = emptyCounts([...hopeful]);
+    const holders = {};
+    let exhausted = 0;
+
+    papers.forEach(paper => {
+      const preference = paper.choices.find(candidateId => hopeful.has(candidateId));
+      if (preference) {
+        counts[preference] += paper.weight;
+        holders[preference] = holders[preference] || [];
+        holders[preference].push(paper);
+      } else {
+        exhausted += paper.weight;
+      }
+    });
+
+    const round = {
+      round: rounds.length + 1,
+      counts: {},
+      exhausted: roundVotes(exhausted),
+      elected: [],
+      eliminated: []
+    };
+    Object.keys(counts).forEach(candidateId => {
+      round.counts[candidateId] = roundVotes(counts[candidateId]);
+      candidateVotes[candidateId] = round.counts[candidateId];
+    });
+    rounds.push(round);
+
+    const ordered = [...hopeful].sort((a, b) => counts[b] - counts[a]);
+    const seatsLeft = seats - winners.length;
+
+    // Everyone left gets a seat
+    if (hopeful.size <= seatsLeft) {
+      round.elected = ordered;
+      winners.push(...ordered);
+      break;
+    }
+
+    const reached = ordered
+      .filter(candidateId => counts[candidateId] >= quota)
+      .slice(0, seatsLeft);
+
+    if (reached.length > 0) {
+      reached.forEach(candidateId => {
+        // Pass the surplus on at a reduced weight
+        const factor = (counts[candidateId] - quota) / counts[candidateId];
+        (holders[candidateId] || []).forEach(paper => {
+          paper.weight *= factor;
+        });
+        hopeful.delete(candidateId);
+      });
+
+      round.elected = reached;
+      winners.push(...reached);
+      continue;
+    }
+
+    const lowest = counts[ordered[ordered.length - 1]];
+    const tied = ordered.filter(candidateId => counts[candidateId] === lowest);
+    const pick = tied.length > 1
+      ? pickElimination(tied, rounds, seed)
+      : { candidateId: tied[0] };
+
+    round.eliminated = [pick.candidateId];
+    if (pick.method) round.tieBreak = pick.method;
+    hopeful.delete(pick.candidateId);
+  }
+
+  return { candidateVotes, winners, rounds, quota };
+};
+
+// Counter for each voting method
+const counters = {
+  plurality: countPlurality,
+  approval: countApproval,
+  // Block voting: approval capped at the number of seats (checked on the ballot)
+  block: countApproval,
+  irv: countInstantRunoff,
+  stv: countSingleTransferableVote
+};
+
+/**
+ * Count a position's ballots with the election's voting method
+ * @param {string} method - Voting method
+ * @param {Object} options - { candidateIds, ballots, seats, seed }
+ * @returns {Object} - { candidateVotes, contenders?, winners?, rounds?, quota? }
+ */
+const countVotes = (method, options) => {
+  const counter = counters[method] || countPlurality;
+  return counter(options);
+};
+
+module.exports = {
+  countPlurality,
+  countApproval,
+  countInstantRunoff,
+  countSingleTransferableVote,
+  countVotes
+};
@@ -0,0 +1,255 @@
+/**
+ * Withdrawal Service
+ * Purpose: Candidates standing down before voting, with teacher confirmation
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * An approved candidate can ask to withdraw until the election's withdrawal
+ * deadline (the start of voting unless the teacher sets an earlier one). A
+ * teacher confirms or declines the request before voting opens; the student
+ * is emailed either way. A withdrawn candidate is kept for the record but
+ * leaves Election.candidates and the ballot. When a withdrawal leaves a
+ * position with no more candidates than seats, the election is flagged as
+ * unopposed until enough candidates are added again.
+ */
+
+const Candidate = require('../models/Candidate');
+const User = require('../models/User');
+const mailer = require('../config/mailer');
+const { MIN_REASON_LENGTH } = require('./nominationService');
+
+// Longest withdrawal reason kept
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Check whether candidates can still ask to withdraw
+ * @param {Object} election - Election document
+ * @returns {boolean}
+ */
+const isWithdrawalOpen = (election) => {
+  return election.status === 'pending' && new Date() < election.effectiveWithdrawalDeadline;
+};
+
+/**
+ * Positions with no more candidates on the ballot than seats
+ * @param {Object} election - Election document
+ * @returns {Promise<Array>} - Position subdocuments
+ */
+const getUnopposedPositions = async (election) => {
+  const candidates = await Candidate.find({
+    election: election._id,
+    approved: true,
+    active: true
+  }).select('position');
+
+  const counts = new Map();
+  candidates.forEach(candidate => {
+    const positionId = election.getCandidatePosition(candidate)._id.toString();
+    counts.set(positionId, (counts.get(positionId) || 0) + 1);
+  });
+
+  return election.ensurePositions()
+    .filter(position => (counts.get(position._id.toString()) || 0) <= position.seats);
+};
+
+/**
+ * Flag the position a withdrawal left unopposed
+ * Only the withdrawn candidate's position is checked, so positions that were
+ * never contested aren't flagged; earlier flags and their time are kept.
+ * @param {Object} election - Election document
+ * @param {Object} position - Position the candidate withdrew from
+ * @returns {Promise<Array>} - Newly flagged position subdocuments
+ */
+const flagUnopposed = async (election, position) => {
+  const flagged = (election.unopposed && election.unopposed.positions) || [];
+  const positionId = position._id.toString();
+  const unopposed = (await getUnopposedPositions(election))
+    .filter(unopposedPosition => unopposedPosition._id.toString() === positionId &&
+      !flagged.some(id => id.toString() === positionId));
+
+  if (unopposed.length > 0) {
+    election.unopposed = {
+      positions: [...flagged, position._id],
+      flaggedAt: election.isUnopposed ? election.unopposed.flaggedAt : new Date()
+    };
+  }
+  await election.save();
+
+  return unopposed;
+};
+
+/**
+ * Clear the unopposed flag from positions that are contested again
+ * Called when a candidate is added or approved.
+ * @param {Object} election - Election document
+ */
+const clearContestedPositions = async (election) => {
+  if (!election.isUnopposed) return;
+
+  const stillUnopposed = new Set((await getUnopposedPositions(election)).map(position => position._id.toString()));
+  const flagged = election.unopposed.positions.filter(id => stillUnopposed.has(id.toString()));
+
+  if (flagged.length !== election.unopposed.positions.length) {
+    election.unopposed = flagged.length > 0
+      ? { positions: flagged, flaggedAt: election.unopposed.flaggedAt }
+      : { positions: [] };
+    await election.save();
+  }
+};
+
+/**
+ * Ask to withdraw from an election
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @param {string} reason - Optional reason for the teacher
+ * @returns {Promise<Object>} - { candidate } or { error }
+ */
+const requestWithdrawal = async (candidate, election, reason) => {
+  if (!isWithdrawalOpen(election)) {
+    return { error: 'The deadline for withdrawing from this election has passed' };
+  }
+
+  if (candidate.reviewStatus !== 'approved') {
+    return { error: 'Only approved candidates can withdraw' };
+  }
+
+  if (candidate.withdrawal && candidate.withdrawal.status === 'requested') {
+    return { error: 'Your withdrawal is already waiting for confirmation' };
+  }
+
+  candidate.withdrawal = {
+    status: 'requested',
+    reason: String(reason || '').trim().substring(0, MAX_REASON_LENGTH),
+    requestedAt: new Date()
+  };
+  await candidate.save();
+
+  return { candidate };
+};
+
+/**
+ * Take back a withdrawal request that hasn't been decided
+ * @param {Object} candidate - Candidate document
+ * @returns {Promise<Object>} - { candidate } or { error }
+ */
+const cancelWithdrawal = async (candidate) => {
+  if (!candidate.withdrawal || candidate.withdrawal.status !== 'requested') {
+    return { error: 'There is no withdrawal request to cancel' };
+  }
+
+  candidate.withdrawal = undefined;
+  await candidate.save();
+
+  return { candidate };
+};
+
+/**
+ * Email a candidate the decision on their withdrawal
+ * A failed email doesn't undo the decision.
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendDecision = async (candidate, election) => {
+  const student = await User.findById(candidate.student).select('name email');
+  if (!student) return false;
+
+  try {
+    await mailer.sendWithdrawalDecisionEmail(student.email, student.name, {
+      confirmed: candidate.withdrawal.status === 'confirmed',
+      electionTitle: election.title,
+      electionId: election._id,
+      positionTitle: election.getCandidatePosition(candidate).title,
+      reason: candidate.withdrawal.declineReason
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to send withdrawal decision email:', error);
+    return false;
+  }
+};
+
+/**
+ * Check that a withdrawal request can be decided
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @returns {string|null} - Error, or null
+ */
+const checkDecidable = (candidate, election) => {
+  if (!candidate.withdrawal || candidate.withdrawal.status !== 'requested') {
+    return 'This candidate has no withdrawal request waiting';
+  }
+
+  if (election.status !== 'pending' || new Date() >= election.startDate) {
+    return 'Voting has started, so the withdrawal can no longer be decided';
+  }
+
+  return null;
+};
+
+/**
+ * Confirm a withdrawal and take the candidate off the ballot
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @param {string} reviewerId - Reviewing user
+ * @returns {Promise<Object>} - { emailSent, unopposedPositions } or { error }
+ */
+const confirmWithdrawal = async (candidate, election, reviewerId) => {
+  const error = checkDecidable(candidate, election);
+  if (error) {
+    return { error };
+  }
+
+  candidate.withdrawal.status = 'confirmed';
+  candidate.withdrawal.reviewedBy = reviewerId;
+  candidate.withdrawal.reviewedAt = new Date();
+  candidate.active = false;
+  await candidate.save();
+
+  election.candidates = election.candidates.filter(id => id.toString() !== candidate._id.toString());
+  const unopposedPositions = await flagUnopposed(election, election.getCandidatePosition(candidate));
+
+  return {
+    emailSent: await sendDecision(candidate, election),
+    unopposedPositions
+  };
+};
+
+/**
+ * Decline a withdrawal; the candidate stays on the ballot
+ * @param {Object} candidate - Candidate document
+ * @param {Object} election - Election document
+ * @param {string} reviewerId - Reviewing user
+ * @param {string} reason - Reason shown to the candidate (required)
+ * @returns {Promise<Object>} - { emailSent } or { error }
+ */
+const declineWithdrawal = async (candidate, election, reviewerId, reason) => {
+  const error = checkDecidable(candidate, election);
+  if (error) {
+    return { error };
+  }
+
+  const trimmed = String(reason || '').trim();
+  if (trimmed.length < MIN_REASON_LENGTH) {
+    return { error: `Please give the candidate a reason (at least ${MIN_REASON_LENGTH} characters)` };
+  }
+
+  candidate.withdrawal.status = 'declined';
+  candidate.withdrawal.reviewedBy = reviewerId;
+  candidate.withdrawal.reviewedAt = new Date();
+  candidate.withdrawal.declineReason = trimmed;
+  await candidate.save();
+
+  return { emailSent: await sendDecision(candidate, election) };
+};
+
+module.exports = {
+  MAX_REASON_LENGTH,
+  isWithdrawalOpen,
+  getUnopposedPositions,
+  clearContestedPositions,
+  requestWithdrawal,
+  cancelWithdrawal,
+  confirmWithdrawal,
+  declineWithdrawal
+};
@@ -0,0 +1,214 @@
+/**
+ * Audit Log Service Tests
+ * Purpose: Chain verification and checkpoint exports
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SystemLog = require('../models/SystemLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const auditLogService = require('../services/auditLogService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+afterEach(restoreStubs);
+
+/**
+ * Build a correctly chained list of log entries
+ * @param {Array} contents - Entry contents (action, user, details, ...)
+ * @returns {Array}
+ */
+const buildChain = (contents) => {
+  let prevHash = SystemLog.GENESIS_HASH;
+  return contents.map((content, index) => {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      sequence: index + 1,
+      prevHash,
+      status: 'info',
+      timestamp: new Date(Date.UTC(2026, 9, 18, 9, index)),
+      ...content
+    };
+    entry.hash = SystemLog.hashEntry(entry);
+    prevHash = entry.hash;
+    return entry;
+  });
+};
+
+/**
+ * Point verifyChain at a list of entries
+ * @param {Array} entries - Log entries
+ */
+const useChain = (entries) => {
+  stub(AuditCheckpoint, 'find', () => query([]));
+  stub(SystemLog, 'find', () => query(entries));
+  stub(SystemLog, 'countDocuments', async () => 0);
+};
+
+const voterId = new mongoose.Types.ObjectId();
+const electionId = new mongoose.Types.ObjectId();
+
+const sampleChain = () => buildChain([
+  { action: 'user_login', user: voterId.toString(), details: { body: { email: 'a@college.edu' } } },
+  {
+    action: 'vote_cast',
+    user: voterId.toString(),
+    details: { electionId: electionId.toString(), electionTitle: 'Class Rep', body: { candidate: 'x' } },
+    ip: '10.0.0.7',
+    userAgent: 'Browser'
+  },
+  { action: 'result_publish', user: voterId.toString(), details: { electionId: electionId.toString() } }
+]);
+
+test('verifyChain reports an intact chain', async () => {
+  const entries = sampleChain();
+  useChain(entries);
+
+  const report = await auditLogService.verifyChain();
+
+  assert.equal(report.intact, true);
+  assert.equal(report.checkedEntries, 3);
+  assert.deepEqual(report.head, { sequence: 3, hash: entries[2].hash });
+});
+
+test('verifyChain catches an entry altered after it was written', async () => {
+  const entries = sampleChain();
+  entries[1].details.electionTitle = 'Something else';
+  useChain(entries);
+
+  const report = await auditLogService.verifyChain();
+
+  assert.equal(report.intact, false);
+  assert.equal(report.brokenLink.sequence, 2);
+  assert.match(report.brokenLink.reason, /altered/);
+});
+
+test('verifyChain catches a missing entry', async () => {
+  const entries = sampleChain();
+  useChain([entries[0], entries[2]]);
+
+  const report = await auditLogService.verifyChain();
+
+  assert.equal(report.intact, false);
+  assert.equal(report.brokenLink.sequence, 2);
+  assert.match(report.brokenLink.reason, /Entry #2 is missing/);
+});
+
+test('verifyChain catches an entry that does not link to the one before it', async () => {
+  const entries = sampleChain();
+  const [replaced] = buildChain([{ action: 'user_login', details: {} }]);
+  useChain([replaced, entries[1], entries[2]]);
+
+  const report = await auditLogService.verifyChain();
+
+  assert.equal(report.intact, false);
+  assert.equal(report.brokenLink.sequence, 2);
+  assert.match(report.brokenLink.reason, /does not link/);
+});
+
+/**
+ * Export a chain as signed by a fresh key
+ * @param {Array} entries - Log entries, all covered by the checkpoint
+ * @returns {Promise<Object>} - Parsed export, as the committee receives it
+ */
+const exportChain = async (entries) => {
+  stub(SystemLog, 'find', () => query(entries));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const last = entries[entries.length - 1];
+
+  const exported = await auditLogService.getCheckpointExport({
+    sequence: last.sequence,
+    hash: last.hash,
+    previousSequence: 0,
+    previousHash: SystemLog.GENESIS_HASH,
+    entryCount: entries.length,
+    actionCounts: {
+      vote_cast: entries.filter(entry => entry.action === 'vote_cast').length,
+      result_publish: entries.filter(entry => entry.action === 'result_publish').length
+    },
+    signedAt: new Date(),
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  });
+  exported.signature.value = crypto.sign(
+    null, Buffer.from(SystemLog.canonicalize(exported.checkpoint)), privateKey
+  ).toString('base64');
+
+  return JSON.parse(JSON.stringify(exported));
+};
+
+// Entries as written now: hash version 2, vote_cast without the voter
+const currentChain = () => buildChain([
+  { action: 'user_login', user: voterId.toString(), ip: '10.0.0.7', details: { body: { email: 'a@college.edu' } } },
+  {
+    action: 'vote_cast',
+    details: { electionId: electionId.toString(), electionTitle: 'Class Rep', channel: 'registered' },
+    status: 'success',
+    timestamp: new Date(Date.UTC(2026, 9, 18, 9))
+  },
+  { action: 'result_publish', user: voterId.toString(), details: { electionId: electionId.toString() } }
+].map(content => ({ hashVersion: 2, nonce: crypto.randomBytes(16).toString('hex'), ...content })));
+
+test('checkpoint exports verify end to end from the export alone', async () => {
+  const exported = await exportChain(currentChain());
+
+  assert.deepEqual(auditLogService.verifyCheckpointExport(exported), {
+    valid: true, reason: null, uncheckedEntries: 0
+  });
+
+  const vote = exported.entries.find(entry => entry.action === 'vote_cast');
+  assert.equal(vote.withheld, undefined);
+  assert.equal(vote.details.electionTitle, 'Class Rep');
+});
+
+test('checkpoint exports give only the content hash of other entries', async () => {
+  const exported = await exportChain(currentChain());
+
+  const login = exported.entries[0];
+  assert.equal(login.withheld, true);
+  assert.match(login.contentHash, /^[0-9a-f]{64}$/);
+  assert.equal(login.user, undefined);
+  assert.equal(login.details, undefined);
+  assert.equal(JSON.stringify(login).includes('a@college.edu'), false);
+});
+
+test('checkpoint export verification catches an altered entry', async () => {
+  const exported = await exportChain(currentChain());
+  exported.entries[1].details.electionTitle = 'Something else';
+
+  const result = auditLogService.verifyCheckpointExport(exported);
+
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /Entry #2 does not match its hash/);
+});
+
+test('checkpoint export verification catches a dropped vote and a bad signature', async () => {
+  const exported = await exportChain(currentChain());
+
+  const dropped = JSON.parse(JSON.stringify(exported));
+  dropped.entries.splice(1, 1);
+  assert.match(auditLogService.verifyCheckpointExport(dropped).reason, /Entry #2/);
+
+  exported.checkpoint.actionCounts.vote_cast = 2;
+  assert.match(auditLogService.verifyCheckpointExport(exported).reason, /signature is invalid/);
+});
+
+test('checkpoint exports keep the voter out of older vote_cast entries', async () => {
+  const exported = await exportChain(sampleChain());
+
+  const vote = exported.entries.find(entry => entry.action === 'vote_cast');
+  assert.equal(vote.withheld, true);
+  assert.equal(JSON.stringify(vote).includes(voterId.toString()), false);
+  assert.equal(JSON.stringify(vote).includes('10.0.0.7'), false);
+
+  // Older entries without content can only be checked through their link
+  assert.deepEqual(auditLogService.verifyCheckpointExport(exported), {
+    valid: true, reason: null, uncheckedEntries: 2
+  });
+
+  const publish = exported.entries.find(entry => entry.action === 'result_publish');
+  assert.equal(publish.user, voterId.toString());
+});
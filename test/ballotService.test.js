@@ -0,0 +1,170 @@
+/**
+ * Ballot Service Tests
+ * Purpose: Casting ballots, including double votes and failed writes
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Participation = require('../models/Participation');
+const Vote = require('../models/Vote');
+const ballotService = require('../services/ballotService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+// What the stubbed database holds
+let participations;
+let votes;
+let openFilters;
+
+/**
+ * Insert participation records, enforcing the unique student index
+ * @param {Object|Array} docs - Record or records
+ */
+const createParticipation = async (docs) => {
+  [].concat(docs).forEach(doc => {
+    if (participations.some(existing => existing.election.toString() === doc.election.toString() &&
+      existing.student && doc.student && existing.student.toString() === doc.student.toString())) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    participations.push(new Participation(doc));
+  });
+  return participations[participations.length - 1];
+};
+
+beforeEach(() => {
+  participations = [];
+  votes = [];
+  openFilters = [];
+
+  stub(Election, 'exists', async (filter) => {
+    openFilters.push(filter);
+    return { _id: filter._id };
+  });
+  stub(Election, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stub(Participation, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+  stub(Participation, 'create', createParticipation);
+  stub(Participation, 'deleteOne', async ({ _id }) => {
+    participations = participations.filter(participation => participation._id !== _id);
+  });
+  stub(Vote, 'create', async (docs) => {
+    [].concat(docs).forEach(doc => votes.push(new Vote(doc)));
+  });
+  stub(Vote, 'countDocuments', () => query(votes.length));
+  // Natural order is the order of the votes array
+  stub(Vote, 'findOne', () => {
+    let place = 0;
+    const chain = query(null);
+    chain.skip = (count) => {
+      place = count;
+      return chain;
+    };
+    chain.then = (resolve, reject) => Promise.resolve(votes[place].toObject()).then(resolve, reject);
+    return chain;
+  });
+  stub(Vote, 'updateOne', async ({ _id }, { $set }) => {
+    votes.find(vote => vote._id === _id).set($set);
+  });
+});
+
+afterEach(restoreStubs);
+
+const election = new Election({ title: 'Class Representative' });
+const studentId = new mongoose.Types.ObjectId();
+const choices = [new mongoose.Types.ObjectId()];
+
+test('castBallot records a participation and an unlinked ballot with a receipt', async () => {
+  const result = await ballotService.castBallot(election, { studentId, rollNumber: 'CS01' }, choices);
+
+  assert.equal(result.status, 'recorded');
+  assert.match(result.receipt, /^[0-9A-F]{4}(-[0-9A-F]{4}){4}$/);
+  assert.equal(participations.length, 1);
+  assert.equal(votes.length, 1);
+
+  const [participation] = participations;
+  const [vote] = votes;
+  assert.equal(participation.channel, 'registered');
+  assert.equal(vote.receiptHash, ballotService.hashReceipt(result.receipt));
+  assert.equal(vote.get('student'), undefined);
+  assert.notEqual(vote._id, participation._id);
+
+  // Both keep their time only to the hour
+  assert.equal(participation.timestamp.getTime() % (60 * 60 * 1000), 0);
+  assert.equal(vote.castAt.getTime(), participation.timestamp.getTime());
+});
+
+test('castBallot rejects a second vote by the same student', async () => {
+  const first = await ballotService.castBallot(election, { studentId }, choices);
+  const second = await ballotService.castBallot(election, { studentId, channel: 'qr' }, choices);
+
+  assert.equal(first.status, 'recorded');
+  assert.deepEqual(second, { status: 'already_voted' });
+  assert.equal(participations.length, 1);
+  assert.equal(votes.length, 1);
+});
+
+test('castBallot lets only one of two simultaneous votes by a student count', async () => {
+  const results = await Promise.all([
+    ballotService.castBallot(election, { studentId }, choices),
+    ballotService.castBallot(election, { studentId }, choices)
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['already_voted', 'recorded']);
+  assert.equal(votes.length, 1);
+});
+
+test('castBallot stores ballots in an order unrelated to voting order', async () => {
+  const receipts = [];
+  for (let i = 0; i < 40; i++) {
+    const { receipt } = await ballotService.castBallot(election, { studentId: new mongoose.Types.ObjectId() }, choices);
+    receipts.push(ballotService.hashReceipt(receipt));
+  }
+
+  const stored = votes.map(vote => vote.receiptHash);
+  assert.deepEqual([...stored].sort(), [...receipts].sort());
+  assert.notDeepEqual(stored, receipts);
+});
+
+test('castBallot refuses votes once the election is closed', async () => {
+  stub(Election, 'exists', async () => null);
+
+  const result = await ballotService.castBallot(election, { studentId }, choices);
+
+  assert.deepEqual(result, { status: 'closed' });
+  assert.equal(participations.length, 0);
+  assert.equal(votes.length, 0);
+});
+
+test('castBallot takes no logged-in votes in ballot-code elections', async () => {
+  await ballotService.castBallot(election, { studentId }, choices);
+  await ballotService.castBallot(election, { channel: 'qr' }, choices);
+
+  assert.deepEqual(openFilters[0]['publicAccess.verification'], { $ne: 'ballot_code' });
+  assert.equal(openFilters[1]['publicAccess.verification'], undefined);
+});
+
+test('castBallot without transactions removes the participation when the ballot fails', async () => {
+  stub(Participation, 'startSession', async () => ({
+    withTransaction: async () => {
+      throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+    },
+    endSession: async () => {}
+  }));
+  stub(Vote, 'create', async () => {
+    throw new Error('write failed');
+  });
+
+  await assert.rejects(ballotService.castBallot(election, { studentId }, choices), /write failed/);
+  assert.equal(participations.length, 0);
+
+  // The student can still vote
+  stub(Vote, 'create', async (doc) => votes.push(new Vote(doc)));
+  const result = await ballotService.castBallot(election, { studentId }, choices);
+  assert.equal(result.status, 'recorded');
+  assert.equal(participations.length, 1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Test Helpers
+ * Purpose: Stub model statics so services can be tested without a database
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const stubs = [];
+
+/**
+ * Replace a method for the current test
+ * @param {Object} target - Object holding the method (usually a model)
+ * @param {string} name - Method name
+ * @param {Function} replacement - Stand-in
+ */
+const stub = (target, name, replacement) => {
+  stubs.push({ target, name, original: target[name], own: Object.prototype.hasOwnProperty.call(target, name) });
+  target[name] = replacement;
+};
+
+/**
+ * Put back every stubbed method
+ */
+const restoreStubs = () => {
+  while (stubs.length > 0) {
+    const { target, name, original, own } = stubs.pop();
+    if (own) target[name] = original;
+    else delete target[name];
+  }
+};
+
+/**
+ * Stand-in for a Mongoose query that resolves to a fixed result
+ * Chained query methods return the same query; it can be awaited or
+ * iterated through cursor().
+ * @param {*} result - Query result
+ * @returns {Object}
+ */
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    cursor: () => (async function* () { yield* result; })()
+  };
+  ['sort', 'select', 'lean', 'populate', 'limit', 'skip', 'session'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+module.exports = {
+  stub,
+  restoreStubs,
+  query
+};
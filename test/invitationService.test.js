@@ -0,0 +1,176 @@
+/**
+ * Invitation Service Tests
+ * Purpose: Signed invitation links, resending, revoking and accepting
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const invitationService = require('../services/invitationService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// What the stubbed database holds
+let invitations;
+let users;
+
+/**
+ * Find a stored invitation matching a filter
+ * @param {Object} filter - _id plus optional status and nonce
+ * @returns {Object|undefined}
+ */
+const findStored = (filter) => invitations.find(invitation =>
+  invitation._id.equals(filter._id) &&
+  (!filter.status || invitation.status === filter.status) &&
+  (!filter.nonce || invitation.nonce === filter.nonce));
+
+beforeEach(() => {
+  invitations = [];
+  users = [];
+
+  stub(User, 'exists', async ({ email }) => users.some(user => user.email === email));
+  stub(User, 'create', async (doc) => {
+    if (users.some(user => user.email === doc.email)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const user = new User(doc);
+    users.push(user);
+    return user;
+  });
+
+  stub(Invitation, 'exists', async ({ email, status }) =>
+    invitations.some(invitation => invitation.email === email && invitation.status === status));
+  stub(Invitation.prototype, 'save', async function() {
+    if (!invitations.includes(this)) invitations.push(this);
+    return this;
+  });
+  stub(Invitation, 'findById', (id) => query(findStored({ _id: id }) || null));
+  stub(Invitation, 'findOne', (filter) => query(findStored(filter) || null));
+  stub(Invitation, 'findOneAndUpdate', async (filter, { $set }) => {
+    const invitation = findStored(filter);
+    if (!invitation) return null;
+    invitation.set($set);
+    return invitation;
+  });
+  stub(Invitation, 'updateOne', async ({ _id }, { $set, $unset }) => {
+    const invitation = findStored({ _id });
+    invitation.set($set);
+    Object.keys($unset || {}).forEach(path => invitation.set(path, undefined));
+  });
+});
+
+afterEach(restoreStubs);
+
+const tokenOf = (invitation) => invitationService.getInvitationURL(invitation).split('/').pop();
+
+/**
+ * Invite a teacher
+ * @param {string} [email] - Invitee's email
+ * @returns {Promise<Object>} - Invitation
+ */
+const invite = async (email = 'Priya@College.edu') => {
+  const { invitation, error } = await invitationService.createInvitation(email, 'teacher', objectId());
+  assert.equal(error, undefined);
+  return invitation;
+};
+
+test('createInvitation stores a pending invitation whose link verifies', async () => {
+  const invitation = await invite();
+
+  assert.equal(invitation.email, 'priya@college.edu');
+  assert.equal(invitation.status, 'pending');
+  assert.ok(invitation.expiresAt > new Date());
+
+  const { invitation: found, reason } = await invitationService.verifyToken(tokenOf(invitation));
+  assert.equal(reason, undefined);
+  assert.equal(found, invitation);
+});
+
+test('createInvitation refuses existing accounts and a second pending invitation', async () => {
+  users.push(new User({ name: 'Ravi', email: 'ravi@college.edu', password: 'secret123' }));
+  await invite('priya@college.edu');
+
+  const existing = await invitationService.createInvitation('ravi@college.edu', 'teacher', objectId());
+  const repeat = await invitationService.createInvitation('PRIYA@college.edu', 'admin', objectId());
+
+  assert.match(existing.error, /already has an account/);
+  assert.match(repeat.error, /already has a pending invitation/);
+  assert.equal(invitations.length, 1);
+});
+
+test('verifyToken rejects altered, malformed and expired links', async () => {
+  const invitation = await invite();
+  const [encoded, signature] = tokenOf(invitation).split('.');
+  const payload = Buffer.from(encoded, 'base64url').toString().split('.');
+  payload[2] = String(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const extended = `${Buffer.from(payload.join('.')).toString('base64url')}.${signature}`;
+
+  assert.match((await invitationService.verifyToken(extended)).reason, /not valid/);
+  assert.match((await invitationService.verifyToken('garbage')).reason, /not valid/);
+  assert.match((await invitationService.verifyToken(undefined)).reason, /not valid/);
+
+  invitation.expiresAt = new Date(Date.now() - 1000);
+  assert.match((await invitationService.verifyToken(tokenOf(invitation))).reason, /has expired/);
+});
+
+test('resendInvitation replaces the link so the older one stops working', async () => {
+  const invitation = await invite();
+  const firstToken = tokenOf(invitation);
+
+  const resent = await invitationService.resendInvitation(invitation._id);
+
+  assert.equal(resent.sentCount, 2);
+  assert.match((await invitationService.verifyToken(firstToken)).reason, /replaced by a newer one/);
+  assert.equal((await invitationService.verifyToken(tokenOf(resent))).invitation, invitation);
+});
+
+test('revokeInvitation kills the link and leaves nothing to resend', async () => {
+  const invitation = await invite();
+  const token = tokenOf(invitation);
+  const adminId = objectId();
+
+  const revoked = await invitationService.revokeInvitation(invitation._id, adminId);
+
+  assert.equal(revoked.status, 'revoked');
+  assert.equal(revoked.revokedBy, adminId);
+  assert.match((await invitationService.verifyToken(token)).reason, /has been revoked/);
+  assert.equal(await invitationService.resendInvitation(invitation._id), null);
+  assert.equal(await invitationService.revokeInvitation(invitation._id, adminId), null);
+});
+
+test('acceptInvitation creates a verified account with the invited role, once', async () => {
+  const invitation = await invite();
+  const token = tokenOf(invitation);
+  const { invitation: pending } = await invitationService.verifyToken(token);
+
+  const user = await invitationService.acceptInvitation(pending, { name: 'Priya Nair', password: 'secret123' });
+
+  assert.equal(user.email, 'priya@college.edu');
+  assert.equal(user.role, 'teacher');
+  assert.equal(user.isVerified, true);
+  assert.equal(invitation.status, 'accepted');
+  assert.equal(invitation.acceptedUser.toString(), user._id.toString());
+
+  assert.equal(await invitationService.acceptInvitation(pending, { name: 'Priya', password: 'other123' }), null);
+  assert.match((await invitationService.verifyToken(token)).reason, /already been used/);
+  assert.equal(users.length, 1);
+});
+
+test('acceptInvitation puts the invitation back if the account cannot be created', async () => {
+  const invitation = await invite();
+  // An account with this email appeared after the invitation was sent
+  users.push(new User({ name: 'Priya', email: 'priya@college.edu', password: 'secret123' }));
+
+  await assert.rejects(
+    invitationService.acceptInvitation(invitation, { name: 'Priya Nair', password: 'secret123' }),
+    /duplicate key/
+  );
+
+  assert.equal(invitation.status, 'pending');
+  assert.equal(invitation.acceptedAt, undefined);
+});
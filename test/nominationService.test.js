@@ -0,0 +1,206 @@
+/**
+ * Nomination Service Tests
+ * Purpose: Classmate endorsements of self-nominations
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+const nominationService = require('../services/nominationService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+const objectId = () => new mongoose.Types.ObjectId();
+const sameId = (a, b) => a.toString() === b.toString();
+
+// What the stubbed database holds
+let candidates;
+let endorsements;
+
+beforeEach(() => {
+  candidates = [];
+  endorsements = [];
+
+  stub(Candidate, 'findOne', ({ student, election }) => query(candidates.find(candidate =>
+    sameId(candidate.student, student) && sameId(candidate.election, election)) || null));
+  stub(Candidate, 'find', ({ awaitingEndorsements }) => query(candidates.filter(candidate =>
+    candidate.awaitingEndorsements === awaitingEndorsements)));
+  stub(Candidate.prototype, 'save', async function() {
+    if (!candidates.includes(this)) candidates.push(this);
+    return this;
+  });
+  stub(Candidate, 'updateOne', async ({ _id, awaitingEndorsements }, { $set }) => {
+    const candidate = candidates.find(stored =>
+      sameId(stored._id, _id) && stored.awaitingEndorsements === awaitingEndorsements);
+    if (!candidate) return { modifiedCount: 0 };
+    candidate.set($set);
+    return { modifiedCount: 1 };
+  });
+  stub(Candidate, 'updateMany', async ({ _id }, { $set }) => {
+    candidates.filter(candidate => _id.$in.some(id => sameId(id, candidate._id)))
+      .forEach(candidate => candidate.set($set));
+  });
+
+  stub(Endorsement, 'create', async (doc) => {
+    if (endorsements.some(stored => sameId(stored.election, doc.election) &&
+        sameId(stored.position, doc.position) && sameId(stored.student, doc.student))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    endorsements.push(doc);
+    return doc;
+  });
+  stub(Endorsement, 'countDocuments', async ({ candidate }) =>
+    endorsements.filter(stored => sameId(stored.candidate, candidate)).length);
+  stub(Endorsement, 'deleteMany', async ({ candidate }) => {
+    endorsements = endorsements.filter(stored => !sameId(stored.candidate, candidate));
+  });
+  stub(Endorsement, 'countByCandidate', async (ids) => new Map(ids.map(id =>
+    [id.toString(), endorsements.filter(stored => sameId(stored.candidate, id)).length])));
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Build an election still taking nominations, with two positions
+ * @param {number} endorsementsRequired - Endorsements a nomination needs
+ * @returns {Object} - Election document
+ */
+const openElection = (endorsementsRequired) => new Election({
+  title: 'Class Committee',
+  class: objectId(),
+  createdBy: objectId(),
+  startDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  endDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+  status: 'pending',
+  positions: [{ title: 'Class Representative', seats: 1 }, { title: 'Treasurer', seats: 1 }],
+  endorsementsRequired
+});
+
+const studentOf = (election) => ({ _id: objectId(), class: election.class });
+
+/**
+ * Nominate a new student of the election's class
+ * @param {Object} election - Election document
+ * @param {number} [positionIndex] - Position to stand for
+ * @returns {Promise<Object>} - Candidate
+ */
+const nominate = async (election, positionIndex = 0) => {
+  const { candidate, error } = await nominationService.nominate(election, studentOf(election), {
+    positionId: election.positions[positionIndex]._id,
+    symbol: 'star',
+    manifesto: 'Better notes for everyone'
+  });
+  assert.equal(error, undefined);
+  return candidate;
+};
+
+test('a nomination collects endorsements only when the election asks for them', async () => {
+  const endorsed = await nominate(openElection(2));
+  const direct = await nominate(openElection(0));
+
+  assert.equal(endorsed.reviewStatus, 'endorsing');
+  assert.equal(direct.reviewStatus, 'pending');
+});
+
+test('reaching the threshold sends the nomination on to the teachers', async () => {
+  const election = openElection(2);
+  const candidate = await nominate(election);
+
+  const first = await nominationService.endorse(candidate, election, studentOf(election));
+  assert.deepEqual(first, { endorsements: 1, thresholdMet: false });
+  assert.match(
+    (await nominationService.approveNomination(candidate, election, objectId())).error,
+    /still needs more endorsements/
+  );
+
+  const second = await nominationService.endorse(candidate, election, studentOf(election));
+  assert.deepEqual(second, { endorsements: 2, thresholdMet: true });
+  assert.equal(candidate.reviewStatus, 'pending');
+
+  const late = await nominationService.endorse(candidate, election, studentOf(election));
+  assert.match(late.error, /not collecting endorsements/);
+});
+
+test('endorse refuses the nominee, other classes and a second nomination for the same position', async () => {
+  const election = openElection(2);
+  const candidate = await nominate(election);
+  const rival = await nominate(election);
+  const treasurer = await nominate(election, 1);
+  const classmate = studentOf(election);
+
+  const own = await nominationService.endorse(candidate, election, { _id: candidate.student, class: election.class });
+  const outsider = await nominationService.endorse(candidate, election, { _id: objectId(), class: objectId() });
+  await nominationService.endorse(candidate, election, classmate);
+  const again = await nominationService.endorse(rival, election, classmate);
+  const otherPosition = await nominationService.endorse(treasurer, election, classmate);
+
+  assert.match(own.error, /cannot endorse your own/);
+  assert.match(outsider.error, /Only classmates/);
+  assert.match(again.error, /already endorsed a nomination for this position/);
+  assert.deepEqual(otherPosition, { endorsements: 1, thresholdMet: false });
+});
+
+test('endorse refuses once voting is about to open', async () => {
+  const election = openElection(1);
+  const candidate = await nominate(election);
+  election.startDate = new Date(Date.now() - 1000);
+
+  const result = await nominationService.endorse(candidate, election, studentOf(election));
+
+  assert.match(result.error, /Nominations are closed/);
+  assert.equal(endorsements.length, 0);
+});
+
+test('two endorsements arriving together send the nomination on once', async () => {
+  const election = openElection(2);
+  const candidate = await nominate(election);
+
+  const results = await Promise.all([
+    nominationService.endorse(candidate, election, studentOf(election)),
+    nominationService.endorse(candidate, election, studentOf(election))
+  ]);
+
+  assert.deepEqual(results.map(result => result.thresholdMet).sort(), [false, true]);
+  assert.equal(candidate.reviewStatus, 'pending');
+});
+
+test('lowering the threshold sends on the nominations that now meet it', async () => {
+  const election = openElection(3);
+  const ready = await nominate(election);
+  const waiting = await nominate(election, 1);
+  await nominationService.endorse(ready, election, studentOf(election));
+
+  election.endorsementsRequired = 1;
+  const sent = await nominationService.refreshEndorsementStatus(election);
+
+  assert.equal(sent, 1);
+  assert.equal(ready.reviewStatus, 'pending');
+  assert.equal(waiting.reviewStatus, 'endorsing');
+});
+
+test('a rejected nomination keeps its endorsements unless it changes position', async () => {
+  const election = openElection(1);
+  const candidate = await nominate(election);
+  const student = { _id: candidate.student, class: election.class };
+  await nominationService.endorse(candidate, election, studentOf(election));
+  // No decision emails
+  stub(User, 'findById', () => query(null));
+  await nominationService.rejectNomination(candidate, election, objectId(), 'Manifesto needs more detail');
+
+  const samePosition = await nominationService.nominate(election, student, {
+    positionId: election.positions[0]._id, symbol: 'star', manifesto: 'More detail'
+  });
+  assert.equal(samePosition.candidate.reviewStatus, 'pending');
+
+  await nominationService.rejectNomination(candidate, election, objectId(), 'Please stand for treasurer');
+  const newPosition = await nominationService.nominate(election, student, {
+    positionId: election.positions[1]._id, symbol: 'star', manifesto: 'More detail'
+  });
+  assert.equal(newPosition.candidate.reviewStatus, 'endorsing');
+  assert.equal(endorsements.length, 0);
+});
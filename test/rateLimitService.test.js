@@ -0,0 +1,282 @@
+/**
+ * Rate Limit Tests
+ * Purpose: Request counters, login lockouts and turning away limited requests
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimit = require('../models/RateLimit');
+const SystemLog = require('../models/SystemLog');
+const rateLimits = require('../config/rateLimits');
+const rateLimitService = require('../services/rateLimitService');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { stub, restoreStubs, query } = require('./helpers');
+
+// What the stubbed database holds
+let counters;
+let logs;
+let delays;
+
+beforeEach(() => {
+  counters = new Map();
+  logs = [];
+  delays = [];
+
+  stub(RateLimit, 'findOneAndUpdate', async ({ key, count }, update, options = {}) => {
+    let counter = counters.get(key);
+    if (!counter) {
+      if (!options.upsert) return null;
+      counter = { key, count: 0, lockouts: 0, ...update.$setOnInsert };
+      counters.set(key, counter);
+    }
+    if (count && counter.count < count.$gte) return null;
+
+    Object.assign(counter, update.$set);
+    Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+      counter[path] += amount;
+    });
+    return { ...counter };
+  });
+  stub(RateLimit, 'updateOne', async ({ key }, update) => {
+    const counter = counters.get(key);
+    Object.assign(counter, update.$set);
+    Object.entries(update.$max || {}).forEach(([path, value]) => {
+      if (!(counter[path] >= value)) counter[path] = value;
+    });
+  });
+  stub(RateLimit, 'findOne', ({ key }) => query(counters.get(key) || null));
+  stub(RateLimit, 'deleteOne', async ({ key }) => counters.delete(key));
+
+  stub(SystemLog, 'createLog', async (entry) => logs.push(entry));
+  stub(rateLimitService, 'delay', async (ms) => delays.push(ms));
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Build a form request
+ * @param {Object} [fields] - body, headers, session and originalUrl
+ * @returns {Object}
+ */
+const request = ({ body = {}, headers = {}, session = {}, originalUrl = '/auth/login' } = {}) => {
+  const flashes = [];
+  return {
+    ip: '10.0.0.1',
+    body,
+    session,
+    originalUrl,
+    headers: { host: 'vote.college.edu', ...headers },
+    // Like Express, Referrer and Referer read the same header
+    get(name) {
+      const header = name.toLowerCase();
+      return this.headers[header === 'referrer' ? 'referer' : header];
+    },
+    flash: (type, message) => flashes.push({ type, message }),
+    flashes
+  };
+};
+
+/**
+ * Response that records what the middleware sent
+ * @returns {Object}
+ */
+const response = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.redirect = (location) => {
+    res.location = location;
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Send requests through a route's limiter
+ * @param {string} route - Route name from config/rateLimits
+ * @param {number} times - Requests to send
+ * @param {Object} [fields] - Request fields
+ * @returns {Promise<Object>} - { req, res, passed } of the last request
+ */
+const send = async (route, times, fields) => {
+  let last;
+  for (let i = 0; i < times; i++) {
+    const req = request(fields);
+    const res = response();
+    let passed = false;
+    await rateLimit(route)(req, res, () => {
+      passed = true;
+    });
+    last = { req, res, passed };
+  }
+  return last;
+};
+
+const loginAs = (email) => ({ body: { email } });
+
+test('checkRequest slows an account down and then turns it away until the window ends', async () => {
+  const { account } = rateLimits.routes.login;
+  const req = request(loginAs('asha@college.edu'));
+  const results = [];
+  for (let i = 0; i <= account.max; i++) {
+    results.push(await rateLimitService.checkRequest('login', req));
+  }
+
+  assert.deepEqual(results.slice(0, account.delayAfter + 2).map(result => result.delayMs), [0, 0, 0, 500, 1000]);
+  assert.equal(results[account.max - 1].blocked, false);
+  assert.equal(results[account.max].blocked, true);
+  assert.deepEqual(results[account.max].blockedHits.map(blockedHit => blockedHit.scope), ['account']);
+
+  const nextWindow = results[account.max].resetAt.getTime();
+  stub(Date, 'now', () => nextWindow);
+  assert.equal((await rateLimitService.checkRequest('login', req)).blocked, false);
+});
+
+test('checkRequest counts each account separately but the IP across accounts', async () => {
+  const { ip } = rateLimits.routes.login;
+  for (let i = 0; i < ip.max; i++) {
+    const result = await rateLimitService.checkRequest('login', request(loginAs(`student${i}@college.edu`)));
+    assert.equal(result.blocked, false);
+  }
+
+  const result = await rateLimitService.checkRequest('login', request(loginAs('new@college.edu')));
+  assert.deepEqual(result.blockedHits.map(blockedHit => blockedHit.scope), ['ip']);
+});
+
+test('counter keys hold no emails or IP addresses', async () => {
+  await rateLimitService.checkRequest('login', request(loginAs('Asha@College.edu')));
+  await rateLimitService.recordLoginFailure('asha@college.edu');
+
+  const keys = [...counters.keys()].join(' ');
+  assert.ok(!/asha|college|10\.0\.0\.1/i.test(keys));
+  assert.equal(counters.size, 3);
+});
+
+test('repeated failed logins lock the account for longer each time', async () => {
+  const { threshold, lockMs } = rateLimits.loginLockout;
+  const email = 'asha@college.edu';
+
+  let result;
+  for (let i = 0; i < threshold; i++) {
+    result = await rateLimitService.recordLoginFailure(email);
+  }
+  const firstLock = result.lockedUntil.getTime() - Date.now();
+  assert.ok(Math.abs(firstLock - lockMs) < 1000);
+  assert.deepEqual((await rateLimitService.getLoginLockout(email)).lockedUntil, result.lockedUntil);
+
+  for (let i = 0; i < threshold; i++) {
+    result = await rateLimitService.recordLoginFailure(email);
+  }
+  const secondLock = result.lockedUntil.getTime() - Date.now();
+  assert.ok(Math.abs(secondLock - 2 * lockMs) < 1000);
+
+  await rateLimitService.clearLoginFailures(email);
+  assert.deepEqual(await rateLimitService.getLoginLockout(email), { failures: 0, lockedUntil: null });
+});
+
+test('simultaneous failures at the threshold start one lockout', async () => {
+  const { threshold } = rateLimits.loginLockout;
+  const email = 'asha@college.edu';
+  for (let i = 0; i < threshold - 1; i++) {
+    await rateLimitService.recordLoginFailure(email);
+  }
+
+  const results = await Promise.all([
+    rateLimitService.recordLoginFailure(email),
+    rateLimitService.recordLoginFailure(email)
+  ]);
+
+  assert.equal(results.filter(result => result.lockedUntil).length, 1);
+});
+
+test('getLoginDelay grows with failures up to its cap', () => {
+  const { delayPerFailureMs, maxDelayMs } = rateLimits.loginLockout;
+
+  assert.equal(rateLimitService.getLoginDelay(0), 0);
+  assert.equal(rateLimitService.getLoginDelay(2), 2 * delayPerFailureMs);
+  assert.equal(rateLimitService.getLoginDelay(100), maxDelayMs);
+});
+
+test('the middleware delays requests near the limit and lets them through', async () => {
+  const { account } = rateLimits.routes.login;
+
+  const { passed } = await send('login', account.delayAfter + 1, loginAs('asha@college.edu'));
+
+  assert.equal(passed, true);
+  assert.deepEqual(delays, [500]);
+});
+
+test('a turned-away form goes back to the page it came from, never the POST URL', async () => {
+  const { account } = rateLimits.routes.login;
+
+  const { res, req, passed } = await send('login', account.max + 1, {
+    ...loginAs('asha@college.edu'),
+    headers: { referer: 'https://vote.college.edu/auth/login?next=%2Fstudent' },
+    originalUrl: '/auth/login'
+  });
+
+  assert.equal(passed, false);
+  assert.equal(res.location, '/auth/login?next=%2Fstudent');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+  assert.match(req.flashes[0].message, /Too many attempts/);
+});
+
+test('without a usable Referrer the form goes back to the route\'s page', async () => {
+  const { max } = rateLimits.routes.twoFactor.account;
+  const pendingLogin = { session: { pendingLogin: { userId: 'u1' } }, originalUrl: '/auth/two-factor' };
+
+  const foreign = await send('twoFactor', max + 1, { ...pendingLogin, headers: { referer: 'https://evil.example/auth/two-factor' } });
+  assert.equal(foreign.res.location, '/auth/login');
+
+  const signedIn = await send('twoFactor', 1, { session: { user: { _id: 'u2' }, pendingLogin: { userId: 'u1' } } });
+  assert.equal(signedIn.res.location, '/auth/security');
+
+  const broken = await send('forgotPassword', rateLimits.routes.forgotPassword.account.max + 1, {
+    ...loginAs('asha@college.edu'), headers: { referer: 'not a url' }, originalUrl: '/auth/forgot-password'
+  });
+  assert.equal(broken.res.location, '/auth/forgot-password');
+});
+
+test('a turned-away voter goes back to the voting page of their QR link', async () => {
+  const { max } = rateLimits.routes.publicVote.account;
+
+  const { res } = await send('publicVote', max + 1, { body: { rollNumber: 'CSE24001' }, originalUrl: '/vote/abc123' });
+
+  assert.equal(res.location, '/vote/abc123');
+});
+
+test('JSON requests get a 429 and the block is logged once per window', async () => {
+  const { max } = rateLimits.routes.login.account;
+  const fields = { ...loginAs('asha@college.edu'), headers: { accept: 'application/json' } };
+
+  const { res } = await send('login', max + 3, fields);
+
+  assert.equal(res.statusCode, 429);
+  assert.match(res.body.error, /Too many attempts/);
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].action, 'rate_limit');
+  assert.equal(logs[0].details.scope, 'account');
+});
+
+test('the middleware lets requests through when the counters cannot be reached', async () => {
+  stub(RateLimit, 'findOneAndUpdate', async () => {
+    throw new Error('connection refused');
+  });
+  stub(console, 'error', () => {});
+
+  const { passed } = await send('login', 1, loginAs('asha@college.edu'));
+
+  assert.equal(passed, true);
+});
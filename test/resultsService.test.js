@@ -0,0 +1,242 @@
+/**
+ * Results Service Tests
+ * Purpose: Tie-break policies and run-off elections
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+const SystemLog = require('../models/SystemLog');
+const resultsService = require('../services/resultsService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// What the stubbed database holds
+let ballots;
+let candidates;
+let createdCandidates;
+let savedElections;
+let logs;
+
+beforeEach(() => {
+  ballots = [];
+  candidates = [];
+  createdCandidates = [];
+  savedElections = [];
+  logs = [];
+
+  stub(Vote, 'find', () => query(ballots));
+  stub(Participation, 'countByChannel', async () => ({ registered: ballots.length, qr: 0 }));
+  stub(Candidate, 'find', ({ _id, student }) => query(candidates.filter(candidate =>
+    _id.$in.some(id => id.toString() === candidate._id.toString()) &&
+    (!student || student.$in.some(id => id.toString() === candidate.student.toString())))));
+  stub(Candidate, 'create', async (doc) => {
+    const candidate = { _id: objectId(), ...doc };
+    createdCandidates.push(candidate);
+    return candidate;
+  });
+  stub(Election.prototype, 'save', async function() {
+    savedElections.push(this);
+    return this;
+  });
+  stub(SystemLog, 'createLog', async (entry) => logs.push(entry));
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Build an election with two candidates (Asha, Ravi) for one seat and the given
+ * ballots, tied unless the ballots say otherwise
+ * @param {string} tieBreakPolicy - Election's tie-break policy
+ * @param {Array} votes - [candidateIndex, castAt] per ballot
+ * @returns {Object} - { election, candidateIds }
+ */
+const setUp = (tieBreakPolicy, votes) => {
+  const election = new Election({
+    title: 'Class Representative',
+    class: objectId(),
+    createdBy: objectId(),
+    startDate: new Date(Date.UTC(2026, 9, 18, 8)),
+    endDate: new Date(Date.UTC(2026, 9, 18, 16)),
+    status: 'active',
+    positions: [{ title: 'Class Representative', seats: 1 }],
+    tieBreakPolicy
+  });
+  const positionId = election.positions[0]._id;
+
+  candidates = ['Asha', 'Ravi'].map(() => ({
+    _id: objectId(),
+    student: objectId(),
+    position: positionId,
+    symbol: 'star'
+  }));
+  election.candidates = candidates.map(candidate => candidate._id);
+
+  ballots = votes.map(([index, castAt]) => ({
+    choices: [candidates[index]._id],
+    castAt
+  }));
+
+  return { election, candidateIds: candidates.map(candidate => candidate._id.toString()) };
+};
+
+const hour = (h) => new Date(Date.UTC(2026, 9, 18, h));
+
+test('calculateResults publishes a clear winner without a tie', async () => {
+  const { election, candidateIds } = setUp('teacher_decision', [[0, hour(9)], [0, hour(10)], [1, hour(10)]]);
+
+  const summary = await resultsService.calculateResults(election);
+
+  assert.equal(summary.tie, null);
+  assert.equal(summary.winnerId, candidateIds[0]);
+  assert.equal(election.results.published, true);
+  assert.equal(election.status, 'completed');
+});
+
+test('teacher_decision leaves a tie awaiting resolution and unpublished', async () => {
+  const { election } = setUp('teacher_decision', [[0, hour(9)], [1, hour(10)]]);
+
+  await resultsService.calculateResults(election);
+
+  const { tie } = election.results.positions[0];
+  assert.equal(tie.detected, true);
+  assert.equal(tie.status, 'awaiting_resolution');
+  assert.equal(election.results.published, false);
+  assert.equal(election.isAwaitingTieResolution, true);
+  assert.ok(logs.some(entry => entry.action === 'tie_detect' && entry.status === 'warning'));
+});
+
+test('resolveTie records the teacher\'s choice and publishes', async () => {
+  const { election, candidateIds } = setUp('teacher_decision', [[0, hour(9)], [1, hour(10)]]);
+  await resultsService.calculateResults(election);
+  const teacherId = objectId();
+
+  await resultsService.resolveTie(election, election.positions[0]._id, [candidateIds[1]], {
+    method: 'teacher_decision',
+    userId: teacherId,
+    reason: 'Better attendance record'
+  });
+
+  const { tie, winners } = election.results.positions[0];
+  assert.equal(tie.status, 'resolved');
+  assert.equal(tie.reason, 'Better attendance record');
+  assert.deepEqual(winners.map(String), [candidateIds[1]]);
+  assert.equal(election.results.published, true);
+  assert.ok(logs.some(entry => entry.action === 'tie_resolve' && entry.user === teacherId));
+});
+
+test('resolveTie refuses candidates outside the tie or the wrong number of them', async () => {
+  const { election, candidateIds } = setUp('teacher_decision', [[0, hour(9)], [1, hour(10)]]);
+  await resultsService.calculateResults(election);
+  const positionId = election.positions[0]._id;
+
+  await assert.rejects(
+    resultsService.resolveTie(election, positionId, [objectId().toString()], { method: 'teacher_decision' }),
+    /not part of the tie/
+  );
+  await assert.rejects(
+    resultsService.resolveTie(election, positionId, candidateIds, { method: 'teacher_decision' }),
+    /Select exactly 1/
+  );
+  assert.equal(election.results.published, false);
+});
+
+test('lots resolves a tie with a seeded draw that can be replayed', async () => {
+  const { election, candidateIds } = setUp('lots', [[0, hour(9)], [1, hour(10)]]);
+
+  await resultsService.calculateResults(election);
+
+  const { tie, winners } = election.results.positions[0];
+  assert.equal(tie.status, 'resolved');
+  assert.equal(tie.method, 'lots');
+  assert.match(tie.seed, /^[0-9a-f]{32}$/);
+  assert.deepEqual(winners.map(String), resultsService.rankByLots(candidateIds, tie.seed).slice(0, 1));
+  assert.equal(election.results.published, true);
+});
+
+test('earliest_vote gives the seat to the candidate who reached the total first', async () => {
+  const { election, candidateIds } = setUp('earliest_vote', [[1, hour(9)], [0, hour(11)]]);
+
+  await resultsService.calculateResults(election);
+
+  const { tie, winners } = election.results.positions[0];
+  assert.equal(tie.method, 'earliest_vote');
+  assert.deepEqual(winners.map(String), [candidateIds[1]]);
+});
+
+test('earliest_vote falls back to lots when the deciding times are equal', async () => {
+  const { election } = setUp('earliest_vote', [[0, hour(9)], [1, hour(9)]]);
+
+  await resultsService.calculateResults(election);
+
+  const { tie } = election.results.positions[0];
+  assert.equal(tie.method, 'earliest_vote+lots');
+  assert.ok(tie.seed);
+  assert.equal(tie.status, 'resolved');
+});
+
+test('runoff schedules a run-off between the tied candidates', async () => {
+  const { election, candidateIds } = setUp('runoff', [[0, hour(9)], [1, hour(10)]]);
+
+  await resultsService.calculateResults(election);
+
+  const { tie } = election.results.positions[0];
+  const runoff = savedElections.find(saved => saved !== election);
+  assert.equal(tie.status, 'awaiting_resolution');
+  assert.equal(tie.runoffElection.toString(), runoff._id.toString());
+  assert.equal(election.results.published, false);
+
+  assert.equal(runoff.runoffOf.toString(), election._id.toString());
+  assert.equal(runoff.status, 'pending');
+  assert.equal(runoff.tieBreakPolicy, 'teacher_decision');
+  assert.equal(runoff.positions[0].seats, 1);
+  assert.ok(runoff.startDate > new Date());
+  assert.deepEqual(
+    createdCandidates.map(candidate => candidate.student.toString()).sort(),
+    candidates.filter(candidate => candidateIds.includes(candidate._id.toString()))
+      .map(candidate => candidate.student.toString()).sort()
+  );
+  assert.ok(createdCandidates.every(candidate => candidate.approved && candidate.election === runoff._id));
+});
+
+test('a recount of an unchanged tie keeps its pending run-off', async () => {
+  const { election } = setUp('runoff', [[0, hour(9)], [1, hour(10)]]);
+  await resultsService.calculateResults(election);
+  const firstRunoff = election.results.positions[0].tie.runoffElection.toString();
+
+  await resultsService.calculateResults(election);
+
+  assert.equal(election.results.positions[0].tie.runoffElection.toString(), firstRunoff);
+  assert.equal(savedElections.filter(saved => saved !== election).length, 1);
+});
+
+test('a decided run-off settles the tie in the original election', async () => {
+  const { election, candidateIds } = setUp('runoff', [[0, hour(9)], [1, hour(10)]]);
+  await resultsService.calculateResults(election);
+  const runoff = savedElections.find(saved => saved !== election);
+
+  // The run-off's copy of Ravi wins it
+  const ravi = createdCandidates.find(candidate =>
+    candidate.student.toString() === candidates[1].student.toString());
+  candidates.push(...createdCandidates);
+  ballots = [{ choices: [ravi._id], castAt: hour(12) }];
+  stub(Election, 'findById', async () => election);
+
+  runoff.status = 'active';
+  await resultsService.calculateResults(runoff);
+
+  const { tie, winners } = election.results.positions[0];
+  assert.equal(runoff.results.published, true);
+  assert.equal(tie.status, 'resolved');
+  assert.equal(tie.method, 'runoff');
+  assert.deepEqual(winners.map(String), [candidateIds[1]]);
+  assert.equal(election.results.published, true);
+  assert.ok(logs.some(entry => entry.action === 'result_publish' && entry.details.tieResolvedBy === 'runoff'));
+});
@@ -0,0 +1,194 @@
+/**
+ * Rollover Service Tests
+ * Purpose: Applying an academic-year rollover and undoing it
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Election = require('../models/Election');
+const Rollover = require('../models/Rollover');
+const rolloverService = require('../services/rolloverService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+const objectId = () => new mongoose.Types.ObjectId();
+const inIds = (ids, id) => ids.some(value => value.toString() === id.toString());
+
+// What the stubbed database holds
+let classes;
+let students;
+let elections;
+let rollovers;
+
+/**
+ * Apply bulk updates to stored documents by id
+ * @param {Array} docs - Stored documents
+ * @param {Array} operations - bulkWrite updateOne operations
+ */
+const bulkUpdate = (docs, operations) => {
+  operations.forEach(({ updateOne: { filter, update } }) => {
+    const doc = docs.find(candidate => candidate._id.toString() === filter._id.toString());
+    Object.assign(doc, update.$set);
+  });
+};
+
+beforeEach(() => {
+  const secondYear = new Class({ name: 'CSE-2-A', department: 'CSE', year: 2, section: 'A' });
+  const finalYear = new Class({ name: 'CSE-4-A', department: 'CSE', year: 4, section: 'A' });
+  classes = [secondYear, finalYear];
+
+  students = [
+    { _id: objectId(), role: 'student', class: secondYear._id, active: true },
+    { _id: objectId(), role: 'student', class: finalYear._id, active: true },
+    { _id: objectId(), role: 'student', class: finalYear._id, active: true }
+  ];
+
+  elections = [
+    { _id: objectId(), title: 'CR 2025', class: finalYear._id, status: 'completed' }
+  ];
+  rollovers = [];
+
+  stub(Class, 'find', (filter) => query(classes.filter(classDoc => {
+    if (filter.active !== undefined && classDoc.active !== filter.active) return false;
+    if (filter._id && filter._id.$nin && inIds(filter._id.$nin, classDoc._id)) return false;
+    if (filter.name && !filter.name.$in.includes(classDoc.name)) return false;
+    return true;
+  })));
+  stub(Class, 'bulkWrite', async (operations) => bulkUpdate(classes, operations));
+
+  stub(User, 'find', ({ $or }) => query(students.filter(student =>
+    student.active && (inIds($or[0].class.$in, student.class) || inIds($or[1]._id.$in, student._id)))));
+  stub(User, 'updateMany', async ({ _id }, { $set }) => {
+    students.filter(student => inIds(_id.$in, student._id)).forEach(student => Object.assign(student, $set));
+  });
+
+  stub(Election, 'find', ({ class: classFilter, status }) => query(elections.filter(election => {
+    const statuses = status.$in || [status];
+    return inIds(classFilter.$in, election.class) && statuses.includes(election.status) && !election.classSnapshot;
+  })));
+  stub(Election, 'bulkWrite', async (operations) => bulkUpdate(elections, operations));
+  stub(Election, 'updateMany', async ({ _id }) => {
+    elections.filter(election => inIds(_id.$in, election._id)).forEach(election => {
+      delete election.classSnapshot;
+    });
+  });
+
+  stub(Rollover, 'exists', async ({ academicYear }) =>
+    rollovers.some(rollover => rollover.academicYear === academicYear && rollover.status === 'applied'));
+  stub(Rollover, 'create', async (doc) => {
+    if (rollovers.some(rollover => rollover.academicYear === doc.academicYear && rollover.status === 'applied')) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const rollover = new Rollover({ ...doc, createdAt: new Date(Date.now() + rollovers.length) });
+    rollovers.push(rollover);
+    return rollover;
+  });
+  stub(Rollover, 'findOne', () => query(rollovers
+    .filter(rollover => rollover.status === 'applied')
+    .sort((a, b) => b.createdAt - a.createdAt)[0] || null));
+  stub(Rollover, 'findOneAndUpdate', async ({ _id, status }, { $set }) => {
+    const rollover = rollovers.find(candidate => candidate._id.equals(_id) && candidate.status === status);
+    if (!rollover) return null;
+    rollover.set($set);
+    return rollover;
+  });
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Plan and apply the rollover of an academic year
+ * @param {string} [academicYear] - Session that ended
+ * @returns {Promise<Object>} - applyRollover result
+ */
+const applyYear = async (academicYear = '2025-26') => {
+  const plan = await rolloverService.planRollover({ academicYear });
+  assert.deepEqual(plan.blocked, []);
+  return rolloverService.applyRollover(plan, objectId());
+};
+
+const byName = (name) => classes.find(classDoc => classDoc.name === name);
+
+test('applyRollover promotes classes, graduates the final year and archives its elections', async () => {
+  const { rollover } = await applyYear();
+
+  assert.equal(classes[0].name, 'CSE-3-A');
+  assert.equal(classes[0].year, 3);
+  assert.equal(classes[1].name, 'CSE-4-A (2025-26)');
+  assert.equal(classes[1].active, false);
+  assert.deepEqual(students.map(student => student.active), [true, false, false]);
+  assert.equal(elections[0].classSnapshot.name, 'CSE-4-A');
+  assert.deepEqual(rollover.counts.toObject(), {
+    promoted: 1, graduated: 1, studentsDeactivated: 2, electionsArchived: 1
+  });
+});
+
+test('undoRollover puts classes, students and elections back', async () => {
+  const { rollover } = await applyYear();
+
+  const result = await rolloverService.undoRollover(rollover, objectId());
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.rollover.status, 'undone');
+  assert.ok(byName('CSE-2-A'));
+  assert.equal(byName('CSE-4-A').active, true);
+  assert.equal(byName('CSE-4-A').year, 4);
+  assert.deepEqual(students.map(student => student.active), [true, true, true]);
+  assert.equal(elections[0].classSnapshot, undefined);
+});
+
+test('undoRollover refuses a rollover past its undo window', async () => {
+  const { rollover } = await applyYear();
+  rollover.undoUntil = new Date(Date.now() - 1000);
+
+  const result = await rolloverService.undoRollover(rollover, objectId());
+
+  assert.match(result.error, /can no longer be undone/);
+  assert.equal(byName('CSE-3-A').year, 3);
+});
+
+test('undoRollover only undoes the most recent rollover', async () => {
+  const { rollover: first } = await applyYear('2025-26');
+  await applyYear('2026-27');
+
+  const result = await rolloverService.undoRollover(first, objectId());
+
+  assert.match(result.error, /Only the most recent rollover/);
+});
+
+test('undoRollover refuses when another class took one of the old names', async () => {
+  const { rollover } = await applyYear();
+  classes.push(new Class({ name: 'CSE-2-A', department: 'CSE', year: 2, section: 'A' }));
+
+  const result = await rolloverService.undoRollover(rollover, objectId());
+
+  assert.match(result.error, /Class names are in use again: CSE-2-A/);
+  assert.equal(rollover.status, 'applied');
+});
+
+test('undoRollover undoes a rollover only once', async () => {
+  const { rollover } = await applyYear();
+  const stale = new Rollover(rollover.toObject());
+
+  await rolloverService.undoRollover(rollover, objectId());
+  stub(Rollover, 'findOne', () => query(stale));
+  const second = await rolloverService.undoRollover(stale, objectId());
+
+  assert.match(second.error, /already been undone/);
+});
+
+test('applyRollover lets only one admin apply an academic year', async () => {
+  const plan = await rolloverService.planRollover({ academicYear: '2025-26' });
+  const [first, second] = await Promise.all([
+    rolloverService.applyRollover(plan, objectId()),
+    rolloverService.applyRollover(plan, objectId())
+  ]);
+
+  assert.ok(first.rollover);
+  assert.match(second.error, /already been applied/);
+  assert.equal(rollovers.length, 1);
+});
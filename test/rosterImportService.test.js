@@ -0,0 +1,242 @@
+/**
+ * Roster Import Service Tests
+ * Purpose: Reading roster files, the dry-run check and applying a batch
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+process.env.COLLEGE_EMAIL_DOMAIN = 'college.edu';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const mailer = require('../config/mailer');
+const rosterImportService = require('../services/rosterImportService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+// What the stubbed database holds
+let classes;
+let users;
+let classUpdates;
+let emails;
+
+beforeEach(() => {
+  classes = [new Class({ name: 'CSE-2-A', department: 'CSE', year: 2, section: 'A' })];
+  users = [];
+  classUpdates = [];
+  emails = [];
+
+  stub(Class, 'find', () => query(classes));
+  stub(Class, 'exists', async ({ name }) => classes.some(classDoc => classDoc.name === name));
+  stub(Class, 'create', async (doc) => {
+    const classDoc = new Class(doc);
+    classes.push(classDoc);
+    return classDoc;
+  });
+  stub(Class, 'updateOne', async (filter, update) => classUpdates.push({ filter, update }));
+
+  stub(User, 'find', (filter) => query(users.filter(user => (filter.email
+    ? filter.email.$in.includes(user.email)
+    : user.role === filter.role && filter.rollNumber.$in.includes(user.rollNumber)))));
+  stub(User, 'create', async (doc) => {
+    const user = new User(doc);
+    users.push(user);
+    return user;
+  });
+  stub(User, 'updateOne', async ({ _id }, { $set }) => {
+    Object.assign(users.find(user => user._id.equals(_id)), $set);
+  });
+  stub(User.prototype, 'save', async function() {
+    return this;
+  });
+
+  stub(mailer, 'sendAccountSetupEmail', async (to) => {
+    emails.push({ kind: 'setup', to });
+    return { success: true };
+  });
+  stub(mailer, 'sendVerificationEmail', async (to) => {
+    emails.push({ kind: 'verify', to });
+    return { success: true };
+  });
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Add an existing student
+ * @param {Object} fields - User fields
+ * @returns {Object} - User document
+ */
+const addStudent = (fields) => {
+  const user = new User({ role: 'student', password: 'secret123', isVerified: true, ...fields });
+  users.push(user);
+  return user;
+};
+
+const csv = (...lines) => Buffer.from(lines.join('\n'));
+
+test('parseFile reads CSV rows by their headings and keeps roll numbers as text', async () => {
+  const { format, records } = await rosterImportService.parseFile(csv(
+    '﻿Full Name,E-mail,Roll No.,Class,DOB',
+    'Asha Patil,asha@college.edu,007,CSE-2-A,15/04/2006',
+    ',,,,',
+    'Ravi Kumar,ravi@college.edu,008,CSE-2-A,'
+  ), 'roster.csv');
+
+  assert.equal(format, 'csv');
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[0], {
+    row: 2, name: 'Asha Patil', email: 'asha@college.edu', rollNumber: '007', className: 'CSE-2-A', dateOfBirth: '15/04/2006'
+  });
+  assert.equal(records[1].row, 4);
+});
+
+test('parseFile rejects other formats and files without the required columns', async () => {
+  await assert.rejects(rosterImportService.parseFile(csv('name'), 'roster.txt'), /\.csv or \.xlsx/);
+  await assert.rejects(
+    rosterImportService.parseFile(csv('name,email', 'Asha,asha@college.edu'), 'roster.csv'),
+    /name, email and roll number are required/
+  );
+  await assert.rejects(rosterImportService.parseFile(csv('name,email,roll'), 'roster.csv'), /no rows/);
+});
+
+test('checkRecords plans creates, updates and unchanged rows', async () => {
+  const [cse2a] = classes;
+  addStudent({ name: 'Ravi Kumar', email: 'ravi@college.edu', rollNumber: 'R2', class: cse2a._id });
+  addStudent({ name: 'Meera Shah', email: 'meera@college.edu', rollNumber: 'R3', class: cse2a._id });
+
+  const { rows, counts } = await rosterImportService.checkRecords([
+    { row: 2, name: 'Asha Patil', email: 'Asha@College.edu', rollNumber: 'R1', className: 'cse-2-a' },
+    { row: 3, name: 'Ravi K.', email: 'ravi@college.edu', rollNumber: 'R2', className: 'CSE-2-A' },
+    { row: 4, name: 'Meera Shah', email: 'meera@college.edu', rollNumber: 'R3', className: 'CSE-2-A' }
+  ]);
+
+  assert.deepEqual(rows.map(row => row.action), ['create', 'update', 'unchanged']);
+  assert.equal(rows[0].email, 'asha@college.edu');
+  assert.equal(rows[0].className, 'CSE-2-A');
+  assert.deepEqual(counts, { total: 3, create: 1, update: 1, unchanged: 1, error: 0 });
+});
+
+test('checkRecords reports every problem with a row', async () => {
+  const [cse2a] = classes;
+  addStudent({ name: 'Ravi Kumar', email: 'ravi@college.edu', rollNumber: 'R2', class: cse2a._id });
+  users.push(new User({ name: 'Teacher', email: 'teacher@college.edu', role: 'teacher', password: 'secret123' }));
+
+  const { rows } = await rosterImportService.checkRecords([
+    { row: 2, name: 'Asha Patil', email: 'asha@gmail.com', rollNumber: 'R1', className: 'CSE-2-A' },
+    { row: 3, name: 'Kiran', email: 'kiran@college.edu', rollNumber: 'R2', className: 'CSE-2-A' },
+    { row: 4, name: 'Teacher', email: 'teacher@college.edu', rollNumber: 'R9', className: 'CSE-2-A' },
+    { row: 5, name: 'Dev', email: 'dev@college.edu', rollNumber: 'R5', className: 'CSE-2-A', dateOfBirth: '31/02/2006' },
+    { row: 6, name: 'Dev Again', email: 'dev@college.edu', rollNumber: 'R5', className: 'CSE-2-A' },
+    { row: 7, name: 'Nila', email: 'nila@college.edu', rollNumber: 'R7', className: 'ECE-1-B' }
+  ]);
+
+  assert.ok(rows.every(row => row.action === 'error'));
+  assert.deepEqual(rows[0].issues, ['Email is not a college address']);
+  assert.match(rows[1].issues[0], /R2 already belongs to another student in CSE-2-A/);
+  assert.match(rows[2].issues[0], /belongs to a teacher account/);
+  assert.match(rows[3].issues[0], /"31\/02\/2006" is not a valid date/);
+  assert.deepEqual(rows[4].issues, [
+    'Email appears more than once in the file',
+    'Roll number appears more than once for this class'
+  ]);
+  assert.deepEqual(rows[5].issues, ['Class "ECE-1-B" does not exist']);
+});
+
+test('checkRecords plans new classes only when asked to', async () => {
+  const record = { row: 2, name: 'Nila', email: 'nila@college.edu', rollNumber: 'R7', department: 'ECE', year: '1', section: 'B' };
+
+  const { rows, newClasses } = await rosterImportService.checkRecords([record], { createClasses: true });
+
+  assert.equal(rows[0].action, 'create');
+  assert.deepEqual(newClasses, [{ name: 'ECE-1-B', department: 'ECE', year: 1, section: 'B' }]);
+});
+
+test('applyBatch creates planned classes and students and sends setup links', async () => {
+  const { rows, newClasses } = await rosterImportService.checkRecords([
+    { row: 2, name: 'Nila', email: 'nila@college.edu', rollNumber: 'R7', department: 'ECE', year: '1', section: 'B' }
+  ], { createClasses: true });
+
+  const result = await rosterImportService.applyBatch({
+    rows: rows.map(rosterImportService.toStoredRow),
+    newClasses,
+    options: { createClasses: true, sendEmails: true }
+  });
+
+  const ece = classes.find(classDoc => classDoc.name === 'ECE-1-B');
+  assert.ok(ece);
+  assert.equal(result.counts.classesCreated, 1);
+  assert.equal(result.counts.create, 1);
+  assert.equal(users[0].class.toString(), ece._id.toString());
+  assert.ok(users[0].resetPasswordToken);
+  assert.deepEqual(classUpdates[0].update, { $addToSet: { students: users[0]._id } });
+  assert.deepEqual(emails, [{ kind: 'setup', to: 'nila@college.edu' }]);
+  assert.equal(result.counts.emailsSent, 1);
+});
+
+test('applyBatch applies the rows with the options they were previewed with', async () => {
+  const [cse2a] = classes;
+  const record = { row: 2, name: 'Asha Patil', email: 'asha@college.edu', rollNumber: 'R1' };
+  const preview = await rosterImportService.checkRecords([record], { defaultClass: cse2a._id.toString() });
+  assert.equal(preview.rows[0].action, 'create');
+
+  const result = await rosterImportService.applyBatch({
+    rows: preview.rows.map(rosterImportService.toStoredRow),
+    newClasses: [],
+    options: { defaultClass: cse2a._id, sendEmails: false }
+  });
+
+  assert.equal(result.rows[0].action, 'create');
+  assert.equal(users[0].class.toString(), cse2a._id.toString());
+  assert.deepEqual(emails, []);
+});
+
+test('applyBatch moves an updated student between classes', async () => {
+  const [cse2a] = classes;
+  const cse3a = new Class({ name: 'CSE-3-A', department: 'CSE', year: 3, section: 'A' });
+  classes.push(cse3a);
+  const ravi = addStudent({ name: 'Ravi Kumar', email: 'ravi@college.edu', rollNumber: 'R2', class: cse2a._id, isVerified: false });
+
+  const result = await rosterImportService.applyBatch({
+    rows: [{ row: 2, name: 'Ravi Kumar', email: 'ravi@college.edu', rollNumber: 'R2', className: 'CSE-3-A' }],
+    newClasses: [],
+    options: { sendEmails: true }
+  });
+
+  assert.equal(result.rows[0].action, 'update');
+  assert.equal(ravi.class.toString(), cse3a._id.toString());
+  assert.deepEqual(classUpdates.map(({ update }) => Object.keys(update)[0]), ['$pull', '$addToSet']);
+  assert.equal(classUpdates[0].filter._id.toString(), cse2a._id.toString());
+  // Not yet verified, so a fresh verification link goes out
+  assert.deepEqual(emails, [{ kind: 'verify', to: 'ravi@college.edu' }]);
+  assert.ok(ravi.verificationToken);
+});
+
+test('applyBatch checks rows again and skips ones that went wrong since the preview', async () => {
+  const [cse2a] = classes;
+  const record = { row: 2, name: 'Asha Patil', email: 'asha@college.edu', rollNumber: 'R1', className: 'CSE-2-A' };
+  const preview = await rosterImportService.checkRecords([record]);
+
+  // Someone else took the roll number in between
+  addStudent({ name: 'Kiran', email: 'kiran@college.edu', rollNumber: 'R1', class: cse2a._id });
+
+  const result = await rosterImportService.applyBatch({
+    rows: preview.rows.map(rosterImportService.toStoredRow),
+    newClasses: [],
+    options: {}
+  });
+
+  assert.equal(result.rows[0].action, 'error');
+  assert.equal(result.counts.error, 1);
+  assert.equal(users.length, 1);
+});
+
+test('the CSV template can be read back', async () => {
+  const { records } = await rosterImportService.parseFile(
+    Buffer.from(rosterImportService.getTemplateCSV()), 'template.csv'
+  );
+
+  assert.equal(records.length, 1);
+  assert.equal(records[0].rollNumber, 'CSE24001');
+});
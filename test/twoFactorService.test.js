@@ -0,0 +1,185 @@
+/**
+ * Two-Factor Service Tests
+ * Purpose: TOTP codes, enrollment, replay protection and recovery codes
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const twoFactorService = require('../services/twoFactorService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+// A fixed time, 10 seconds into its 30-second step
+const NOW = Date.UTC(2026, 9, 19, 9, 0, 10);
+const STEP = Math.floor(NOW / 1000 / 30);
+
+// What the stubbed database holds
+let user;
+let settings;
+
+/**
+ * Apply a $set, $unset or $pull with dotted paths to the stored user
+ * @param {Object} update - Update document
+ */
+const applyUpdate = (update) => {
+  const parts = (path) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((doc, key) => doc[key], user);
+    return [parent, keys[keys.length - 1]];
+  };
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    const [parent, key] = parts(path);
+    parent[key] = value;
+  });
+  Object.keys(update.$unset || {}).forEach(path => {
+    const [parent, key] = parts(path);
+    delete parent[key];
+  });
+  Object.entries(update.$pull || {}).forEach(([path, value]) => {
+    const [parent, key] = parts(path);
+    parent[key] = parent[key].filter(item => item !== value);
+  });
+};
+
+beforeEach(() => {
+  user = { _id: new mongoose.Types.ObjectId(), email: 'priya@college.edu', twoFactor: { enabled: false } };
+  settings = new Map();
+
+  stub(Date, 'now', () => NOW);
+  // A snapshot, like a document read from the database
+  stub(User, 'findById', () => query({ ...user, twoFactor: { ...user.twoFactor } }));
+  stub(User, 'updateOne', async (filter, update) => {
+    const { twoFactor } = user;
+    if (filter.$or && twoFactor.lastUsedStep !== undefined &&
+        !(twoFactor.lastUsedStep < filter.$or[1]['twoFactor.lastUsedStep'].$lt)) {
+      return { modifiedCount: 0 };
+    }
+    const hash = filter['twoFactor.recoveryCodes'];
+    if (hash && !(twoFactor.recoveryCodes || []).includes(hash)) {
+      return { modifiedCount: 0 };
+    }
+    applyUpdate(update);
+    return { modifiedCount: 1 };
+  });
+  stub(Setting, 'getValue', async (key, defaultValue) => (settings.has(key) ? settings.get(key) : defaultValue));
+  stub(Setting, 'setValue', async (key, value) => settings.set(key, value));
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Enroll the user with a secret
+ * @param {string} [secret] - Base32 secret
+ * @returns {Promise<string[]>} - Recovery codes
+ */
+const enroll = async (secret = RFC_SECRET) => {
+  const codes = await twoFactorService.enable(user._id, secret, twoFactorService.generateCode(secret, STEP));
+  assert.ok(codes);
+  return codes;
+};
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  // RFC values are eight digits; the app uses the last six
+  assert.equal(twoFactorService.generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(twoFactorService.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(twoFactorService.generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.equal(twoFactorService.generateCode(RFC_SECRET, Math.floor(20000000000 / 30)), '353130');
+});
+
+test('generateSecret gives a 160-bit base32 secret and the enrollment URL carries it', async () => {
+  const secret = twoFactorService.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const { otpauthURL, qrCode } = await twoFactorService.getEnrollment(user, secret);
+  assert.equal(otpauthURL.split('?')[0], 'otpauth://totp/College%20Election%3Apriya%40college.edu');
+  assert.equal(new URL(otpauthURL).searchParams.get('secret'), secret);
+  assert.match(qrCode, /^data:image\/png;base64,/);
+});
+
+test('enable needs a correct code and stores only hashes of the recovery codes', async () => {
+  assert.equal(await twoFactorService.enable(user._id, RFC_SECRET, '000000'), null);
+  assert.equal(user.twoFactor.enabled, false);
+
+  const codes = await enroll();
+
+  assert.equal(codes.length, 10);
+  assert.ok(codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.twoFactor.lastUsedStep, STEP);
+  assert.ok(user.twoFactor.recoveryCodes.every(hash => /^[0-9a-f]{64}$/.test(hash) && !codes.includes(hash)));
+});
+
+test('verify accepts one step of clock drift but not two', async () => {
+  await enroll();
+  const codeAt = (step) => twoFactorService.generateCode(RFC_SECRET, step);
+
+  assert.deepEqual(await twoFactorService.verify(user._id, codeAt(STEP + 1)), { valid: true, method: 'totp' });
+  // Too far off for a sign-in code, so it is tried as a recovery code
+  const tooLate = await twoFactorService.verify(user._id, codeAt(STEP + 2));
+  assert.equal(tooLate.valid, false);
+  assert.equal(tooLate.method, 'recovery');
+});
+
+test('verify never accepts a time step twice, nor one older than the last used', async () => {
+  await enroll();
+  const code = twoFactorService.generateCode(RFC_SECRET, STEP);
+
+  // The enrollment code was already used
+  assert.equal((await twoFactorService.verify(user._id, code)).valid, false);
+  assert.equal((await twoFactorService.verify(user._id, twoFactorService.generateCode(RFC_SECRET, STEP - 1))).valid, false);
+
+  const next = twoFactorService.generateCode(RFC_SECRET, STEP + 1);
+  const [first, second] = await Promise.all([
+    twoFactorService.verify(user._id, next),
+    twoFactorService.verify(user._id, next)
+  ]);
+  assert.deepEqual([first.valid, second.valid].sort(), [false, true]);
+});
+
+test('a recovery code works once, in any case and with or without its dash', async () => {
+  const [code] = await enroll();
+
+  const used = await twoFactorService.verify(user._id, ` ${code.toUpperCase().replace('-', '')} `);
+  assert.deepEqual(used, { valid: true, method: 'recovery', recoveryCodesLeft: 9 });
+
+  const again = await twoFactorService.verify(user._id, code);
+  assert.equal(again.valid, false);
+  assert.equal(again.recoveryCodesLeft, 9);
+});
+
+test('regenerated recovery codes replace the old ones', async () => {
+  const [oldCode] = await enroll();
+
+  const [newCode] = await twoFactorService.regenerateRecoveryCodes(user._id);
+
+  assert.equal((await twoFactorService.verify(user._id, oldCode)).valid, false);
+  assert.equal((await twoFactorService.verify(user._id, newCode)).valid, true);
+});
+
+test('verify refuses every code once two-factor is disabled', async () => {
+  const [recoveryCode] = await enroll();
+
+  await twoFactorService.disable(user._id);
+
+  assert.equal(user.twoFactor.secret, undefined);
+  assert.deepEqual(await twoFactorService.verify(user._id, recoveryCode), { valid: false });
+  assert.deepEqual(
+    await twoFactorService.verify(user._id, twoFactorService.generateCode(RFC_SECRET, STEP + 1)),
+    { valid: false }
+  );
+});
+
+test('only staff roles can be required to use two-factor sign-in', async () => {
+  const saved = await twoFactorService.setRequiredRoles(['admin', 'student', 'teacher', 'nobody'], user._id);
+
+  assert.deepEqual(saved, ['admin', 'teacher']);
+  assert.equal(await twoFactorService.isRequiredForRole('admin'), true);
+  assert.equal(await twoFactorService.isRequiredForRole('observer'), false);
+  assert.equal(await twoFactorService.isRequiredForRole('student'), false);
+});
@@ -0,0 +1,141 @@
+/**
+ * Voting Methods Tests
+ * Purpose: Counting rules checked against well-known worked examples
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const votingMethods = require('../services/votingMethods');
+
+/**
+ * Expand [count, choices] groups into individual ballots
+ * @param {Array} groups - [[count, ['a', 'b']], ...]
+ * @returns {Array} - [{ choices }]
+ */
+const ballots = (groups) => groups.flatMap(([count, choices]) =>
+  Array.from({ length: count }, () => ({ choices })));
+
+test('plurality counts each ballot once for its choice', () => {
+  const { candidateVotes } = votingMethods.countPlurality({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: ballots([[3, ['a']], [5, ['b']], [1, ['c']]])
+  });
+
+  assert.deepEqual(candidateVotes, { a: 3, b: 5, c: 1 });
+});
+
+test('approval counts every candidate a ballot marks', () => {
+  const { candidateVotes } = votingMethods.countApproval({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: ballots([[2, ['a', 'b']], [1, ['b', 'c']], [1, ['c']]])
+  });
+
+  assert.deepEqual(candidateVotes, { a: 2, b: 3, c: 2 });
+});
+
+// Tennessee capital example: 100 voters ranking Memphis, Nashville,
+// Chattanooga and Knoxville; Knoxville wins the instant runoff
+const tennessee = ballots([
+  [42, ['memphis', 'nashville', 'chattanooga', 'knoxville']],
+  [26, ['nashville', 'chattanooga', 'knoxville', 'memphis']],
+  [15, ['chattanooga', 'knoxville', 'nashville', 'memphis']],
+  [17, ['knoxville', 'chattanooga', 'nashville', 'memphis']]
+]);
+
+test('instant runoff eliminates the last-placed candidate each round (Tennessee example)', () => {
+  const { candidateVotes, contenders, rounds } = votingMethods.countInstantRunoff({
+    candidateIds: ['memphis', 'nashville', 'chattanooga', 'knoxville'],
+    ballots: tennessee,
+    seats: 1
+  });
+
+  assert.deepEqual(rounds.map(round => round.counts), [
+    { memphis: 42, nashville: 26, chattanooga: 15, knoxville: 17 },
+    { memphis: 42, nashville: 26, knoxville: 32 },
+    { memphis: 42, knoxville: 58 }
+  ]);
+  assert.deepEqual(rounds.map(round => round.eliminated), [['chattanooga'], ['nashville'], []]);
+  assert.deepEqual(contenders.sort(), ['knoxville', 'memphis']);
+  assert.equal(candidateVotes.knoxville, 58);
+  assert.equal(candidateVotes.chattanooga, 15);
+});
+
+test('instant runoff stops at the first round when a candidate has a majority', () => {
+  const { rounds, contenders } = votingMethods.countInstantRunoff({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: ballots([[6, ['a', 'b']], [3, ['b', 'c']], [2, ['c', 'b']]]),
+    seats: 1
+  });
+
+  assert.equal(rounds.length, 1);
+  assert.deepEqual(rounds[0].counts, { a: 6, b: 3, c: 2 });
+  assert.ok(contenders.includes('a'));
+});
+
+test('instant runoff breaks a tie for last place with earlier rounds, then a repeatable draw', () => {
+  const options = {
+    candidateIds: ['a', 'b', 'c', 'd'],
+    ballots: ballots([[5, ['a']], [4, ['b']], [2, ['c', 'b']], [2, ['d', 'a']]]),
+    seats: 1,
+    seed: 'election-1'
+  };
+
+  const first = votingMethods.countInstantRunoff(options);
+  const recount = votingMethods.countInstantRunoff(options);
+
+  assert.equal(first.rounds[0].tieBreak, 'lots');
+  assert.equal(first.rounds[0].eliminated.length, 1);
+  assert.ok(['c', 'd'].includes(first.rounds[0].eliminated[0]));
+  assert.deepEqual(recount.rounds, first.rounds);
+});
+
+// Food election example: 20 voters, 3 seats, Droop quota 6;
+// Chocolate, Oranges and Strawberries are elected
+const foodElection = ballots([
+  [4, ['oranges']],
+  [2, ['pears', 'oranges']],
+  [8, ['chocolate', 'strawberries']],
+  [4, ['chocolate', 'bonbons']],
+  [1, ['strawberries']],
+  [1, ['bonbons']]
+]);
+
+test('STV elects with the Droop quota and transfers surpluses at reduced weight (food election example)', () => {
+  const { winners, rounds, quota } = votingMethods.countSingleTransferableVote({
+    candidateIds: ['oranges', 'pears', 'chocolate', 'strawberries', 'bonbons'],
+    ballots: foodElection,
+    seats: 3
+  });
+
+  assert.equal(quota, 6);
+  assert.deepEqual(winners, ['chocolate', 'oranges', 'strawberries']);
+
+  assert.deepEqual(rounds[0].counts, { oranges: 4, pears: 2, chocolate: 12, strawberries: 1, bonbons: 1 });
+  assert.deepEqual(rounds[0].elected, ['chocolate']);
+
+  // Chocolate's surplus of 6 passes on at half weight
+  assert.deepEqual(rounds[1].counts, { oranges: 4, pears: 2, strawberries: 5, bonbons: 3 });
+  assert.deepEqual(rounds[1].eliminated, ['pears']);
+
+  assert.deepEqual(rounds[2].counts, { oranges: 6, strawberries: 5, bonbons: 3 });
+  assert.deepEqual(rounds[2].elected, ['oranges']);
+});
+
+test('STV with one seat gives the same winner as instant runoff', () => {
+  const { winners } = votingMethods.countSingleTransferableVote({
+    candidateIds: ['memphis', 'nashville', 'chattanooga', 'knoxville'],
+    ballots: tennessee,
+    seats: 1
+  });
+
+  assert.deepEqual(winners, ['knoxville']);
+});
+
+test('countVotes picks the counter for the voting method', () => {
+  const options = { candidateIds: ['a', 'b'], ballots: ballots([[2, ['a', 'b']], [1, ['b']]]), seats: 1 };
+
+  assert.deepEqual(votingMethods.countVotes('approval', options).candidateVotes, { a: 2, b: 3 });
+  assert.deepEqual(votingMethods.countVotes('plurality', options).candidateVotes, { a: 2, b: 1 });
+});
@@ -0,0 +1,186 @@
+/**
+ * Withdrawal Service Tests
+ * Purpose: Candidate withdrawals, their review and unopposed positions
+ * Version: 1.0.0
+ * Last Modified: October 19, 2026
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const User = require('../models/User');
+const mailer = require('../config/mailer');
+const withdrawalService = require('../services/withdrawalService');
+const { stub, restoreStubs, query } = require('./helpers');
+
+const objectId = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+// What the stubbed database holds
+let candidates;
+let emails;
+
+beforeEach(() => {
+  candidates = [];
+  emails = [];
+
+  stub(Candidate, 'find', ({ election, approved, active }) => query(candidates.filter(candidate =>
+    candidate.election.equals(election) && candidate.approved === approved && candidate.active === active)));
+  stub(Candidate.prototype, 'save', async function() {
+    return this;
+  });
+  stub(Election.prototype, 'save', async function() {
+    return this;
+  });
+  stub(User, 'findById', (id) => query({ _id: id, name: 'Asha Patil', email: 'asha@college.edu' }));
+  stub(mailer, 'sendWithdrawalDecisionEmail', async (to, name, details) => emails.push({ to, ...details }));
+});
+
+afterEach(restoreStubs);
+
+/**
+ * Build an election two days out with a contested representative seat
+ * (two candidates) and an uncontested treasurer seat (one candidate)
+ * @returns {Object} - { election, asha, ravi, meera }
+ */
+const setUp = () => {
+  const election = new Election({
+    title: 'Class Committee',
+    class: objectId(),
+    createdBy: objectId(),
+    startDate: new Date(Date.now() + 2 * DAY),
+    endDate: new Date(Date.now() + 3 * DAY),
+    status: 'pending',
+    positions: [{ title: 'Class Representative', seats: 1 }, { title: 'Treasurer', seats: 1 }]
+  });
+  const [representative, treasurer] = election.positions;
+
+  candidates = [representative, representative, treasurer].map(position => new Candidate({
+    election: election._id,
+    student: objectId(),
+    position: position._id,
+    symbol: 'star',
+    approved: true
+  }));
+  election.candidates = candidates.map(candidate => candidate._id);
+
+  const [asha, ravi, meera] = candidates;
+  return { election, asha, ravi, meera };
+};
+
+test('requestWithdrawal records a request that can be cancelled', async () => {
+  const { election, asha } = setUp();
+
+  const { candidate } = await withdrawalService.requestWithdrawal(asha, election, '  Exams clash  ');
+  assert.equal(candidate.withdrawal.status, 'requested');
+  assert.equal(candidate.withdrawal.reason, 'Exams clash');
+
+  const again = await withdrawalService.requestWithdrawal(asha, election, '');
+  assert.match(again.error, /already waiting for confirmation/);
+
+  await withdrawalService.cancelWithdrawal(asha);
+  assert.equal(asha.withdrawal.status, undefined);
+  assert.match((await withdrawalService.cancelWithdrawal(asha)).error, /no withdrawal request/);
+});
+
+test('requestWithdrawal refuses after the deadline and for unapproved candidates', async () => {
+  const { election, asha, ravi } = setUp();
+  election.withdrawalDeadline = new Date(Date.now() - 1000);
+
+  const late = await withdrawalService.requestWithdrawal(asha, election, '');
+  assert.match(late.error, /deadline .* has passed/);
+
+  election.withdrawalDeadline = undefined;
+  ravi.approved = false;
+  const unapproved = await withdrawalService.requestWithdrawal(ravi, election, '');
+  assert.match(unapproved.error, /Only approved candidates/);
+});
+
+test('confirmWithdrawal takes the candidate off the ballot and flags the seat left unopposed', async () => {
+  const { election, asha, ravi } = setUp();
+  await withdrawalService.requestWithdrawal(asha, election, 'Exams clash');
+  const reviewerId = objectId();
+
+  const result = await withdrawalService.confirmWithdrawal(asha, election, reviewerId);
+
+  assert.equal(asha.reviewStatus, 'withdrawn');
+  assert.equal(asha.active, false);
+  assert.equal(asha.withdrawal.reviewedBy, reviewerId);
+  assert.ok(!election.candidates.some(id => id.equals(asha._id)));
+  assert.ok(election.candidates.some(id => id.equals(ravi._id)));
+
+  // Only the representative seat; the treasurer seat was never contested
+  assert.deepEqual(result.unopposedPositions.map(position => position.title), ['Class Representative']);
+  assert.deepEqual(election.unopposed.positions.map(String), [election.positions[0]._id.toString()]);
+  assert.ok(election.unopposed.flaggedAt);
+
+  assert.equal(result.emailSent, true);
+  assert.deepEqual(emails, [{
+    to: 'asha@college.edu',
+    confirmed: true,
+    electionTitle: 'Class Committee',
+    electionId: election._id,
+    positionTitle: 'Class Representative',
+    reason: undefined
+  }]);
+});
+
+test('a seat that stays contested is not flagged', async () => {
+  const { election, asha } = setUp();
+  candidates.push(new Candidate({
+    election: election._id, student: objectId(), position: asha.position, symbol: 'circle', approved: true
+  }));
+  await withdrawalService.requestWithdrawal(asha, election, '');
+
+  const result = await withdrawalService.confirmWithdrawal(asha, election, objectId());
+
+  assert.deepEqual(result.unopposedPositions, []);
+  assert.equal(election.isUnopposed, false);
+});
+
+test('declineWithdrawal needs a reason and keeps the candidate on the ballot', async () => {
+  const { election, asha } = setUp();
+  await withdrawalService.requestWithdrawal(asha, election, '');
+
+  const short = await withdrawalService.declineWithdrawal(asha, election, objectId(), 'No');
+  assert.match(short.error, /reason \(at least 10 characters\)/);
+
+  const result = await withdrawalService.declineWithdrawal(asha, election, objectId(), 'Ballots are already printed');
+
+  assert.equal(asha.withdrawal.status, 'declined');
+  assert.equal(asha.reviewStatus, 'approved');
+  assert.equal(asha.active, true);
+  assert.ok(election.candidates.some(id => id.equals(asha._id)));
+  assert.equal(result.emailSent, true);
+  assert.equal(emails[0].confirmed, false);
+  assert.equal(emails[0].reason, 'Ballots are already printed');
+});
+
+test('a withdrawal can no longer be decided once voting starts', async () => {
+  const { election, asha } = setUp();
+  await withdrawalService.requestWithdrawal(asha, election, '');
+  election.startDate = new Date(Date.now() - 1000);
+
+  const confirmed = await withdrawalService.confirmWithdrawal(asha, election, objectId());
+  const declined = await withdrawalService.declineWithdrawal(asha, election, objectId(), 'Ballots are already printed');
+
+  assert.match(confirmed.error, /Voting has started/);
+  assert.match(declined.error, /Voting has started/);
+  assert.equal(asha.withdrawal.status, 'requested');
+});
+
+test('approving another candidate clears the unopposed flag', async () => {
+  const { election, asha } = setUp();
+  await withdrawalService.requestWithdrawal(asha, election, '');
+  await withdrawalService.confirmWithdrawal(asha, election, objectId());
+  assert.equal(election.isUnopposed, true);
+
+  candidates.push(new Candidate({
+    election: election._id, student: objectId(), position: asha.position, symbol: 'circle', approved: true
+  }));
+  await withdrawalService.clearContestedPositions(election);
+
+  assert.equal(election.isUnopposed, false);
+});
@@ -0,0 +1,75 @@
+/**
+ * Markdown Utilities
+ * Purpose: Manifesto length limits and safe Markdown rendering
+ * Version: 1.0.0
+ * Last Modified: October 18, 2026
+ *
+ * Shared by the Candidate and Election models and the manifesto service.
+ * The HTML is sanitized against an allowlist (headings, lists, emphasis,
+ * quotes, code and http/https/mailto links), so raw HTML, scripts, event
+ * handlers and images never reach the page. Headings are moved down to
+ * h4-h6 so they sit below the page's own headings.
+ */
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Length limits an election can choose (characters of Markdown)
+const MANIFESTO_LENGTH = {
+  min: 100,
+  max: 10000,
+  default: 2000
+};
+
+// What a rendered manifesto may contain
+const sanitizeOptions = {
+  allowedTags: [
+    'h4', 'h5', 'h6', 'p', 'br', 'hr', 'ul', 'ol', 'li', 'strong', 'em', 'del',
+    'blockquote', 'code', 'pre', 'a'
+  ],
+  allowedAttributes: {
+    a: ['href', 'target', 'rel']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    h1: 'h4',
+    h2: 'h5',
+    h3: 'h6',
+    h4: 'h6',
+    h5: 'h6',
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+/**
+ * Render a Markdown manifesto to sanitized HTML
+ * @param {string} markdown - Manifesto source
+ * @returns {string} - Safe HTML
+ */
+const renderManifesto = (markdown) => {
+  if (!markdown) return '';
+  return sanitizeHtml(marked.parse(String(markdown), { gfm: true, breaks: true }), sanitizeOptions);
+};
+
+/**
+ * Plain text of a Markdown manifesto (for short excerpts)
+ * @param {string} markdown - Manifesto source
+ * @returns {string}
+ */
+const getManifestoText = (markdown) => {
+  if (!markdown) return '';
+  const text = sanitizeHtml(marked.parse(String(markdown)), { allowedTags: [], allowedAttributes: {} });
+  // Decode entities; views escape the text again
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+module.exports = {
+  MANIFESTO_LENGTH,
+  renderManifesto,
+  getManifestoText
+};